@@ -0,0 +1,160 @@
+/**
+ * Cameras producing the `cameraUniforms` of RenderEngine.render (`u_projection`, `u_view` and `u_viewWorldPosition`).
+ *
+ * A camera is placed by its `position`, the `target` it looks at and its `up` direction. Unless an `aspect` is given, the aspect
+ * ratio follows the size of the canvas, so it stays right when `webglUtils.resizeCanvasToDisplaySize` resizes it.
+ * RenderEngine.render accepts a camera in place of the uniforms. The controllers of CameraControls.js move the cameras.
+ */
+export class Camera {
+    /**
+     * @param {object} [options]
+     * @param {number[]} [options.position] - Position of the camera. Default `[0, 0, 5]`.
+     * @param {number[]} [options.target] - Point the camera looks at. Default `[0, 0, 0]`.
+     * @param {number[]} [options.up] - Up direction. Default `[0, 1, 0]`.
+     * @param {number} [options.near=0.1] - Distance of the near plane.
+     * @param {number} [options.far=1000] - Distance of the far plane.
+     * @param {number} [options.aspect] - Fixed width / height ratio of the view. Default is the one of the canvas.
+     */
+    constructor(options = {}) {
+        this.position = (options.position || [0, 0, 5]).slice();
+        this.target = (options.target || [0, 0, 0]).slice();
+        this.up = (options.up || [0, 1, 0]).slice();
+        this.near = options.near !== undefined ? options.near : 0.1;
+        this.far = options.far !== undefined ? options.far : 1000;
+        this.fixedAspect = options.aspect;
+        this.aspect = options.aspect || 1;
+    }
+
+    /**
+     * Update the aspect ratio from the size of a canvas, unless the camera has a fixed one.
+     * @param {*} canvas The canvas
+     * @returns {number} - The aspect ratio
+     */
+    updateAspect(canvas) {
+        if (!this.fixedAspect && canvas) {
+            const width = canvas.clientWidth || canvas.width;
+            const height = canvas.clientHeight || canvas.height;
+            if (width > 0 && height > 0) {
+                this.aspect = width / height;
+            }
+        }
+        return this.aspect;
+    }
+
+    /**
+     * @returns {number[]} - The view matrix, the inverse of the matrix placing the camera
+     */
+    getViewMatrix() {
+        return m4.inverse(m4.lookAt(this.position, this.target, this.up));
+    }
+
+    /**
+     * @returns {number[]} - The projection matrix, for the current aspect ratio
+     */
+    getProjectionMatrix() {
+        throw new Error("getProjectionMatrix is not implemented");
+    }
+
+    /**
+     * Get the uniforms of RenderEngine.render.
+     * @param {*} [canvas] The canvas the view is drawn in, the aspect ratio follows its size
+     * @returns {object} - `u_projection`, `u_view` and `u_viewWorldPosition`
+     */
+    getUniforms(canvas) {
+        this.updateAspect(canvas);
+        return {
+            u_projection: this.getProjectionMatrix(),
+            u_view: this.getViewMatrix(),
+            u_viewWorldPosition: this.position.slice()
+        };
+    }
+
+    /**
+     * Get the unit axes of the camera in world space.
+     * @returns {object} - `forward` (from the position to the target), `right` and `up`
+     */
+    getAxes() {
+        const forward = m4.normalize(m4.subtractVectors(this.target, this.position));
+        const right = m4.normalize(m4.cross(forward, this.up));
+        return {
+            forward,
+            right,
+            up: m4.cross(right, forward)
+        };
+    }
+
+    /**
+     * @returns {number} - Distance from the position to the target
+     */
+    getDistance() {
+        return Math.hypot(...m4.subtractVectors(this.target, this.position));
+    }
+
+    /**
+     * Get the point of the view plane through the target that is under a point of the view, e.g. the point under the cursor.
+     * @param {number} x Horizontal position in the view, from -1 (left) to 1 (right)
+     * @param {number} y Vertical position in the view, from -1 (bottom) to 1 (top)
+     * @returns {number[]} - The point
+     */
+    unprojectOnTargetPlane(x, y) {
+        const {
+            right,
+            up
+        } = this.getAxes();
+        const halfHeight = this.getTargetPlaneHeight() / 2;
+        return this.target.map((value, axis) => value + right[axis] * x * halfHeight * this.aspect + up[axis] * y * halfHeight);
+    }
+
+    /**
+     * @returns {number} - Height in world units of the view at the distance of the target
+     */
+    getTargetPlaneHeight() {
+        throw new Error("getTargetPlaneHeight is not implemented");
+    }
+}
+
+/**
+ * Camera with a perspective projection.
+ */
+export class PerspectiveCamera extends Camera {
+    /**
+     * @param {object} [options] - The options of Camera, plus:
+     * @param {number} [options.fieldOfView] - Vertical field of view in radians. Default 60 degrees.
+     */
+    constructor(options = {}) {
+        super(options);
+        this.fieldOfView = options.fieldOfView || Math.PI / 3;
+    }
+
+    getProjectionMatrix() {
+        return m4.perspective(this.fieldOfView, this.aspect, this.near, this.far);
+    }
+
+    getTargetPlaneHeight() {
+        return 2 * Math.tan(this.fieldOfView / 2) * this.getDistance();
+    }
+}
+
+/**
+ * Camera with an orthographic projection, showing `height` world units vertically.
+ */
+export class OrthographicCamera extends Camera {
+    /**
+     * @param {object} [options] - The options of Camera, plus:
+     * @param {number} [options.height=2] - Height of the view in world units, the controllers zoom by changing it.
+     */
+    constructor(options = {}) {
+        super(options);
+        this.height = options.height || 2;
+    }
+
+    getProjectionMatrix() {
+        const halfHeight = this.height / 2;
+        const halfWidth = halfHeight * this.aspect;
+        return m4.orthographic(-halfWidth, halfWidth, -halfHeight, halfHeight, this.near, this.far);
+    }
+
+    getTargetPlaneHeight() {
+        return this.height;
+    }
+}
@@ -0,0 +1,503 @@
+import {
+    OrthographicCamera
+} from "./Camera.js";
+
+/**
+ * Interactive controllers moving the cameras of Camera.js with the mouse, touch and keyboard.
+ *
+ * - OrbitControls turns around the target like a turntable, keeping the up direction of the camera.
+ * - TrackballControls rotates freely around the target, the up direction turns with the camera.
+ * - FlyControls moves the camera like in a first-person game: WASD or the arrows to move, Q and E to go down and up, drag to look around.
+ *
+ * Dragging rotates, dragging with the right or middle button (or with Shift) pans, the wheel or a pinch zooms and two fingers pan.
+ * The input is accumulated, and applied to the camera by `update`, to call once per frame before rendering. With `damping`, the motion
+ * is released over several frames instead of at once.
+ */
+export class CameraControls {
+    /**
+     * @param {Camera} camera The camera to move, a PerspectiveCamera or an OrthographicCamera
+     * @param {*} element The element receiving the mouse and touch events, usually the canvas
+     * @param {object} [options]
+     * @param {number} [options.damping=0.75] - Part of the motion kept for the next frame (at 60 frames per second), from 0 (the camera
+     * moves at once) to 1 (excluded).
+     * @param {number} [options.rotateSpeed=1] - Speed of the rotations, 1 turns by 180 degrees when dragging over the height of the element.
+     * @param {number} [options.panSpeed=1] - Speed of the pans, 1 keeps the point of the target plane under the cursor.
+     * @param {number} [options.zoomSpeed=1] - Speed of the zoom of the wheel and the keyboard.
+     * @param {number} [options.minDistance=0] - Smallest distance from the camera to the target when zooming (smallest `height` of an
+     * OrthographicCamera).
+     * @param {number} [options.maxDistance=Infinity] - Largest distance from the camera to the target when zooming (largest `height` of an
+     * OrthographicCamera).
+     * @param {boolean} [options.zoomToCursor=false] - If true, zoom toward the point under the cursor (or between the fingers) instead of the target.
+     * @param {boolean} [options.enableKeys=true] - If true, move the camera with the keyboard.
+     * @param {*} [options.keyboardElement] - Element receiving the keyboard events. Default is `window`.
+     */
+    constructor(camera, element, options = {}) {
+        this.camera = camera;
+        this.element = element;
+        this.enabled = true;
+        this.damping = options.damping !== undefined ? options.damping : 0.75;
+        this.rotateSpeed = options.rotateSpeed || 1;
+        this.panSpeed = options.panSpeed || 1;
+        this.zoomSpeed = options.zoomSpeed || 1;
+        this.minDistance = options.minDistance || 0;
+        this.maxDistance = options.maxDistance !== undefined ? options.maxDistance : Infinity;
+        this.zoomToCursor = options.zoomToCursor || false;
+
+        // Motion waiting to be applied by update: rotations in radians, pans in heights of the view, zoom as the log of the scale of
+        // the distance, moves in world units along the right, up and forward axes of the camera
+        this.motion = createMotion();
+        // Position in the view of the last zoom, [x, y] from -1 to 1, see zoomToCursor
+        this.zoomCenter = null;
+        // Pointers down on the element by id, {x, y, pan}
+        this.pointers = new Map();
+        // Codes of the pressed keys
+        this.keys = new Set();
+
+        // [target, type, listener, options] of the event listeners, removed by dispose
+        this.listeners = [];
+        if (element) {
+            if (element.style) {
+                // Touches move the camera, not the page
+                element.style.touchAction = "none";
+            }
+            this.listen(element, "pointerdown", event => this.onPointerDown(event));
+            this.listen(element, "pointermove", event => this.onPointerMove(event));
+            this.listen(element, "pointerup", event => this.onPointerUp(event));
+            this.listen(element, "pointercancel", event => this.onPointerUp(event));
+            this.listen(element, "wheel", event => this.onWheel(event), {
+                passive: false
+            });
+            this.listen(element, "contextmenu", event => event.preventDefault());
+        }
+        const keyboardElement = options.keyboardElement || (typeof window !== "undefined" ? window : undefined);
+        if (options.enableKeys !== false && keyboardElement) {
+            this.listen(keyboardElement, "keydown", event => this.onKeyDown(event));
+            this.listen(keyboardElement, "keyup", event => this.keys.delete(event.code));
+            this.listen(keyboardElement, "blur", () => this.keys.clear());
+        }
+    }
+
+    /**
+     * Apply the accumulated motion to the camera. Call it once per frame, before getting the uniforms of the camera.
+     * @param {number} [deltaTime=1/60] Time since the last update in seconds
+     * @returns {boolean} - True if the camera moved
+     */
+    update(deltaTime = 1 / 60) {
+        if (this.enabled) {
+            this.handleKeys(deltaTime);
+        }
+
+        // Part of the remaining motion applied in this frame
+        const fraction = this.damping > 0 ? 1 - Math.pow(this.damping, deltaTime * 60) : 1;
+        const step = {};
+        let moving = false;
+        Object.keys(this.motion).forEach(name => {
+            const value = this.motion[name];
+            // The end of the motion is applied at once instead of decreasing forever
+            step[name] = Math.abs(value) * (1 - fraction) > MIN_MOTION ? value * fraction : value;
+            this.motion[name] = value - step[name];
+            moving = moving || step[name] !== 0;
+        });
+        if (!moving) {
+            return false;
+        }
+
+        if (step.rotateX || step.rotateY) {
+            this.rotateBy(step.rotateX, step.rotateY);
+        }
+        if (step.panX || step.panY) {
+            this.panBy(step.panX, step.panY);
+        }
+        if (step.zoom) {
+            this.zoomBy(Math.exp(step.zoom), this.zoomToCursor ? this.zoomCenter : null);
+        }
+        if (step.moveX || step.moveY || step.moveZ) {
+            this.moveBy(step.moveX, step.moveY, step.moveZ);
+        }
+        return true;
+    }
+
+    /**
+     * Stop the motion in progress.
+     */
+    stop() {
+        this.motion = createMotion();
+    }
+
+    /**
+     * Remove the event listeners.
+     */
+    dispose() {
+        this.listeners.forEach(([target, type, listener, options]) => target.removeEventListener(type, listener, options));
+        this.listeners = [];
+        this.pointers.clear();
+        this.keys.clear();
+    }
+
+    /**
+     * Rotate the camera, implemented by each controller.
+     * @param {number} horizontal Angle in radians, positive when dragging to the right
+     * @param {number} vertical Angle in radians, positive when dragging down
+     */
+    rotateBy(horizontal, vertical) {
+        throw new Error("rotateBy is not implemented");
+    }
+
+    /**
+     * Move the camera and its target parallel to the view, so that the scene follows the cursor.
+     * @param {number} x Horizontal move in heights of the view, positive to the right
+     * @param {number} y Vertical move in heights of the view, positive down
+     */
+    panBy(x, y) {
+        const height = this.camera.getTargetPlaneHeight();
+        this.moveBy(-x * height, y * height, 0);
+    }
+
+    /**
+     * Scale the distance from the camera to its target (the `height` of an OrthographicCamera), within the zoom limits.
+     * @param {number} scale The scale, below 1 to zoom in
+     * @param {number[]} [center] Position in the view `[x, y]` (from -1 to 1) of the point staying in place. Default is the target.
+     */
+    zoomBy(scale, center) {
+        const camera = this.camera;
+        const orthographic = camera instanceof OrthographicCamera;
+        const current = orthographic ? camera.height : camera.getDistance();
+        const zoomed = Math.min(Math.max(current * scale, this.minDistance), this.maxDistance);
+        if (!(current > 0) || zoomed === current) {
+            return;
+        }
+        scale = zoomed / current;
+
+        // Scaling the camera and its target around a point of the target plane keeps this point at the same place in the view
+        const point = center ? camera.unprojectOnTargetPlane(center[0], center[1]) : camera.target;
+        const offset = m4.subtractVectors(camera.position, camera.target);
+        camera.target = point.map((value, axis) => value + (camera.target[axis] - value) * scale);
+        if (orthographic) {
+            camera.height = zoomed;
+        }
+        camera.position = camera.target.map((value, axis) => value + offset[axis] * (orthographic ? 1 : scale));
+    }
+
+    /**
+     * Move the camera and its target along the axes of the camera.
+     * @param {number} right Distance to the right in world units
+     * @param {number} up Distance upward
+     * @param {number} forward Distance forward
+     */
+    moveBy(right, up, forward) {
+        const axes = this.camera.getAxes();
+        const translation = [0, 1, 2].map(axis => axes.right[axis] * right + axes.up[axis] * up + axes.forward[axis] * forward);
+        this.camera.position = this.camera.position.map((value, axis) => value + translation[axis]);
+        this.camera.target = this.camera.target.map((value, axis) => value + translation[axis]);
+    }
+
+    /**
+     * Add the motion of the pressed keys, implemented by each controller.
+     * @param {number} deltaTime Time since the last update in seconds
+     */
+    handleKeys(deltaTime) {}
+
+    /**
+     * @param {number} amount Log of the scale of the zoom, positive to zoom out
+     * @param {number[]} [center] Position in the view of the zoom
+     */
+    addZoom(amount, center) {
+        this.motion.zoom += amount;
+        this.zoomCenter = center || null;
+    }
+
+    /**
+     * @param {*} target Element
+     * @param {string} type Type of the event
+     * @param {function} listener The listener
+     * @param {object} [options] Options of addEventListener
+     */
+    listen(target, type, listener, options) {
+        target.addEventListener(type, listener, options);
+        this.listeners.push([target, type, listener, options]);
+    }
+
+    /**
+     * @param {number} clientX Horizontal position in the window
+     * @param {number} clientY Vertical position in the window
+     * @returns {number[]} - The position `[x, y]` in the view, from -1 to 1 with y up
+     */
+    toViewPosition(clientX, clientY) {
+        const rect = this.element.getBoundingClientRect();
+        return [
+            (clientX - rect.left) / (rect.width || 1) * 2 - 1,
+            1 - (clientY - rect.top) / (rect.height || 1) * 2
+        ];
+    }
+
+    onPointerDown(event) {
+        if (!this.enabled) {
+            return;
+        }
+        if (this.element.setPointerCapture) {
+            this.element.setPointerCapture(event.pointerId);
+        }
+        this.pointers.set(event.pointerId, {
+            x: event.clientX,
+            y: event.clientY,
+            pan: event.button !== 0 || event.shiftKey || event.ctrlKey || event.metaKey
+        });
+    }
+
+    onPointerMove(event) {
+        const pointer = this.pointers.get(event.pointerId);
+        if (!pointer || !this.enabled) {
+            return;
+        }
+        const height = this.element.clientHeight || 1;
+        if (this.pointers.size === 2) {
+            // Two fingers: the move of their middle pans, the change of their distance zooms
+            const [first, second] = this.pointers.values();
+            const before = measurePinch(first, second);
+            pointer.x = event.clientX;
+            pointer.y = event.clientY;
+            const after = measurePinch(first, second);
+            this.motion.panX += (after.x - before.x) / height * this.panSpeed;
+            this.motion.panY += (after.y - before.y) / height * this.panSpeed;
+            if (after.distance > 0) {
+                this.addZoom(Math.log(before.distance / after.distance), this.toViewPosition(after.x, after.y));
+            }
+            return;
+        }
+
+        const dx = (event.clientX - pointer.x) / height;
+        const dy = (event.clientY - pointer.y) / height;
+        pointer.x = event.clientX;
+        pointer.y = event.clientY;
+        if (this.pointers.size > 1) {
+            return;
+        }
+        if (pointer.pan) {
+            this.motion.panX += dx * this.panSpeed;
+            this.motion.panY += dy * this.panSpeed;
+        } else {
+            this.motion.rotateX += dx * Math.PI * this.rotateSpeed;
+            this.motion.rotateY += dy * Math.PI * this.rotateSpeed;
+        }
+    }
+
+    onPointerUp(event) {
+        this.pointers.delete(event.pointerId);
+    }
+
+    onWheel(event) {
+        if (!this.enabled) {
+            return;
+        }
+        event.preventDefault();
+        // deltaY is in pixels, lines or pages
+        const pixels = event.deltaY * (event.deltaMode === 1 ? 16 : event.deltaMode === 2 ? this.element.clientHeight || 800 : 1);
+        this.addZoom(pixels * WHEEL_ZOOM * this.zoomSpeed, this.toViewPosition(event.clientX, event.clientY));
+    }
+
+    onKeyDown(event) {
+        const tagName = event.target && event.target.tagName;
+        if (this.enabled && tagName !== "INPUT" && tagName !== "TEXTAREA" && tagName !== "SELECT") {
+            this.keys.add(event.code);
+        }
+    }
+
+    /**
+     * @param {...string} codes Codes of keys
+     * @returns {number} - 1 if one of the keys is pressed, else 0
+     */
+    isPressed(...codes) {
+        return codes.some(code => this.keys.has(code)) ? 1 : 0;
+    }
+}
+
+/**
+ * Turntable controller: dragging turns the camera around the target, horizontally around the up direction of the camera and
+ * vertically between `minPolarAngle` and `maxPolarAngle` from it. The arrows turn, + and - zoom.
+ */
+export class OrbitControls extends CameraControls {
+    /**
+     * @param {Camera} camera The camera to move
+     * @param {*} element The element receiving the mouse and touch events, usually the canvas
+     * @param {object} [options] - The options of CameraControls, plus:
+     * @param {number} [options.minPolarAngle] - Smallest angle in radians between the up direction and the direction from the target
+     * to the camera. Default is nearly 0, looking from above.
+     * @param {number} [options.maxPolarAngle] - Largest angle. Default is nearly PI, looking from below.
+     */
+    constructor(camera, element, options = {}) {
+        super(camera, element, options);
+        this.minPolarAngle = options.minPolarAngle !== undefined ? options.minPolarAngle : POLAR_MARGIN;
+        this.maxPolarAngle = options.maxPolarAngle !== undefined ? options.maxPolarAngle : Math.PI - POLAR_MARGIN;
+    }
+
+    rotateBy(horizontal, vertical) {
+        const camera = this.camera;
+        const up = m4.normalize(camera.up);
+        // The camera turns the other way, so the scene follows the cursor
+        let offset = rotateVector(m4.subtractVectors(camera.position, camera.target), up, -horizontal);
+        const polarAngle = Math.acos(Math.min(Math.max(m4.dot(m4.normalize(offset), up), -1), 1));
+        const newPolarAngle = Math.min(Math.max(polarAngle - vertical, this.minPolarAngle), this.maxPolarAngle);
+        const axis = m4.normalize(m4.cross(up, offset));
+        if (Math.hypot(...axis) > 0) {
+            offset = rotateVector(offset, axis, newPolarAngle - polarAngle);
+        }
+        camera.position = camera.target.map((value, axis) => value + offset[axis]);
+    }
+
+    handleKeys(deltaTime) {
+        const angle = KEY_ROTATE_SPEED * this.rotateSpeed * deltaTime;
+        this.motion.rotateX += (this.isPressed("ArrowRight") - this.isPressed("ArrowLeft")) * angle;
+        this.motion.rotateY += (this.isPressed("ArrowDown") - this.isPressed("ArrowUp")) * angle;
+        const zoom = this.isPressed("Minus", "NumpadSubtract") - this.isPressed("Equal", "NumpadAdd");
+        if (zoom) {
+            this.addZoom(zoom * KEY_ZOOM_SPEED * this.zoomSpeed * deltaTime);
+        }
+    }
+}
+
+/**
+ * Trackball controller: dragging rotates the camera around the target in the direction of the drag, without a fixed up direction
+ * (the `up` of the camera turns with it), so the scene can be seen from any side. The keys are the ones of OrbitControls.
+ */
+export class TrackballControls extends OrbitControls {
+    rotateBy(horizontal, vertical) {
+        const angle = Math.hypot(horizontal, vertical);
+        if (!angle) {
+            return;
+        }
+        const camera = this.camera;
+        const {
+            right,
+            up
+        } = camera.getAxes();
+        const offset = m4.subtractVectors(camera.position, camera.target);
+        // Rotate around the axis of the view plane perpendicular to the drag, the scene follows the cursor
+        const drag = [0, 1, 2].map(axis => right[axis] * horizontal - up[axis] * vertical);
+        const axis = m4.normalize(m4.cross(drag, m4.normalize(offset)));
+        const rotated = rotateVector(offset, axis, angle);
+        camera.position = camera.target.map((value, index) => value + rotated[index]);
+        camera.up = rotateVector(up, axis, angle);
+    }
+}
+
+/**
+ * First-person controller: the camera moves with WASD or the arrows (Q and E to go down and up) and looks around when dragging,
+ * turning around its up direction. The wheel or a pinch moves forward and backward (toward the cursor with `zoomToCursor`),
+ * or zooms an OrthographicCamera within the zoom limits.
+ */
+export class FlyControls extends CameraControls {
+    /**
+     * @param {Camera} camera The camera to move
+     * @param {*} element The element receiving the mouse and touch events, usually the canvas
+     * @param {object} [options] - The options of CameraControls, plus:
+     * @param {number} [options.moveSpeed=2] - Speed of the keys in world units per second, and distance moved by a zoom of the wheel.
+     */
+    constructor(camera, element, options = {}) {
+        super(camera, element, options);
+        this.moveSpeed = options.moveSpeed || 2;
+    }
+
+    rotateBy(horizontal, vertical) {
+        const camera = this.camera;
+        const up = m4.normalize(camera.up);
+        const distance = camera.getDistance();
+        // Look where the cursor goes
+        let forward = rotateVector(m4.normalize(m4.subtractVectors(camera.target, camera.position)), up, -horizontal);
+        const polarAngle = Math.acos(Math.min(Math.max(m4.dot(forward, up), -1), 1));
+        const newPolarAngle = Math.min(Math.max(polarAngle + vertical, POLAR_MARGIN), Math.PI - POLAR_MARGIN);
+        const axis = m4.normalize(m4.cross(up, forward));
+        if (Math.hypot(...axis) > 0) {
+            forward = rotateVector(forward, axis, newPolarAngle - polarAngle);
+        }
+        camera.target = camera.position.map((value, index) => value + forward[index] * distance);
+    }
+
+    zoomBy(scale, center) {
+        const camera = this.camera;
+        if (camera instanceof OrthographicCamera) {
+            super.zoomBy(scale, center);
+            return;
+        }
+        const distance = -Math.log(scale) * this.moveSpeed;
+        const direction = center ? m4.normalize(m4.subtractVectors(camera.unprojectOnTargetPlane(center[0], center[1]), camera.position)) :
+            camera.getAxes().forward;
+        camera.position = camera.position.map((value, axis) => value + direction[axis] * distance);
+        camera.target = camera.target.map((value, axis) => value + direction[axis] * distance);
+    }
+
+    handleKeys(deltaTime) {
+        const distance = this.moveSpeed * deltaTime;
+        this.motion.moveX += (this.isPressed("KeyD", "ArrowRight") - this.isPressed("KeyA", "ArrowLeft")) * distance;
+        this.motion.moveY += (this.isPressed("KeyE") - this.isPressed("KeyQ")) * distance;
+        this.motion.moveZ += (this.isPressed("KeyW", "ArrowUp") - this.isPressed("KeyS", "ArrowDown")) * distance;
+    }
+}
+
+/**
+ * Motion below which the rest of a damped motion is applied at once.
+ */
+const MIN_MOTION = 1e-5;
+
+/**
+ * Log of the zoom scale per pixel of wheel scrolling.
+ */
+const WHEEL_ZOOM = 0.002;
+
+/**
+ * Rotation speed of the keys, in radians per second.
+ */
+const KEY_ROTATE_SPEED = Math.PI / 2;
+
+/**
+ * Zoom speed of the keys, in log of the scale per second.
+ */
+const KEY_ZOOM_SPEED = 1;
+
+/**
+ * Smallest angle between the view and the up direction, looking straight along it would make the rotation around it undefined.
+ */
+const POLAR_MARGIN = 0.01;
+
+/**
+ * @returns {object} - A motion without any move, see CameraControls.motion
+ */
+function createMotion() {
+    return {
+        rotateX: 0,
+        rotateY: 0,
+        panX: 0,
+        panY: 0,
+        zoom: 0,
+        moveX: 0,
+        moveY: 0,
+        moveZ: 0
+    };
+}
+
+/**
+ * @param {object} first First pointer {x, y}
+ * @param {object} second Second pointer
+ * @returns {object} - The middle `{x, y}` of the pointers and their `distance`
+ */
+function measurePinch(first, second) {
+    return {
+        x: (first.x + second.x) / 2,
+        y: (first.y + second.y) / 2,
+        distance: Math.hypot(first.x - second.x, first.y - second.y)
+    };
+}
+
+/**
+ * Rotate a vector around an axis (Rodrigues' rotation formula).
+ * @param {number[]} vector The vector
+ * @param {number[]} axis The axis, a unit vector
+ * @param {number} angle The angle in radians, counterclockwise when the axis points toward the viewer
+ * @returns {number[]} - The rotated vector
+ */
+function rotateVector(vector, axis, angle) {
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    const cross = m4.cross(axis, vector);
+    const dot = m4.dot(axis, vector);
+    return vector.map((value, index) => value * cos + cross[index] * sin + axis[index] * dot * (1 - cos));
+}
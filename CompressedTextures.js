@@ -0,0 +1,680 @@
+import {
+    ResourceError
+} from "./Resolvers.js";
+import {
+    ResourceManager
+} from "./ResourceManager.js";
+
+/**
+ * Compressed textures: `.ktx`, `.ktx2` and `.dds` files named in the `map_*` statements of the MTL files.
+ *
+ * The containers are parsed with their mip chain (only the first face and layer of cube maps and arrays), and uploaded with
+ * `compressedTexImage2D` when the GPU supports their format:
+ * - S3TC (BC1, BC2, BC3) with WEBGL_compressed_texture_s3tc, and their sRGB variants with WEBGL_compressed_texture_s3tc_srgb
+ * - ETC1 with WEBGL_compressed_texture_etc1, ETC2 and EAC with WEBGL_compressed_texture_etc
+ * - ASTC with WEBGL_compressed_texture_astc
+ * - BPTC (BC6H, BC7) with EXT_texture_compression_bptc
+ * - uncompressed RGBA8 data, always
+ *
+ * Otherwise the file is given to the `transcoder` (e.g. a wrapper of the Basis Universal transcoder for the ETC1S and UASTC
+ * KTX2 files, or of a Zstandard decoder), and without transcoder (or if it declines) the first uncompressed alternative found
+ * next to the file (`textures/wood.ktx2` -> `textures/wood.png`, `textures/wood.jpg`) is loaded instead.
+ *
+ * The data is uploaded as stored. OBJ texture coordinates start at the bottom left, so the textures stored top-down (`topDown`: every
+ * DDS file, and the KTX files whose `KTXorientation` isn't bottom-up, which is the default of the format) are sampled with their
+ * texture coordinates flipped instead (see MeshLoader.LoadOBJAndMesh). Uncompressed alternatives are regular images and are flipped
+ * like the other maps.
+ */
+export class CompressedTextures {
+    /**
+     * Check if a texture file is one of the compressed containers, by its extension.
+     * @param {string} path Path of the file
+     * @returns {boolean}
+     */
+    static IsCompressedTexturePath(path) {
+        return /\.(ktx2?|dds)$/i.test(path.split(/[?#]/)[0]);
+    }
+
+    /**
+     * Parse a compressed texture container, KTX, KTX2 or DDS according to its first bytes.
+     * @param {ArrayBuffer} buffer Content of the file
+     * @param {string} [path] Path of the file, used in the errors
+     * @returns {object} - The texture, see ParseKTX
+     */
+    static Parse(buffer, path = "") {
+        const bytes = new Uint8Array(buffer, 0, Math.min(12, buffer.byteLength));
+        if (matchesIdentifier(bytes, KTX_IDENTIFIER)) {
+            return this.ParseKTX(buffer, path);
+        }
+        if (matchesIdentifier(bytes, KTX2_IDENTIFIER)) {
+            return this.ParseKTX2(buffer, path);
+        }
+        if (buffer.byteLength >= 4 && new DataView(buffer).getUint32(0, true) === DDS_MAGIC) {
+            return this.ParseDDS(buffer, path);
+        }
+        throw new ResourceError("not a KTX, KTX2 or DDS file", path);
+    }
+
+    /**
+     * Parse a KTX 1 file.
+     * @param {ArrayBuffer} buffer Content of the file
+     * @param {string} [path] Path of the file, used in the errors
+     * @returns {object} - The texture: `container` (`"ktx"`), `format` (the name of the format, e.g. `"bc7"` or `"rgba8"`, undefined if
+     * it isn't supported), `srgb` (true if the data is sRGB encoded), `width`, `height`, the `levels` of the mip chain
+     * (`{width, height, data}`, the largest first), and `topDown` (true if the first row of the data is the top of the image)
+     */
+    static ParseKTX(buffer, path = "") {
+        const view = new DataView(buffer);
+        if (buffer.byteLength < 64 || !matchesIdentifier(new Uint8Array(buffer, 0, 12), KTX_IDENTIFIER)) {
+            throw new ResourceError("not a KTX file", path);
+        }
+        const littleEndian = view.getUint32(12, true) === 0x04030201;
+        const read = offset => view.getUint32(offset, littleEndian);
+        const glType = read(16);
+        const glFormat = read(24);
+        const glInternalFormat = read(28);
+        const width = read(36);
+        const height = Math.max(read(40), 1);
+        const arrayElements = read(48);
+        const faces = read(52);
+        const levelCount = Math.max(read(56), 1);
+        const keyValueBytes = read(60);
+
+        let format;
+        let srgb = false;
+        if (glType === 0) {
+            ({
+                format,
+                srgb
+            } = findFormat(glInternalFormat));
+        } else if (glFormat === GL_RGBA && glType === GL_UNSIGNED_BYTE) {
+            format = "rgba8";
+            srgb = glInternalFormat === GL_SRGB8_ALPHA8;
+        }
+
+        // "S=r,T=d" by default, "T=u" for the images stored bottom-up
+        const orientation = readKeyValue(view, 64, keyValueBytes, littleEndian, "KTXorientation");
+        const topDown = !orientation || !orientation.includes("T=u");
+
+        const levels = [];
+        let offset = 64 + keyValueBytes;
+        for (let level = 0; level < levelCount; level++) {
+            const levelWidth = Math.max(width >> level, 1);
+            const levelHeight = Math.max(height >> level, 1);
+            const imageSize = read(offset);
+            offset += 4;
+            const size = format ? getLevelSize(format, levelWidth, levelHeight) : imageSize;
+            levels.push({
+                width: levelWidth,
+                height: levelHeight,
+                data: sliceBytes(buffer, offset, size, path)
+            });
+            // imageSize is the size of a face of non-array cube maps, of the whole level otherwise
+            offset += faces === 6 && arrayElements === 0 ? 6 * align4(imageSize) : align4(imageSize);
+        }
+
+        return {
+            container: "ktx",
+            format,
+            srgb,
+            width,
+            height,
+            levels,
+            topDown
+        };
+    }
+
+    /**
+     * Parse a KTX 2 file.
+     *
+     * Supercompressed files (`supercompression` is 1 for BasisLZ, 2 for Zstandard, 3 for ZLIB) and Basis Universal files (`basis` is
+     * `"etc1s"` or `"uastc"`) need a transcoder: their levels hold the whole stored data of each level, and `supercompressionData` the
+     * global data of BasisLZ.
+     * @param {ArrayBuffer} buffer Content of the file
+     * @param {string} [path] Path of the file, used in the errors
+     * @returns {object} - The texture, see ParseKTX, plus the `vkFormat`, `supercompression`, `basis` and `supercompressionData`
+     */
+    static ParseKTX2(buffer, path = "") {
+        const view = new DataView(buffer);
+        if (buffer.byteLength < 80 || !matchesIdentifier(new Uint8Array(buffer, 0, 12), KTX2_IDENTIFIER)) {
+            throw new ResourceError("not a KTX2 file", path);
+        }
+        const read = offset => view.getUint32(offset, true);
+        // 64 bit offsets and lengths, files are far smaller than 4 GB
+        const read64 = offset => read(offset) + read(offset + 4) * 0x100000000;
+        const vkFormat = read(12);
+        const width = read(20);
+        const height = Math.max(read(24), 1);
+        const levelCount = Math.max(read(40), 1);
+        const supercompression = read(44);
+        const dfdOffset = read(48);
+        // "rd" by default, "ru" for the images stored bottom-up
+        const orientation = readKeyValue(view, read(56), read(60), true, "KTXorientation");
+        const topDown = !orientation || orientation[1] !== "u";
+
+        // Color model and transfer function of the basic data format descriptor
+        const colorModel = view.getUint8(dfdOffset + 12);
+        const transferFunction = view.getUint8(dfdOffset + 14);
+        const basis = supercompression === 1 ? "etc1s" : colorModel === KHR_DF_MODEL_UASTC ? "uastc" : undefined;
+
+        const vulkanFormat = VULKAN_FORMATS[vkFormat];
+        const format = vulkanFormat ? vulkanFormat[0] : undefined;
+        const srgb = vulkanFormat ? vulkanFormat[1] : transferFunction === KHR_DF_TRANSFER_SRGB;
+
+        const levels = [];
+        for (let level = 0; level < levelCount; level++) {
+            const levelWidth = Math.max(width >> level, 1);
+            const levelHeight = Math.max(height >> level, 1);
+            const byteOffset = read64(80 + level * 24);
+            const byteLength = read64(80 + level * 24 + 8);
+            // Without supercompression, the first image of the level (the first face of cube maps, the first layer of arrays)
+            const size = format && supercompression === 0 ? getLevelSize(format, levelWidth, levelHeight) : byteLength;
+            levels.push({
+                width: levelWidth,
+                height: levelHeight,
+                data: sliceBytes(buffer, byteOffset, size, path),
+                uncompressedByteLength: read64(80 + level * 24 + 16)
+            });
+        }
+
+        return {
+            container: "ktx2",
+            format: supercompression === 0 ? format : undefined,
+            srgb,
+            width,
+            height,
+            levels,
+            topDown,
+            vkFormat,
+            supercompression,
+            basis,
+            supercompressionData: sliceBytes(buffer, read64(64), read64(72), path)
+        };
+    }
+
+    /**
+     * Parse a DDS file (DXT1 to DXT5, the BC formats of the DX10 header, and 32 bit RGBA).
+     * @param {ArrayBuffer} buffer Content of the file
+     * @param {string} [path] Path of the file, used in the errors
+     * @returns {object} - The texture, see ParseKTX, always `topDown`
+     */
+    static ParseDDS(buffer, path = "") {
+        const view = new DataView(buffer);
+        if (buffer.byteLength < 128 || view.getUint32(0, true) !== DDS_MAGIC) {
+            throw new ResourceError("not a DDS file", path);
+        }
+        const read = offset => view.getUint32(offset, true);
+        const height = read(12);
+        const width = read(16);
+        const levelCount = read(8) & DDSD_MIPMAPCOUNT ? Math.max(read(28), 1) : 1;
+        const pixelFlags = read(80);
+        const fourCC = String.fromCharCode(...new Uint8Array(buffer, 84, 4));
+
+        let format;
+        let srgb = false;
+        let offset = 128;
+        if (pixelFlags & DDPF_FOURCC) {
+            if (fourCC === "DX10") {
+                [format, srgb] = DXGI_FORMATS[read(128)] || [];
+                offset += 20;
+            } else {
+                format = DDS_FOURCC_FORMATS[fourCC];
+            }
+        } else if (pixelFlags & DDPF_RGB && read(88) === 32 &&
+            read(92) === 0xff && read(96) === 0xff00 && read(100) === 0xff0000 && read(104) === 0xff000000) {
+            format = "rgba8";
+        }
+        if (!format) {
+            throw new ResourceError(`unsupported DDS pixel format ${pixelFlags & DDPF_FOURCC ? fourCC : "RGB"}`, path);
+        }
+
+        const levels = [];
+        for (let level = 0; level < levelCount; level++) {
+            const levelWidth = Math.max(width >> level, 1);
+            const levelHeight = Math.max(height >> level, 1);
+            const size = getLevelSize(format, levelWidth, levelHeight);
+            levels.push({
+                width: levelWidth,
+                height: levelHeight,
+                data: sliceBytes(buffer, offset, size, path)
+            });
+            offset += size;
+        }
+
+        return {
+            container: "dds",
+            format,
+            srgb,
+            width,
+            height,
+            levels,
+            topDown: true
+        };
+    }
+
+    /**
+     * Get the formats the GPU can upload, by name (e.g. `"bc7"`, `"etc2-rgba"`, `"astc-4x4"`, `"rgba8"`).
+     * @param {*} gl
+     * @returns {object} - For each supported format, `{linear, srgb}`: true if its linear (and its sRGB) variant can be uploaded
+     */
+    static GetSupportedFormats(gl) {
+        if (!supportedFormats.has(gl)) {
+            const supported = {
+                rgba8: {
+                    linear: true,
+                    srgb: ResourceManager.IsWebGL2(gl)
+                }
+            };
+            for (const [name, format] of Object.entries(COMPRESSED_FORMATS)) {
+                if (getExtension(gl, format.extension)) {
+                    supported[name] = {
+                        linear: true,
+                        srgb: format.srgb !== undefined && !!getExtension(gl, format.srgbExtension || format.extension)
+                    };
+                }
+            }
+            supportedFormats.set(gl, supported);
+        }
+        return supportedFormats.get(gl);
+    }
+
+    /**
+     * Load a compressed texture file for MeshLoader.CreateTexture.
+     *
+     * Color maps (`colorSpace` `"srgb"`) are decoded by the GPU on WebGL2, so they need the sRGB variant of the format there,
+     * the linear one on WebGL1 where the shaders decode them.
+     * @param {*} gl
+     * @param {ResourceResolver} resolver The resolver the file is loaded with
+     * @param {string} path Resolved path of the file
+     * @param {object} [options]
+     * @param {string} [options.colorSpace="linear"] - `"srgb"` for the color maps.
+     * @param {function} [options.transcoder] - Async function called with the parsed texture (see ParseKTX2) and `{formats, srgb}` when
+     * its format can't be uploaded: the names of the supported formats (see GetSupportedFormats) and whether the sRGB variant is needed.
+     * It returns `{format, levels}` in one of these formats (the levels like the ones of ParseKTX), or null to fall back to an uncompressed
+     * alternative.
+     * @param {string[]} [options.fallbackExtensions] - Extensions of the uncompressed alternatives, tried in order. Default `[".png", ".jpg"]`.
+     * @param {function} [options.report] - Called with a message when the texture falls back to an uncompressed alternative.
+     * @param {AbortSignal} [options.signal] - Signal used to cancel the loading.
+     * @returns {Promise<object>} - The texture to upload: the parsed texture with the chosen `format`, its `internalFormat`,
+     * `byteLength` and `transcoded` (true if it went through the transcoder), or the image of the uncompressed alternative.
+     * MeshLoader.CreateTexture uploads both.
+     */
+    static async Load(gl, resolver, path, options = {}) {
+        const loadOptions = {
+            signal: options.signal
+        };
+        const parsed = this.Parse(await resolver.loadArrayBuffer(path, loadOptions), path);
+        const supported = this.GetSupportedFormats(gl);
+        const srgb = options.colorSpace === "srgb" && ResourceManager.IsWebGL2(gl);
+        const isSupported = format => !!supported[format] && (srgb ? supported[format].srgb : supported[format].linear);
+
+        let texture;
+        if (parsed.format && isSupported(parsed.format)) {
+            texture = {
+                ...parsed,
+                transcoded: false
+            };
+        } else if (options.transcoder) {
+            const transcoded = await options.transcoder(parsed, {
+                formats: Object.keys(supported).filter(isSupported),
+                srgb
+            });
+            if (transcoded && isSupported(transcoded.format)) {
+                texture = {
+                    ...parsed,
+                    format: transcoded.format,
+                    levels: transcoded.levels,
+                    transcoded: true
+                };
+            }
+        }
+
+        if (!texture) {
+            const stored = parsed.basis || parsed.format || (parsed.supercompression ? "supercompressed" : "unknown");
+            return loadFallback(resolver, path, options, `${stored} ${parsed.container} texture can't be uploaded`);
+        }
+
+        texture.internalFormat = getInternalFormat(texture.format, srgb);
+        texture.byteLength = texture.levels.reduce((sum, level) => sum + level.data.byteLength, 0);
+        return texture;
+    }
+
+}
+
+/**
+ * First bytes of KTX 1 files, "«KTX 11»\r\n\x1A\n".
+ */
+const KTX_IDENTIFIER = [0xab, 0x4b, 0x54, 0x58, 0x20, 0x31, 0x31, 0xbb, 0x0d, 0x0a, 0x1a, 0x0a];
+
+/**
+ * First bytes of KTX 2 files, "«KTX 20»\r\n\x1A\n".
+ */
+const KTX2_IDENTIFIER = [0xab, 0x4b, 0x54, 0x58, 0x20, 0x32, 0x30, 0xbb, 0x0d, 0x0a, 0x1a, 0x0a];
+
+/**
+ * "DDS " in little endian, the first 4 bytes of DDS files.
+ */
+const DDS_MAGIC = 0x20534444;
+
+// DDS header flags
+const DDSD_MIPMAPCOUNT = 0x20000;
+const DDPF_FOURCC = 0x4;
+const DDPF_RGB = 0x40;
+
+// KTX2 data format descriptor values
+const KHR_DF_MODEL_UASTC = 166;
+const KHR_DF_TRANSFER_SRGB = 2;
+
+// GL enums of the uncompressed data
+const GL_RGBA = 0x1908;
+const GL_UNSIGNED_BYTE = 0x1401;
+const GL_SRGB8_ALPHA8 = 0x8c43;
+
+/**
+ * The compressed formats: their extension, the GL enums of their linear and sRGB variants, and their blocks
+ * (`[width, height, bytes]`).
+ */
+const COMPRESSED_FORMATS = {
+    "bc1-rgb": {
+        extension: "WEBGL_compressed_texture_s3tc",
+        srgbExtension: "WEBGL_compressed_texture_s3tc_srgb",
+        linear: 0x83f0,
+        srgb: 0x8c4c,
+        block: [4, 4, 8]
+    },
+    "bc1-rgba": {
+        extension: "WEBGL_compressed_texture_s3tc",
+        srgbExtension: "WEBGL_compressed_texture_s3tc_srgb",
+        linear: 0x83f1,
+        srgb: 0x8c4d,
+        block: [4, 4, 8]
+    },
+    "bc2": {
+        extension: "WEBGL_compressed_texture_s3tc",
+        srgbExtension: "WEBGL_compressed_texture_s3tc_srgb",
+        linear: 0x83f2,
+        srgb: 0x8c4e,
+        block: [4, 4, 16]
+    },
+    "bc3": {
+        extension: "WEBGL_compressed_texture_s3tc",
+        srgbExtension: "WEBGL_compressed_texture_s3tc_srgb",
+        linear: 0x83f3,
+        srgb: 0x8c4f,
+        block: [4, 4, 16]
+    },
+    "bc6h-sfloat": {
+        extension: "EXT_texture_compression_bptc",
+        linear: 0x8e8e,
+        block: [4, 4, 16]
+    },
+    "bc6h-ufloat": {
+        extension: "EXT_texture_compression_bptc",
+        linear: 0x8e8f,
+        block: [4, 4, 16]
+    },
+    "bc7": {
+        extension: "EXT_texture_compression_bptc",
+        linear: 0x8e8c,
+        srgb: 0x8e8d,
+        block: [4, 4, 16]
+    },
+    "etc1": {
+        extension: "WEBGL_compressed_texture_etc1",
+        linear: 0x8d64,
+        block: [4, 4, 8]
+    },
+    "eac-r11": {
+        extension: "WEBGL_compressed_texture_etc",
+        linear: 0x9270,
+        block: [4, 4, 8]
+    },
+    "eac-r11-snorm": {
+        extension: "WEBGL_compressed_texture_etc",
+        linear: 0x9271,
+        block: [4, 4, 8]
+    },
+    "eac-rg11": {
+        extension: "WEBGL_compressed_texture_etc",
+        linear: 0x9272,
+        block: [4, 4, 16]
+    },
+    "eac-rg11-snorm": {
+        extension: "WEBGL_compressed_texture_etc",
+        linear: 0x9273,
+        block: [4, 4, 16]
+    },
+    "etc2-rgb": {
+        extension: "WEBGL_compressed_texture_etc",
+        linear: 0x9274,
+        srgb: 0x9275,
+        block: [4, 4, 8]
+    },
+    "etc2-rgba1": {
+        extension: "WEBGL_compressed_texture_etc",
+        linear: 0x9276,
+        srgb: 0x9277,
+        block: [4, 4, 8]
+    },
+    "etc2-rgba": {
+        extension: "WEBGL_compressed_texture_etc",
+        linear: 0x9278,
+        srgb: 0x9279,
+        block: [4, 4, 16]
+    },
+    // The ASTC block sizes, in the order of their GL enums
+    ...Object.fromEntries([
+        [4, 4], [5, 4], [5, 5], [6, 5], [6, 6], [8, 5], [8, 6], [8, 8], [10, 5], [10, 6], [10, 8], [10, 10], [12, 10], [12, 12]
+    ].map(([width, height], index) => [`astc-${width}x${height}`, {
+        extension: "WEBGL_compressed_texture_astc",
+        linear: 0x93b0 + index,
+        srgb: 0x93d0 + index,
+        block: [width, height, 16]
+    }]))
+};
+
+/**
+ * Format name and sRGB encoding of the KTX2 Vulkan formats.
+ */
+const VULKAN_FORMATS = {
+    37: ["rgba8", false],
+    43: ["rgba8", true],
+    131: ["bc1-rgb", false],
+    132: ["bc1-rgb", true],
+    133: ["bc1-rgba", false],
+    134: ["bc1-rgba", true],
+    135: ["bc2", false],
+    136: ["bc2", true],
+    137: ["bc3", false],
+    138: ["bc3", true],
+    143: ["bc6h-ufloat", false],
+    144: ["bc6h-sfloat", false],
+    145: ["bc7", false],
+    146: ["bc7", true],
+    147: ["etc2-rgb", false],
+    148: ["etc2-rgb", true],
+    149: ["etc2-rgba1", false],
+    150: ["etc2-rgba1", true],
+    151: ["etc2-rgba", false],
+    152: ["etc2-rgba", true],
+    153: ["eac-r11", false],
+    154: ["eac-r11-snorm", false],
+    155: ["eac-rg11", false],
+    156: ["eac-rg11-snorm", false],
+    // ASTC, unorm and sRGB of each block size
+    ...Object.fromEntries(Object.keys(COMPRESSED_FORMATS).filter(name => name.startsWith("astc-")).flatMap((name, index) => [
+        [157 + index * 2, [name, false]],
+        [158 + index * 2, [name, true]]
+    ]))
+};
+
+/**
+ * Format name and sRGB encoding of the DXGI formats of the DDS DX10 header.
+ */
+const DXGI_FORMATS = {
+    28: ["rgba8", false],
+    29: ["rgba8", true],
+    71: ["bc1-rgba", false],
+    72: ["bc1-rgba", true],
+    74: ["bc2", false],
+    75: ["bc2", true],
+    77: ["bc3", false],
+    78: ["bc3", true],
+    95: ["bc6h-ufloat", false],
+    96: ["bc6h-sfloat", false],
+    98: ["bc7", false],
+    99: ["bc7", true]
+};
+
+/**
+ * Format of the DDS four character codes. DXT1 may have 1 bit alpha, so it is read as RGBA.
+ */
+const DDS_FOURCC_FORMATS = {
+    DXT1: "bc1-rgba",
+    DXT2: "bc2",
+    DXT3: "bc2",
+    DXT4: "bc3",
+    DXT5: "bc3"
+};
+
+/**
+ * The supported formats of each context, see GetSupportedFormats.
+ */
+const supportedFormats = new WeakMap();
+
+/**
+ * Load the first uncompressed alternative of a texture that can't be uploaded.
+ * @param {ResourceResolver} resolver The resolver
+ * @param {string} path Resolved path of the compressed texture
+ * @param {object} options The options of Load
+ * @param {string} reason Why the texture can't be uploaded
+ * @returns {Promise<*>} - The image
+ */
+async function loadFallback(resolver, path, options, reason) {
+    const [, file, suffix] = path.match(/^([^?#]*)(.*)$/);
+    for (const extension of options.fallbackExtensions || [".png", ".jpg"]) {
+        const fallbackPath = file.replace(/\.(ktx2?|dds)$/i, extension) + suffix;
+        try {
+            const image = await resolver.loadImage(fallbackPath, {
+                signal: options.signal
+            });
+            if (options.report) {
+                options.report(`${reason}, using ${fallbackPath}`);
+            }
+            return image;
+        } catch (error) {
+            if (error.name === "AbortError") {
+                throw error;
+            }
+        }
+    }
+    throw new ResourceError(`${reason} and there is no uncompressed alternative`, path);
+}
+
+/**
+ * Find the compressed format of a GL enum.
+ * @param {number} glInternalFormat The enum
+ * @returns {object} - The `format` name (undefined if it isn't supported) and `srgb`
+ */
+function findFormat(glInternalFormat) {
+    for (const [name, format] of Object.entries(COMPRESSED_FORMATS)) {
+        if (format.linear === glInternalFormat || format.srgb === glInternalFormat) {
+            return {
+                format: name,
+                srgb: format.srgb === glInternalFormat
+            };
+        }
+    }
+    return {
+        format: undefined,
+        srgb: false
+    };
+}
+
+/**
+ * Get the internal format a texture is uploaded with.
+ * @param {string} format The format name
+ * @param {boolean} srgb True for the sRGB variant
+ * @returns {number}
+ */
+function getInternalFormat(format, srgb) {
+    if (format === "rgba8") {
+        return srgb ? GL_SRGB8_ALPHA8 : GL_RGBA;
+    }
+    return srgb ? COMPRESSED_FORMATS[format].srgb : COMPRESSED_FORMATS[format].linear;
+}
+
+/**
+ * Size in bytes of a mip level.
+ * @param {string} format The format name
+ * @param {number} width Width of the level
+ * @param {number} height Height of the level
+ * @returns {number}
+ */
+function getLevelSize(format, width, height) {
+    if (format === "rgba8") {
+        return width * height * 4;
+    }
+    const [blockWidth, blockHeight, blockBytes] = COMPRESSED_FORMATS[format].block;
+    return Math.ceil(width / blockWidth) * Math.ceil(height / blockHeight) * blockBytes;
+}
+
+/**
+ * Get bytes of the file, checking that they are there.
+ * @param {ArrayBuffer} buffer Content of the file
+ * @param {number} offset Offset of the bytes
+ * @param {number} length Number of bytes
+ * @param {string} path Path of the file, used in the error
+ * @returns {Uint8Array}
+ */
+function sliceBytes(buffer, offset, length, path) {
+    if (offset + length > buffer.byteLength) {
+        throw new ResourceError("the file is truncated", path);
+    }
+    return new Uint8Array(buffer, offset, length);
+}
+
+/**
+ * Find a value of the key/value data of a KTX file: entries of a 32 bit length, the key, a null byte and the value, padded to 4 bytes.
+ * @param {DataView} view View of the file
+ * @param {number} offset Offset of the key/value data
+ * @param {number} length Size of the key/value data
+ * @param {boolean} littleEndian Endianness of the lengths
+ * @param {string} key The key
+ * @returns {string|undefined} - The value without its terminating null byte, undefined if the key isn't there
+ */
+function readKeyValue(view, offset, length, littleEndian, key) {
+    const end = Math.min(offset + length, view.byteLength);
+    while (offset + 4 <= end) {
+        const entryLength = view.getUint32(offset, littleEndian);
+        const entryEnd = Math.min(offset + 4 + entryLength, end);
+        const entry = String.fromCharCode(...new Uint8Array(view.buffer, offset + 4, entryEnd - offset - 4));
+        const separator = entry.indexOf("\0");
+        if (separator >= 0 && entry.slice(0, separator) === key) {
+            return entry.slice(separator + 1).replace(/\0+$/, "");
+        }
+        offset += 4 + align4(entryLength);
+    }
+    return undefined;
+}
+
+/**
+ * @param {Uint8Array} bytes The first bytes of a file
+ * @param {number[]} identifier The expected bytes
+ * @returns {boolean}
+ */
+function matchesIdentifier(bytes, identifier) {
+    return bytes.length >= identifier.length && identifier.every((value, index) => bytes[index] === value);
+}
+
+/**
+ * Get a WebGL extension, with its WebKit prefixed name for the older browsers.
+ * @param {*} gl
+ * @param {string} name Name of the extension
+ * @returns {object} - The extension, null if it isn't supported
+ */
+function getExtension(gl, name) {
+    return gl.getExtension(name) || gl.getExtension("WEBKIT_" + name);
+}
+
+const align4 = value => (value + 3) & ~3;
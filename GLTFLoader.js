@@ -0,0 +1,810 @@
+import {
+    MeshLoader,
+    MeshParseError
+} from "./MeshLoader.js";
+import {
+    HTTPResolver,
+    ResourceResolver
+} from "./Resolvers.js";
+import {
+    ResourceManager
+} from "./ResourceManager.js";
+import {
+    MeshProcessing
+} from "./MeshProcessing.js";
+import {
+    Logger
+} from "./Logger.js";
+
+/**
+ * Class used to convert a glTF 2.0 asset (`.gltf` with external or embedded buffers, or binary `.glb`) in a WebGL mesh.
+ *
+ * The result has the same `parts` as MeshLoader.LoadOBJAndMesh, so RenderEngine draws it unchanged.
+ *
+ * Specification: https://registry.khronos.org/glTF/specs/2.0/glTF-2.0.html
+ *
+ * Not supported: skins, morph targets, animations, cameras and the extensions (except KHR_texture_transform offset and scale).
+ */
+export class GLTFLoader {
+    /**
+     * Parse a glTF asset into geometries and materials, in the format of MeshLoader.ParseOBJ.
+     *
+     * Each primitive of a mesh gives a geometry per node that uses the mesh. Strips, fans and loops are converted to lists, so every
+     * geometry is a "triangles", "lines" or "points" one, and the texture coordinates are flipped vertically to follow the OBJ convention.
+     * Primitives without normals get flat normals, as required by the specification.
+     *
+     * @param {ArrayBuffer|string|object} source - Content of the `.glb` or `.gltf` file, or the parsed JSON
+     * @param {object} [options] - Dictionary of options.
+     * @param {ResourceResolver} [options.resolver] - Resolver the external buffers are loaded with. Default is an HTTPResolver.
+     * @param {string} [options.path] - Resolved path of the file, the external files are relative to it.
+     * @param {number} [options.scene] - Index of the scene to load. Default is the `scene` of the asset, or the first one.
+     * @param {boolean} [options.bakeTransforms=true] - If true, the node transforms are applied to the vertices. Otherwise the vertices
+     * are in the space of their mesh and `geometry.node` gives the node whose `worldMatrix` places them.
+     * @param {boolean} [options.strict=false] - If true, throw a MeshParseError on the first problem instead of reporting it.
+     * @param {object[]} [options.diagnostics] - Array the diagnostics are appended to, a new one is created if missing.
+     * @param {AbortSignal} [options.signal] - Signal used to cancel the loading of the buffers.
+     * @param {Logger} [options.logger] - Logger recording the loading time of the external buffers. Default is `Logger.defaultLogger`.
+     * @returns {Promise<object>} - The `geometries`, the `materials` (by name, their maps hold `{texture, ...}` descriptors), the `nodes`,
+     * the `scenes` (lists of root node indices), the index of the loaded `scene`, the parsed `json`, its `buffers` and the `diagnostics`
+     */
+    static async ParseGLTF(source, options = {}) {
+        const resolver = options.resolver || new HTTPResolver();
+        const path = options.path || "";
+        const diagnostics = options.diagnostics || [];
+        const report = (severity, message) => {
+            const diagnostic = {
+                file: path,
+                line: 0,
+                severity,
+                message
+            };
+            if (options.strict) {
+                throw new MeshParseError(diagnostic);
+            }
+            diagnostics.push(diagnostic);
+        };
+
+        let json = source;
+        let binaryChunk;
+        if (source instanceof ArrayBuffer) {
+            if (new DataView(source).getUint32(0, true) === GLB_MAGIC) {
+                ({
+                    json,
+                    binaryChunk
+                } = this.ParseGLB(source));
+            } else {
+                json = new TextDecoder().decode(source);
+            }
+        }
+        if (typeof json === "string") {
+            json = JSON.parse(json);
+        }
+        if (!json.asset || !String(json.asset.version).startsWith("2.")) {
+            throw new MeshParseError({
+                file: path,
+                line: 0,
+                severity: "error",
+                message: `unsupported glTF version ${json.asset && json.asset.version}, only 2.x is supported`
+            });
+        }
+        for (const extension of json.extensionsRequired || []) {
+            if (!SUPPORTED_EXTENSIONS.includes(extension)) {
+                report("error", `required extension ${extension} is not supported`);
+            }
+        }
+        for (const unsupported of ["skins", "animations"]) {
+            if (json[unsupported] && json[unsupported].length) {
+                report("warning", `${unsupported} are not supported and ignored`);
+            }
+        }
+
+        // Load the buffers: the binary chunk of a GLB file, data URIs and external files
+        const buffers = await Promise.all((json.buffers || []).map(async (buffer, index) => {
+            if (buffer.uri === undefined) {
+                if (index !== 0 || !binaryChunk) {
+                    throw new MeshParseError({
+                        file: path,
+                        line: 0,
+                        severity: "error",
+                        message: `buffer ${index} has no uri and there is no GLB binary chunk`
+                    });
+                }
+                return binaryChunk;
+            }
+            if (buffer.uri.startsWith("data:")) {
+                return decodeDataURI(buffer.uri).arrayBuffer();
+            }
+            const bufferPath = resolver.resolve(decodeURIPath(buffer.uri), path);
+            return (options.logger || Logger.defaultLogger).time(bufferPath, "buffer", resolver.loadArrayBuffer(bufferPath, {
+                signal: options.signal
+            }));
+        }));
+
+        const nodes = (json.nodes || []).map((node, index) => ({
+            index,
+            name: node.name || "node" + index,
+            parent: undefined,
+            children: node.children || [],
+            mesh: node.mesh,
+            matrix: node.matrix ? node.matrix.slice() : composeMatrix(node.translation, node.rotation, node.scale),
+            worldMatrix: undefined
+        }));
+        nodes.forEach(node => node.children.forEach(child => {
+            nodes[child].parent = node.index;
+        }));
+
+        const scenes = (json.scenes || []).map(scene => scene.nodes || []);
+        const sceneIndex = options.scene !== undefined ? options.scene : json.scene || 0;
+        // Assets without scenes are libraries, show every root node
+        const roots = scenes[sceneIndex] || nodes.filter(node => node.parent === undefined).map(node => node.index);
+
+        const materials = {};
+        const materialNames = (json.materials || []).map((material, index) => {
+            const name = material.name && !materials[material.name] ? material.name : "material" + index;
+            materials[name] = convertMaterial(material, name, json, report);
+            return name;
+        });
+
+        // Walk the scene, computing the world matrices and creating the geometries of the meshes
+        const geometries = [];
+        const bakeTransforms = options.bakeTransforms !== false;
+        const visit = (index, parentMatrix) => {
+            const node = nodes[index];
+            node.worldMatrix = multiplyMatrices(parentMatrix, node.matrix);
+            if (node.mesh !== undefined) {
+                const mesh = json.meshes[node.mesh];
+                mesh.primitives.forEach((primitive, primitiveIndex) => {
+                    const geometry = convertPrimitive(primitive, json, buffers, report);
+                    if (!geometry) {
+                        return;
+                    }
+                    if (bakeTransforms) {
+                        transformGeometry(geometry, node.worldMatrix);
+                    }
+                    geometries.push({
+                        object: node.name,
+                        groups: [mesh.name || "mesh" + node.mesh, "primitive" + primitiveIndex],
+                        material: primitive.material !== undefined ? materialNames[primitive.material] : "default",
+                        node: node.index,
+                        ...geometry
+                    });
+                });
+            }
+            node.children.forEach(child => visit(child, node.worldMatrix));
+        };
+        roots.forEach(root => visit(root, IDENTITY));
+
+        return {
+            geometries,
+            materials,
+            nodes,
+            scenes,
+            scene: sceneIndex,
+            json,
+            buffers,
+            diagnostics
+        };
+    }
+
+    /**
+     * Split a binary glTF file (`.glb`) in its JSON and binary chunks.
+     * @param {ArrayBuffer} arrayBuffer - Content of the file
+     * @returns {object} - The parsed `json` and the `binaryChunk` (an ArrayBuffer, undefined if the file has none)
+     */
+    static ParseGLB(arrayBuffer) {
+        const view = new DataView(arrayBuffer);
+        const fail = message => {
+            throw new MeshParseError({
+                line: 0,
+                severity: "error",
+                message
+            });
+        };
+        if (view.getUint32(0, true) !== GLB_MAGIC) {
+            fail("not a GLB file");
+        }
+        if (view.getUint32(4, true) !== 2) {
+            fail(`unsupported GLB version ${view.getUint32(4, true)}`);
+        }
+        const length = Math.min(view.getUint32(8, true), arrayBuffer.byteLength);
+
+        let json;
+        let binaryChunk;
+        for (let offset = 12; offset + 8 <= length;) {
+            const chunkLength = view.getUint32(offset, true);
+            const chunkType = view.getUint32(offset + 4, true);
+            const start = offset + 8;
+            if (chunkType === 0x4e4f534a) { // "JSON"
+                json = JSON.parse(new TextDecoder().decode(new Uint8Array(arrayBuffer, start, chunkLength)));
+            } else if (chunkType === 0x004e4942) { // "BIN"
+                binaryChunk = arrayBuffer.slice(start, start + chunkLength);
+            }
+            // Unknown chunks must be ignored
+            offset = start + chunkLength;
+        }
+        if (!json) {
+            fail("the GLB file has no JSON chunk");
+        }
+        return {
+            json,
+            binaryChunk
+        };
+    }
+
+    /**
+     * Load a glTF asset in the passed object, like MeshLoader.LoadOBJAndMesh.
+     * The passed object MUST contain the following properties:
+     * - name: name of the object
+     * - filePath: path to the `.gltf` or `.glb` file
+     *
+     * Besides `object.parts`, the node hierarchy is stored in `object.nodes` (each node has its `name`, `parent` and `children` indices,
+     * `mesh`, local `matrix` and `worldMatrix`) and `object.scenes`. Each part has the index of its `node`.
+     * The diagnostics are stored in `object.diagnostics`.
+     *
+     * @param {*} gl
+     * @param {*} object
+     * @param {object} [options] - Options forwarded to ParseGLTF and MeshLoader.CreateParts, plus:
+     * @param {ResourceResolver} [options.resolver] - Resolver the files are loaded with. Default is an HTTPResolver relative to the page.
+     * @param {ResourceManager} [options.resourceManager] - Manager sharing the buffers and textures between the loaded objects, see
+     * MeshLoader.LoadOBJAndMesh.
+     * @param {boolean} [options.waitForTextures=false] - If true, the promise resolves once every texture is loaded (or has failed).
+     * The `onTextureLoad`, `onTextureError`, `textureFallback`, `anisotropy`, `normalize`, `objects`, `groups`, `mergeByMaterial`,
+     * `weldTolerance`, `lods` and `logger` options are the ones of MeshLoader.LoadOBJAndMesh, as are the bounds stored in the object and its parts.
+     * Geometries of different nodes are never merged.
+     */
+    static async LoadGLTFAndMesh(gl, object, options = {}) {
+        const logger = options.logger || Logger.defaultLogger;
+        logger.info("Loading glTF mesh " + object.name + " from " + object.filePath);
+
+        const resolver = options.resolver || new HTTPResolver();
+        const loadOptions = {
+            signal: options.signal
+        };
+        const path = resolver.resolve(object.filePath);
+
+        // The same file loaded with the same options shares its buffers and textures
+        const resourceManager = options.resourceManager || ResourceManager.ForContext(gl);
+        const resolverKey = resourceManager.getResolverKey(resolver);
+        const mesh = await logger.time(path, "mesh", resourceManager.acquireMesh(object, resourceManager.getMeshKey(resolver, [path], options), async acquireTexture => {
+            const diagnostics = [];
+            const source = await logger.time(path, "gltf", resolver.loadArrayBuffer(path, loadOptions));
+            const asset = await this.ParseGLTF(source, {
+                ...options,
+                resolver,
+                path,
+                diagnostics
+            });
+            const {
+                json,
+                buffers
+            } = asset;
+
+            // Textures acquired by this mesh, by texture index and usage
+            const textures = {};
+            const getTexture = (index, mapKey) => {
+                const parameters = MeshLoader.MapTextureParameters(mapKey, options);
+                const usageKey = index + "#" + parameters.usage;
+                if (!textures[usageKey]) {
+                    const texture = json.textures[index];
+                    const image = json.images[texture.source];
+                    const sampler = texture.sampler !== undefined ? json.samplers[texture.sampler] : {};
+                    const external = image.uri && !image.uri.startsWith("data:");
+                    const imagePath = external ? resolver.resolve(decodeURIPath(image.uri), path) : path;
+                    // External images may be shared with other assets, embedded ones belong to this file
+                    const textureKey = resolverKey + (external ? imagePath : path + "#image" + texture.source) +
+                        "#" + [sampler.wrapS, sampler.wrapT, sampler.minFilter, sampler.magFilter].join(",") + "#" + parameters.usage;
+                    textures[usageKey] = acquireTexture(textureKey, () => {
+                        let imagePromise;
+                        if (image.bufferView !== undefined) {
+                            const bufferView = json.bufferViews[image.bufferView];
+                            const bytes = new Uint8Array(buffers[bufferView.buffer], bufferView.byteOffset || 0, bufferView.byteLength);
+                            imagePromise = ResourceResolver.DecodeImage(new Blob([bytes], {
+                                type: image.mimeType
+                            }), imagePath);
+                        } else if (image.uri.startsWith("data:")) {
+                            imagePromise = ResourceResolver.DecodeImage(decodeDataURI(image.uri), imagePath);
+                        } else {
+                            imagePromise = logger.time(imagePath, "texture", resolver.loadImage(imagePath, loadOptions));
+                        }
+                        imagePromise = MeshLoader.ReportTextureError(imagePromise, imagePath, {
+                            strict: options.strict,
+                            diagnostics,
+                            logger
+                        });
+                        return {
+                            texture: MeshLoader.CreateTexture(gl, imagePromise, {
+                                wrapS: sampler.wrapS,
+                                wrapT: sampler.wrapT,
+                                minFilter: sampler.minFilter,
+                                magFilter: sampler.magFilter,
+                                ...parameters
+                            }),
+                            image: imagePromise,
+                            file: imagePath
+                        };
+                    });
+                }
+                return textures[usageKey];
+            };
+
+            for (const material of Object.values(asset.materials)) {
+                // Keep the descriptors, the map keys are replaced by the textures
+                material.mapDescriptors = {};
+                Object.entries(material).filter(([key]) => key.endsWith("Map")).forEach(([key, descriptor]) => {
+                    material[key] = getTexture(descriptor.texture, key);
+                    material.mapDescriptors[key] = descriptor;
+                });
+            }
+
+            let geometries = MeshLoader.FilterGeometries(asset.geometries, options);
+            const normalization = options.normalize ?
+                MeshLoader.NormalizeGeometries(geometries, typeof options.normalize === "number" ? options.normalize : 1) :
+                undefined;
+            geometries = MeshProcessing.ProcessGeometries(geometries, options);
+            const parts = MeshLoader.CreateParts(gl, geometries, asset.materials, {
+                ...options,
+                resourceManager,
+                // glTF colors are linear
+                colorSpace: "linear"
+            });
+            diagnostics.forEach(diagnostic => logger.warn(`${diagnostic.file}:0: ${diagnostic.severity}: ${diagnostic.message}`));
+            return {
+                parts,
+                // Released when the last object using the mesh is disposed
+                textures: Object.values(textures),
+                normalization,
+                nodes: asset.nodes,
+                scenes: asset.scenes,
+                diagnostics
+            };
+        }));
+        object.parts = mesh.parts;
+        object.nodes = mesh.nodes;
+        object.scenes = mesh.scenes;
+        object.diagnostics = mesh.diagnostics;
+        Object.assign(object, MeshLoader.MergeBoundingVolumes(object.parts));
+        object.normalization = mesh.normalization;
+
+        const texturesLoaded = resourceManager.waitForTextures(mesh.textures, options);
+        if (options.waitForTextures) {
+            await texturesLoaded;
+        }
+
+        logger.info("Loaded glTF mesh for " + object.name + ". ", object);
+    }
+}
+
+/**
+ * "glTF" in little endian, the first 4 bytes of a GLB file.
+ */
+const GLB_MAGIC = 0x46546c67;
+
+/**
+ * Extensions that can be required by an asset.
+ */
+const SUPPORTED_EXTENSIONS = ["KHR_texture_transform"];
+
+/**
+ * Typed array and maximum value (used by normalized accessors) of each accessor component type.
+ */
+const COMPONENT_TYPES = {
+    5120: [Int8Array, 127],
+    5121: [Uint8Array, 255],
+    5122: [Int16Array, 32767],
+    5123: [Uint16Array, 65535],
+    5125: [Uint32Array],
+    5126: [Float32Array]
+};
+
+/**
+ * Number of components of each accessor type.
+ */
+const TYPE_SIZES = {
+    SCALAR: 1,
+    VEC2: 2,
+    VEC3: 3,
+    VEC4: 4,
+    MAT2: 4,
+    MAT3: 9,
+    MAT4: 16
+};
+
+/**
+ * Geometry attribute of each glTF attribute (the other ones are ignored).
+ */
+const ATTRIBUTES = {
+    POSITION: "position",
+    NORMAL: "normal",
+    TEXCOORD_0: "texcoord",
+    COLOR_0: "color"
+};
+
+const IDENTITY = [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1];
+
+/**
+ * Read the elements of an accessor, applying its sparse substitutions.
+ * @param {object} json The glTF JSON
+ * @param {ArrayBuffer[]} buffers The loaded buffers
+ * @param {number} index Index of the accessor
+ * @param {function} [ArrayType] Type of the returned array, normalized values are converted to floats
+ * @returns {object} - The `array` of the flattened elements and their `size` (number of components)
+ */
+function readAccessor(json, buffers, index, ArrayType = Float32Array) {
+    const accessor = json.accessors[index];
+    const size = TYPE_SIZES[accessor.type];
+    const array = new ArrayType(accessor.count * size);
+    if (accessor.bufferView !== undefined) {
+        readBufferView(json, buffers, accessor.bufferView, accessor.byteOffset, accessor.componentType, accessor.normalized, size, array);
+    }
+    if (accessor.sparse) {
+        // Replace some elements, the other ones come from the buffer view (or are zeros)
+        const {
+            count,
+            indices,
+            values
+        } = accessor.sparse;
+        const sparseIndices = new Uint32Array(count);
+        readBufferView(json, buffers, indices.bufferView, indices.byteOffset, indices.componentType, false, 1, sparseIndices);
+        const sparseValues = new ArrayType(count * size);
+        readBufferView(json, buffers, values.bufferView, values.byteOffset, accessor.componentType, accessor.normalized, size, sparseValues);
+        sparseIndices.forEach((element, i) => {
+            array.set(sparseValues.subarray(i * size, (i + 1) * size), element * size);
+        });
+    }
+    return {
+        array,
+        size
+    };
+}
+
+/**
+ * Read elements from a buffer view, which may be interleaved.
+ * @param {object} json The glTF JSON
+ * @param {ArrayBuffer[]} buffers The loaded buffers
+ * @param {number} index Index of the buffer view
+ * @param {number} [byteOffset] Offset of the first element in the buffer view
+ * @param {number} componentType The accessor component type
+ * @param {boolean} normalized If true, the integer values are mapped to [0, 1] (or [-1, 1] when signed)
+ * @param {number} size Number of components of each element
+ * @param {TypedArray} target Array the elements are written to, it gives their number
+ */
+function readBufferView(json, buffers, index, byteOffset = 0, componentType, normalized, size, target) {
+    const bufferView = json.bufferViews[index];
+    const [ComponentArray, max] = COMPONENT_TYPES[componentType];
+    const componentBytes = ComponentArray.BYTES_PER_ELEMENT;
+    const elementBytes = size * componentBytes;
+    const stride = bufferView.byteStride || elementBytes;
+    const count = target.length / size;
+    const start = (bufferView.byteOffset || 0) + byteOffset;
+    const buffer = buffers[bufferView.buffer];
+
+    // Views on the components of each element, copied in one go when the elements are packed
+    let components;
+    if (stride === elementBytes && start % componentBytes === 0) {
+        components = new ComponentArray(buffer, start, count * size);
+    } else {
+        const bytes = new Uint8Array(count * elementBytes);
+        for (let i = 0; i < count; ++i) {
+            bytes.set(new Uint8Array(buffer, start + i * stride, elementBytes), i * elementBytes);
+        }
+        components = new ComponentArray(bytes.buffer);
+    }
+    if (normalized && max) {
+        components.forEach((value, i) => {
+            target[i] = Math.max(value / max, -1);
+        });
+    } else {
+        target.set(components);
+    }
+}
+
+/**
+ * Convert a mesh primitive to the geometry format of MeshLoader.ParseOBJ.
+ * @param {object} primitive The glTF primitive
+ * @param {object} json The glTF JSON
+ * @param {ArrayBuffer[]} buffers The loaded buffers
+ * @param {function} report Function reporting the problems
+ * @returns {object} - The `primitive` ("triangles", "lines" or "points") and the `data` of the geometry, or null if it can't be drawn
+ */
+function convertPrimitive(primitive, json, buffers, report) {
+    const attributes = primitive.attributes || {};
+    if (attributes.POSITION === undefined) {
+        report("warning", "primitive without POSITION attribute ignored");
+        return null;
+    }
+    const data = {};
+    for (const [attribute, name] of Object.entries(ATTRIBUTES)) {
+        if (attributes[attribute] !== undefined) {
+            data[name] = readAccessor(json, buffers, attributes[attribute]).array;
+        }
+    }
+    if (data.texcoord) {
+        // glTF texture coordinates start at the top of the image
+        for (let i = 1; i < data.texcoord.length; i += 2) {
+            data.texcoord[i] = 1 - data.texcoord[i];
+        }
+    }
+
+    const vertexCount = data.position.length / 3;
+    let indices = primitive.indices !== undefined ? readAccessor(json, buffers, primitive.indices, Uint32Array).array : null;
+    const mode = primitive.mode === undefined ? 4 : primitive.mode;
+    if (mode > 6) {
+        report("warning", `primitive mode ${mode} is not supported`);
+        return null;
+    }
+    // Convert the strips, loops and fans to lists, which is what RenderEngine draws
+    if (mode === 2 || mode === 3 || mode === 5 || mode === 6) {
+        const vertices = indices || Uint32Array.from({
+            length: vertexCount
+        }, (_, i) => i);
+        const list = [];
+        if (mode === 2 || mode === 3) {
+            for (let i = 1; i < vertices.length; ++i) {
+                list.push(vertices[i - 1], vertices[i]);
+            }
+            if (mode === 2 && vertices.length > 2) {
+                list.push(vertices[vertices.length - 1], vertices[0]);
+            }
+        } else if (mode === 5) {
+            for (let i = 0; i + 2 < vertices.length; ++i) {
+                list.push(vertices[i], vertices[i + 1 + i % 2], vertices[i + 2 - i % 2]);
+            }
+        } else {
+            for (let i = 1; i + 1 < vertices.length; ++i) {
+                list.push(vertices[i], vertices[i + 1], vertices[0]);
+            }
+        }
+        indices = Uint32Array.from(list);
+    }
+    const primitiveType = mode === 0 ? "points" : mode <= 3 ? "lines" : "triangles";
+
+    if (indices) {
+        data.indices = vertexCount > 65536 ? indices : Uint16Array.from(indices);
+    }
+    if (primitiveType === "triangles" && !data.normal) {
+        return {
+            primitive: primitiveType,
+            data: withFlatNormals(data)
+        };
+    }
+    return {
+        primitive: primitiveType,
+        data
+    };
+}
+
+/**
+ * Give a triangle geometry flat normals: each triangle gets its own vertices.
+ * @param {object} data The geometry data, without normals
+ * @returns {object} - The new data, not indexed
+ */
+function withFlatNormals(data) {
+    const vertexCount = data.position.length / 3;
+    const indices = data.indices || Uint32Array.from({
+        length: vertexCount
+    }, (_, i) => i);
+    const expanded = {};
+    for (const [name, array] of Object.entries(data)) {
+        if (name === "indices") {
+            continue;
+        }
+        const size = array.length / vertexCount;
+        const target = new Float32Array(indices.length * size);
+        indices.forEach((index, i) => {
+            target.set(array.subarray(index * size, (index + 1) * size), i * size);
+        });
+        expanded[name] = target;
+    }
+    const position = expanded.position;
+    const normal = new Float32Array(position.length);
+    for (let i = 0; i < position.length; i += 9) {
+        const a = position.subarray(i, i + 3);
+        const u = [position[i + 3] - a[0], position[i + 4] - a[1], position[i + 5] - a[2]];
+        const v = [position[i + 6] - a[0], position[i + 7] - a[1], position[i + 8] - a[2]];
+        const n = [u[1] * v[2] - u[2] * v[1], u[2] * v[0] - u[0] * v[2], u[0] * v[1] - u[1] * v[0]];
+        const length = Math.hypot(...n) || 1;
+        for (let corner = 0; corner < 3; ++corner) {
+            normal.set(n.map(x => x / length), i + corner * 3);
+        }
+    }
+    expanded.normal = normal;
+    return expanded;
+}
+
+/**
+ * Apply a transform to the positions and normals of a geometry.
+ * @param {object} geometry The geometry, modified in place
+ * @param {number[]} matrix The column major transform
+ */
+function transformGeometry(geometry, matrix) {
+    const {
+        position,
+        normal,
+        indices
+    } = geometry.data;
+    for (let i = 0; i < position.length; i += 3) {
+        const [x, y, z] = position.subarray(i, i + 3);
+        position[i] = matrix[0] * x + matrix[4] * y + matrix[8] * z + matrix[12];
+        position[i + 1] = matrix[1] * x + matrix[5] * y + matrix[9] * z + matrix[13];
+        position[i + 2] = matrix[2] * x + matrix[6] * y + matrix[10] * z + matrix[14];
+    }
+
+    // Normals are transformed by the inverse transpose: the cofactor matrix divided by the determinant, only its sign matters here
+    const [a, b, c, , d, e, f, , g, h, k] = matrix;
+    const cofactors = [
+        e * k - f * h, f * g - d * k, d * h - e * g,
+        c * h - b * k, a * k - c * g, b * g - a * h,
+        b * f - c * e, c * d - a * f, a * e - b * d
+    ];
+    const determinant = a * cofactors[0] + b * cofactors[1] + c * cofactors[2];
+    const sign = determinant < 0 ? -1 : 1;
+    if (normal) {
+        for (let i = 0; i < normal.length; i += 3) {
+            const [x, y, z] = normal.subarray(i, i + 3);
+            const n = [
+                sign * (cofactors[0] * x + cofactors[3] * y + cofactors[6] * z),
+                sign * (cofactors[1] * x + cofactors[4] * y + cofactors[7] * z),
+                sign * (cofactors[2] * x + cofactors[5] * y + cofactors[8] * z)
+            ];
+            const length = Math.hypot(...n) || 1;
+            normal.set(n.map(value => value / length), i);
+        }
+    }
+
+    // A mirroring transform turns the triangles inside out, restore their winding
+    if (determinant < 0 && geometry.primitive === "triangles") {
+        if (indices) {
+            for (let i = 0; i + 2 < indices.length; i += 3) {
+                [indices[i + 1], indices[i + 2]] = [indices[i + 2], indices[i + 1]];
+            }
+        } else {
+            for (const array of Object.values(geometry.data)) {
+                const size = array.length / (position.length / 3);
+                for (let i = 0; i < array.length; i += 3 * size) {
+                    const second = array.slice(i + size, i + 2 * size);
+                    array.copyWithin(i + size, i + 2 * size, i + 3 * size);
+                    array.set(second, i + 2 * size);
+                }
+            }
+        }
+    }
+}
+
+/**
+ * Convert a glTF material to the material format of MeshLoader, with both the metallic-roughness values (used by
+ * RenderEngine.pbrShaders) and Blinn-Phong approximations (used by RenderEngine.defaultShaders).
+ *
+ * The maps hold descriptors: the `texture` index and the `texCoord` set (only the first one is supported). The KHR_texture_transform
+ * offset and scale of each map are stored in its `Transform` key, a warning is reported for the unsupported texture coordinate sets
+ * and rotations.
+ * @param {object} material The glTF material
+ * @param {string} name The name of the material, used in the diagnostics
+ * @param {object} json The glTF JSON
+ * @param {function} report The function reporting the problems, `(severity, message)`
+ * @returns {object}
+ */
+function convertMaterial(material, name, json, report) {
+    const pbr = material.pbrMetallicRoughness || {};
+    const [r, g, b, alpha] = pbr.baseColorFactor || [1, 1, 1, 1];
+    const metallic = pbr.metallicFactor === undefined ? 1 : pbr.metallicFactor;
+    const roughness = pbr.roughnessFactor === undefined ? 1 : pbr.roughnessFactor;
+    const baseColor = [r, g, b];
+    const converted = {
+        baseColor,
+        metallic,
+        roughness,
+        diffuse: baseColor,
+        // Metals reflect their color, dielectrics about 4% of the light
+        specular: baseColor.map(value => 0.04 + (value - 0.04) * metallic),
+        // GGX roughness to Blinn-Phong exponent
+        shininess: Math.min(1000, Math.max(1, 2 / Math.max(roughness * roughness, 0.001) - 2)),
+        emissive: material.emissiveFactor || [0, 0, 0],
+        // The alpha of "OPAQUE" materials is ignored, "MASK" ones discard the fragments whose alpha is below alphaCutoff
+        opacity: material.alphaMode === "BLEND" || material.alphaMode === "MASK" ? alpha : 1,
+        alphaMode: material.alphaMode || "OPAQUE",
+        alphaCutoff: material.alphaMode !== "MASK" ? 0 : material.alphaCutoff === undefined ? 0.5 : material.alphaCutoff,
+        doubleSided: material.doubleSided || false
+    };
+
+    const addMap = (keys, textureInfo) => {
+        if (!textureInfo || !json.textures || !json.textures[textureInfo.index]) {
+            return;
+        }
+        const transform = textureInfo.extensions && textureInfo.extensions.KHR_texture_transform;
+        if (textureInfo.texCoord || transform && transform.texCoord) {
+            report("warning", `texture ${textureInfo.index} of material "${name}" uses a second texture coordinate set, ` +
+                "only the first one is supported");
+        }
+        if (transform && transform.rotation) {
+            report("warning", `the KHR_texture_transform rotation of texture ${textureInfo.index} of material "${name}" ` +
+                "is not supported and ignored");
+        }
+        for (const key of keys) {
+            converted[key] = {
+                texture: textureInfo.index,
+                texCoord: textureInfo.texCoord || 0
+            };
+            // KHR_texture_transform, without rotation, converted to the flipped texture coordinates
+            if (transform) {
+                const [scaleU, scaleV] = transform.scale || [1, 1];
+                const [offsetU, offsetV] = transform.offset || [0, 0];
+                converted[key + "Transform"] = [scaleU, scaleV, offsetU, 1 - scaleV - offsetV];
+            }
+        }
+    };
+    addMap(["diffuseMap"], pbr.baseColorTexture);
+    // Roughness is in the green channel and metallic in the blue one
+    addMap(["roughnessMap", "metallicMap"], pbr.metallicRoughnessTexture);
+    converted.roughnessMapChannel = [0, 1, 0, 0];
+    converted.metallicMapChannel = [0, 0, 1, 0];
+    addMap(["occlusionMap"], material.occlusionTexture);
+    addMap(["normalMap"], material.normalTexture);
+    if (material.normalTexture) {
+        converted.bumpScale = material.normalTexture.scale === undefined ? 1 : material.normalTexture.scale;
+    }
+    addMap(["emissiveMap"], material.emissiveTexture);
+    return converted;
+}
+
+/**
+ * Compute the matrix of a translation, rotation (quaternion) and scale.
+ * @param {number[]} [translation]
+ * @param {number[]} [rotation] Quaternion `[x, y, z, w]`
+ * @param {number[]} [scale]
+ * @returns {number[]} - The column major matrix T * R * S
+ */
+function composeMatrix([tx, ty, tz] = [0, 0, 0], [x, y, z, w] = [0, 0, 0, 1], [sx, sy, sz] = [1, 1, 1]) {
+    return [
+        (1 - 2 * (y * y + z * z)) * sx, 2 * (x * y + z * w) * sx, 2 * (x * z - y * w) * sx, 0,
+        2 * (x * y - z * w) * sy, (1 - 2 * (x * x + z * z)) * sy, 2 * (y * z + x * w) * sy, 0,
+        2 * (x * z + y * w) * sz, 2 * (y * z - x * w) * sz, (1 - 2 * (x * x + y * y)) * sz, 0,
+        tx, ty, tz, 1
+    ];
+}
+
+/**
+ * Multiply two column major matrices.
+ * @param {number[]} a
+ * @param {number[]} b
+ * @returns {number[]} - a * b
+ */
+function multiplyMatrices(a, b) {
+    const result = [];
+    for (let column = 0; column < 4; ++column) {
+        for (let row = 0; row < 4; ++row) {
+            let sum = 0;
+            for (let k = 0; k < 4; ++k) {
+                sum += a[k * 4 + row] * b[column * 4 + k];
+            }
+            result[column * 4 + row] = sum;
+        }
+    }
+    return result;
+}
+
+/**
+ * Decode a base64 data URI.
+ * @param {string} uri The data URI
+ * @returns {Blob}
+ */
+function decodeDataURI(uri) {
+    const [header, payload] = uri.split(",", 2);
+    const type = header.slice(5).split(";")[0];
+    const text = header.endsWith(";base64") ? atob(payload) : decodeURIComponent(payload);
+    return new Blob([Uint8Array.from(text, character => character.charCodeAt(0))], {
+        type
+    });
+}
+
+/**
+ * Decode the escaped characters (e.g. `%20`) of a relative URI, so that it can be given to any resolver.
+ * @param {string} uri The URI of a file
+ * @returns {string}
+ */
+function decodeURIPath(uri) {
+    try {
+        return decodeURIComponent(uri);
+    } catch (error) {
+        return uri;
+    }
+}
@@ -0,0 +1,310 @@
+/**
+ * Tests of GLTFLoader: the GLB chunks, the accessors, the conversion of the primitives, of the node transforms and of the texture
+ * transforms.
+ *
+ * Run with `npm test`.
+ */
+import test from "node:test";
+import assert from "node:assert/strict";
+import { GLTFLoader } from "./GLTFLoader.js";
+
+/**
+ * Create a glTF asset whose only buffer is a data URI holding the passed arrays, one buffer view each.
+ * @param {TypedArray[]} arrays The content of the buffer views
+ * @param {object} json The other properties of the asset
+ * @returns {object} - The glTF JSON
+ */
+function createAsset(arrays, json) {
+    const bufferViews = [];
+    const chunks = [];
+    let byteLength = 0;
+    for (const array of arrays) {
+        bufferViews.push({
+            buffer: 0,
+            byteOffset: byteLength,
+            byteLength: array.byteLength
+        });
+        chunks.push(Buffer.from(array.buffer, array.byteOffset, array.byteLength));
+        // Keep the buffer views aligned to 4 bytes
+        const padding = (4 - array.byteLength % 4) % 4;
+        chunks.push(Buffer.alloc(padding));
+        byteLength += array.byteLength + padding;
+    }
+    return {
+        asset: {
+            version: "2.0"
+        },
+        buffers: [{
+            byteLength,
+            uri: "data:application/octet-stream;base64," + Buffer.concat(chunks).toString("base64")
+        }],
+        bufferViews,
+        ...json
+    };
+}
+
+/**
+ * Create a GLB file from its chunks.
+ * @param {Array[]} chunks The type (a 4 characters string) and the content (Uint8Array) of each chunk
+ * @returns {ArrayBuffer}
+ */
+function createGLB(chunks) {
+    const padded = chunks.map(([type, content]) => [type, Buffer.concat([content, Buffer.alloc((4 - content.length % 4) % 4, 0x20)])]);
+    const length = 12 + padded.reduce((sum, [, content]) => sum + 8 + content.length, 0);
+    const bytes = Buffer.alloc(length);
+    bytes.write("glTF", 0, "latin1");
+    bytes.writeUInt32LE(2, 4);
+    bytes.writeUInt32LE(length, 8);
+    let offset = 12;
+    for (const [type, content] of padded) {
+        bytes.writeUInt32LE(content.length, offset);
+        bytes.write(type, offset + 4, "latin1");
+        content.copy(bytes, offset + 8);
+        offset += 8 + content.length;
+    }
+    return bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + length);
+}
+
+/**
+ * Round the values of an array, for the comparisons of computed floats.
+ * @param {ArrayLike<number>} values The values
+ * @returns {number[]}
+ */
+function round(values) {
+    // + 0 turns -0 into 0
+    return Array.from(values, value => Math.round(value * 1e6) / 1e6 + 0);
+}
+
+const TRIANGLE = {
+    position: new Float32Array([0, 0, 0, 1, 0, 0, 0, 1, 0]),
+    normal: new Float32Array([0, 0, 1, 0, 0, 1, 0, 0, 1])
+};
+
+test("ParseGLB splits the JSON and binary chunks and ignores the unknown ones", async () => {
+    const json = {
+        asset: {
+            version: "2.0"
+        },
+        buffers: [{
+            byteLength: 4
+        }]
+    };
+    const glb = createGLB([
+        ["JSON", Buffer.from(JSON.stringify(json))],
+        ["BIN\0", Buffer.from([1, 2, 3, 4])],
+        ["XTRA", Buffer.from([5, 6, 7, 8])]
+    ]);
+
+    const parsed = GLTFLoader.ParseGLB(glb);
+    assert.deepEqual(parsed.json, json);
+    assert.deepEqual([...new Uint8Array(parsed.binaryChunk)], [1, 2, 3, 4]);
+
+    // ParseGLTF loads the buffer without uri from the binary chunk
+    const asset = await GLTFLoader.ParseGLTF(glb);
+    assert.deepEqual([...new Uint8Array(asset.buffers[0])], [1, 2, 3, 4]);
+
+    assert.throws(() => GLTFLoader.ParseGLB(createGLB([["BIN\0", Buffer.from([1, 2, 3, 4])]])), {
+        name: "MeshParseError",
+        message: /the GLB file has no JSON chunk/
+    });
+});
+
+test("ParseGLTF applies the sparse substitutions of the accessors", async () => {
+    const json = createAsset([
+        TRIANGLE.position,
+        TRIANGLE.normal,
+        new Uint16Array([2]),
+        new Float32Array([0, 2, 0])
+    ], {
+        accessors: [{
+            bufferView: 0,
+            componentType: 5126,
+            count: 3,
+            type: "VEC3",
+            sparse: {
+                count: 1,
+                indices: {
+                    bufferView: 2,
+                    componentType: 5123
+                },
+                values: {
+                    bufferView: 3
+                }
+            }
+        }, {
+            bufferView: 1,
+            componentType: 5126,
+            count: 3,
+            type: "VEC3"
+        }],
+        meshes: [{
+            primitives: [{
+                attributes: {
+                    POSITION: 0,
+                    NORMAL: 1
+                }
+            }]
+        }],
+        nodes: [{
+            mesh: 0
+        }]
+    });
+
+    const {
+        geometries
+    } = await GLTFLoader.ParseGLTF(json);
+    assert.deepEqual([...geometries[0].data.position], [0, 0, 0, 1, 0, 0, 0, 2, 0]);
+});
+
+test("ParseGLTF converts the triangle strips and fans to triangle lists", async () => {
+    const position = new Float32Array([0, 0, 0, 1, 0, 0, 0, 1, 0, 1, 1, 0]);
+    const normal = new Float32Array([0, 0, 1, 0, 0, 1, 0, 0, 1, 0, 0, 1]);
+    const json = createAsset([position, normal], {
+        accessors: [{
+            bufferView: 0,
+            componentType: 5126,
+            count: 4,
+            type: "VEC3"
+        }, {
+            bufferView: 1,
+            componentType: 5126,
+            count: 4,
+            type: "VEC3"
+        }],
+        meshes: [{
+            primitives: [5, 6].map(mode => ({
+                attributes: {
+                    POSITION: 0,
+                    NORMAL: 1
+                },
+                mode
+            }))
+        }],
+        nodes: [{
+            mesh: 0
+        }]
+    });
+
+    const {
+        geometries
+    } = await GLTFLoader.ParseGLTF(json);
+    const [strip, fan] = geometries;
+    assert.equal(strip.primitive, "triangles");
+    // Every other triangle of a strip is reversed to keep the winding
+    assert.deepEqual([...strip.data.indices], [0, 1, 2, 1, 3, 2]);
+    assert.equal(fan.primitive, "triangles");
+    assert.deepEqual([...fan.data.indices], [1, 2, 0, 2, 3, 0]);
+});
+
+test("ParseGLTF composes the node matrices from their translation, rotation and scale", async () => {
+    const {
+        nodes
+    } = await GLTFLoader.ParseGLTF({
+        asset: {
+            version: "2.0"
+        },
+        nodes: [{
+            translation: [1, 2, 3],
+            // Quarter turn around z
+            rotation: [0, 0, Math.SQRT1_2, Math.SQRT1_2],
+            scale: [2, 1, 1],
+            children: [1]
+        }, {
+            translation: [1, 0, 0]
+        }]
+    });
+
+    assert.deepEqual(round(nodes[0].matrix), [
+        0, 2, 0, 0,
+        -1, 0, 0, 0,
+        0, 0, 1, 0,
+        1, 2, 3, 1
+    ]);
+    assert.deepEqual(round(nodes[1].worldMatrix.slice(12)), [1, 4, 3, 1]);
+});
+
+test("ParseGLTF restores the winding of the triangles of mirrored nodes", async () => {
+    const json = createAsset([TRIANGLE.position, TRIANGLE.normal, new Uint16Array([0, 1, 2])], {
+        accessors: [{
+            bufferView: 0,
+            componentType: 5126,
+            count: 3,
+            type: "VEC3"
+        }, {
+            bufferView: 1,
+            componentType: 5126,
+            count: 3,
+            type: "VEC3"
+        }, {
+            bufferView: 2,
+            componentType: 5123,
+            count: 3,
+            type: "SCALAR"
+        }],
+        meshes: [{
+            primitives: [{
+                attributes: {
+                    POSITION: 0,
+                    NORMAL: 1
+                },
+                indices: 2
+            }]
+        }],
+        nodes: [{
+            mesh: 0,
+            scale: [-1, 1, 1]
+        }]
+    });
+
+    const {
+        geometries
+    } = await GLTFLoader.ParseGLTF(json);
+    const {
+        position,
+        normal,
+        indices
+    } = geometries[0].data;
+    assert.deepEqual(round(position), [0, 0, 0, -1, 0, 0, 0, 1, 0]);
+    assert.deepEqual([...indices], [0, 2, 1]);
+    // The triangle still faces its normal
+    assert.deepEqual(round(normal.subarray(0, 3)), [0, 0, 1]);
+});
+
+test("ParseGLTF converts the KHR_texture_transform of each map and reports the unsupported rotations", async () => {
+    const {
+        materials,
+        diagnostics
+    } = await GLTFLoader.ParseGLTF({
+        asset: {
+            version: "2.0"
+        },
+        images: [{
+            uri: "texture.png"
+        }],
+        textures: [{
+            source: 0
+        }],
+        materials: [{
+            name: "painted",
+            pbrMetallicRoughness: {
+                metallicRoughnessTexture: {
+                    index: 0,
+                    extensions: {
+                        KHR_texture_transform: {
+                            offset: [0.5, 0],
+                            scale: [2, 0.5],
+                            rotation: 1
+                        }
+                    }
+                }
+            }
+        }]
+    });
+
+    // The offset is converted to the flipped texture coordinates
+    assert.deepEqual(materials.painted.roughnessMapTransform, [2, 0.5, 0.5, 0.5]);
+    assert.deepEqual(materials.painted.metallicMapTransform, [2, 0.5, 0.5, 0.5]);
+    assert.deepEqual(diagnostics.map(diagnostic => [diagnostic.severity, diagnostic.message]), [
+        ["warning", 'the KHR_texture_transform rotation of texture 0 of material "painted" is not supported and ignored']
+    ]);
+});
@@ -0,0 +1,394 @@
+/**
+ * Lights of the scene, given to RenderEngine in its `lights` list.
+ *
+ * The default and PBR shaders light the surfaces with the directional, point and spot lights of the list, up to `maxLights` of them
+ * (the most important ones are kept when there are more, see SelectLights), and with the sum of the ambient lights.
+ *
+ * Positions and directions are in world space, relative to the camera with `space: "view"` (e.g. a headlight), and relative to the
+ * `node` of the light when it has one (see SceneGraph.js), e.g. a lamp attached to a car.
+ *
+ * Directional and spot lights with `castShadow` cast shadows when the `enableShadows` option of RenderEngine is set, see getShadowCameras.
+ */
+export class Light {
+    /**
+     * @param {object} [options]
+     * @param {string} [options.name] - Name of the light
+     * @param {number[]} [options.color] - Color in linear space. Default `[1, 1, 1]`.
+     * @param {number} [options.intensity=1] - Factor of the color.
+     * @param {string} [options.space="world"] - `"world"`, or `"view"` for a light moving with the camera.
+     * @param {SceneNode} [options.node] - Node the light is attached to.
+     * @param {boolean} [options.castShadow=false] - If true, directional and spot lights cast shadows (see RenderEngine `enableShadows`).
+     * @param {number} [options.shadowBias=0.002] - Bias of the depth comparison of the shadows, in depths of the shadow map (0 to 1),
+     * raised on slopes. Too small, the surfaces shadow themselves (acne), too large, the shadows come off their casters.
+     * @param {number} [options.shadowPCF=1] - Radius in texels of the percentage-closer filtering of the shadows: 0 for hard shadows,
+     * 1 averages 3x3 texels, 2 averages 5x5 texels.
+     */
+    constructor(options = {}) {
+        this.name = options.name;
+        this.color = (options.color || [1, 1, 1]).slice();
+        this.intensity = options.intensity !== undefined ? options.intensity : 1;
+        this.space = options.space || "world";
+        this.node = options.node;
+        this.castShadow = options.castShadow || false;
+        this.shadowBias = options.shadowBias !== undefined ? options.shadowBias : 0.002;
+        this.shadowPCF = options.shadowPCF !== undefined ? Math.min(Math.max(Math.round(options.shadowPCF), 0), MAX_PCF_RADIUS) : 1;
+        // Disabled lights are ignored by RenderEngine
+        this.enabled = true;
+    }
+
+    /**
+     * @returns {number[]} - The color times the intensity
+     */
+    getRadiance() {
+        return this.color.map(value => value * this.intensity);
+    }
+
+    /**
+     * @param {number[]} [cameraMatrix] World matrix of the camera, for the lights in view space
+     * @returns {number[]} - The matrix placing the position and direction of the light in world space
+     */
+    getWorldMatrix(cameraMatrix) {
+        let matrix = m4.identity();
+        if (this.node) {
+            this.node.getRoot().updateWorldMatrix();
+            matrix = this.node.worldMatrix;
+        }
+        if (this.space === "view" && cameraMatrix) {
+            matrix = m4.multiply(cameraMatrix, matrix);
+        }
+        return matrix;
+    }
+
+    /**
+     * Get the values of the light in the uniform arrays of the shaders, implemented by each type of light.
+     * @param {number[]} [cameraMatrix] World matrix of the camera
+     * @returns {object} - `position` (`[x, y, z, 1]`, or `[x, y, z, 0]` with the direction toward a directional light), `direction` (where
+     * a spot light shines) and `params` (`[range, decay, cos(outer cone angle), cos(inner cone angle)]`, the cosines are -2 without cone)
+     */
+    getUniforms(cameraMatrix) {
+        throw new Error("getUniforms is not implemented");
+    }
+
+    /**
+     * Get the shadow cameras of the light, implemented by the lights casting shadows. See RenderEngine `enableShadows`.
+     * @param {object} selected The light, as selected by SelectLights
+     * @param {object} cameraUniforms Uniforms of the camera
+     * @param {object} [sceneSphere] World bounding sphere `{center, radius}` of the objects, to fit the shadow maps
+     * @param {number} mapSize Size of a shadow map in pixels
+     * @returns {object[]} - Uniforms `{u_projection, u_view}` drawing each shadow map of the light, none for the other lights
+     */
+    getShadowCameras(selected, cameraUniforms, sceneSphere, mapSize) {
+        return [];
+    }
+
+    /**
+     * Select the lights drawn by the default and PBR shaders.
+     *
+     * With more directional, point and spot lights than `maxLights`, the directional lights are kept first, then the lights bringing
+     * the most light at the camera (by intensity and distance), the other ones are ignored.
+     * @param {Light[]} lights The lights, the disabled ones are ignored
+     * @param {number} maxLights Size of the light arrays of the shaders
+     * @param {object} [cameraUniforms] Uniforms of the camera (`u_view` and `u_viewWorldPosition`), for the lights in view space and the
+     * choice of the lights
+     * @returns {object} - `lights`, the selected lights in the order of the light arrays, each `{light, position, direction, params, radiance}`
+     * (see getUniforms), and `ambientLight`, the sum of the ambient lights (undefined without ambient light)
+     */
+    static SelectLights(lights, maxLights, cameraUniforms = {}) {
+        const cameraMatrix = cameraUniforms.u_view ? m4.inverse(cameraUniforms.u_view) : undefined;
+        const viewPosition = cameraUniforms.u_viewWorldPosition;
+        let ambientLight;
+        const candidates = [];
+        lights.filter(light => light.enabled).forEach(light => {
+            const radiance = light.getRadiance();
+            if (light instanceof AmbientLight) {
+                ambientLight = (ambientLight || [0, 0, 0]).map((value, index) => value + radiance[index]);
+                return;
+            }
+            const values = light.getUniforms(cameraMatrix);
+            candidates.push({
+                light,
+                ...values,
+                radiance,
+                importance: getImportance(values, radiance, viewPosition)
+            });
+        });
+        // Two directional lights compare as NaN, they stay in order
+        candidates.sort((a, b) => b.importance - a.importance || 0);
+        return {
+            lights: candidates.slice(0, maxLights),
+            ambientLight
+        };
+    }
+
+    /**
+     * Gather the light uniforms of the default and PBR shaders.
+     * @param {object} selection The lights returned by SelectLights
+     * @param {number} maxLights Size of the light arrays of the shaders
+     * @returns {object} - `u_lightCount`, `u_lightPositions`, `u_lightColors`, `u_lightDirections`, `u_lightParams`, and `u_ambientLight`
+     * if there are ambient lights
+     */
+    static GatherUniforms(selection, maxLights) {
+        const uniforms = {
+            u_lightCount: selection.lights.length,
+            u_lightPositions: new Float32Array(maxLights * 4),
+            u_lightColors: new Float32Array(maxLights * 3),
+            u_lightDirections: new Float32Array(maxLights * 3),
+            u_lightParams: new Float32Array(maxLights * 4)
+        };
+        selection.lights.forEach((light, index) => {
+            uniforms.u_lightPositions.set(light.position, index * 4);
+            uniforms.u_lightColors.set(light.radiance, index * 3);
+            uniforms.u_lightDirections.set(light.direction, index * 3);
+            uniforms.u_lightParams.set(light.params, index * 4);
+        });
+        if (selection.ambientLight) {
+            uniforms.u_ambientLight = selection.ambientLight;
+        }
+        return uniforms;
+    }
+}
+
+/**
+ * Light coming from every direction, added to the `u_ambientLight` of the shaders (multiplied by the `ambient` color of the
+ * default shaders, by the albedo and occlusion of the PBR shaders).
+ */
+export class AmbientLight extends Light {
+    getUniforms(cameraMatrix) {
+        return null;
+    }
+}
+
+/**
+ * Light coming from a direction, without attenuation, e.g. the sun.
+ */
+export class DirectionalLight extends Light {
+    /**
+     * @param {object} [options] - The options of Light, plus:
+     * @param {number[]} [options.direction] - Direction the light shines to. Default `[0, -1, -1]`, from the top and the front.
+     * @param {number} [options.shadowCascades=1] - Number of shadow maps (up to 4) splitting the view from the camera, the nearest
+     * ones covering less space, so that the shadows are sharp near the camera in large scenes.
+     * @param {number} [options.shadowDistance] - Distance from the camera where the shadows end. Default is the farthest of the objects,
+     * within the far plane of the camera.
+     */
+    constructor(options = {}) {
+        super(options);
+        this.direction = (options.direction || [0, -1, -1]).slice();
+        this.shadowCascades = Math.min(Math.max(options.shadowCascades || 1, 1), MAX_CASCADES);
+        this.shadowDistance = options.shadowDistance;
+    }
+
+    getUniforms(cameraMatrix) {
+        const direction = m4.normalize(m4.transformDirection(this.getWorldMatrix(cameraMatrix), this.direction));
+        return {
+            position: [-direction[0], -direction[1], -direction[2], 0],
+            direction,
+            params: [0, 0, NO_CONE, NO_CONE]
+        };
+    }
+
+    getShadowCameras(selected, cameraUniforms, sceneSphere, mapSize) {
+        const direction = selected.direction;
+        // Orientation of the shadow cameras, looking along the light
+        const rotation = m4.lookAt([0, 0, 0], direction, getUpDirection(direction));
+        const toLightSpace = m4.inverse(rotation);
+        const spheres = computeCascadeSpheres(cameraUniforms, sceneSphere, this.shadowCascades, this.shadowDistance);
+        return spheres.map(sphere => {
+            const radius = sphere.radius;
+            // Moving the map by whole texels keeps the shadows from flickering when the camera moves
+            const texelSize = 2 * radius / mapSize;
+            const center = m4.transformPoint(toLightSpace, sphere.center).map((value, axis) => axis < 2 ? Math.round(value / texelSize) * texelSize : value);
+            // The casters between the light and the sphere must be in the map too
+            const back = Math.max(radius, sceneSphere ? -m4.dot(m4.subtractVectors(sceneSphere.center, sphere.center), direction) + sceneSphere.radius : 0);
+            return {
+                u_projection: m4.orthographic(-radius, radius, -radius, radius, 0, back + radius),
+                u_view: m4.inverse(m4.translate(rotation, center[0], center[1], center[2] + back))
+            };
+        });
+    }
+}
+
+/**
+ * Light shining in every direction from a position, e.g. a bulb. The light decreases with the distance `d` as `1 / d^decay`,
+ * and fades out to 0 at `range`.
+ */
+export class PointLight extends Light {
+    /**
+     * @param {object} [options] - The options of Light, plus:
+     * @param {number[]} [options.position] - Position of the light. Default `[0, 0, 0]`.
+     * @param {number} [options.range=0] - Distance where the light reaches 0, 0 for no limit.
+     * @param {number} [options.decay=2] - Exponent of the attenuation, 2 is physically correct, 0 for no attenuation.
+     */
+    constructor(options = {}) {
+        super(options);
+        this.position = (options.position || [0, 0, 0]).slice();
+        this.range = options.range || 0;
+        this.decay = options.decay !== undefined ? options.decay : 2;
+    }
+
+    getUniforms(cameraMatrix) {
+        return {
+            position: [...m4.transformPoint(this.getWorldMatrix(cameraMatrix), this.position), 1],
+            direction: [0, 0, -1],
+            params: [this.range, this.decay, NO_CONE, NO_CONE]
+        };
+    }
+}
+
+/**
+ * Point light limited to a cone, e.g. a lamp or a flashlight. The light is full inside `innerConeAngle` and fades out to 0 at
+ * `outerConeAngle`, both measured from the direction of the light.
+ */
+export class SpotLight extends PointLight {
+    /**
+     * @param {object} [options] - The options of PointLight, plus:
+     * @param {number[]} [options.direction] - Direction the light shines to. Default `[0, 0, -1]`.
+     * @param {number} [options.innerConeAngle=0] - Angle in radians where the light starts fading.
+     * @param {number} [options.outerConeAngle] - Angle in radians where the light ends, below 90 degrees. Default 45 degrees.
+     */
+    constructor(options = {}) {
+        super(options);
+        this.direction = (options.direction || [0, 0, -1]).slice();
+        this.innerConeAngle = options.innerConeAngle || 0;
+        this.outerConeAngle = options.outerConeAngle || Math.PI / 4;
+    }
+
+    getUniforms(cameraMatrix) {
+        const matrix = this.getWorldMatrix(cameraMatrix);
+        const outerCos = Math.cos(this.outerConeAngle);
+        return {
+            position: [...m4.transformPoint(matrix, this.position), 1],
+            direction: m4.normalize(m4.transformDirection(matrix, this.direction)),
+            // The fade needs an inner cosine above the outer one
+            params: [this.range, this.decay, outerCos, Math.max(Math.cos(this.innerConeAngle), outerCos + 1e-4)]
+        };
+    }
+
+    getShadowCameras(selected, cameraUniforms, sceneSphere, mapSize) {
+        const position = selected.position.slice(0, 3);
+        let far = this.range || DEFAULT_SHADOW_FAR;
+        let distance = 0;
+        if (sceneSphere) {
+            // Depth range of the objects
+            distance = Math.hypot(...m4.subtractVectors(sceneSphere.center, position));
+            far = Math.min(far, distance + sceneSphere.radius);
+        }
+        // A closer near plane would leave no depth precision for the bias, objects nearer to the light don't cast shadows
+        const near = Math.min(Math.max(distance - (sceneSphere ? sceneSphere.radius : 0), far / 100), far / 2);
+        return [{
+            u_projection: m4.perspective(Math.min(2 * this.outerConeAngle, MAX_SPOT_SHADOW_ANGLE), 1, near, far),
+            u_view: m4.inverse(m4.lookAt(position, position.map((value, axis) => value + selected.direction[axis]), getUpDirection(selected.direction)))
+        }];
+    }
+}
+
+/**
+ * Cosine of the cone angles of the lights without cone.
+ */
+const NO_CONE = -2;
+
+/**
+ * Largest radius of the percentage-closer filtering, the MAX_PCF_RADIUS of the shaders.
+ */
+const MAX_PCF_RADIUS = 2;
+
+/**
+ * Largest number of shadow cascades of a directional light.
+ */
+const MAX_CASCADES = 4;
+
+/**
+ * Share of the logarithmic split in the distances of the shadow cascades, the rest is a uniform split. The logarithmic split gives
+ * the same resolution on the screen to each cascade, but the nearest ones get very small.
+ */
+const CASCADE_SPLIT_LAMBDA = 0.5;
+
+/**
+ * Far plane of the shadow cameras of spot lights without range, when the objects have no bounds.
+ */
+const DEFAULT_SHADOW_FAR = 100;
+
+/**
+ * Largest field of view of the shadow camera of a spot light (170 degrees), a wider cone is only partly shadowed.
+ */
+const MAX_SPOT_SHADOW_ANGLE = Math.PI * 170 / 180;
+
+/**
+ * Estimate the light brought at the camera by a light, to choose the lights when there are too many.
+ * @param {object} values The uniform values of the light, see Light.getUniforms
+ * @param {number[]} radiance The color times the intensity of the light
+ * @param {number[]} [viewPosition] Position of the camera
+ * @returns {number} - The importance, Infinity for directional lights
+ */
+function getImportance(values, radiance, viewPosition) {
+    if (values.position[3] === 0) {
+        return Infinity;
+    }
+    const brightness = Math.max(...radiance);
+    if (!viewPosition) {
+        return brightness;
+    }
+    const distance = Math.hypot(...m4.subtractVectors(values.position, viewPosition));
+    const [range, decay] = values.params;
+    if (range > 0 && distance >= range) {
+        return 0;
+    }
+    return brightness / Math.pow(Math.max(distance, 1), decay);
+}
+
+/**
+ * @param {number[]} direction Direction a shadow camera looks to
+ * @returns {number[]} - An up direction for the camera, not parallel to the direction
+ */
+function getUpDirection(direction) {
+    return Math.abs(m4.normalize(direction)[1]) > 0.99 ? [1, 0, 0] : [0, 1, 0];
+}
+
+/**
+ * Compute the spheres covered by the shadow cascades of a directional light: the view of the camera, up to the shadow distance, is
+ * split in slices, each cascade covers one. When the objects fit in a smaller sphere than a slice, the cascade covers them instead and
+ * is the last one.
+ * @param {object} cameraUniforms Uniforms of the camera, `u_projection`, `u_view` and `u_viewWorldPosition`
+ * @param {object} [sceneSphere] World bounding sphere of the objects
+ * @param {number} cascades Number of cascades
+ * @param {number} [shadowDistance] Distance from the camera where the shadows end
+ * @returns {object[]} - The spheres `{center, radius}`, from the nearest
+ */
+function computeCascadeSpheres(cameraUniforms, sceneSphere, cascades, shadowDistance) {
+    const projection = cameraUniforms.u_projection;
+    const inverseProjection = m4.inverse(projection);
+    const near = -m4.transformPoint(inverseProjection, [0, 0, -1])[2];
+    let far = -m4.transformPoint(inverseProjection, [0, 0, 1])[2];
+    if (shadowDistance) {
+        far = Math.min(far, shadowDistance);
+    } else if (sceneSphere && cameraUniforms.u_viewWorldPosition) {
+        far = Math.min(far, Math.hypot(...m4.subtractVectors(sceneSphere.center, cameraUniforms.u_viewWorldPosition)) + sceneSphere.radius);
+    }
+    far = Math.max(far, near + 1e-3);
+    // The logarithmic split needs a positive near distance, orthographic cameras may have none
+    const logNear = Math.max(near, far / 1000);
+    const inverseViewProjection = m4.inverse(m4.multiply(projection, cameraUniforms.u_view));
+
+    const spheres = [];
+    let sliceNear = near;
+    for (let cascade = 1; cascade <= cascades; cascade++) {
+        const t = cascade / cascades;
+        const sliceFar = CASCADE_SPLIT_LAMBDA * logNear * Math.pow(far / logNear, t) + (1 - CASCADE_SPLIT_LAMBDA) * (near + (far - near) * t);
+        const corners = [];
+        [sliceNear, sliceFar].forEach(depth => {
+            const z = m4.transformPoint(projection, [0, 0, -depth])[2];
+            [-1, 1].forEach(x => [-1, 1].forEach(y => corners.push(m4.transformPoint(inverseViewProjection, [x, y, z]))));
+        });
+        const center = [0, 1, 2].map(axis => corners.reduce((sum, corner) => sum + corner[axis], 0) / corners.length);
+        const radius = Math.max(...corners.map(corner => Math.hypot(...m4.subtractVectors(corner, center))));
+        if (sceneSphere && sceneSphere.radius <= radius) {
+            spheres.push(sceneSphere);
+            break;
+        }
+        spheres.push({
+            center,
+            radius
+        });
+        sliceNear = sliceFar;
+    }
+    return spheres;
+}
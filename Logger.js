@@ -0,0 +1,118 @@
+/**
+ * Logger of the loaders, given in the `logger` option of MeshLoader.LoadOBJAndMesh and GLTFLoader.LoadGLTFAndMesh
+ * (default is `Logger.defaultLogger`).
+ *
+ * - `info` messages (what is being loaded) are printed when `verbose` is true.
+ * - `warn` messages (the diagnostics of the files) are always printed.
+ * - The loading time of each file is recorded in `timings`, see `startTiming`.
+ *
+ * Any object with the same methods can be used instead, e.g. to send the messages and timings to a server.
+ */
+export class Logger {
+    /**
+     * The logger used when none is given.
+     */
+    static defaultLogger = new Logger();
+
+    /**
+     * @param {object} [options]
+     * @param {boolean} [options.verbose=false] - If true, print the `info` messages.
+     * @param {object} [options.output] - Where the messages are printed, an object with `log` and `warn` methods. Default is `console`.
+     * @param {number} [options.maxTimings=1000] - Number of timings kept, the oldest ones are dropped.
+     * @param {function} [options.onTiming] - Called with each timing when it is recorded.
+     */
+    constructor(options = {}) {
+        this.verbose = options.verbose === true;
+        this.output = options.output || console;
+        this.maxTimings = options.maxTimings !== undefined ? options.maxTimings : 1000;
+        this.onTiming = options.onTiming;
+        // {file, kind, start, duration, error}, oldest first
+        this.timings = [];
+    }
+
+    /**
+     * Print an informative message if the logger is verbose.
+     * @param {...*} args The message, like `console.log`
+     */
+    info(...args) {
+        if (this.verbose) {
+            this.output.log(...args);
+        }
+    }
+
+    /**
+     * Print a warning.
+     * @param {...*} args The message, like `console.warn`
+     */
+    warn(...args) {
+        this.output.warn(...args);
+    }
+
+    /**
+     * Start measuring the loading of a file.
+     * @param {string} file Resolved path of the file
+     * @param {string} kind What the file is: `"obj"`, `"stl"` or `"ply"` (parsing included), `"mtl"` (parsing included), `"gltf"`,
+     * `"buffer"` (external glTF buffer), `"texture"`, or `"mesh"` for the loading of a whole mesh by LoadOBJAndMesh or LoadGLTFAndMesh
+     * (`file` is then the main file)
+     * @returns {function} - Function to call once the file is loaded (or has failed, with the error), it records and returns the timing
+     * `{file, kind, start, duration, error}` in milliseconds
+     */
+    startTiming(file, kind) {
+        const start = now();
+        return error => {
+            const timing = {
+                file,
+                kind,
+                start,
+                duration: now() - start
+            };
+            if (error) {
+                timing.error = error;
+            }
+            this.timings.push(timing);
+            if (this.timings.length > this.maxTimings) {
+                this.timings.splice(0, this.timings.length - this.maxTimings);
+            }
+            this.info(`Loaded ${kind} ${file} in ${timing.duration.toFixed(1)} ms` + (error ? ` (failed: ${error.message})` : ""));
+            if (this.onTiming) {
+                this.onTiming(timing);
+            }
+            return timing;
+        };
+    }
+
+    /**
+     * Measure an async loading, see `startTiming`.
+     * @param {string} file Resolved path of the file
+     * @param {string} kind What the file is
+     * @param {Promise} promise The loading
+     * @returns {Promise} - The same result as `promise`, once the timing is recorded
+     */
+    async time(file, kind, promise) {
+        const done = this.startTiming(file, kind);
+        try {
+            const result = await promise;
+            done();
+            return result;
+        } catch (error) {
+            done(error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the recorded timings of a file.
+     * @param {string} file Resolved path of the file
+     * @returns {object[]}
+     */
+    getTimings(file) {
+        return this.timings.filter(timing => timing.file === file);
+    }
+}
+
+/**
+ * @returns {number} - The current time in milliseconds
+ */
+function now() {
+    return typeof performance !== "undefined" ? performance.now() : Date.now();
+}
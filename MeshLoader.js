@@ -1,3 +1,39 @@
+import {
+    HTTPResolver,
+    ResourceResolver
+} from "./Resolvers.js";
+import {
+    ResourceManager
+} from "./ResourceManager.js";
+import {
+    MeshProcessing
+} from "./MeshProcessing.js";
+import {
+    Logger
+} from "./Logger.js";
+import {
+    CompressedTextures
+} from "./CompressedTextures.js";
+
+/**
+ * Error thrown by the parsers in strict mode on the first problem found in a file.
+ *
+ * The offending file, line and severity are copied from the diagnostic that caused it.
+ */
+export class MeshParseError extends Error {
+    /**
+     * @param {object} diagnostic The diagnostic that caused the error
+     */
+    constructor(diagnostic) {
+        super(formatDiagnostic(diagnostic));
+        this.name = "MeshParseError";
+        this.file = diagnostic.file;
+        this.line = diagnostic.line;
+        this.severity = diagnostic.severity;
+        this.diagnostic = diagnostic;
+    }
+}
+
 /**
  * Class used to convert an OBJ (+ MTL file) in a WebGL mesh.
  *
@@ -10,223 +46,221 @@ export class MeshLoader {
      * Parser to convert an OBJ file in a WebGL mesh.
      *
      * Note that the parser removes automatically comments and empty lines from the file.
+     *
+     * Each geometry has a `primitive`: "triangles" for faces, "lines" for `l` elements (two indices per segment) and "points" for `p` elements.
+     *
+     * Every problem found in the file (unknown keywords, malformed numbers, invalid face indices) is reported in the `diagnostics`
+     * list of the result as `{file, line, severity, message}`. Invalid faces are dropped and malformed numbers are read as 0.
+     * The statements of the specification that are ignored (`mg`, `bevel`, `lod`, `ctech`...) are reported once with the `"info"`
+     * severity, which `strict` doesn't throw on.
+     *
+     * Face vertices without a `vn` index get a generated normal: faces in smoothing group `off` (or `0`) are faceted,
+     * faces sharing a smoothing group share a weighted average of their face normals.
+     *
+     * Free-form geometry (`cstype`, `deg`, `curv`, `surf`, `parm`, `end`) is tessellated: Bézier and B-spline surfaces, rational
+     * (NURBS) or not, become triangles of the current "triangles" geometry and curves become segments of the current "lines" geometry.
+     * Trimming curves (`trim`, `hole`, `scrv`) are reported and ignored, the whole surface is tessellated.
      * @param {string} text - The OBJ file content
-     * @returns {object} - An object containing the various geometries and obj defined materials
+     * @param {object} [options] - Dictionary of options.
+     * @param {boolean} [options.generateNormals=true] - If true, generate the normals missing from the file.
+     * @param {boolean} [options.recomputeNormals=false] - If true, ignore the `vn` data and generate every normal.
+     * @param {number} [options.creaseAngle] - Angle (in radians) above which two faces of the same smoothing group are not smoothed together. Defaults to no crease.
+     * @param {string} [options.normalWeighting="angle"] - How face normals are weighted when smoothing, `"angle"` or `"area"`.
+     * @param {boolean} [options.smoothByDefault=false] - If true, faces that come before any `s` statement are smoothed together, otherwise they are faceted (a missing `s` means off).
+     * @param {boolean} [options.keepPolygons=false] - If true, each face geometry also gets `polygons`: the faces as they were in the file, as arrays of vertex indices.
+     * @param {boolean} [options.indexed=true] - If true, each geometry shares the vertices with the same `v/vt/vn` tuple and lists its triangles in `data.indices`
+     * (an Uint16Array, or an Uint32Array when there are more than 65535 vertices). If false, every face corner gets its own vertex.
+     * @param {number} [options.freeFormResolution=8] - Number of segments each knot span of a free-form curve or surface is tessellated in (in each direction for surfaces).
+     * @param {string} [options.fileName] - Name of the file, used in the diagnostics.
+     * @param {boolean} [options.strict=false] - If true, throw a MeshParseError on the first problem instead of reporting it.
+     * @param {object[]} [options.diagnostics] - Array the diagnostics are appended to, a new one is created if missing.
+     * @returns {object} - An object containing the various geometries, the obj defined materials, the `usemtl` statements (`materialUses`) and the diagnostics.
+     * Each geometry and the result have a `boundingBox` and a `boundingSphere`, see ComputeBoundingVolumes.
      */
-    static ParseOBJ(text) {
-        // Since the internal indices start from 1 let's just fill in the 0th data
-        const objPositions = [
-            [0, 0, 0]
-        ];
-        const objTexcoords = [
-            [0, 0]
-        ];
-        const objNormals = [
-            [0, 0, 0]
-        ];
-        /**
-         * Used to parse non standard obj formats that have `v <x> <y> <z> <red> <green> <blue>` instead of standard `v <x> <y> <z>`
-         */
-        const objColors = [
-            [0, 0, 0]
-        ];
-
-        /**
-         * Object representation of the vertex data.
-         * The elements have the same order as the `f` indices.
-         */
-        const objVertexData = [objPositions, objTexcoords, objNormals, objColors];
+    static ParseOBJ(text, options = {}) {
+        const parser = createOBJParser(options);
 
-        /**
-         * WebGL representation of the vertex data.
-         * The elements have the same order as the `f` indices.
-         *
-         * This will be used as a cache to avoid duplicating vertices while constructing geometries.
-         */
-        let webglVertexData = [
-            [], // positions
-            [], // texcoords
-            [], // normals
-            [], // colors
-        ];
+        // Parse each line of the obj file and call the appropriate function
+        parseLines(text, parser.keywords, parser.reporter);
 
-        /**
-         * Keep track of the material file names (MTL files) found in the obj file in order to try to load them later from the mtl (or from a definition in the obj file).
-         */
-        const materialLibs = [];
+        return parser.finish();
+    }
 
-        /**
-         * Since each geometry must be parsed independently in order to apply right material, we will split the object in an array of geometries
-         */
-        const geometries = [];
+    /**
+     * Incremental version of ParseOBJ, reading the OBJ file from a stream chunk by chunk so that the whole text is never in memory.
+     *
+     * @param {ReadableStream} stream - Stream of the OBJ file bytes (e.g. `response.body`)
+     * @param {object} [options] - The ParseOBJ options, plus:
+     * @param {function} [options.onProgress] - Called after each chunk with `{bytesRead, totalBytes, lines, faces}`.
+     * @param {number} [options.totalBytes] - Size of the file, if known, copied in the progress reports.
+     * @param {AbortSignal} [options.signal] - Signal used to cancel the parsing, the returned promise is then rejected with the abort reason.
+     * @returns {Promise<object>} - The same result as ParseOBJ
+     */
+    static async ParseOBJStream(stream, options = {}) {
+        const {
+            onProgress,
+            totalBytes,
+            signal
+        } = options;
+        const parser = createOBJParser(options);
+        const reader = stream.getReader();
+        const decoder = new TextDecoder();
 
-        /**
-         * The current geometry being parsed
-         */
-        let geometry;
+        // Unblock a pending read as soon as the signal is aborted
+        const onAbort = () => reader.cancel(signal.reason).catch(() => {});
+        if (signal) {
+            ResourceResolver.ThrowIfAborted(signal);
+            signal.addEventListener("abort", onAbort);
+        }
 
-        let groups = ["default"]; // g keyword
-        let material = "default";
-        let object = "default"; // o keyword
+        let bytesRead = 0;
+        let lineNo = 0;
+        // The last line of a chunk is usually incomplete, it is kept until the next chunk arrives
+        let pendingLine = "";
+        try {
+            for (;;) {
+                const {
+                    done,
+                    value
+                } = await reader.read();
+                ResourceResolver.ThrowIfAborted(signal);
+                if (done) {
+                    break;
+                }
 
-        /**
-         * No Operation function used to skip some keywords.
-         */
-        const noop = () => {};
+                bytesRead += value.byteLength;
+                const lines = (pendingLine + decoder.decode(value, {
+                    stream: true
+                })).split("\n");
+                pendingLine = lines.pop();
+                for (const line of lines) {
+                    parseLine(line, ++lineNo, parser.keywords, parser.reporter);
+                }
 
-        /**
-         * Generate a new geometry if the current geometry has already been used.
-         */
-        function newGeometry() {
-            if (geometry && geometry.data.position.length) {
-                geometry = undefined;
+                if (onProgress) {
+                    onProgress({
+                        bytesRead,
+                        totalBytes,
+                        lines: lineNo,
+                        faces: parser.faces
+                    });
+                }
             }
-        }
-
-        /**
-         * Prepare the current geometry to receive vertex data and add it to the geometry list.
-         */
-        function setGeometry() {
-            if (!geometry) {
-                const position = [];
-                const texcoord = [];
-                const normal = [];
-                const color = [];
-                webglVertexData = [position, texcoord, normal, color];
-                geometry = {
-                    object,
-                    groups,
-                    material,
-                    data: {
-                        position,
-                        texcoord,
-                        normal,
-                        color
-                    }
-                };
-                geometries.push(geometry);
+            parseLine(pendingLine + decoder.decode(), ++lineNo, parser.keywords, parser.reporter);
+        } catch (error) {
+            reader.cancel(error).catch(() => {});
+            throw error;
+        } finally {
+            if (signal) {
+                signal.removeEventListener("abort", onAbort);
             }
+            reader.releaseLock();
         }
 
-        /**
-         * Add a vertex tuple extracted from `f` line to the current geometry.
-         *
-         * @param {string} vert Vertex tuple to add to the geometry in the form of `v1/vt1/vn1`
-         */
-        function addVertex(vert) {
-            // Split the vertex tuple in v, vt, and vn
-            const ptn = vert.split("/");
-            ptn.forEach((objIndexStr, i) => {
-                if (!objIndexStr) {
-                    return;
-                }
-                // Convert the index from string to integer
-                const objIndex = parseInt(objIndexStr);
-                // An index of -n represented the vertex n lines above the current line
-                const index = objIndex + (
-                    objIndex >= 0 ?
-                    0 :
-                    objVertexData[i].length);
-                // Add the vertex data to the WebGL representation
-                webglVertexData[i].push(...objVertexData[i][index]);
-                // Handle non standard obj format with colors
-                // if this is the position index (index 0) and we parsed
-                // vertex colors then copy the vertex colors to the webgl vertex color data
-                if (i === 0 && objColors.length > 1) {
-                    geometry.data.color.push(...objColors[index]);
-                }
-            });
-        }
+        return parser.finish();
+    }
 
-        /**
-         * Switches between the different keywords in the obj file.
-         *
-         * - v: vertex position
-         * - vt: texture coordinate
-         * - vn: vertex normal
-         * - f: face (each element is an index in the above arrays)
-         *   - The indices are 1 based if positive or relative to the number of vertices parsed so far if negative.
-         *   - The order of the indices are position/texcoord/normal and that all except the position are optional
-         * - usemtl: material name
-         * - mtllib: material library (file containing the materials *.mtl)
-         * - o: object name
-         * - s: smooth shading (0 or 1)
-         */
-        const keywords = {
-            v(parts) {
-                // Convert the string to a float and add it to the positions array
-                // if there are more than 3 values here they are vertex colors
-                if (parts.length > 3) {
-                    objPositions.push(parts.slice(0, 3).map(parseFloat));
-                    objColors.push(parts.slice(3).map(parseFloat));
-                } else {
-                    objPositions.push(parts.map(parseFloat));
-                }
-            },
-            vn(parts) {
-                // Convert the string to a float and add it to the normals array
-                objNormals.push(parts.map(parseFloat));
-            },
-            vt(parts) {
-                // Convert the string to a float and add it to the texture coordinates array
-                objTexcoords.push(parts.map(parseFloat));
-            },
-            f(parts) {
-                // Initialize a new geometry, just to be sure (Should be initialized by usemtl but it is optional)
-                setGeometry();
+    /**
+     * Run ParseOBJStream in a Web Worker (MeshLoaderWorker.js), keeping the main thread free while big files are parsed.
+     *
+     * The geometry arrays come back as typed arrays (transferred, not copied), ready to be uploaded in WebGL buffers.
+     * @param {string|ReadableStream|ArrayBuffer} source - URL of the OBJ file (fetched by the worker), or its content
+     * @param {object} [options] - The ParseOBJStream options (only the parser options of ParseOBJ are sent to the worker, the other
+     * ones are ignored), plus:
+     * @param {string|URL} [options.workerUrl] - URL of MeshLoaderWorker.js, defaults to the one next to this module.
+     * @param {object} [options.fetchOptions] - Options of the `fetch` call of the worker when `source` is an URL (see HTTPResolver).
+     * @returns {Promise<object>} - The same result as ParseOBJ
+     */
+    static ParseOBJInWorker(source, options = {}) {
+        const {
+            onProgress,
+            signal,
+            workerUrl,
+            diagnostics,
+            fetchOptions
+        } = options;
+        // The message must be cloneable: no functions, elements or resolvers
+        const parseOptions = {};
+        WORKER_PARSE_OPTIONS.filter(key => options[key] !== undefined).forEach(key => {
+            parseOptions[key] = options[key];
+        });
+
+        return new Promise((resolve, reject) => {
+            ResourceResolver.ThrowIfAborted(signal);
 
-                // WebGL only works with triangles, we have to convert the faces to triangles
-                const numTriangles = parts.length - 2;
-                for (let tri = 0; tri < numTriangles; ++tri) {
-                    addVertex(parts[0]);
-                    addVertex(parts[tri + 1]);
-                    addVertex(parts[tri + 2]);
+            const worker = new Worker(workerUrl || new URL("./MeshLoaderWorker.js", import.meta.url), {
+                type: "module"
+            });
+            const onAbort = () => {
+                worker.terminate();
+                reject(signal.reason);
+            };
+            const done = () => {
+                worker.terminate();
+                if (signal) {
+                    signal.removeEventListener("abort", onAbort);
                 }
-            },
-            s: noop, // smoothing group, ignored
-            mtllib(parts, unparsedArgs) {
-                // The spec says there can be multiple mtl files in an obj file
-                materialLibs.push(unparsedArgs);
-            },
-            usemtl(parts, unparsedArgs) {
-                // Specify the material that should be used for the following faces and initialize a new geometry
-                material = unparsedArgs;
-                newGeometry();
-            },
-            g(parts) {
-                // Start a new group
-                groups = parts;
-                newGeometry();
-            },
-            o(parts, unparsedArgs) {
-                // Start a new object
-                object = unparsedArgs;
-                newGeometry();
+            };
+            if (signal) {
+                signal.addEventListener("abort", onAbort);
             }
-        };
-
-        // Parse each line of the obj file and call the appropriate function
-        parseLines(text, keywords);
 
-        // remove any arrays that have no entries in order to optimize the geomtery (and future renderigns).
-        for (const geometry of geometries) {
-            geometry.data = Object.fromEntries(Object.entries(geometry.data).filter(([, array]) => array.length > 0));
-        }
+            worker.addEventListener("message", ({
+                data
+            }) => {
+                if (data.type === "progress") {
+                    if (onProgress) {
+                        onProgress(data.progress);
+                    }
+                } else if (data.type === "result") {
+                    done();
+                    if (diagnostics) {
+                        diagnostics.push(...data.result.diagnostics);
+                    }
+                    resolve(data.result);
+                } else if (data.type === "error") {
+                    done();
+                    reject(data.error.name === "MeshParseError" ? new MeshParseError(data.error.diagnostic) : Object.assign(new Error(data.error.message), {
+                        name: data.error.name
+                    }));
+                }
+            });
+            worker.addEventListener("error", event => {
+                done();
+                reject(event.error || new Error(event.message));
+            });
 
-        return {
-            geometries,
-            materialLibs
-        };
+            // Streams and buffers are transferred to the worker instead of being copied
+            const transfer = typeof source === "string" ? [] : [source];
+            worker.postMessage({
+                type: "parse",
+                source: typeof source === "string" ? new URL(source, globalThis.location && globalThis.location.href).href : source,
+                options: parseOptions,
+                fetchOptions: fetchOptions && {
+                    ...fetchOptions,
+                    // Headers objects can't be cloned, the worker gets their entries
+                    headers: fetchOptions.headers && Object.fromEntries(new Headers(fetchOptions.headers)),
+                    signal: undefined
+                }
+            }, transfer);
+        });
     }
 
     /**
      * Parser to load the materials for a WebGL mesh.
      *
-     * Works using the same logic as the obj parser.
+     * Works using the same logic as the obj parser, diagnostics included: they are available in the non enumerable
+     * `diagnostics` property of the returned object, so that iterating over the materials is not affected.
      * @param {string} text - The MTL file content
+     * @param {object} [options] - Dictionary of options.
+     * @param {string} [options.fileName] - Name of the file, used in the diagnostics.
+     * @param {boolean} [options.strict=false] - If true, throw a MeshParseError on the first problem instead of reporting it.
+     * @param {object[]} [options.diagnostics] - Array the diagnostics are appended to, a new one is created if missing.
      * @returns {object} - The materials definitions
      */
-    static ParseMTL(text) {
+    static ParseMTL(text, options = {}) {
+        const reporter = createReporter(options);
+
         /**
          * Object containing all the materials with the material name as a keyword
          */
@@ -237,6 +271,11 @@ export class MeshLoader {
          */
         let material;
 
+        /**
+         * True once the current material has a d statement, which takes precedence over Tr
+         */
+        let hasDissolve = false;
+
         /**
          * Switches between the different keywords in the mtl file.
          *
@@ -248,344 +287,3592 @@ export class MeshLoader {
          * - Ke: emissive color
          * - Ni: optical density
          * - d: dissolve (0.0 - 1.0)
+         * - Tr: transparency, the opacity is 1 - Tr when there is no d statement (some exporters only write Tr)
          * - illum: illumination model (Not used here so far)
+         * - Pr, Pm, Ps, Pc, Pcr, aniso, anisor: PBR extension (roughness, metallic, sheen, clearcoat, clearcoat roughness, anisotropy and its rotation)
+         * - map_Ka, map_Kd, map_Ks, map_Ns, map_Ke, map_d, map_Bump/bump, disp, decal, refl: texture maps (see TEXTURE_MAP_KEYWORDS),
+         *   stored as texture descriptors (see parseTextureMap). map_Ks is stored in specularMap and map_Ns in shininessMap
+         *   (map_Ns used to be stored in specularMap)
+         * - Tf, sharpness, map_aat: not supported, reported as info diagnostics
          */
         const keywords = {
             newmtl(parts, unparsedArgs) {
                 material = {};
                 materials[unparsedArgs] = material;
+                hasDissolve = false;
             },
             Ns(parts) {
-                material.shininess = parseFloat(parts[0]);
+                material.shininess = parseNumbers(parts, 1, reporter)[0];
             },
             Ka(parts) {
-                material.ambient = parts.map(parseFloat);
+                material.ambient = parseNumbers(parts, 3, reporter);
             },
             Kd(parts) {
-                material.diffuse = parts.map(parseFloat);
+                material.diffuse = parseNumbers(parts, 3, reporter);
             },
             Ks(parts) {
-                material.specular = parts.map(parseFloat);
+                material.specular = parseNumbers(parts, 3, reporter);
             },
             Ke(parts) {
-                material.emissive = parts.map(parseFloat);
+                material.emissive = parseNumbers(parts, 3, reporter);
             },
-            map_Kd(parts, unparsedArgs) {
-                material.diffuseMap = unparsedArgs;
-            }, // Note that according to specs unparsedArgs might have some additional args that we won't handle
-            map_Ns(parts, unparsedArgs) {
-                material.specularMap = unparsedArgs;
-            }, // Note that according to specs unparsedArgs might have some additional args that we won't handle
-            map_Bump(parts, unparsedArgs) {
-                material.normalMap = unparsedArgs;
-            }, // Note that according to specs unparsedArgs might have some additional args that we won't handle
             Ni(parts) {
-                material.opticalDensity = parseFloat(parts[0]);
+                material.opticalDensity = parseNumbers(parts, 1, reporter)[0];
             },
             d(parts) {
-                material.opacity = parseFloat(parts[0]);
+                material.opacity = parseNumbers(parts, 1, reporter)[0];
+                hasDissolve = true;
+            },
+            Tr(parts) {
+                const transparency = parseNumbers(parts, 1, reporter)[0];
+                if (!hasDissolve) {
+                    material.opacity = 1 - transparency;
+                }
             },
             illum(parts) {
-                material.illum = parseInt(parts[0]);
-            }
+                material.illum = parseNumbers(parts, 1, reporter)[0];
+            },
+            Pr(parts) {
+                material.roughness = parseNumbers(parts, 1, reporter)[0];
+            },
+            Pm(parts) {
+                material.metallic = parseNumbers(parts, 1, reporter)[0];
+            },
+            Ps(parts) {
+                material.sheen = parseNumbers(parts, 1, reporter)[0];
+            },
+            Pc(parts) {
+                material.clearcoat = parseNumbers(parts, 1, reporter)[0];
+            },
+            Pcr(parts) {
+                material.clearcoatRoughness = parseNumbers(parts, 1, reporter)[0];
+            },
+            aniso(parts) {
+                material.anisotropy = parseNumbers(parts, 1, reporter)[0];
+            },
+            anisor(parts) {
+                material.anisotropyRotation = parseNumbers(parts, 1, reporter)[0];
+            },
+            ...createUnsupportedHandlers(UNSUPPORTED_MTL_KEYWORDS, reporter)
         };
 
+        for (const [keyword, key] of Object.entries(TEXTURE_MAP_KEYWORDS)) {
+            keywords[keyword] = parts => {
+                const descriptor = parseTextureMap(parts, reporter);
+                if (descriptor) {
+                    material[key] = descriptor;
+                }
+            };
+        }
+
+        // Every statement except newmtl sets a property of the current material, so it needs one
+        for (const [keyword, handler] of Object.entries(keywords)) {
+            if (keyword !== "newmtl") {
+                keywords[keyword] = (...args) => {
+                    if (!material) {
+                        reporter.report("error", `"${keyword}" found before any newmtl statement`);
+                        return;
+                    }
+                    handler(...args);
+                };
+            }
+        }
+
         // Parse each line of the mtl file and call the appropriate function
-        parseLines(text, keywords);
+        parseLines(text, keywords, reporter);
 
+        Object.defineProperty(materials, "diagnostics", {
+            value: reporter.diagnostics
+        });
         return materials;
     }
 
     /**
-     * Load an obj and mesh in the passed object.
-     * The passed object MUST contain the following properties:
-     * - name: name of the object
-     * - filePath: path to the obj file
+     * Parse a STL file (ASCII or binary) into geometries, in the format of ParseOBJ.
      *
-     * @param {*} gl
-     * @param {*} object
+     * Each `solid` of an ASCII file gives a geometry named after it, a binary file gives a single geometry. The normal of a facet is
+     * used for its three corners, it is computed from the vertices when it is missing (zero) or with `recomputeNormals`.
+     *
+     * Binary files may store a color in the attribute bytes of each facet (5 bits per channel), both variants are read in `data.color`:
+     * - Materialise Magics: the header contains `COLOR=` and the default color, bit 15 set means the facet has the default color
+     * - VisCAM and SolidView: bit 15 set means the facet has its own color, red in the high bits
+     * @param {ArrayBuffer|string} data - Content of the file
+     * @param {object} [options] - The `indexed`, `recomputeNormals`, `fileName`, `strict` and `diagnostics` options of ParseOBJ.
+     * @returns {object} - The `geometries` and the `diagnostics`, with empty `materialLibs` and `materialUses` like an OBJ file without materials
      */
-    static async LoadOBJAndMesh(gl, object) {
-        if (debug && debug == true)
-            console.log("Loading mesh " + object.name + " from " + object.filePath + (
-                object.mtlPath ?
-                " with MTL file " + object.mtlPath :
-                ""));
-
-        // Load OBJ file
-        const objResponse = await fetch(object.filePath);
-        const objText = await objResponse.text();
-        const obj = this.ParseOBJ(objText);
-
-        // Load MTL file
-        const baseHref = new URL(object.filePath, window.location.href);
-        let materials;
-        if (!object.mtlPath) {
-            const matTexts = await Promise.all(obj.materialLibs.map(async filename => {
-                const matHref = new URL(filename, baseHref).href;
-                const response = await fetch(matHref);
-                return await response.text();
-            }));
-            materials = this.ParseMTL(matTexts.join("\n"));
-        } else {
-            if (debug && debug == true)
-                console.log("Loading manually defined MTL file " + object.mtlPath);
-            const mtlResponse = await fetch(object.mtlPath);
-            const mtlText = await mtlResponse.text();
-            materials = this.ParseMTL(mtlText);
-        }
+    static ParseSTL(data, options = {}) {
+        const reporter = createReporter(options);
+        const solids = typeof data !== "string" && isBinarySTL(data) ?
+            parseBinarySTL(data, reporter) :
+            parseASCIISTL(typeof data === "string" ? data : new TextDecoder().decode(data), reporter);
 
-        const textures = {
-            defaultWhite: create1PixelTexture(gl, [255, 255, 255, 255]),
-            defaultNormal: create1PixelTexture(gl, [127, 127, 255, 0])
+        return {
+            geometries: solids.map(solid => createFacetGeometry(solid, options)),
+            materialLibs: [],
+            materialUses: [],
+            diagnostics: reporter.diagnostics
         };
+    }
 
-        const defaultMaterial = {
-            diffuse: [
-                1, 1, 1
-            ],
-            diffuseMap: textures.defaultWhite,
-            normalMap: textures.defaultNormal,
-            ambient: [
-                0, 0, 0
-            ],
-            specular: [
-                1, 1, 1
-            ],
-            specularMap: textures.defaultWhite,
-            shininess: 400,
-            opacity: 1
-        };
+    /**
+     * Parse a PLY file (ASCII, binary little endian or binary big endian) into geometries, in the format of ParseOBJ.
+     *
+     * The `vertex` element gives the positions (`x`, `y`, `z`), normals (`nx`, `ny`, `nz`), colors (`red`, `green`, `blue` and
+     * optionally `alpha`, integers are mapped to [0, 1]) and texture coordinates (`s`/`t`, `u`/`v` or `texture_u`/`texture_v`).
+     * Its other properties, of any type, are kept in `geometry.properties` by name.
+     *
+     * The `face` element (list `vertex_indices`) gives a "triangles" geometry, polygons are triangulated like OBJ faces. The `edge`
+     * element (`vertex1`, `vertex2`) gives a "lines" geometry. A file with neither is a point cloud and gives a "points" geometry.
+     * Faces get smooth normals when the vertices have none.
+     * @param {ArrayBuffer|string} data - Content of the file, ASCII files can be given as text
+     * @param {object} [options] - The `generateNormals`, `indexed`, `keepPolygons`, `fileName`, `strict` and `diagnostics` options of ParseOBJ.
+     * @returns {object} - The `geometries` and the `diagnostics`, with empty `materialLibs` and `materialUses` like an OBJ file without materials
+     */
+    static ParsePLY(data, options = {}) {
+        const reporter = createReporter(options);
+        const bytes = typeof data === "string" ? new TextEncoder().encode(data) : new Uint8Array(data);
+        const header = parsePLYHeader(bytes, reporter);
+        const elements = header.format === "ascii" ?
+            readASCIIPLYElements(bytes, header, reporter) :
+            readBinaryPLYElements(bytes, header, reporter);
 
-        // load texture for materials
-        for (const material of Object.values(materials)) {
-            Object.entries(material).filter(([key]) => key.endsWith("Map")).forEach(([key, filename]) => {
-                let texture = textures[filename];
-                if (!texture) {
-                    const textureHref = new URL(filename, baseHref).href;
-                    texture = createTexture(gl, textureHref);
-                    textures[filename] = texture;
-                }
-                material[key] = texture;
+        const vertices = elements.vertex;
+        if (!vertices || !["x", "y", "z"].every(name => vertices.columns[name])) {
+            reporter.report("error", "the file has no vertex positions");
+            return {
+                geometries: [],
+                materialLibs: [],
+                materialUses: [],
+                diagnostics: reporter.diagnostics
+            };
+        }
+
+        // Vertex data shared by the geometries
+        const vertexData = {};
+        const properties = {};
+        const used = new Set();
+        // Copy vertex properties in a flat array, integer colors are mapped to [0, 1]
+        const interleave = (names, normalized = false) => {
+            const columns = names.map(name => vertices.columns[name]);
+            const array = new Float32Array(vertices.count * names.length);
+            columns.forEach((column, c) => {
+                const scale = normalized ? integerRange(vertices.types[names[c]]) : 1;
+                column.forEach((value, i) => {
+                    array[i * names.length + c] = value / scale;
+                });
             });
+            names.forEach(name => used.add(name));
+            return array;
+        };
+        const findNames = candidates => candidates.find(names => names.every(name => vertices.columns[name]));
+        vertexData.position = interleave(["x", "y", "z"]);
+        const normalNames = findNames([
+            ["nx", "ny", "nz"],
+            ["normal_x", "normal_y", "normal_z"]
+        ]);
+        if (normalNames) {
+            vertexData.normal = interleave(normalNames);
+        }
+        const colorNames = findNames([
+            ["red", "green", "blue", "alpha"],
+            ["red", "green", "blue"],
+            ["r", "g", "b", "a"],
+            ["r", "g", "b"],
+            ["diffuse_red", "diffuse_green", "diffuse_blue"]
+        ]);
+        if (colorNames) {
+            vertexData.color = interleave(colorNames, true);
+        }
+        const texcoordNames = findNames([
+            ["s", "t"],
+            ["u", "v"],
+            ["texture_u", "texture_v"],
+            ["texture_s", "texture_t"]
+        ]);
+        if (texcoordNames) {
+            vertexData.texcoord = interleave(texcoordNames);
         }
+        for (const [name, column] of Object.entries(vertices.columns)) {
+            if (!used.has(name) && !Array.isArray(column)) {
+                properties[name] = Float32Array.from(column);
+            }
+        }
+
+        const vertexCount = vertices.count;
+        const IndexArray = vertexCount > 65536 ? Uint32Array : Uint16Array;
+        const checkIndices = (indices, element) => {
+            const valid = indices.every(index => Number.isInteger(index) && index >= 0 && index < vertexCount);
+            if (!valid) {
+                reporter.report("error", `${element} with an invalid vertex index dropped`);
+            }
+            return valid;
+        };
+        const createGeometry = (primitive, geometryData) => ({
+            object: "default",
+            groups: ["default"],
+            material: "default",
+            primitive,
+            data: geometryData,
+            properties
+        });
 
-        object.parts = obj.geometries.map(({
-            material,
-            data
-        }) => {
-            // Since each geometry has it's own buffer, we have to load them separately
-            // Because data is just named arrays like this
-            //
-            // {
-            //   position: [...],
-            //   texcoord: [...],
-            //   normal: [...],
-            // }
-            //
-            // and because those names match the attributes in our vertex
-            // shader we can pass it directly into `createBufferInfoFromArrays`
-            // from the article "less code more fun".
-
-            if (data.color) {
-                if (data.position.length === data.color.length) {
-                    // it's 3. The our helper library assumes 4 so we need
-                    // to tell it there are only 3.
-                    data.color = {
-                        numComponents: 3,
-                        data: data.color
-                    };
+        const geometries = [];
+        const faces = elements.face;
+        const faceIndices = faces && (faces.columns.vertex_indices || faces.columns.vertex_index || Object.values(faces.columns).find(Array.isArray));
+        if (faceIndices) {
+            const indices = [];
+            const polygons = [];
+            const points = vertexData.position;
+            for (const face of faceIndices) {
+                if (face.length < 3 || !checkIndices(face, "face")) {
+                    continue;
                 }
-            } else {
-                // there are no vertex colors so just use constant white
-                data.color = {
-                    value: [1, 1, 1, 1]
-                };
+                const triangles = face.length === 3 ? [
+                    [0, 1, 2]
+                ] : triangulatePolygon(face.map(index => [points[index * 3], points[index * 3 + 1], points[index * 3 + 2]]));
+                if (!triangles) {
+                    reporter.report("warning", `degenerate face with ${face.length} vertices dropped`);
+                    continue;
+                }
+                for (const triangle of triangles) {
+                    indices.push(...triangle.map(i => face[i]));
+                }
+                polygons.push(face);
             }
 
-            // generate tangents if we have the data to do so.
-            if (data.texcoord && data.normal) {
-                data.tangent = generateTangents(data.position, data.texcoord);
-            } else {
-                // There are no tangents
-                data.tangent = {
-                    value: [1, 0, 0]
-                };
+            let geometryData = {
+                ...vertexData,
+                indices: IndexArray.from(indices)
+            };
+            if (!geometryData.normal && options.generateNormals !== false) {
+                geometryData.normal = computeVertexNormals(geometryData.position, geometryData.indices);
+            }
+            if (options.indexed === false) {
+                geometryData = deindexVertexData(geometryData);
+            }
+            const geometry = createGeometry("triangles", geometryData);
+            if (options.keepPolygons) {
+                geometry.polygons = polygons;
             }
+            geometries.push(geometry);
+        }
 
-            if (!data.texcoord) {
-                data.texcoord = {
-                    value: [0, 0]
-                };
+        const edges = elements.edge;
+        if (edges && edges.columns.vertex1 && edges.columns.vertex2) {
+            const indices = [];
+            edges.columns.vertex1.forEach((a, i) => {
+                const segment = [a, edges.columns.vertex2[i]];
+                if (checkIndices(segment, "edge")) {
+                    indices.push(...segment);
+                }
+            });
+            geometries.push(createGeometry("lines", {
+                ...vertexData,
+                indices: IndexArray.from(indices)
+            }));
+        }
+
+        if (!geometries.length) {
+            // Point cloud
+            geometries.push(createGeometry("points", vertexData));
+        }
+
+        return {
+            geometries,
+            materialLibs: [],
+            materialUses: [],
+            diagnostics: reporter.diagnostics
+        };
+    }
+
+    /**
+     * Write geometries back to OBJ text.
+     *
+     * Object and group names, material assignments, positions, vertex colors, texture coordinates and normals are kept.
+     * Faces are written as they were in the file when the geometries were parsed with `keepPolygons`, as triangles otherwise.
+     * Parsing the output with ParseOBJ gives back the same geometries.
+     * @param {object} source - A ParseOBJ result, an array of geometries, or an object loaded with `keepGeometry` (its `parts` are used)
+     * @param {object} [options] - Dictionary of options.
+     * @param {string|string[]} [options.mtllib] - MTL files to reference, defaults to the `materialLibs` of a ParseOBJ result.
+     * @param {boolean} [options.bakeTransform=false] - If true, transform positions and normals by the world matrix: `options.world`, or the `u_world` uniform RenderEngine computed for the object.
+     * @param {number[]} [options.world] - Column major 4x4 world matrix, as the ones built by m4.
+     * @param {number} [options.precision] - Number of decimals of the written values, the shortest exact representation is used if missing.
+     * @returns {string} - The OBJ file content
+     */
+    static SerializeOBJ(source, options = {}) {
+        const geometries = getSourceGeometries(source);
+        const formatNumber = createNumberFormatter(options.precision);
+        const world = options.bakeTransform ? options.world || (source.uniforms && source.uniforms.u_world) : undefined;
+        if (options.bakeTransform && !world) {
+            throw new Error("SerializeOBJ: bakeTransform needs options.world or an object with uniforms.u_world");
+        }
+        const normalMatrix = world && getNormalMatrix(world);
+
+        const lines = [];
+        const materialLibs = options.mtllib !== undefined ? [].concat(options.mtllib) : source.materialLibs || [];
+        materialLibs.forEach(lib => lines.push("mtllib " + lib));
+
+        // Number of v, vt and vn written so far, the indices of the faces are global
+        const offsets = [0, 0, 0];
+        let object = "default";
+        let groups = "default";
+        let material = "default";
+        for (const geometry of geometries) {
+            const data = geometry.data;
+            const position = getArrayData(data.position);
+            const texcoord = getArrayData(data.texcoord);
+            const normal = getArrayData(data.normal);
+            const color = getArrayData(data.color);
+            const numVertices = position.length / 3;
+            const colorComponents = color && color.length / numVertices;
+
+            if (geometry.object !== undefined && geometry.object !== object) {
+                object = geometry.object;
+                lines.push("o " + object);
+            }
+            const geometryGroups = (geometry.groups || ["default"]).join(" ");
+            if (geometryGroups !== groups) {
+                groups = geometryGroups;
+                lines.push("g " + groups);
+            }
+            if (geometry.material !== undefined && geometry.material !== material) {
+                material = geometry.material;
+                lines.push("usemtl " + material);
             }
 
-            if (!data.normal) {
-                // we probably want to generate normals if there are none
-                data.normal = {
-                    value: [0, 0, 1]
-                };
+            for (let i = 0; i < numVertices; ++i) {
+                let p = Array.from(position.slice(i * 3, i * 3 + 3));
+                if (world) {
+                    p = transformPosition(world, p);
+                }
+                const c = color ? Array.from(color.slice(i * colorComponents, i * colorComponents + 3)) : [];
+                lines.push("v " + p.concat(c).map(formatNumber).join(" "));
+            }
+            if (texcoord) {
+                for (let i = 0; i < numVertices; ++i) {
+                    lines.push("vt " + Array.from(texcoord.slice(i * 2, i * 2 + 2)).map(formatNumber).join(" "));
+                }
+            }
+            if (normal) {
+                for (let i = 0; i < numVertices; ++i) {
+                    let n = Array.from(normal.slice(i * 3, i * 3 + 3));
+                    if (normalMatrix) {
+                        n = normalize3(transformPosition(normalMatrix, n));
+                    }
+                    lines.push("vn " + n.map(formatNumber).join(" "));
+                }
             }
 
-            // create a buffer for each array by calling
-            // gl.createBuffer, gl.bindBuffer, gl.bufferData
-            const bufferInfo = webglUtils.createBufferInfoFromArrays(gl, data);
-            return {
-                material: {
-                    ...defaultMaterial,
-                    ...materials[material]
-                },
-                bufferInfo
+            // Vertex i of the geometry is written as v/vt/vn with the same (global) index
+            const vertex = i => {
+                const indices = [i + offsets[0] + 1, texcoord ? i + offsets[1] + 1 : "", normal ? i + offsets[2] + 1 : ""];
+                return indices.join("/").replace(/\/+$/, "");
             };
-        });
+            const indices = data.indices ? Array.from(getArrayData(data.indices)) : Array.from({
+                length: numVertices
+            }, (_, i) => i);
+
+            const primitive = geometry.primitive || "triangles";
+            if (primitive === "triangles") {
+                const polygons = geometry.polygons || Array.from({
+                    length: indices.length / 3
+                }, (_, i) => indices.slice(i * 3, i * 3 + 3));
+                polygons.forEach(polygon => lines.push("f " + polygon.map(vertex).join(" ")));
+            } else if (primitive === "points") {
+                lines.push("p " + indices.map(vertex).join(" "));
+            } else {
+                // Join the consecutive segments back in polylines
+                const strips = [];
+                const step = primitive === "lineStrip" ? 1 : 2;
+                for (let i = 0; i + 1 < indices.length; i += step) {
+                    const strip = strips[strips.length - 1];
+                    if (strip && strip[strip.length - 1] === indices[i]) {
+                        strip.push(indices[i + 1]);
+                    } else {
+                        strips.push([indices[i], indices[i + 1]]);
+                    }
+                }
+                strips.forEach(strip => lines.push("l " + strip.map(vertex).join(" ")));
+            }
 
-        if (debug && debug == true)
-            console.log("Loaded mesh for " + object.name + ". ", object);
+            offsets[0] += numVertices;
+            offsets[1] += texcoord ? numVertices : 0;
+            offsets[2] += normal ? numVertices : 0;
+        }
+
+        return lines.join("\n") + "\n";
     }
-}
 
-/**
- * Create and binf a base texture
- * @param {*} gl The webgl environment
- * @param {*} pixel Array with color values
- * @returns
- */
-function create1PixelTexture(gl, pixel) {
-    const texture = gl.createTexture();
-    gl.bindTexture(gl.TEXTURE_2D, texture);
-    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, 1, 1, 0, gl.RGBA, gl.UNSIGNED_BYTE, new Uint8Array(pixel));
-    return texture;
-}
+    /**
+     * Write materials back to MTL text.
+     *
+     * Texture maps are written with their options when their descriptor is known: the parsed descriptors of a ParseMTL result,
+     * or the `mapDescriptors` LoadOBJAndMesh keeps on the materials it loads. Of the loaded materials, only the `parsedValues`
+     * (the values of the MTL file) are written, not the defaults and the derived values the parts are drawn with.
+     * @param {object} source - The materials by name (a ParseMTL result), or an object loaded with `keepGeometry` (the materials of its `parts` are used)
+     * @param {object} [options] - Dictionary of options.
+     * @param {number} [options.precision] - Number of decimals of the written values, the shortest exact representation is used if missing.
+     * @returns {string} - The MTL file content
+     */
+    static SerializeMTL(source, options = {}) {
+        const formatNumber = createNumberFormatter(options.precision);
+        let materials = source;
+        if (Array.isArray(source.parts)) {
+            materials = {};
+            source.parts.forEach((part, i) => {
+                materials[part.geometry ? part.geometry.material : "material" + i] = part.material;
+            });
+        }
 
-/**
- * Create a texture from an image
- * @param {*} gl The webgl environment
- * @param {*} url Address of the image
- * @returns
- */
-function createTexture(gl, url) {
-    const isPowerOf2 = value => (value & (value - 1)) === 0;
+        const lines = [];
+        for (const [name, material] of Object.entries(materials)) {
+            lines.push("newmtl " + name);
+            const values = material.parsedValues || material;
+            for (const [keyword, key] of MTL_VALUE_KEYWORDS) {
+                const value = values[key];
+                if (value !== undefined) {
+                    lines.push(keyword + " " + [].concat(value).map(formatNumber).join(" "));
+                }
+            }
 
-    const texture = create1PixelTexture(gl, [128, 192, 255, 255]);
-    // Asynchronously load an image
-    const image = new Image();
-    image.src = url;
-    image.addEventListener("load", function() {
-        // Now that the image has loaded make copy it to the texture.
-        gl.bindTexture(gl.TEXTURE_2D, texture);
-        gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, true);
-        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, image);
+            // Loaded materials have textures in the map keys, the descriptors are kept aside
+            const descriptors = material.mapDescriptors || material;
+            const written = new Set();
+            for (const [keyword, key] of Object.entries(TEXTURE_MAP_KEYWORDS)) {
+                const descriptor = descriptors[key];
+                // Several keywords share a key (map_Bump, bump and norm), the first one is used
+                if (!descriptor || !descriptor.file || written.has(key)) {
+                    continue;
+                }
+                written.add(key);
+                lines.push(keyword + " " + serializeTextureMap(descriptor, formatNumber));
+            }
+            lines.push("");
+        }
 
-        // Check if the image is a power of 2 in both dimensions.
-        if (isPowerOf2(image.width) && isPowerOf2(image.height)) {
-            // Yes, it's a power of 2. Generate mips.
-            gl.generateMipmap(gl.TEXTURE_2D);
-        } else {
+        return lines.join("\n");
+    }
+
+    /**
+     * Load an obj and mesh in the passed object.
+     * The passed object MUST contain the following properties:
+     * - name: name of the object
+     * - filePath: path to the obj file (or to a STL or PLY file, parsed with ParseSTL or ParsePLY, which have no materials)
+     *
+     * The diagnostics of the OBJ and MTL files (including `usemtl` statements that reference a missing material) are stored in `object.diagnostics`.
+     * The bounds of the whole mesh are stored in `object.boundingBox` and `object.boundingSphere`, those of each part in the part.
+     *
+     * Every file goes through `options.resolver`: the OBJ file is loaded from `filePath` (and the MTL file from `mtlPath`), the `mtllib`
+     * files and the textures from their path relative to the file that references them. An OBJ file that can't be loaded rejects the
+     * promise with a ResourceError, a missing MTL file or texture is reported in the diagnostics.
+     *
+     * @param {*} gl
+     * @param {*} object
+     * @param {object} [options] - Options forwarded to ParseOBJ and ParseMTL (e.g. `recomputeNormals`, `creaseAngle` or `strict`), plus:
+     * @param {boolean} [options.stream=false] - If true, parse the OBJ file while it downloads with ParseOBJStream.
+     * @param {boolean} [options.worker=false] - If true, download and parse the OBJ file in a Web Worker with ParseOBJInWorker.
+     * @param {function} [options.onProgress] - Progress callback of the streaming parsers, see ParseOBJStream.
+     * @param {AbortSignal} [options.signal] - Signal used to cancel the loading.
+     * @param {boolean} [options.keepGeometry=false] - If true, each part keeps the parsed geometry it was built from in `part.geometry` (needed by SerializeOBJ).
+     * @param {ResourceResolver} [options.resolver] - Resolver the files are loaded with (see Resolvers.js). Default is an HTTPResolver relative to the page.
+     * @param {string} [options.format] - Format of the file, `"obj"`, `"stl"` or `"ply"`. Default is given by the extension of `filePath`.
+     * @param {boolean|number} [options.normalize=false] - If true (or a size), recenter the model on its centroid and scale it so that
+     * its largest dimension is 1 (or the size), see NormalizeGeometries. The applied `{center, scale}` is stored in `object.normalization`.
+     * @param {string[]} [options.objects] - Names of the objects (`o`) to load, see FilterGeometries. Default is all of them.
+     * @param {string[]} [options.groups] - Names of the groups (`g`) to load, see FilterGeometries. Default is all of them.
+     * @param {boolean} [options.mergeByMaterial=false] - If true, merge the geometries with the same material into one part, see MeshProcessing.MergeByMaterial.
+     * @param {number} [options.weldTolerance] - If given, weld the vertices closer than this tolerance, see MeshProcessing.WeldVertices.
+     * @param {boolean|object[]} [options.lods=false] - If true (or a list of levels), generate simplified levels drawn when the parts are
+     * small on the screen, see MeshProcessing.GenerateLODs.
+     * @param {boolean} [options.waitForTextures=false] - If true, the promise resolves once every texture is loaded (or has failed),
+     * otherwise the textures show a placeholder pixel until their image is loaded.
+     * @param {function} [options.onTextureLoad] - Called with `{texture, file, image, format}` when a texture of the mesh is loaded, `format`
+     * is the format it was uploaded with (`"rgba8"` for images, the compressed format of the `.ktx`, `.ktx2` and `.dds` files).
+     * @param {function} [options.onTextureError] - Called with `{texture, file, error}` when a texture of the mesh can't be loaded.
+     * @param {Array|*} [options.textureFallback] - Pixel (`[r, g, b, a]` bytes) or image shown by the textures that can't be loaded.
+     * Default is the value of a missing map (white, or a flat normal).
+     * @param {number} [options.anisotropy] - Maximum anisotropy of the textures, default is the maximum supported by the GPU, 1 disables it.
+     * @param {function} [options.textureTranscoder] - Transcoder of the `.ktx`, `.ktx2` and `.dds` maps whose format the GPU can't upload
+     * (e.g. Basis Universal), see CompressedTextures.Load. The chosen format is given in the `format` of the `onTextureLoad` events.
+     * @param {string[]} [options.compressedTextureFallbacks] - Extensions of the uncompressed alternatives of the compressed maps, loaded
+     * when their format can't be uploaded nor transcoded. Default `[".png", ".jpg"]`.
+     * @param {ResourceManager} [options.resourceManager] - Manager sharing the buffers and textures between the loaded objects (see ResourceManager.js).
+     * Default is the one of the context. Loading the same files with the same options again reuses the mesh, the resources of the previous
+     * mesh of the object are released, `resourceManager.dispose(object)` releases them explicitly. A load replaced by another load of the same
+     * object, or disposed, before it finishes is rejected with an AbortError and leaves the object as it is.
+     * @param {Logger} [options.logger] - Logger of the loading messages, the diagnostics and the loading time of each file (see Logger.js).
+     * Default is `Logger.defaultLogger`.
+     */
+    static async LoadOBJAndMesh(gl, object, options = {}) {
+        const logger = options.logger || Logger.defaultLogger;
+        logger.info("Loading mesh " + object.name + " from " + object.filePath + (
+            object.mtlPath ?
+            " with MTL file " + object.mtlPath :
+            ""));
+
+        const resolver = options.resolver || new HTTPResolver();
+        const loadOptions = {
+            signal: options.signal
+        };
+
+        const objPath = resolver.resolve(object.filePath);
+        const format = (options.format || objPath.split(/[?#]/)[0].split(".").pop()).toLowerCase();
+
+        // The same files loaded with the same options share their buffers and textures
+        const resourceManager = options.resourceManager || ResourceManager.ForContext(gl);
+        const resolverKey = resourceManager.getResolverKey(resolver);
+        const meshPaths = object.mtlPath ? [objPath, resolver.resolve(object.mtlPath)] : [objPath];
+        const meshKey = resourceManager.getMeshKey(resolver, meshPaths, options);
+        // Timed from the request of the files until the parts are created, a mesh already loaded by another object takes no time
+        const mesh = await logger.time(objPath, "mesh", resourceManager.acquireMesh(object, meshKey, async acquireTexture => {
+            // Load OBJ file
+            const diagnostics = [];
+            const objOptions = {
+                ...options,
+                fileName: objPath,
+                diagnostics
+            };
+            const loadObj = async () => {
+                if (format === "stl" || format === "ply") {
+                    // Binary formats, parsed in one go
+                    const data = await resolver.loadArrayBuffer(objPath, loadOptions);
+                    return format === "stl" ? this.ParseSTL(data, objOptions) : this.ParsePLY(data, objOptions);
+                } else if (options.worker) {
+                    // The worker fetches plain URLs itself, other resolvers hand it the file content
+                    const source = resolver instanceof HTTPResolver && !resolver.fetch ?
+                        objPath :
+                        await resolver.loadArrayBuffer(objPath, loadOptions);
+                    return this.ParseOBJInWorker(source, {
+                        ...objOptions,
+                        fetchOptions: resolver.fetchOptions
+                    });
+                } else if (options.stream) {
+                    const {
+                        stream,
+                        totalBytes
+                    } = await resolver.loadStream(objPath, loadOptions);
+                    return this.ParseOBJStream(stream, {
+                        ...objOptions,
+                        totalBytes
+                    });
+                }
+                const objText = await resolver.loadText(objPath, loadOptions);
+                return this.ParseOBJ(objText, objOptions);
+            };
+            // The timing of the file includes its parsing
+            const obj = await logger.time(objPath, format === "stl" || format === "ply" ? format : "obj", loadObj());
+
+            /**
+             * Load and parse a MTL file, a file that can't be loaded is reported and has no materials.
+             * @param {string} mtlPath Resolved path of the file
+             * @returns {Promise<object>} - The materials
+             */
+            // MTL file of each material, the paths of its maps are relative to it
+            const materialFiles = new Map();
+            const loadMTL = async mtlPath => {
+                const loaded = logger.startTiming(mtlPath, "mtl");
+                let mtlText;
+                try {
+                    mtlText = await resolver.loadText(mtlPath, loadOptions);
+                } catch (error) {
+                    loaded(error);
+                    if (error.name === "AbortError") {
+                        throw error;
+                    }
+                    reportDiagnostic({
+                        file: mtlPath,
+                        line: 0,
+                        severity: "error",
+                        message: error.message
+                    }, {
+                        strict: options.strict,
+                        diagnostics
+                    });
+                    return {};
+                }
+                const materials = this.ParseMTL(mtlText, {
+                    ...options,
+                    fileName: mtlPath,
+                    diagnostics
+                });
+                loaded();
+                Object.values(materials).forEach(material => materialFiles.set(material, mtlPath));
+                return materials;
+            };
+
+            // Load MTL file
+            let materials;
+            if (!object.mtlPath) {
+                // Parse the files separately so that the diagnostics point to the right file and line
+                const libraries = await Promise.all(obj.materialLibs.map(filename => loadMTL(resolver.resolve(filename, objPath))));
+                materials = Object.assign({}, ...libraries);
+            } else {
+                logger.info("Loading manually defined MTL file " + object.mtlPath);
+                materials = await loadMTL(resolver.resolve(object.mtlPath));
+            }
+
+            for (const {
+                    name,
+                    file,
+                    line
+                } of obj.materialUses) {
+                if (!materials[name]) {
+                    reportDiagnostic({
+                        file,
+                        line,
+                        severity: "warning",
+                        message: `material "${name}" is not defined in any MTL file`
+                    }, {
+                        strict: options.strict,
+                        diagnostics
+                    });
+                }
+            }
+            diagnostics.forEach(diagnostic => logDiagnostic(diagnostic, logger));
+            // The problems found while loading the textures, reported like the ones of the files
+            const reportLoadDiagnostic = diagnostic => {
+                reportDiagnostic(diagnostic, {
+                    strict: options.strict,
+                    diagnostics
+                });
+                logDiagnostic(diagnostic, logger);
+            };
+
+            // Textures acquired by this mesh, by resolved file
+            const textures = {};
+
+            // load texture for materials
+            for (const [name, material] of Object.entries(materials)) {
+                // Keep the parsed descriptors, the map keys are replaced by the textures
+                material.mapDescriptors = {};
+                // Keep the values of the file, the parts also get the default and derived (PBR) values
+                material.parsedValues = Object.fromEntries(MTL_VALUE_KEYWORDS.filter(([, key]) => material[key] !== undefined)
+                    .map(([, key]) => [key, material[key]]));
+                Object.entries(material).filter(([key]) => key.endsWith("Map")).forEach(([key, descriptor]) => {
+                    const texturePath = resolver.resolve(descriptor.file, materialFiles.get(material));
+                    if (UNSAMPLED_MAPS[key]) {
+                        // Still loaded for the custom shaders
+                        reportLoadDiagnostic({
+                            file: texturePath,
+                            line: 0,
+                            severity: "info",
+                            message: `${UNSAMPLED_MAPS[key]} of material "${name}" is not used by the RenderEngine shaders`
+                        });
+                    }
+                    const parameters = this.MapTextureParameters(key, options);
+                    // Clamping and the color space are texture parameters, so the same file used with and without -clamp,
+                    // or as a color and a data map, needs two textures
+                    const textureKey = resolverKey + texturePath + "#" + parameters.usage + (descriptor.clamp ? "#clamp" : "");
+                    let texture = textures[textureKey];
+                    if (!texture) {
+                        // Other meshes may already use the texture, it is only loaded once
+                        texture = acquireTexture(textureKey, () => {
+                            // Compressed textures are uploaded as they are when the GPU supports their format
+                            const loading = CompressedTextures.IsCompressedTexturePath(texturePath) ?
+                                CompressedTextures.Load(gl, resolver, texturePath, {
+                                    ...loadOptions,
+                                    colorSpace: parameters.colorSpace,
+                                    transcoder: options.textureTranscoder,
+                                    fallbackExtensions: options.compressedTextureFallbacks,
+                                    report: message => reportLoadDiagnostic({
+                                        file: texturePath,
+                                        line: 0,
+                                        severity: "warning",
+                                        message
+                                    })
+                                }).then(loaded => {
+                                    if (loaded.levels) {
+                                        logger.info(`Using ${loaded.format}${loaded.transcoded ? " (transcoded)" : ""} for texture ${texturePath}`);
+                                    }
+                                    return loaded;
+                                }) :
+                                resolver.loadImage(texturePath, loadOptions);
+                            const image = this.ReportTextureError(logger.time(texturePath, "texture", loading), texturePath, {
+                                strict: options.strict,
+                                diagnostics,
+                                logger
+                            });
+                            return {
+                                texture: createTexture(gl, image, {
+                                    ...descriptor,
+                                    ...parameters
+                                }),
+                                image,
+                                file: texturePath
+                            };
+                        });
+                        textures[textureKey] = texture;
+                    }
+                    material[key] = texture;
+                    material.mapDescriptors[key] = descriptor;
+                    const transform = [descriptor.scale[0], descriptor.scale[1], descriptor.offset[0], descriptor.offset[1]];
+                    material[key + "Transform"] = transform;
+                    if (CompressedTextures.IsCompressedTexturePath(texturePath)) {
+                        // Compressed data isn't flipped on upload like the images: the texture coordinates of top-down files are flipped
+                        // instead (v -> 1 - v). The parts share the transform; uncompressed alternatives have no topDown
+                        resourceManager.waitForTextures([texture], {
+                            onTextureLoad: ({
+                                image
+                            }) => {
+                                if (image.topDown) {
+                                    transform[1] = -transform[1];
+                                    transform[3] = 1 - transform[3];
+                                }
+                            }
+                        });
+                    }
+                    if (key === "normalMap") {
+                        material.bumpScale = descriptor.bumpMultiplier;
+                    } else if (SCALAR_MAP_CHANNELS[key]) {
+                        material[key + "Channel"] = channelVector(descriptor.channel || SCALAR_MAP_CHANNELS[key]);
+                    }
+                });
+
+                // map_RMA packs roughness, metallic and ambient occlusion in the red, green and blue channels
+                if (material.rmaMap) {
+                    for (const [key, channel] of [
+                            ["roughnessMap", "r"],
+                            ["metallicMap", "g"],
+                            ["occlusionMap", "b"]
+                        ]) {
+                        if (!material[key]) {
+                            material[key] = material.rmaMap;
+                            material[key + "Channel"] = channelVector(channel);
+                        }
+                    }
+                }
+
+                derivePBRFromPhong(material);
+            }
+
+            // Recenter and rescale the loaded part of the model, e.g. to show models of any size in the same viewer
+            let geometries = this.FilterGeometries(obj.geometries, options);
+            const normalization = options.normalize ?
+                this.NormalizeGeometries(geometries, typeof options.normalize === "number" ? options.normalize : 1) :
+                undefined;
+            geometries = MeshProcessing.ProcessGeometries(geometries, options);
+            return {
+                parts: this.CreateParts(gl, geometries, materials, {
+                    ...options,
+                    resourceManager
+                }),
+                normalization,
+                // Released when the last object using the mesh is disposed
+                textures: Object.values(textures),
+                diagnostics
+            };
+        }));
+        object.parts = mesh.parts;
+        object.diagnostics = mesh.diagnostics;
+        Object.assign(object, this.MergeBoundingVolumes(object.parts));
+        object.normalization = mesh.normalization;
+
+        // Shared textures may have been loaded by another mesh already, they are reported all the same
+        const texturesLoaded = resourceManager.waitForTextures(mesh.textures, options);
+        if (options.waitForTextures) {
+            await texturesLoaded;
+        }
+
+        logger.info("Loaded mesh for " + object.name + ". ", object);
+    }
+
+    /**
+     * Create the parts of a mesh (`{object, groups, material, primitive, bufferInfo}`, drawn by RenderEngine) from parsed geometries.
+     *
+     * Used by LoadOBJAndMesh and the other loaders. The materials get default values (and 1 pixel textures) for everything they don't define,
+     * and the geometries get constant attributes for the missing colors, texture coordinates and normals.
+     * Each part keeps the object and group names of its geometry (`o` and `g` statements), and its glTF `node` if any.
+     * Each part gets the `boundingBox` and `boundingSphere` of its positions, see ComputeBoundingVolumes.
+     * Geometries with `lods` (see MeshProcessing.GenerateLODs) give parts with `lods`, `{screenSize, bufferInfo}` of each level.
+     * @param {*} gl
+     * @param {object[]} geometries - Geometries in the ParseOBJ format, `data` may hold arrays or typed arrays.
+     * @param {object} materials - The materials, by name, with their maps already replaced by textures.
+     * @param {object} [options] - `keepGeometry`: if true, each part keeps its geometry in `part.geometry`. `resourceManager`: the manager
+     * the buffers are registered in and the default textures come from, default is the one of the context. `objects` and `groups`:
+     * the geometries to keep, see FilterGeometries. `colorSpace`: `"srgb"` (default, the OBJ, MTL, STL and PLY colors) or `"linear"`
+     * (glTF), the space of the color values of the materials and of the vertex colors, see `srgbColors` in RenderEngine.colorSpaceShaderChunk.
+     * @returns {object[]} - The parts
+     */
+    static CreateParts(gl, geometries, materials, options = {}) {
+        const resourceManager = options.resourceManager || ResourceManager.ForContext(gl);
+        const textures = {
+            defaultWhite: resourceManager.getDefaultTexture("white"),
+            defaultNormal: resourceManager.getDefaultTexture("normal")
+        };
+
+        const defaultMaterial = {
+            diffuse: [
+                1, 1, 1
+            ],
+            diffuseMap: textures.defaultWhite,
+            normalMap: textures.defaultNormal,
+            ambient: [
+                0, 0, 0
+            ],
+            specular: [
+                1, 1, 1
+            ],
+            specularMap: textures.defaultWhite,
+            shininessMap: textures.defaultWhite,
+            shininessMapChannel: channelVector("r"),
+            emissiveMap: textures.defaultWhite,
+            opacityMap: textures.defaultWhite,
+            shininess: 400,
+            opacity: 1,
+            // Fragments whose opacity is below it are discarded (glTF "MASK" materials)
+            alphaCutoff: 0,
+            emissive: [0, 0, 0],
+            // Texture coordinates transform of each sampled map: [scale u, scale v, offset u, offset v]
+            diffuseMapTransform: [1, 1, 0, 0],
+            specularMapTransform: [1, 1, 0, 0],
+            shininessMapTransform: [1, 1, 0, 0],
+            normalMapTransform: [1, 1, 0, 0],
+            emissiveMapTransform: [1, 1, 0, 0],
+            opacityMapTransform: [1, 1, 0, 0],
+            roughnessMapTransform: [1, 1, 0, 0],
+            metallicMapTransform: [1, 1, 0, 0],
+            occlusionMapTransform: [1, 1, 0, 0],
+            opacityMapChannel: channelVector("l"),
+            bumpScale: 1,
+            // 1 if the colors (and the vertex colors) are sRGB values, decoded to linear by the shaders
+            srgbColors: options.colorSpace === "linear" ? 0 : 1,
+            // Metallic-roughness values, used by RenderEngine.pbrShaders
+            baseColor: [1, 1, 1],
+            roughness: 0.5,
+            metallic: 0,
+            roughnessMap: textures.defaultWhite,
+            roughnessMapChannel: channelVector("r"),
+            metallicMap: textures.defaultWhite,
+            metallicMapChannel: channelVector("r"),
+            occlusionMap: textures.defaultWhite,
+            occlusionMapChannel: channelVector("r"),
+            sheen: 0,
+            clearcoat: 0,
+            clearcoatRoughness: 0,
+            anisotropy: 0,
+            anisotropyRotation: 0
+        };
+
+        return this.FilterGeometries(geometries, options).map(geometry => {
+            const {
+                material,
+                primitive
+            } = geometry;
+            const bufferInfo = createBufferInfo(gl, geometry.data, resourceManager);
+            const part = {
+                // Names used to find, hide or pick the sub-objects of the mesh
+                object: geometry.object,
+                groups: geometry.groups.slice(),
+                material: {
+                    ...defaultMaterial,
+                    ...materials[material]
+                },
+                // Tells RenderEngine how to draw the part: "triangles", "lines" or "points"
+                primitive,
+                bufferInfo
+            };
+            if (geometry.node !== undefined) {
+                part.node = geometry.node;
+            }
+            if (geometry.lods) {
+                // Simplified levels, drawn by RenderEngine when the part is small on the screen
+                part.lods = geometry.lods.map(lod => ({
+                    screenSize: lod.screenSize,
+                    bufferInfo: createBufferInfo(gl, lod.data, resourceManager)
+                }));
+            }
+            // Bounds of the drawn positions, in the space of the object
+            Object.assign(part, this.ComputeBoundingVolumes(geometry.data.position));
+            if (options.keepGeometry) {
+                // Keep the CPU side data, e.g. for SerializeOBJ
+                part.geometry = geometry;
+            }
+            return part;
+        });
+
+    }
+
+    /**
+     * Create a texture from an image being loaded. The texture holds a placeholder pixel until the image is loaded.
+     *
+     * Images are mipmapped (any size on WebGL2, power of 2 sizes on WebGL1) with anisotropic filtering when EXT_texture_filter_anisotropic is available.
+     * @param {*} gl
+     * @param {Promise} image - The image, e.g. from `resolver.loadImage`, or a compressed texture from CompressedTextures.Load (uploaded with its
+     * mip chain). A failure leaves the placeholder pixel (or the fallback), the caller reports it.
+     * @param {object} [descriptor] - Texture parameters: `clamp` (MTL `-clamp`), or the `wrapS`, `wrapT`, `minFilter` and `magFilter` values of a sampler, plus:
+     * - `colorSpace`: `"srgb"` for color maps (decoded to linear when sampled), `"linear"` (default) for data maps, see MapTextureParameters.
+     * - `anisotropy`: maximum anisotropy, default is the maximum supported by the GPU, 1 disables it.
+     * - `fallback`: pixel (`[r, g, b, a]` bytes) or image shown if the image can't be loaded.
+     *
+     * Once loaded, the textures of color maps get `hasAlpha`, true if the image has transparent pixels.
+     * @returns {WebGLTexture}
+     */
+    static CreateTexture(gl, image, descriptor = {}) {
+        return createTexture(gl, image, descriptor);
+    }
+
+    /**
+     * Get the texture parameters of a material map.
+     *
+     * Color maps hold sRGB colors, the others (normal, specular, roughness...) linear data. A map that can't be loaded shows
+     * `options.textureFallback` if given, otherwise the value of a missing map (white, or a flat normal).
+     * @param {string} mapKey - Material key of the map, e.g. `"diffuseMap"`
+     * @param {object} [options] - `anisotropy` and `textureFallback` loading options
+     * @returns {object} - `usage` (`"color"`, `"normal"` or `"data"`, textures of a different usage can't be shared), plus the
+     * `colorSpace`, `anisotropy` and `fallback` parameters of CreateTexture
+     */
+    static MapTextureParameters(mapKey, options = {}) {
+        const usage = COLOR_MAPS.includes(mapKey) ? "color" : mapKey === "normalMap" ? "normal" : "data";
+        return {
+            usage,
+            colorSpace: usage === "color" ? "srgb" : "linear",
+            anisotropy: options.anisotropy,
+            fallback: options.textureFallback || (usage === "normal" ? [127, 127, 255, 0] : [255, 255, 255, 255])
+        };
+    }
+
+    /**
+     * Report the failure of a texture image as a warning diagnostic. A missing texture is only reported, the mesh shows the fallback
+     * of the texture instead.
+     * @param {Promise} image - Promise of the image
+     * @param {string} file - Resolved path of the image
+     * @param {object} options
+     * @param {boolean} [options.strict=false] - If true, the image fails with a MeshParseError instead of reporting the warning.
+     * @param {object[]} options.diagnostics - Array the warning is appended to.
+     * @param {Logger} options.logger - Logger printing the warning.
+     * @returns {Promise} - The image promise, rejected with the error of the image (or the MeshParseError) if it fails
+     */
+    static ReportTextureError(image, file, options) {
+        return image.catch(error => {
+            const diagnostic = {
+                file,
+                line: 0,
+                severity: "warning",
+                message: error.message
+            };
+            reportDiagnostic(diagnostic, options);
+            logDiagnostic(diagnostic, options.logger);
+            throw error;
+        });
+    }
+
+    /**
+     * Keep the geometries of some objects or groups.
+     * @param {object[]} geometries - Geometries in the ParseOBJ format
+     * @param {object} [options]
+     * @param {string[]} [options.objects] - Names of the objects to keep
+     * @param {string[]} [options.groups] - Names of the groups to keep
+     * @returns {object[]} - The geometries whose object or one of whose groups is listed, all of them if neither list is given
+     */
+    static FilterGeometries(geometries, {
+        objects,
+        groups
+    } = {}) {
+        if (!objects && !groups) {
+            return geometries;
+        }
+        return geometries.filter(geometry => (objects || []).includes(geometry.object) || geometry.groups.some(group => (groups || []).includes(group)));
+    }
+
+    /**
+     * Compute the axis aligned bounding box and the bounding sphere of positions.
+     *
+     * The sphere is centered on the box, its radius is the distance to the farthest vertex.
+     * @param {number[]} [position] - Flat array of positions (3 values per vertex)
+     * @returns {object} - `boundingBox` (`{min, max}`) and `boundingSphere` (`{center, radius}`), both null without positions
+     */
+    static ComputeBoundingVolumes(position = []) {
+        if (position.length < 3) {
+            return {
+                boundingBox: null,
+                boundingSphere: null
+            };
+        }
+        const min = [Infinity, Infinity, Infinity];
+        const max = [-Infinity, -Infinity, -Infinity];
+        for (let i = 0; i < position.length; i += 3) {
+            for (let axis = 0; axis < 3; axis++) {
+                min[axis] = Math.min(min[axis], position[i + axis]);
+                max[axis] = Math.max(max[axis], position[i + axis]);
+            }
+        }
+        const center = min.map((value, axis) => (value + max[axis]) / 2);
+        let radiusSquared = 0;
+        for (let i = 0; i < position.length; i += 3) {
+            const dx = position[i] - center[0];
+            const dy = position[i + 1] - center[1];
+            const dz = position[i + 2] - center[2];
+            radiusSquared = Math.max(radiusSquared, dx * dx + dy * dy + dz * dz);
+        }
+        return {
+            boundingBox: {
+                min,
+                max
+            },
+            boundingSphere: {
+                center,
+                radius: Math.sqrt(radiusSquared)
+            }
+        };
+    }
+
+    /**
+     * Compute the bounding volumes enclosing those of several geometries or parts (e.g. of a whole object).
+     * @param {object[]} items - Objects with a `boundingBox` and a `boundingSphere`, null ones are ignored
+     * @returns {object} - `boundingBox` and `boundingSphere`, both null if no item has bounds
+     */
+    static MergeBoundingVolumes(items) {
+        const bounded = items.filter(item => item.boundingBox && item.boundingSphere);
+        if (!bounded.length) {
+            return {
+                boundingBox: null,
+                boundingSphere: null
+            };
+        }
+        const min = [0, 1, 2].map(axis => Math.min(...bounded.map(item => item.boundingBox.min[axis])));
+        const max = [0, 1, 2].map(axis => Math.max(...bounded.map(item => item.boundingBox.max[axis])));
+        const center = min.map((value, axis) => (value + max[axis]) / 2);
+        // Farthest point of the spheres from the center, which may be a looser bound than the vertices
+        const radius = Math.max(...bounded.map(({
+            boundingSphere
+        }) => Math.hypot(...boundingSphere.center.map((value, axis) => value - center[axis])) + boundingSphere.radius));
+        return {
+            boundingBox: {
+                min,
+                max
+            },
+            boundingSphere: {
+                center,
+                radius
+            }
+        };
+    }
+
+    /**
+     * Move and scale geometries in place, so that together they are centered on the origin and have the given size.
+     *
+     * Their centroid moves to the origin (the area-weighted center of their triangles, or the average of their vertices if they have
+     * no triangles) and the largest dimension of their bounding box becomes `size`. Normals are unchanged (a uniform scale keeps their
+     * direction), the bounding volumes of the geometries are updated.
+     * @param {object[]} geometries - Geometries in the ParseOBJ format
+     * @param {number} [size=1] - Size of the largest dimension
+     * @returns {object} - The `center` that was moved to the origin and the `scale` applied, to map the positions back
+     */
+    static NormalizeGeometries(geometries, size = 1) {
+        const {
+            boundingBox
+        } = this.MergeBoundingVolumes(geometries.map(geometry => this.ComputeBoundingVolumes(geometry.data.position)));
+        if (!boundingBox) {
+            return {
+                center: [0, 0, 0],
+                scale: 1
+            };
+        }
+        const center = computeCentroid(geometries);
+        const extent = Math.max(...boundingBox.max.map((value, axis) => value - boundingBox.min[axis]));
+        const scale = extent > 0 ? size / extent : 1;
+        for (const geometry of geometries) {
+            const position = geometry.data.position;
+            if (!position) {
+                continue;
+            }
+            for (let i = 0; i < position.length; i++) {
+                position[i] = (position[i] - center[i % 3]) * scale;
+            }
+            Object.assign(geometry, this.ComputeBoundingVolumes(position));
+        }
+        return {
+            center,
+            scale
+        };
+    }
+}
+
+/**
+ * Create the state and the keyword handlers of an OBJ parser, so that the same parser can be fed a whole text (ParseOBJ)
+ * or a stream one line at a time (ParseOBJStream).
+ * @param {object} options The ParseOBJ options
+ * @returns {object} - The `keywords` and `reporter` to give to parseLine, the number of `faces` parsed so far and
+ * `finish()`, which returns the ParseOBJ result once every line has been parsed
+ */
+function createOBJParser(options) {
+    const reporter = createReporter(options);
+    const generateNormals = options.generateNormals !== false || options.recomputeNormals === true;
+    const recomputeNormals = options.recomputeNormals || false;
+
+    // Since the internal indices start from 1 let's just fill in the 0th data
+    const objPositions = [
+        [0, 0, 0]
+    ];
+    const objTexcoords = [
+        [0, 0]
+    ];
+    const objNormals = [
+        [0, 0, 0]
+    ];
+    /**
+     * Used to parse non standard obj formats that have `v <x> <y> <z> <red> <green> <blue>` instead of standard `v <x> <y> <z>`
+     */
+    const objColors = [
+        [0, 0, 0]
+    ];
+    /**
+     * The weight of each position, given by `v <x> <y> <z> <w>` and used by the rational free-form curves and surfaces
+     */
+    const objWeights = [1];
+
+    /**
+     * Object representation of the vertex data.
+     * The elements have the same order as the `f` indices.
+     */
+    const objVertexData = [objPositions, objTexcoords, objNormals, objColors];
+
+    /**
+     * Keep track of the material file names (MTL files) found in the obj file in order to try to load them later from the mtl (or from a definition in the obj file).
+     */
+    const materialLibs = [];
+
+    /**
+     * The `usemtl` statements and the line they appear on, so that missing materials can be reported once the MTL files are loaded.
+     */
+    const materialUses = [];
+
+    /**
+     * Since each geometry must be parsed independently in order to apply right material, we will split the object in an array of geometries
+     */
+    const geometries = [];
+
+    /**
+     * The faces of each geometry, kept as resolved `[v, vt, vn]` corners until the whole file has been parsed.
+     * Three consecutive corners form a triangle.
+     */
+    const geometryCorners = new Map();
+
+    /**
+     * The faces of each geometry as they were in the file, as lists of corner indices (only filled with `keepPolygons`).
+     */
+    const geometryPolygons = new Map();
+
+    /**
+     * The current geometry being parsed
+     */
+    let geometry;
+
+    let groups = ["default"]; // g keyword
+    let material = "default";
+    let object = "default"; // o keyword
+    let smoothingGroup = options.smoothByDefault ? 1 : 0; // s keyword, 0 means off
+
+    /**
+     * Triangles whose normals must be generated once the whole file has been parsed.
+     * Each entry keeps the index of its first corner in the geometry, its smoothing group and the position index of each corner.
+     */
+    const pendingNormals = [];
+
+    /**
+     * Number of faces parsed so far, reported by ParseOBJStream.
+     */
+    let faceCount = 0;
+
+    /**
+     * Free-form state: the `cstype` (type and rational) and `deg` statements apply to the following `curv` and `surf` elements.
+     */
+    let freeFormType = {
+        type: undefined,
+        rational: false
+    };
+    let freeFormDegree = [];
+
+    /**
+     * The `curv` or `surf` element being defined, until its `end` statement.
+     */
+    let freeFormElement;
+
+    /**
+     * The tessellated curves and surfaces. Their vertices are added once the whole file has been parsed so that they don't shift the
+     * negative (relative) indices of the faces.
+     */
+    const freeFormElements = [];
+
+    /**
+     * Free-form statements already reported as ignored, to report each of them once.
+     */
+    const ignoredStatements = new Set();
+
+    /**
+     * Generate a new geometry if the current geometry has already been used.
+     */
+    function newGeometry() {
+        if (geometry && (geometryCorners.get(geometry).length || freeFormElements.some(element => element.geometry === geometry))) {
+            geometry = undefined;
+        }
+    }
+
+    /**
+     * Prepare the current geometry to receive vertex data and add it to the geometry list.
+     *
+     * @param {string} primitive The kind of element that will be added: "triangles" (`f`), "lines" (`l`) or "points" (`p`)
+     */
+    function setGeometry(primitive) {
+        // A geometry holds a single kind of primitive, since each kind is drawn separately
+        if (geometry && geometry.primitive !== primitive) {
+            newGeometry();
+            if (geometry) {
+                geometry.primitive = primitive;
+            }
+        }
+        if (!geometry) {
+            geometry = {
+                object,
+                groups,
+                material,
+                primitive,
+                data: {
+                    position: [],
+                    texcoord: [],
+                    normal: [],
+                    color: []
+                }
+            };
+            geometries.push(geometry);
+            geometryCorners.set(geometry, []);
+            geometryPolygons.set(geometry, []);
+        }
+    }
+
+    /**
+     * Resolve a vertex tuple extracted from a `f`, `l` or `p` line to absolute indices.
+     *
+     * @param {string} vert Vertex tuple in the form of `v1/vt1/vn1`
+     * @returns {number[]} - The `[v, vt, vn]` indices, undefined for the missing ones, or null if the tuple is invalid
+     */
+    function resolveVertex(vert) {
+        // Split the vertex tuple in v, vt, and vn
+        const ptn = vert.split("/");
+        if (!ptn[0]) {
+            reporter.report("error", `vertex "${vert}" has no position index`);
+            return null;
+        }
+        const indices = [0, 1, 2].map(i => {
+            if (!ptn[i]) {
+                return undefined;
+            }
+            // Convert the index from string to integer
+            const objIndex = Number(ptn[i]);
+            if (!Number.isInteger(objIndex) || objIndex === 0) {
+                reporter.report("error", `invalid ${VERTEX_DATA_NAMES[i]} index "${ptn[i]}"`);
+                return null;
+            }
+            // An index of -n represented the vertex n lines above the current line
+            const index = objIndex + (
+                objIndex >= 0 ?
+                0 :
+                objVertexData[i].length);
+            if (index < 1 || index >= objVertexData[i].length) {
+                reporter.report("error", `${VERTEX_DATA_NAMES[i]} index ${objIndex} is out of range (${objVertexData[i].length - 1} defined)`);
+                return null;
+            }
+            return index;
+        });
+        return indices.includes(null) ? null : indices;
+    }
+
+    /**
+     * Add a triangle to a geometry, remembering it if its normals must be generated.
+     *
+     * @param {number[][]} verts The three resolved vertices of the triangle
+     * @param {object} [target] The geometry, the current one by default
+     * @param {number} [group] The smoothing group of the triangle, the current one by default
+     */
+    function addTriangle(verts, target = geometry, group = smoothingGroup) {
+        const corners = geometryCorners.get(target);
+        const needsNormals = verts.map(([, , normal]) => generateNormals && (recomputeNormals || normal === undefined));
+        if (needsNormals.some(needsNormal => needsNormal)) {
+            pendingNormals.push({
+                geometry: target,
+                first: corners.length,
+                smoothingGroup: group,
+                needsNormals,
+                positions: verts.map(([position]) => position)
+            });
+        }
+        corners.push(...verts);
+    }
+
+    /**
+     * Start a `curv` or `surf` element with the current free-form state.
+     *
+     * @param {string} kind "curve" or "surface"
+     * @param {number[]} range The parameter range of the element, `[u0, u1]` for curves and `[u0, u1, v0, v1]` for surfaces
+     * @param {string[]} parts The control vertices
+     */
+    function beginFreeForm(kind, range, parts) {
+        if (freeFormElement) {
+            reporter.report("error", `missing "end" statement before this ${kind}`);
+        }
+        freeFormElement = {
+            kind,
+            line: reporter.line,
+            parameters: []
+        };
+        if (freeFormType.type !== "bezier" && freeFormType.type !== "bspline") {
+            // bmatrix, cardinal and taylor are not supported
+            reporter.report("warning", `free-form ${kind} of type "${freeFormType.type}" ignored, only bezier and bspline are supported`);
+            freeFormElement.ignored = true;
+            return;
+        }
+        const dimensions = kind === "curve" ? 1 : 2;
+        if (freeFormDegree.length < dimensions) {
+            reporter.report("error", `free-form ${kind} without degree ("deg" statement)`);
+            freeFormElement.ignored = true;
+            return;
+        }
+        const verts = parts.map(resolveVertex);
+        if (verts.includes(null)) {
+            freeFormElement.ignored = true;
+            return;
+        }
+        Object.assign(freeFormElement, freeFormType, {
+            degree: freeFormDegree.slice(0, dimensions),
+            range,
+            verts
+        });
+    }
+
+    /**
+     * Tessellate the element closed by an `end` statement.
+     */
+    function endFreeForm() {
+        const element = freeFormElement;
+        freeFormElement = undefined;
+        if (!element) {
+            reporter.report("error", `"end" statement outside of a curv or surf element`);
+            return;
+        }
+        if (element.ignored) {
+            return;
+        }
+        const tessellation = tessellateFreeForm(element, objVertexData, objWeights, options.freeFormResolution || 8);
+        if (typeof tessellation === "string") {
+            reporter.report("error", tessellation);
+            return;
+        }
+        setGeometry(element.kind === "curve" ? "lines" : "triangles");
+        freeFormElements.push({
+            ...tessellation,
+            geometry,
+            smoothingGroup
+        });
+    }
+
+    /**
+     * Add the vertices and the segments or triangles of the tessellated curves and surfaces to their geometry.
+     */
+    function addFreeFormElements() {
+        // Vertex colors are given per position, keep them aligned if the file has some
+        const hasColors = objColors.length === objPositions.length && objColors.length > 1;
+        for (const element of freeFormElements) {
+            const first = objPositions.length;
+            element.points.forEach((point, i) => {
+                objPositions.push(point);
+                objWeights.push(1);
+                if (hasColors) {
+                    objColors.push([1, 1, 1]);
+                }
+                if (element.texcoords) {
+                    objTexcoords.push(element.texcoords[i]);
+                }
+                if (element.normals && element.normals[i]) {
+                    objNormals.push(element.normals[i]);
+                }
+            });
+            const firstTexcoord = objTexcoords.length - (element.texcoords ? element.points.length : 0);
+            // Degenerate normals (e.g. at the pole of a sphere) are left to the normal generation
+            const normalIndices = [];
+            if (element.normals) {
+                let normalIndex = objNormals.length - element.normals.filter(normal => normal).length;
+                element.normals.forEach((normal, i) => {
+                    normalIndices[i] = normal ? normalIndex++ : undefined;
+                });
+            }
+            const vertex = i => [first + i, element.texcoords ? firstTexcoord + i : undefined, normalIndices[i]];
+
+            const corners = geometryCorners.get(element.geometry);
+            if (element.segments) {
+                for (const [a, b] of element.segments) {
+                    corners.push(vertex(a), vertex(b));
+                }
+                continue;
+            }
+            for (const triangle of element.triangles) {
+                if (options.keepPolygons) {
+                    geometryPolygons.get(element.geometry).push([0, 1, 2].map(corner => corners.length + corner));
+                }
+                addTriangle(triangle.map(vertex), element.geometry, element.smoothingGroup);
+            }
+        }
+    }
+
+    /**
+     * Switches between the different keywords in the obj file.
+     *
+     * - v: vertex position
+     * - vt: texture coordinate
+     * - vn: vertex normal
+     * - f: face (each element is an index in the above arrays)
+     *   - The indices are 1 based if positive or relative to the number of vertices parsed so far if negative.
+     *   - The order of the indices are position/texcoord/normal and that all except the position are optional
+     * - l: polyline (position/texcoord indices), stored as segments in a "lines" geometry
+     * - p: points (position indices), stored in a "points" geometry
+     * - usemtl: material name
+     * - mtllib: material library (file containing the materials *.mtl)
+     * - o: object name
+     * - s: smoothing group (a group number, or 0/off to disable smoothing)
+     * - cstype, deg: type and degree of the following free-form elements
+     * - curv, surf: free-form curve and surface (control point indices), with `parm` statements up to their `end` statement
+     */
+    const keywords = {
+        v(parts) {
+            // Convert the string to a float and add it to the positions array
+            // if there are more than 4 values here they are vertex colors, a 4th value alone is the weight of a rational control point
+            const values = parseNumbers(parts, 3, reporter);
+            if (values.length > 4) {
+                // The vertices without color before the first colored one are white
+                while (objColors.length < objPositions.length) {
+                    objColors.push([1, 1, 1]);
+                }
+                objPositions.push(values.slice(0, 3));
+                objColors.push(values.slice(3));
+            } else {
+                objPositions.push(values.slice(0, 3));
+                if (objColors.length > 1) {
+                    objColors.push([1, 1, 1]);
+                }
+            }
+            objWeights.push(values.length === 4 ? values[3] : 1);
+        },
+        vn(parts) {
+            // Convert the string to a float and add it to the normals array
+            objNormals.push(parseNumbers(parts, 3, reporter));
+        },
+        vt(parts) {
+            // Convert the string to a float and add it to the texture coordinates array
+            objTexcoords.push(parseNumbers(parts, 1, reporter));
+        },
+        f(parts) {
+            if (parts.length < 3) {
+                reporter.report("error", `face has ${parts.length} vertices, at least 3 are required`);
+                return;
+            }
+            const verts = parts.map(resolveVertex);
+            if (verts.includes(null)) {
+                // The problem has already been reported, drop the face
+                return;
+            }
+
+            // WebGL only works with triangles, we have to convert the faces to triangles
+            const triangles = triangulatePolygon(verts.map(([position]) => objPositions[position]));
+            if (!triangles) {
+                reporter.report("warning", `degenerate face with ${verts.length} vertices dropped`);
+                return;
+            }
+
+            // Initialize a new geometry, just to be sure (Should be initialized by usemtl but it is optional)
+            setGeometry("triangles");
+            faceCount++;
+
+            const first = geometryCorners.get(geometry).length;
+            for (const triangle of triangles) {
+                addTriangle(triangle.map(i => verts[i]));
+            }
+            if (options.keepPolygons) {
+                // Remember, for each vertex of the face, a corner that uses it
+                const flat = triangles.flat();
+                geometryPolygons.get(geometry).push(verts.map((vert, i) => first + flat.indexOf(i)));
+            }
+        },
+        l(parts) {
+            if (parts.length < 2) {
+                reporter.report("error", `line has ${parts.length} vertices, at least 2 are required`);
+                return;
+            }
+            const verts = parts.map(resolveVertex);
+            if (verts.includes(null)) {
+                return;
+            }
+
+            setGeometry("lines");
+            // Split the polyline in segments so that several lines can share the geometry (drawn with gl.LINES)
+            const corners = geometryCorners.get(geometry);
+            for (let i = 1; i < verts.length; ++i) {
+                corners.push(verts[i - 1], verts[i]);
+            }
+        },
+        p(parts) {
+            const verts = parts.map(resolveVertex);
+            if (verts.includes(null)) {
+                return;
+            }
+
+            setGeometry("points");
+            geometryCorners.get(geometry).push(...verts);
+        },
+        s(parts) {
+            // Faces sharing a smoothing group share their vertex normals, "off" and 0 produce faceted normals
+            smoothingGroup = parts[0] === "off" ? 0 : parseInt(parts[0]) || 0;
+        },
+        mtllib(parts, unparsedArgs) {
+            // The spec says there can be multiple mtl files in an obj file
+            materialLibs.push(unparsedArgs);
+        },
+        usemtl(parts, unparsedArgs) {
+            // Specify the material that should be used for the following faces and initialize a new geometry
+            material = unparsedArgs;
+            materialUses.push({
+                name: unparsedArgs,
+                file: reporter.file,
+                line: reporter.line
+            });
+            newGeometry();
+        },
+        g(parts) {
+            // Start a new group
+            groups = parts;
+            newGeometry();
+        },
+        o(parts, unparsedArgs) {
+            // Start a new object
+            object = unparsedArgs;
+            newGeometry();
+        },
+        cstype(parts) {
+            // cstype [rat] <bmatrix|bezier|bspline|cardinal|taylor>
+            const rational = parts[0] === "rat";
+            freeFormType = {
+                type: parts[rational ? 1 : 0],
+                rational
+            };
+        },
+        deg(parts) {
+            freeFormDegree = parseNumbers(parts, 1, reporter);
+            if (freeFormDegree.some(degree => !Number.isInteger(degree) || degree < 1)) {
+                reporter.report("error", `invalid degree "${parts.join(" ")}"`);
+                freeFormDegree = [];
+            }
+        },
+        curv(parts) {
+            // curv <u0> <u1> <v1> <v2> ...
+            beginFreeForm("curve", parseNumbers(parts.slice(0, 2), 2, reporter), parts.slice(2));
+        },
+        surf(parts) {
+            // surf <s0> <s1> <t0> <t1> <v1/vt1/vn1> <v2/vt2/vn2> ...
+            beginFreeForm("surface", parseNumbers(parts.slice(0, 4), 4, reporter), parts.slice(4));
+        },
+        parm(parts) {
+            // parm <u|v> <p1> <p2> ...
+            if (!freeFormElement) {
+                reporter.report("error", `"parm" statement outside of a curv or surf element`);
+                return;
+            }
+            if (parts[0] !== "u" && parts[0] !== "v") {
+                reporter.report("error", `invalid parameter direction "${parts[0]}"`);
+                return;
+            }
+            freeFormElement.parameters[parts[0] === "u" ? 0 : 1] = parseNumbers(parts.slice(1), 2, reporter);
+        },
+        end() {
+            endFreeForm();
+        },
+        // Trimming curves and special points: the whole surface is tessellated
+        ...Object.fromEntries(["curv2", "trim", "hole", "scrv", "sp"].map(keyword => [keyword, () => {
+            if (!ignoredStatements.has(keyword)) {
+                ignoredStatements.add(keyword);
+                reporter.report("warning", `"${keyword}" statements are not supported and ignored`);
+            }
+        }])),
+        // The parameter vertices are only used by the trimming curves
+        vp() {},
+        ...createUnsupportedHandlers(UNSUPPORTED_OBJ_KEYWORDS, reporter)
+    };
+
+    return {
+        keywords,
+        reporter,
+        get faces() {
+            return faceCount;
+        },
+        finish() {
+            if (freeFormElement) {
+                reporter.report("error", `missing "end" statement for the ${freeFormElement.kind} of line ${freeFormElement.line}`);
+            }
+            addFreeFormElements();
+
+            // Now that every face is known compute the missing normals
+            generateVertexNormals(pendingNormals, objPositions, options);
+            const generatedNormals = new Map(pendingNormals.map(triangle => [triangle.geometry, []]));
+            for (const triangle of pendingNormals) {
+                const normals = generatedNormals.get(triangle.geometry);
+                triangle.normals.forEach((normal, corner) => {
+                    normals[triangle.first + corner] = normal;
+                });
+            }
+
+            for (const geometry of geometries) {
+                const cornerVertices = buildVertexData(geometry, geometryCorners.get(geometry), generatedNormals.get(geometry) || [], objVertexData, options.indexed !== false);
+                if (options.keepPolygons && geometry.primitive === "triangles") {
+                    geometry.polygons = geometryPolygons.get(geometry).map(polygon => polygon.map(corner => cornerVertices[corner]));
+                }
+
+                // remove any arrays that have no entries in order to optimize the geomtery (and future renderigns).
+                geometry.data = Object.fromEntries(Object.entries(geometry.data).filter(([, array]) => array.length > 0));
+                Object.assign(geometry, MeshLoader.ComputeBoundingVolumes(geometry.data.position));
+            }
+
+            return {
+                geometries,
+                materialLibs,
+                materialUses,
+                ...MeshLoader.MergeBoundingVolumes(geometries),
+                diagnostics: reporter.diagnostics
+            };
+        }
+    };
+}
+
+/**
+ * Create and binf a base texture
+ * @param {*} gl The webgl environment
+ * @param {*} pixel Array with color values
+ * @returns
+ */
+function create1PixelTexture(gl, pixel) {
+    const texture = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, 1, 1, 0, gl.RGBA, gl.UNSIGNED_BYTE, new Uint8Array(pixel));
+    return texture;
+}
+
+/**
+ * Create a texture from an image
+ * @param {*} gl The webgl environment
+ * @param {Promise} imagePromise The image being loaded by the resolver, a failure leaves the placeholder pixel (or the fallback)
+ * @param {object} [descriptor] Texture descriptor from ParseMTL (`clamp` sets the wrapping to CLAMP_TO_EDGE), or sampler parameters
+ * (`wrapS`, `wrapT`, `minFilter` and `magFilter`), plus `colorSpace`, `anisotropy` and `fallback` (see MeshLoader.CreateTexture)
+ * @returns
+ */
+function createTexture(gl, imagePromise, descriptor = {}) {
+    const srgb = descriptor.colorSpace === "srgb";
+    // WebGL2 decodes sRGB textures when sampling them, WebGL1 shaders decode them (see RenderEngine)
+    const internalFormat = srgb && ResourceManager.IsWebGL2(gl) ? gl.SRGB8_ALPHA8 : gl.RGBA;
+
+    const texture = create1PixelTexture(gl, [128, 192, 255, 255]);
+    const upload = image => {
+        if (srgb) {
+            // RenderEngine draws the parts whose diffuse map has transparent pixels with the transparent parts
+            texture.hasAlpha = imageHasAlpha(image);
+        }
+        // Now that the image has loaded make copy it to the texture.
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, true);
+        // The browser must not convert the colors of data maps (e.g. normal maps with a color profile)
+        gl.pixelStorei(gl.UNPACK_COLORSPACE_CONVERSION_WEBGL, srgb ? gl.BROWSER_DEFAULT_WEBGL : gl.NONE);
+        if (Array.isArray(image)) {
+            gl.texImage2D(gl.TEXTURE_2D, 0, internalFormat, 1, 1, 0, gl.RGBA, gl.UNSIGNED_BYTE, new Uint8Array(image));
+            return;
+        }
+        if (image.levels) {
+            // Compressed texture, see CompressedTextures.Load
+            uploadTextureLevels(gl, texture, image, descriptor);
+            return;
+        }
+        gl.texImage2D(gl.TEXTURE_2D, 0, internalFormat, gl.RGBA, gl.UNSIGNED_BYTE, image);
+
+        // WebGL2 can mipmap and repeat any image, WebGL1 only the ones with power of 2 dimensions
+        if (ResourceManager.IsWebGL2(gl) || (ResourceManager.IsPowerOf2(image.width) && ResourceManager.IsPowerOf2(image.height))) {
+            // Generate mips, unless the sampler doesn't use them
+            const minFilter = descriptor.minFilter;
+            if (minFilter === undefined || (minFilter !== gl.NEAREST && minFilter !== gl.LINEAR)) {
+                gl.generateMipmap(gl.TEXTURE_2D);
+                setAnisotropy(gl, descriptor.anisotropy);
+            }
+            if (minFilter !== undefined) {
+                gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, minFilter);
+            }
+            const wrap = descriptor.clamp ? gl.CLAMP_TO_EDGE : gl.REPEAT;
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, descriptor.wrapS || wrap);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, descriptor.wrapT || wrap);
+        } else {
             // No, it's not a power of 2. Turn of mips and set wrapping to clamp to edge
             gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
             gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
             gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
         }
-    });
-    return texture;
+        if (descriptor.magFilter !== undefined) {
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, descriptor.magFilter);
+        }
+    };
+    // Asynchronously load an image
+    imagePromise.then(upload, () => {
+        // The error has been reported by the caller, replace the placeholder pixel by the fallback
+        if (descriptor.fallback) {
+            upload(descriptor.fallback);
+        }
+    });
+    return texture;
+}
+
+/**
+ * Check if an image has transparent pixels.
+ *
+ * Images are checked at a reduced size, where the filtered pixels covering transparent ones are not fully opaque. Compressed
+ * textures are checked by their format: BC7 and ASTC blocks may or may not have alpha, they count as opaque.
+ * @param {*} image A pixel (`[r, g, b, a]` bytes), an image or a compressed texture, see createTexture
+ * @returns {boolean} - False if the image can't be read, e.g. in a worker without OffscreenCanvas
+ */
+function imageHasAlpha(image) {
+    const hasTransparentByte = data => {
+        for (let index = 3; index < data.length; index += 4) {
+            if (data[index] < 255) {
+                return true;
+            }
+        }
+        return false;
+    };
+    if (Array.isArray(image)) {
+        return image[3] < 255;
+    }
+    if (image.levels) {
+        return image.format === "rgba8" ? hasTransparentByte(image.levels[0].data) : ALPHA_TEXTURE_FORMATS.includes(image.format);
+    }
+    const scale = Math.min(1, ALPHA_CHECK_SIZE / Math.max(image.width, image.height));
+    const width = Math.max(1, Math.round(image.width * scale));
+    const height = Math.max(1, Math.round(image.height * scale));
+    let canvas;
+    if (typeof OffscreenCanvas !== "undefined") {
+        canvas = new OffscreenCanvas(width, height);
+    } else if (typeof document !== "undefined") {
+        canvas = document.createElement("canvas");
+        canvas.width = width;
+        canvas.height = height;
+    } else {
+        return false;
+    }
+    const context = canvas.getContext("2d");
+    if (!context) {
+        return false;
+    }
+    try {
+        context.drawImage(image, 0, 0, width, height);
+        return hasTransparentByte(context.getImageData(0, 0, width, height).data);
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Upload a texture loaded by CompressedTextures.Load, with its mip chain.
+ * @param {*} gl The webgl environment
+ * @param {WebGLTexture} texture The texture
+ * @param {object} compressed The texture data: its `format` name, `internalFormat`, `width`, `height` and `levels`
+ * @param {object} descriptor The texture parameters of createTexture
+ */
+function uploadTextureLevels(gl, texture, compressed, descriptor) {
+    const {
+        format,
+        internalFormat,
+        levels,
+        width,
+        height
+    } = compressed;
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+    gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, false);
+    levels.forEach((level, index) => {
+        if (format === "rgba8") {
+            gl.texImage2D(gl.TEXTURE_2D, index, internalFormat, level.width, level.height, 0, gl.RGBA, gl.UNSIGNED_BYTE, level.data);
+        } else {
+            gl.compressedTexImage2D(gl.TEXTURE_2D, index, internalFormat, level.width, level.height, 0, level.data);
+        }
+    });
+
+    const webGL2 = ResourceManager.IsWebGL2(gl);
+    const powerOf2 = ResourceManager.IsPowerOf2(width) && ResourceManager.IsPowerOf2(height);
+    const completeChain = levels.length === Math.floor(Math.log2(Math.max(width, height))) + 1;
+    let mipmaps = levels.length > 1 && (webGL2 || (powerOf2 && completeChain));
+    if (webGL2 && mipmaps) {
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAX_LEVEL, levels.length - 1);
+    } else if (levels.length === 1 && format === "rgba8" && (webGL2 || powerOf2)) {
+        // Uncompressed data without mip chain can still be mipmapped
+        gl.generateMipmap(gl.TEXTURE_2D);
+        mipmaps = true;
+    }
+
+    const minFilter = descriptor.minFilter;
+    if (mipmaps && (minFilter === undefined || (minFilter !== gl.NEAREST && minFilter !== gl.LINEAR))) {
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, minFilter !== undefined ? minFilter : gl.LINEAR_MIPMAP_LINEAR);
+        setAnisotropy(gl, descriptor.anisotropy);
+    } else {
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, minFilter === gl.NEAREST ? gl.NEAREST : gl.LINEAR);
+    }
+    if (descriptor.magFilter !== undefined) {
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, descriptor.magFilter);
+    }
+    if (webGL2 || powerOf2) {
+        const wrap = descriptor.clamp ? gl.CLAMP_TO_EDGE : gl.REPEAT;
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, descriptor.wrapS || wrap);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, descriptor.wrapT || wrap);
+    } else {
+        // WebGL1 only repeats power of 2 textures
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    }
+}
+
+/**
+ * Set the anisotropic filtering of the bound texture, if EXT_texture_filter_anisotropic is available.
+ * @param {*} gl The webgl environment
+ * @param {number} [anisotropy] Maximum anisotropy, clamped to what the GPU supports (the default). 1 disables it.
+ */
+function setAnisotropy(gl, anisotropy = Infinity) {
+    const extension = gl.getExtension("EXT_texture_filter_anisotropic") ||
+        gl.getExtension("MOZ_EXT_texture_filter_anisotropic") ||
+        gl.getExtension("WEBKIT_EXT_texture_filter_anisotropic");
+    if (extension && anisotropy > 1) {
+        const maxAnisotropy = gl.getParameter(extension.MAX_TEXTURE_MAX_ANISOTROPY_EXT);
+        gl.texParameterf(gl.TEXTURE_2D, extension.TEXTURE_MAX_ANISOTROPY_EXT, Math.min(anisotropy, maxAnisotropy));
+    }
+}
+
+/**
+ * Create the buffers of vertex data, with constant attributes for the missing colors, texture coordinates and normals, and register them.
+ * @param {*} gl
+ * @param {object} geometryData The vertex data of a geometry, kept unchanged
+ * @param {ResourceManager} resourceManager The manager the buffers are registered in
+ * @returns {object} - The bufferInfo
+ */
+function createBufferInfo(gl, geometryData, resourceManager) {
+    // Work on a copy so that the geometry keeps the parsed arrays
+    let data = {
+        ...geometryData
+    };
+
+    // Since each geometry has it's own buffer, we have to load them separately
+    // Because data is just named arrays like this
+    //
+    // {
+    //   position: [...],
+    //   texcoord: [...],
+    //   normal: [...],
+    // }
+    //
+    // and because those names match the attributes in our vertex
+    // shader we can pass it directly into `createBufferInfoFromArrays`
+    // from the article "less code more fun".
+
+    // WebGL1 can only draw 32 bit indices with OES_element_index_uint, otherwise go back to unindexed arrays
+    if (data.indices instanceof Uint32Array && !supportsUint32Indices(gl)) {
+        data = deindexVertexData(data);
+    }
+
+    if (data.color) {
+        if (data.position.length === data.color.length) {
+            // it's 3. The our helper library assumes 4 so we need
+            // to tell it there are only 3.
+            data.color = {
+                numComponents: 3,
+                data: data.color
+            };
+        }
+    } else {
+        // there are no vertex colors so just use constant white
+        data.color = {
+            value: [1, 1, 1, 1]
+        };
+    }
+
+    // generate tangents if we have the data to do so.
+    if (data.texcoord && data.normal) {
+        data.tangent = generateTangents(data.position, data.texcoord, data.indices);
+    } else {
+        // There are no tangents
+        data.tangent = {
+            value: [1, 0, 0]
+        };
+    }
+
+    if (!data.texcoord) {
+        data.texcoord = {
+            value: [0, 0]
+        };
+    }
+
+    if (!data.normal) {
+        // Only happens when ParseOBJ was asked not to generate normals
+        data.normal = {
+            value: [0, 0, 1]
+        };
+    }
+
+    // create a buffer for each array by calling
+    // gl.createBuffer, gl.bindBuffer, gl.bufferData
+    // `indices` goes in an ELEMENT_ARRAY_BUFFER, so the part will be drawn with gl.drawElements
+    const bufferInfo = webglUtils.createBufferInfoFromArrays(gl, data);
+    resourceManager.registerBufferInfo(bufferInfo, data);
+    return bufferInfo;
+}
+
+/**
+ * Check if the context can draw with 32 bit indices (always true on WebGL2).
+ * @param {*} gl The webgl environment
+ * @returns {boolean}
+ */
+function supportsUint32Indices(gl) {
+    return ResourceManager.IsWebGL2(gl) || !!gl.getExtension("OES_element_index_uint");
+}
+
+/**
+ * Expand indexed vertex data so that each index gets its own copy of the vertex.
+ * @param {object} data The geometry data, with an `indices` array
+ * @returns {object} - The same arrays without `indices`
+ */
+function deindexVertexData(data) {
+    const {
+        indices,
+        ...arrays
+    } = data;
+    const numVertices = data.position.length / 3;
+    return Object.fromEntries(Object.entries(arrays).map(([name, array]) => {
+        const numComponents = array.length / numVertices;
+        const expanded = [];
+        for (const index of indices) {
+            for (let i = 0; i < numComponents; ++i) {
+                expanded.push(array[index * numComponents + i]);
+            }
+        }
+        return [name, expanded];
+    }));
+}
+
+function generateTangents(position, texcoord, indices) {
+    function makeIndexIterator(indices) {
+        let ndx = 0;
+        const fn = () => indices[ndx++];
+        fn.reset = () => {
+            ndx = 0;
+        };
+        fn.numElements = indices.length;
+        return fn;
+    }
+
+    function makeUnindexedIterator(positions) {
+        let ndx = 0;
+        const fn = () => ndx++;
+        fn.reset = () => {
+            ndx = 0;
+        };
+        fn.numElements = positions.length / 3;
+        return fn;
+    }
+
+    const subtractVector2 = (a, b) => a.map((v, ndx) => v - b[ndx]);
+
+    const getNextIndex = indices ?
+        makeIndexIterator(indices) :
+        makeUnindexedIterator(position);
+    const numFaceVerts = getNextIndex.numElements;
+    const numFaces = numFaceVerts / 3;
+
+    // Vertices shared by several faces (indexed geometry) get the sum of the face tangents, normalized at the end
+    const tangents = new Array(position.length).fill(0);
+    for (let i = 0; i < numFaces; ++i) {
+        const n1 = getNextIndex();
+        const n2 = getNextIndex();
+        const n3 = getNextIndex();
+
+        const p1 = position.slice(n1 * 3, n1 * 3 + 3);
+        const p2 = position.slice(n2 * 3, n2 * 3 + 3);
+        const p3 = position.slice(n3 * 3, n3 * 3 + 3);
+
+        const uv1 = texcoord.slice(n1 * 2, n1 * 2 + 2);
+        const uv2 = texcoord.slice(n2 * 2, n2 * 2 + 2);
+        const uv3 = texcoord.slice(n3 * 2, n3 * 2 + 2);
+
+        const dp12 = m4.subtractVectors(p2, p1);
+        const dp13 = m4.subtractVectors(p3, p1);
+
+        const duv12 = subtractVector2(uv2, uv1);
+        const duv13 = subtractVector2(uv3, uv1);
+
+        const f = 1.0 / (duv12[0] * duv13[1] - duv13[0] * duv12[1]);
+        const tangent = Number.isFinite(f) ?
+            m4.normalize(m4.scaleVector(m4.subtractVectors(m4.scaleVector(dp12, duv13[1]), m4.scaleVector(dp13, duv12[1])), f)) :
+            [1, 0, 0];
+
+        for (const n of [n1, n2, n3]) {
+            tangents[n * 3] += tangent[0];
+            tangents[n * 3 + 1] += tangent[1];
+            tangents[n * 3 + 2] += tangent[2];
+        }
+    }
+
+    for (let i = 0; i < tangents.length; i += 3) {
+        const tangent = normalize3(tangents.slice(i, i + 3));
+        tangents.splice(i, 3, ...(tangent[0] || tangent[1] || tangent[2] ? tangent : [1, 0, 0]));
+    }
+
+    return tangents;
+}
+
+/**
+ * Compute the normals of the corners ParseOBJ could not take from the file, storing them in `triangle.normals`.
+ *
+ * Each corner gets the normalized sum of the normals of the faces that share its position and its smoothing group,
+ * skipping faces that bend more than the crease angle. Smoothing group 0 gets the face normal.
+ * @param {object[]} triangles Triangles recorded by ParseOBJ
+ * @param {number[][]} positions The obj positions (1 based)
+ * @param {object} options The ParseOBJ options (`creaseAngle` and `normalWeighting`)
+ */
+function generateVertexNormals(triangles, positions, options) {
+    if (!triangles.length) {
+        return;
+    }
+
+    const creaseCos = options.creaseAngle === undefined ? -1 : Math.cos(options.creaseAngle);
+    const angleWeighted = options.normalWeighting !== "area";
+
+    // The cross product length is twice the triangle area, so the raw normal is already area weighted
+    const faceNormals = triangles.map(({
+        positions: [a, b, c]
+    }) => cross3(subtract3(positions[b], positions[a]), subtract3(positions[c], positions[a])));
+    const unitNormals = faceNormals.map(normal => normalize3(normal));
+    const weightedNormals = triangles.map(({
+        positions: corners
+    }, tri) => corners.map((corner, i) => {
+        if (!angleWeighted) {
+            return faceNormals[tri];
+        }
+        // Weight by the angle of the triangle at this corner
+        const p = positions[corner];
+        const e1 = normalize3(subtract3(positions[corners[(i + 1) % 3]], p));
+        const e2 = normalize3(subtract3(positions[corners[(i + 2) % 3]], p));
+        const angle = Math.acos(Math.min(1, Math.max(-1, dot3(e1, e2))));
+        return unitNormals[tri].map(v => v * angle);
+    }));
+
+    // Triangles touching each position
+    const incident = new Map();
+    triangles.forEach(({
+        positions: corners
+    }, tri) => corners.forEach((position, corner) => {
+        if (!incident.has(position)) {
+            incident.set(position, []);
+        }
+        incident.get(position).push([tri, corner]);
+    }));
+
+    // Without a crease angle every corner of a smoothing group gets the same normal, so cache it
+    const cache = new Map();
+
+    triangles.forEach((triangle, tri) => {
+        const {
+            smoothingGroup,
+            needsNormals,
+            positions: corners
+        } = triangle;
+        triangle.normals = corners.map((position, corner) => {
+            if (!needsNormals[corner]) {
+                return undefined;
+            }
+
+            let normal;
+            const key = position + "/" + smoothingGroup;
+            if (smoothingGroup === 0) {
+                normal = unitNormals[tri];
+            } else if (creaseCos <= -1 && cache.has(key)) {
+                normal = cache.get(key);
+            } else {
+                const sum = [0, 0, 0];
+                for (const [other, otherCorner] of incident.get(position)) {
+                    if (triangles[other].smoothingGroup !== smoothingGroup || dot3(unitNormals[tri], unitNormals[other]) < creaseCos) {
+                        continue;
+                    }
+                    const weighted = weightedNormals[other][otherCorner];
+                    sum[0] += weighted[0];
+                    sum[1] += weighted[1];
+                    sum[2] += weighted[2];
+                }
+                normal = dot3(sum, sum) > 0 ? normalize3(sum) : unitNormals[tri];
+                if (creaseCos <= -1) {
+                    cache.set(key, normal);
+                }
+            }
+
+            return normal;
+        });
+    });
+}
+
+/**
+ * Fill the WebGL arrays of a geometry parsed by ParseOBJ.
+ *
+ * When indexed, corners with the same `v/vt/vn` tuple (or the same generated normal) share a single vertex
+ * and `data.indices` lists the primitives (triangles, segments or points).
+ * @param {object} geometry The geometry to fill
+ * @param {number[][]} corners The resolved `[v, vt, vn]` corners of the geometry, three per triangle or two per segment
+ * @param {number[][]} generatedNormals The generated normal of each corner, if any
+ * @param {number[][][]} objVertexData The obj positions, texcoords, normals and colors
+ * @param {boolean} indexed If true, deduplicate the vertices and generate the indices
+ * @returns {number[]} - The vertex used by each corner
+ */
+function buildVertexData(geometry, corners, generatedNormals, objVertexData, indexed) {
+    const [objPositions, objTexcoords, objNormals, objColors] = objVertexData;
+    const {
+        position,
+        texcoord,
+        normal,
+        color
+    } = geometry.data;
+    const hasTexcoords = corners.some(([, t]) => t !== undefined);
+    const hasNormals = generatedNormals.length > 0 || corners.some(([, , n]) => n !== undefined);
+    // Handle non standard obj format with colors
+    const hasColors = objColors.length > 1;
+
+    const vertexIndices = new Map();
+    const indices = [];
+    corners.forEach(([p, t, n], corner) => {
+        const generatedNormal = generatedNormals[corner];
+        let key;
+        if (indexed) {
+            key = p + "/" + t + "/" + (generatedNormal ? generatedNormal.join() : n);
+            if (vertexIndices.has(key)) {
+                indices.push(vertexIndices.get(key));
+                return;
+            }
+        } else {
+            indices.push(corner);
+        }
+
+        const index = position.length / 3;
+        position.push(...objPositions[p].slice(0, 3));
+        if (hasTexcoords) {
+            texcoord.push(...(t === undefined ? [0, 0] : objTexcoords[t].slice(0, 2)));
+        }
+        if (hasNormals) {
+            normal.push(...(generatedNormal || (n === undefined ? [0, 0, 1] : objNormals[n])));
+        }
+        if (hasColors) {
+            color.push(...objColors[p]);
+        }
+
+        if (indexed) {
+            vertexIndices.set(key, index);
+            indices.push(index);
+        }
+    });
+
+    if (indexed) {
+        geometry.data.indices = position.length / 3 > 65535 ? new Uint32Array(indices) : new Uint16Array(indices);
+    }
+    return indices;
+}
+
+/**
+ * Split a polygon in triangles.
+ *
+ * Triangles and convex polygons are split in a fan from the first vertex. Concave (and non planar) polygons are projected
+ * on the plane given by their Newell normal and split by ear clipping, so that no triangle falls outside the outline.
+ * @param {number[][]} points The positions of the polygon vertices, in order
+ * @returns {number[][]} - The triangles, as triples of vertex indices, or null if the polygon is degenerate (no area)
+ */
+function triangulatePolygon(points) {
+    const count = points.length;
+
+    // Newell's method gives a normal (with a length of twice the area) that is robust to concave and non planar polygons
+    const normal = [0, 0, 0];
+    for (let i = 0; i < count; ++i) {
+        const [x1, y1, z1] = points[i];
+        const [x2, y2, z2] = points[(i + 1) % count];
+        normal[0] += (y1 - y2) * (z1 + z2);
+        normal[1] += (z1 - z2) * (x1 + x2);
+        normal[2] += (x1 - x2) * (y1 + y2);
+    }
+    const unitNormal = normalize3(normal);
+    if (!unitNormal[0] && !unitNormal[1] && !unitNormal[2]) {
+        return null;
+    }
+    if (count === 3) {
+        return [
+            [0, 1, 2]
+        ];
+    }
+
+    // Project on the polygon plane, where it is counter clockwise
+    const u = normalize3(Math.abs(unitNormal[0]) > 0.9 ? cross3([0, 1, 0], unitNormal) : cross3([1, 0, 0], unitNormal));
+    const v = cross3(unitNormal, u);
+    const projected = points.map(point => [dot3(point, u), dot3(point, v)]);
+    const cross2 = (a, b, c) => (b[0] - a[0]) * (c[1] - a[1]) - (b[1] - a[1]) * (c[0] - a[0]);
+
+    const fan = () => Array.from({
+        length: count - 2
+    }, (_, i) => [0, i + 1, i + 2]);
+    let convex = true;
+    for (let i = 0; i < count && convex; ++i) {
+        convex = cross2(projected[i], projected[(i + 1) % count], projected[(i + 2) % count]) >= 0;
+    }
+    if (convex) {
+        return fan();
+    }
+
+    // Ear clipping: repeatedly cut a convex corner that has no reflex vertex inside (or on the border of) its triangle
+    const epsilon = 1e-12 * dot3(normal, normal);
+    const pointInTriangle = (p, a, b, c) => cross2(a, b, p) >= -epsilon && cross2(b, c, p) >= -epsilon && cross2(c, a, p) >= -epsilon;
+    const samePoint = (a, b) => a[0] === b[0] && a[1] === b[1];
+    const remaining = Array.from({
+        length: count
+    }, (_, i) => i);
+    const triangles = [];
+    while (remaining.length > 3) {
+        const corner = i => {
+            const length = remaining.length;
+            return [remaining[(i + length - 1) % length], remaining[i], remaining[(i + 1) % length]].map(index => projected[index]);
+        };
+        const reflex = remaining.filter((_, i) => cross2(...corner(i)) <= 0);
+        let ear = -1;
+        for (let i = 0; i < remaining.length && ear < 0; ++i) {
+            const [a, b, c] = corner(i);
+            if (cross2(a, b, c) < 0) {
+                continue; // Reflex corner
+            }
+            const blocked = reflex.some(other => {
+                const p = projected[other];
+                return !samePoint(p, a) && !samePoint(p, b) && !samePoint(p, c) && pointInTriangle(p, a, b, c);
+            });
+            if (!blocked) {
+                ear = i;
+            }
+        }
+        if (ear < 0) {
+            // Self intersecting polygon, there is no clean split: fan the rest
+            for (let i = 1; i < remaining.length - 1; ++i) {
+                triangles.push([remaining[0], remaining[i], remaining[i + 1]]);
+            }
+            return triangles;
+        }
+        triangles.push([remaining[(ear + remaining.length - 1) % remaining.length], remaining[ear], remaining[(ear + 1) % remaining.length]]);
+        remaining.splice(ear, 1);
+    }
+    triangles.push(remaining);
+    return triangles;
+}
+
+/**
+ * Tessellate a free-form curve or surface of an OBJ file.
+ *
+ * Both types are evaluated as (rational) B-splines: a Bézier element is the B-spline whose knots are its `parm` values, the first
+ * and last ones repeated degree + 1 times and the others degree times, so that each interval is a Bézier segment.
+ * @param {object} element The element: `kind` ("curve" or "surface"), `type` ("bezier" or "bspline"), `rational`, the `degree` and
+ * the `parm` values (`parameters`) of each direction, the parameter `range` and the control vertices `verts` (resolved
+ * `[v, vt, vn]` indices, u varying fastest)
+ * @param {number[][][]} objVertexData The positions, texture coordinates, normals and colors of the file
+ * @param {number[]} objWeights The weight of each position
+ * @param {number} resolution Number of segments each knot span is split in
+ * @returns {object|string} - The `points` and the `segments` of a curve, or the `points`, `triangles`, `texcoords` and `normals`
+ * (undefined where the surface is degenerate) of a surface; a message if the element is invalid
+ */
+function tessellateFreeForm(element, objVertexData, objWeights, resolution) {
+    const [objPositions, objTexcoords] = objVertexData;
+    const bases = [];
+    for (let d = 0; d < element.degree.length; ++d) {
+        const direction = "uv"[d];
+        const degree = element.degree[d];
+        const parameters = element.parameters[d];
+        if (!parameters) {
+            return `missing "parm ${direction}" statement`;
+        }
+        if (parameters.some((parameter, i) => i > 0 && parameter < parameters[i - 1])) {
+            return `the "parm ${direction}" values must be increasing`;
+        }
+        const knots = element.type === "bezier" ?
+            parameters.flatMap((parameter, i) => Array(i === 0 || i === parameters.length - 1 ? degree + 1 : degree).fill(parameter)) :
+            parameters;
+        const count = knots.length - degree - 1;
+        if (count < degree + 1) {
+            return `not enough "parm ${direction}" values for degree ${degree}`;
+        }
+        // Sample the range in the order it is given, restricted to the domain of the B-spline
+        const clamp = parameter => Math.min(Math.max(parameter, knots[degree]), knots[count]);
+        const start = clamp(element.range[2 * d]);
+        const end = clamp(element.range[2 * d + 1]);
+        const low = Math.min(start, end);
+        const high = Math.max(start, end);
+        const spans = new Set(knots.filter(knot => knot > low && knot < high)).size + 1;
+        bases.push({
+            degree,
+            knots,
+            count,
+            start,
+            end,
+            low,
+            high,
+            segments: spans * resolution
+        });
+    }
+    const [uBasis, vBasis = {
+        count: 1,
+        start: 0,
+        end: 0,
+        low: 0,
+        high: 0,
+        segments: 0
+    }] = bases;
+
+    const expected = uBasis.count * vBasis.count;
+    if (element.verts.length !== expected) {
+        return `${element.kind} has ${element.verts.length} control points, its degree and "parm" values require ${expected}`;
+    }
+
+    // Homogeneous control points: x, y, z, w and the texture coordinates s and t, all multiplied by the weight
+    const hasTexcoords = element.kind === "surface" && element.verts.every(([, t]) => t !== undefined);
+    const controlPoints = element.verts.map(([p, t]) => {
+        const weight = element.rational ? objWeights[p] : 1;
+        const [s = 0, tt = 0] = hasTexcoords ? objTexcoords[t] : [];
+        return [...objPositions[p].slice(0, 3), 1, s, tt].map(value => value * weight);
+    });
+
+    const evaluate = (u, v) => {
+        const uValues = bsplineBasis(uBasis, u);
+        const vValues = vBasis.knots ? bsplineBasis(vBasis, v) : {
+            first: 0,
+            values: [1]
+        };
+        const sum = [0, 0, 0, 0, 0, 0];
+        vValues.values.forEach((vValue, j) => {
+            uValues.values.forEach((uValue, i) => {
+                const controlPoint = controlPoints[(vValues.first + j) * uBasis.count + uValues.first + i];
+                for (let k = 0; k < 6; ++k) {
+                    sum[k] += uValue * vValue * controlPoint[k];
+                }
+            });
+        });
+        return sum.map(value => value / sum[3]);
+    };
+    const sample = (basis, i) => basis.segments ? basis.start + (basis.end - basis.start) * i / basis.segments : basis.start;
+
+    const points = [];
+    if (element.kind === "curve") {
+        const segments = [];
+        for (let i = 0; i <= uBasis.segments; ++i) {
+            points.push(evaluate(sample(uBasis, i)).slice(0, 3));
+            if (i > 0) {
+                segments.push([i - 1, i]);
+            }
+        }
+        return {
+            points,
+            segments
+        };
+    }
+
+    // Derivatives by finite differences along the sampling direction, so that the normals agree with the triangle winding
+    const clampToDomain = (basis, parameter) => Math.min(Math.max(parameter, basis.low), basis.high);
+    const derivative = (basis, u, v, along) => {
+        const h = (basis.end - basis.start) * 1e-4;
+        const [a, b] = along === "u" ?
+            [evaluate(clampToDomain(basis, u + h), v), evaluate(clampToDomain(basis, u - h), v)] :
+            [evaluate(u, clampToDomain(basis, v + h)), evaluate(u, clampToDomain(basis, v - h))];
+        return subtract3(a, b);
+    };
+
+    const texcoords = [];
+    const normals = [];
+    for (let j = 0; j <= vBasis.segments; ++j) {
+        const v = sample(vBasis, j);
+        for (let i = 0; i <= uBasis.segments; ++i) {
+            const u = sample(uBasis, i);
+            const value = evaluate(u, v);
+            points.push(value.slice(0, 3));
+            texcoords.push(hasTexcoords ? value.slice(4, 6) : [i / uBasis.segments, j / vBasis.segments]);
+
+            const du = derivative(uBasis, u, v, "u");
+            const dv = derivative(vBasis, u, v, "v");
+            const normal = cross3(du, dv);
+            const length = Math.hypot(...normal);
+            normals.push(length > 1e-6 * Math.hypot(...du) * Math.hypot(...dv) ? normal.map(x => x / length) : undefined);
+        }
+    }
+
+    const triangles = [];
+    const columns = uBasis.segments + 1;
+    for (let j = 0; j < vBasis.segments; ++j) {
+        for (let i = 0; i < uBasis.segments; ++i) {
+            const a = j * columns + i;
+            for (const triangle of [
+                    [a, a + 1, a + columns + 1],
+                    [a, a + columns + 1, a + columns]
+                ]) {
+                // Skip the triangles collapsed by a degenerate edge of the surface (e.g. the pole of a sphere)
+                const [p0, p1, p2] = triangle.map(index => points[index]);
+                const normal = cross3(subtract3(p1, p0), subtract3(p2, p0));
+                if (dot3(normal, normal) > 0) {
+                    triangles.push(triangle);
+                }
+            }
+        }
+    }
+    return {
+        points,
+        triangles,
+        texcoords,
+        normals
+    };
+}
+
+/**
+ * Evaluate the non zero B-spline basis functions at a parameter (Cox-de Boor recursion).
+ * @param {object} basis The `degree`, `knots` and number of control points (`count`) of the B-spline
+ * @param {number} u The parameter, in the domain of the B-spline
+ * @returns {object} - The index of the `first` control point with a non zero basis function and the degree + 1 basis `values`
+ */
+function bsplineBasis({
+    degree,
+    knots,
+    count
+}, u) {
+    // Find the knot span containing u, the last non empty one at the end of the domain
+    let span = degree;
+    while (span < count - 1 && u >= knots[span + 1]) {
+        span++;
+    }
+
+    const values = [1];
+    const left = [];
+    const right = [];
+    for (let j = 1; j <= degree; ++j) {
+        left[j] = u - knots[span + 1 - j];
+        right[j] = knots[span + j] - u;
+        let saved = 0;
+        for (let r = 0; r < j; ++r) {
+            const denominator = right[r + 1] + left[j - r];
+            const temp = denominator === 0 ? 0 : values[r] / denominator;
+            values[r] = saved + right[r + 1] * temp;
+            saved = left[j - r] * temp;
+        }
+        values[j] = saved;
+    }
+    return {
+        first: span - degree,
+        values
+    };
+}
+
+/**
+ * Check if the content of a STL file is binary: its size matches the facet count, or it doesn't start with "solid".
+ * @param {ArrayBuffer} buffer Content of the file
+ * @returns {boolean}
+ */
+function isBinarySTL(buffer) {
+    if (buffer.byteLength < 84) {
+        return false;
+    }
+    // Some binary files start with "solid" too, so the size is checked first
+    if (84 + new DataView(buffer).getUint32(80, true) * 50 === buffer.byteLength) {
+        return true;
+    }
+    return !new TextDecoder().decode(new Uint8Array(buffer, 0, 80)).trimStart().startsWith("solid");
+}
+
+/**
+ * Read the facets of a binary STL file.
+ * @param {ArrayBuffer} buffer Content of the file
+ * @param {object} reporter The reporter of the file
+ * @returns {object[]} - A single solid: its `name`, the `positions` (9 per facet), `normals` and `colors` (3 per facet, undefined if the
+ * file has no colors)
+ */
+function parseBinarySTL(buffer, reporter) {
+    const view = new DataView(buffer);
+    let count = view.getUint32(80, true);
+    if (84 + count * 50 > buffer.byteLength) {
+        reporter.report("error", `the file is truncated, ${count} facets announced`);
+        count = Math.floor((buffer.byteLength - 84) / 50);
+    }
+
+    // Materialise Magics files have "COLOR=" and the default RGBA color in the header
+    const header = new TextDecoder("latin1").decode(new Uint8Array(buffer, 0, 80));
+    const colorIndex = header.indexOf("COLOR=");
+    const magics = colorIndex >= 0 && colorIndex <= 70;
+    const defaultColor = magics ? [0, 1, 2].map(i => view.getUint8(colorIndex + 6 + i) / 255) : [1, 1, 1];
+    let hasColors = magics;
+
+    const positions = new Float32Array(count * 9);
+    const normals = new Float32Array(count * 3);
+    const colors = new Float32Array(count * 3);
+    for (let facet = 0; facet < count; ++facet) {
+        const offset = 84 + facet * 50;
+        for (let i = 0; i < 3; ++i) {
+            normals[facet * 3 + i] = view.getFloat32(offset + i * 4, true);
+        }
+        for (let i = 0; i < 9; ++i) {
+            positions[facet * 9 + i] = view.getFloat32(offset + 12 + i * 4, true);
+        }
+
+        const attribute = view.getUint16(offset + 48, true);
+        const channel = shift => ((attribute >> shift) & 31) / 31;
+        let color = defaultColor;
+        if (magics) {
+            if (!(attribute & 0x8000)) {
+                color = [channel(0), channel(5), channel(10)];
+            }
+        } else if (attribute & 0x8000) {
+            hasColors = true;
+            color = [channel(10), channel(5), channel(0)];
+        }
+        colors.set(color, facet * 3);
+    }
+    return [{
+        name: "default",
+        positions,
+        normals,
+        colors: hasColors ? colors : undefined
+    }];
+}
+
+/**
+ * Read the solids of an ASCII STL file.
+ * @param {string} text Content of the file
+ * @param {object} reporter The reporter of the file
+ * @returns {object[]} - The solids: their `name`, the `positions` (9 per facet) and `normals` (3 per facet)
+ */
+function parseASCIISTL(text, reporter) {
+    const solids = [];
+    let solid;
+    let facet;
+    const keywords = {
+        solid(parts, unparsedArgs) {
+            solid = {
+                name: unparsedArgs || "default",
+                positions: [],
+                normals: []
+            };
+            solids.push(solid);
+        },
+        facet(parts) {
+            facet = {
+                normal: parts[0] === "normal" ? parseNumbers(parts.slice(1), 3, reporter) : [0, 0, 0],
+                vertices: []
+            };
+        },
+        outer() {},
+        vertex(parts) {
+            if (!facet) {
+                reporter.report("error", "vertex outside of a facet");
+                return;
+            }
+            facet.vertices.push(parseNumbers(parts, 3, reporter));
+        },
+        endloop() {},
+        endfacet() {
+            if (!facet) {
+                reporter.report("error", "endfacet without facet");
+                return;
+            }
+            if (!solid) {
+                keywords.solid([], "");
+            }
+            const vertices = facet.vertices;
+            if (vertices.length < 3) {
+                reporter.report("error", `facet has ${vertices.length} vertices, 3 are required`);
+            }
+            // Some exporters write polygons, split them in a fan
+            for (let i = 1; i + 1 < vertices.length; ++i) {
+                solid.positions.push(...vertices[0], ...vertices[i], ...vertices[i + 1]);
+                solid.normals.push(...facet.normal);
+            }
+            facet = undefined;
+        },
+        endsolid() {
+            solid = undefined;
+        }
+    };
+    parseLines(text, keywords, reporter);
+    return solids;
+}
+
+/**
+ * Create the geometry of a STL solid, the corners of a facet share its normal (and color).
+ * @param {object} solid The solid: `name`, `positions`, `normals` and `colors`
+ * @param {object} options The ParseSTL options
+ * @returns {object} - The geometry, in the ParseOBJ format
+ */
+function createFacetGeometry({
+    name,
+    positions,
+    normals,
+    colors
+}, options) {
+    const indexed = options.indexed !== false;
+    const data = {
+        position: [],
+        normal: [],
+        color: []
+    };
+    const indices = [];
+    const vertexIndices = new Map();
+    for (let facet = 0; facet < positions.length / 9; ++facet) {
+        const corners = [0, 1, 2].map(corner => Array.from(positions.slice(facet * 9 + corner * 3, facet * 9 + corner * 3 + 3)));
+        let normal = Array.from(normals.slice(facet * 3, facet * 3 + 3));
+        if (options.recomputeNormals || !(normal[0] || normal[1] || normal[2])) {
+            normal = cross3(subtract3(corners[1], corners[0]), subtract3(corners[2], corners[0]));
+        }
+        const length = Math.hypot(...normal);
+        normal = length > 0 ? normal.map(value => value / length) : [0, 0, 1];
+        const color = colors && Array.from(colors.slice(facet * 3, facet * 3 + 3));
+
+        for (const corner of corners) {
+            const key = indexed && corner.join() + "/" + normal.join() + "/" + color;
+            if (indexed && vertexIndices.has(key)) {
+                indices.push(vertexIndices.get(key));
+                continue;
+            }
+            const index = data.position.length / 3;
+            data.position.push(...corner);
+            data.normal.push(...normal);
+            if (color) {
+                data.color.push(...color);
+            }
+            if (indexed) {
+                vertexIndices.set(key, index);
+            }
+            indices.push(index);
+        }
+    }
+    if (indexed) {
+        data.indices = data.position.length / 3 > 65535 ? new Uint32Array(indices) : new Uint16Array(indices);
+    }
+    if (!colors) {
+        delete data.color;
+    }
+    return {
+        object: name,
+        groups: ["default"],
+        material: "default",
+        primitive: "triangles",
+        data
+    };
+}
+
+/**
+ * DataView getter and size in bytes of each PLY property type.
+ */
+const PLY_TYPES = {
+    char: ["getInt8", 1],
+    int8: ["getInt8", 1],
+    uchar: ["getUint8", 1],
+    uint8: ["getUint8", 1],
+    short: ["getInt16", 2],
+    int16: ["getInt16", 2],
+    ushort: ["getUint16", 2],
+    uint16: ["getUint16", 2],
+    int: ["getInt32", 4],
+    int32: ["getInt32", 4],
+    uint: ["getUint32", 4],
+    uint32: ["getUint32", 4],
+    float: ["getFloat32", 4],
+    float32: ["getFloat32", 4],
+    double: ["getFloat64", 8],
+    float64: ["getFloat64", 8]
+};
+
+/**
+ * Get the value integer colors of a PLY type are divided by to get into [0, 1].
+ * @param {string} type The PLY property type
+ * @returns {number} - The maximum value of an integer type, 1 for floats
+ */
+function integerRange(type) {
+    const [getter, size] = PLY_TYPES[type];
+    if (getter.startsWith("getFloat")) {
+        return 1;
+    }
+    return 2 ** (size * 8 - (getter.startsWith("getInt") ? 1 : 0)) - 1;
+}
+
+/**
+ * Parse the header of a PLY file.
+ * @param {Uint8Array} bytes Content of the file
+ * @param {object} reporter The reporter of the file
+ * @returns {object} - The `format`, the `elements` (`name`, `count` and `properties`) and the offset of the data (`bodyOffset`)
+ */
+function parsePLYHeader(bytes, reporter) {
+    // The header is text ending with "end_header", each character is a byte
+    const decoder = new TextDecoder("latin1");
+    let text = decoder.decode(bytes.subarray(0, 65536));
+    if (text.indexOf("end_header") < 0 && bytes.length > 65536) {
+        text = decoder.decode(bytes);
+    }
+    const end = text.indexOf("end_header");
+    const header = {
+        format: "ascii",
+        elements: [],
+        bodyOffset: bytes.length
+    };
+    if (!text.startsWith("ply") || end < 0) {
+        reporter.report("error", "not a PLY file");
+        return header;
+    }
+    let bodyOffset = end + "end_header".length;
+    bodyOffset += text[bodyOffset] === "\r" ? 1 : 0;
+    bodyOffset += text[bodyOffset] === "\n" ? 1 : 0;
+    header.bodyOffset = bodyOffset;
+
+    let element;
+    const checkType = type => {
+        if (!PLY_TYPES[type]) {
+            reporter.report("error", `unknown property type "${type}"`);
+            header.invalid = true;
+        }
+    };
+    parseLines(text.slice(0, end), {
+        ply() {},
+        format(parts) {
+            if (!["ascii", "binary_little_endian", "binary_big_endian"].includes(parts[0])) {
+                reporter.report("error", `unknown format "${parts[0]}"`);
+                header.invalid = true;
+            }
+            header.format = parts[0];
+        },
+        comment() {},
+        obj_info() {},
+        element(parts) {
+            element = {
+                name: parts[0],
+                count: parseNumbers(parts.slice(1, 2), 1, reporter)[0],
+                properties: []
+            };
+            header.elements.push(element);
+        },
+        property(parts) {
+            if (!element) {
+                reporter.report("error", "property outside of an element");
+                header.invalid = true;
+                return;
+            }
+            if (parts[0] === "list") {
+                checkType(parts[1]);
+                checkType(parts[2]);
+                element.properties.push({
+                    list: true,
+                    countType: parts[1],
+                    type: parts[2],
+                    name: parts[3]
+                });
+            } else {
+                checkType(parts[0]);
+                element.properties.push({
+                    type: parts[0],
+                    name: parts[1]
+                });
+            }
+        }
+    }, reporter);
+    return header;
 }
 
-function generateTangents(position, texcoord, indices) {
-    function makeIndexIterator(indices) {
-        let ndx = 0;
-        const fn = () => indices[ndx++];
-        fn.reset = () => {
-            ndx = 0;
+/**
+ * Read the elements of a binary PLY file.
+ * @param {Uint8Array} bytes Content of the file
+ * @param {object} header The parsed header
+ * @param {object} reporter The reporter of the file
+ * @returns {object} - The elements by name, see readPLYElements
+ */
+function readBinaryPLYElements(bytes, header, reporter) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const littleEndian = header.format === "binary_little_endian";
+    let offset = header.bodyOffset;
+    return readPLYElements(header, type => {
+        const [getter, size] = PLY_TYPES[type];
+        // Throws a RangeError at the end of the file
+        const value = view[getter](offset, littleEndian);
+        offset += size;
+        return value;
+    }, reporter);
+}
+
+/**
+ * Read the elements of an ASCII PLY file.
+ * @param {Uint8Array} bytes Content of the file
+ * @param {object} header The parsed header
+ * @param {object} reporter The reporter of the file
+ * @returns {object} - The elements by name, see readPLYElements
+ */
+function readASCIIPLYElements(bytes, header, reporter) {
+    const tokens = new TextDecoder().decode(bytes.subarray(header.bodyOffset)).split(/\s+/).filter(token => token !== "");
+    let index = 0;
+    return readPLYElements(header, () => {
+        if (index >= tokens.length) {
+            throw new RangeError("end of file");
+        }
+        const value = Number(tokens[index]);
+        if (!Number.isFinite(value)) {
+            reporter.report("error", `invalid number "${tokens[index]}"`);
+        }
+        index++;
+        return Number.isFinite(value) ? value : 0;
+    }, reporter);
+}
+
+/**
+ * Read the elements of a PLY file in columns.
+ * @param {object} header The parsed header
+ * @param {function} read Function reading the next value of a given type, throwing a RangeError at the end of the file
+ * @param {object} reporter The reporter of the file
+ * @returns {object} - The elements by name: their `count`, their property `types` and `columns` by property name (a Float64Array of the
+ * values, or an array of lists)
+ */
+function readPLYElements(header, read, reporter) {
+    const elements = {};
+    if (header.invalid) {
+        return elements;
+    }
+    for (const element of header.elements) {
+        const columns = {};
+        const types = {};
+        for (const property of element.properties) {
+            columns[property.name] = property.list ? [] : new Float64Array(element.count);
+            types[property.name] = property.type;
+        }
+        const result = {
+            count: element.count,
+            columns,
+            types
         };
-        fn.numElements = indices.length;
-        return fn;
+        elements[element.name] = result;
+
+        let i = 0;
+        try {
+            for (; i < element.count; ++i) {
+                for (const property of element.properties) {
+                    if (property.list) {
+                        const list = new Array(read(property.countType));
+                        for (let k = 0; k < list.length; ++k) {
+                            list[k] = read(property.type);
+                        }
+                        columns[property.name].push(list);
+                    } else {
+                        columns[property.name][i] = read(property.type);
+                    }
+                }
+            }
+        } catch (error) {
+            if (!(error instanceof RangeError)) {
+                throw error;
+            }
+            reporter.report("error", `unexpected end of file in element "${element.name}" (${i} of ${element.count} read)`);
+            // Keep the complete items
+            result.count = i;
+            for (const [name, column] of Object.entries(columns)) {
+                columns[name] = column.slice(0, i);
+            }
+            break;
+        }
     }
+    return elements;
+}
 
-    function makeUnindexedIterator(positions) {
-        let ndx = 0;
-        const fn = () => ndx++;
-        fn.reset = () => {
-            ndx = 0;
-        };
-        fn.numElements = positions.length / 3;
-        return fn;
+/**
+ * Compute smooth vertex normals, averaging the normals of the triangles around each vertex weighted by their area.
+ * @param {Float32Array} position The vertex positions
+ * @param {Uint16Array|Uint32Array} indices The triangles
+ * @returns {Float32Array}
+ */
+function computeVertexNormals(position, indices) {
+    const normal = new Float32Array(position.length);
+    const point = index => [position[index * 3], position[index * 3 + 1], position[index * 3 + 2]];
+    for (let i = 0; i + 2 < indices.length; i += 3) {
+        const [a, b, c] = [indices[i], indices[i + 1], indices[i + 2]];
+        // The length of the cross product is twice the area of the triangle
+        const faceNormal = cross3(subtract3(point(b), point(a)), subtract3(point(c), point(a)));
+        for (const index of [a, b, c]) {
+            for (let k = 0; k < 3; ++k) {
+                normal[index * 3 + k] += faceNormal[k];
+            }
+        }
+    }
+    for (let i = 0; i < normal.length; i += 3) {
+        const length = Math.hypot(normal[i], normal[i + 1], normal[i + 2]);
+        if (length > 0) {
+            normal[i] /= length;
+            normal[i + 1] /= length;
+            normal[i + 2] /= length;
+        } else {
+            normal[i + 2] = 1;
+        }
     }
+    return normal;
+}
 
-    const subtractVector2 = (a, b) => a.map((v, ndx) => v - b[ndx]);
+/**
+ * Compute the centroid of geometries: the center of their triangles weighted by their area, so that finely tessellated parts
+ * don't pull it, or the average of their vertices when there are no triangles (lines, points or degenerate faces).
+ * @param {object[]} geometries Geometries in the ParseOBJ format
+ * @returns {number[]}
+ */
+function computeCentroid(geometries) {
+    const areaSum = [0, 0, 0];
+    const vertexSum = [0, 0, 0];
+    let area = 0;
+    let vertexCount = 0;
+    for (const geometry of geometries) {
+        const position = geometry.data.position;
+        if (!position) {
+            continue;
+        }
+        for (let i = 0; i + 2 < position.length; i += 3) {
+            for (let k = 0; k < 3; ++k) {
+                vertexSum[k] += position[i + k];
+            }
+        }
+        vertexCount += position.length / 3;
+        if ((geometry.primitive || "triangles") !== "triangles") {
+            continue;
+        }
+        const point = index => [position[index * 3], position[index * 3 + 1], position[index * 3 + 2]];
+        const triangleCount = geometry.data.indices ? geometry.data.indices.length / 3 : position.length / 9;
+        const corner = geometry.data.indices ? index => geometry.data.indices[index] : index => index;
+        for (let i = 0; i < triangleCount; i++) {
+            const [a, b, c] = [point(corner(i * 3)), point(corner(i * 3 + 1)), point(corner(i * 3 + 2))];
+            // Half the length of the cross product, the factor cancels out
+            const triangleArea = Math.hypot(...cross3(subtract3(b, a), subtract3(c, a)));
+            for (let k = 0; k < 3; ++k) {
+                areaSum[k] += triangleArea * (a[k] + b[k] + c[k]) / 3;
+            }
+            area += triangleArea;
+        }
+    }
+    if (area > 0) {
+        return areaSum.map(value => value / area);
+    }
+    return vertexSum.map(value => vertexCount > 0 ? value / vertexCount : 0);
+}
 
-    const getNextIndex = indices ?
-        makeIndexIterator(indices) :
-        makeUnindexedIterator(position);
-    const numFaceVerts = getNextIndex.numElements;
-    const numFaces = numFaceVerts / 3;
+const subtract3 = (a, b) => [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+const dot3 = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+const cross3 = (a, b) => [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
 
-    const tangents = [];
-    for (let i = 0; i < numFaces; ++i) {
-        const n1 = getNextIndex();
-        const n2 = getNextIndex();
-        const n3 = getNextIndex();
+/**
+ * Normalize a 3D vector, returning a zero vector for degenerate input.
+ * Kept local (instead of m4.normalize) so the parsers do not depend on the global m4.
+ * @param {number[]} v The vector
+ * @returns {number[]}
+ */
+function normalize3(v) {
+    const length = Math.sqrt(dot3(v, v));
+    return length > 0.00001 ? [v[0] / length, v[1] / length, v[2] / length] : [0, 0, 0];
+}
 
-        const p1 = position.slice(n1 * 3, n1 * 3 + 3);
-        const p2 = position.slice(n2 * 3, n2 * 3 + 3);
-        const p3 = position.slice(n3 * 3, n3 * 3 + 3);
+/**
+ * MTL texture statements and the material key they are stored in.
+ * map_Ks is stored in specularMap, the specular color map the shaders sample; map_Ns, formerly stored in specularMap,
+ * is now stored in shininessMap.
+ */
+const TEXTURE_MAP_KEYWORDS = {
+    map_Ka: "ambientMap",
+    map_Kd: "diffuseMap",
+    map_Ks: "specularMap",
+    map_Ns: "shininessMap",
+    map_Ke: "emissiveMap",
+    map_d: "opacityMap",
+    map_Bump: "normalMap",
+    map_bump: "normalMap",
+    bump: "normalMap",
+    disp: "displacementMap",
+    decal: "decalMap",
+    refl: "reflectionMap",
+    // PBR extension
+    norm: "normalMap",
+    map_Pr: "roughnessMap",
+    map_Pm: "metallicMap",
+    map_Ps: "sheenMap",
+    map_RMA: "rmaMap"
+};
 
-        const uv1 = texcoord.slice(n1 * 2, n1 * 2 + 2);
-        const uv2 = texcoord.slice(n2 * 2, n2 * 2 + 2);
-        const uv3 = texcoord.slice(n3 * 2, n3 * 2 + 2);
+/**
+ * Parse the arguments of an MTL texture statement (`[options] filename`) into a texture descriptor.
+ *
+ * Supported options (http://paulbourke.net/dataformats/mtl/):
+ * - -blendu on|off, -blendv on|off: texture blending in the u/v direction
+ * - -bm mult: bump multiplier
+ * - -boost value: mip-map sharpness boost
+ * - -cc on|off: color correction
+ * - -clamp on|off: clamp the texture coordinates to 0-1
+ * - -imfchan r|g|b|m|l|z: channel used by scalar textures
+ * - -mm base gain: range of the texture values
+ * - -o u [v [w]]: texture coordinates offset
+ * - -s u [v [w]]: texture coordinates scale
+ * - -t u [v [w]]: turbulence
+ * - -texres resolution: texture resolution
+ * - -type name: reflection map type (refl only)
+ * @param {string[]} parts The statement arguments
+ * @param {object} reporter The reporter of the file being parsed
+ * @returns {object} - The texture descriptor, or undefined if there is no file name
+ */
+function parseTextureMap(parts, reporter) {
+    const descriptor = {
+        file: undefined,
+        blendU: true,
+        blendV: true,
+        bumpMultiplier: 1,
+        boost: 0,
+        colorCorrection: false,
+        clamp: false,
+        channel: undefined,
+        range: [0, 1],
+        offset: [0, 0, 0],
+        scale: [1, 1, 1],
+        turbulence: [0, 0, 0],
+        resolution: undefined,
+        type: undefined
+    };
 
-        const dp12 = m4.subtractVectors(p2, p1);
-        const dp13 = m4.subtractVectors(p3, p1);
+    const isNumber = part => part !== undefined && part !== "" && Number.isFinite(Number(part));
+    // Read `count` required numbers followed by up to `optional` more
+    const readNumbers = (i, count, optional = 0) => {
+        const values = parseNumbers(parts.slice(i, i + count), count, reporter);
+        for (let j = i + count; j < i + count + optional && isNumber(parts[j]); ++j) {
+            values.push(Number(parts[j]));
+        }
+        return values;
+    };
+    const readSwitch = i => {
+        if (parts[i] !== "on" && parts[i] !== "off") {
+            reporter.report("error", `expected on or off, found "${parts[i]}"`);
+        }
+        return parts[i] !== "off";
+    };
 
-        const duv12 = subtractVector2(uv2, uv1);
-        const duv13 = subtractVector2(uv3, uv1);
+    let i = 0;
+    while (i < parts.length && parts[i].startsWith("-")) {
+        const option = parts[i++];
+        switch (option) {
+            case "-blendu":
+                descriptor.blendU = readSwitch(i++);
+                break;
+            case "-blendv":
+                descriptor.blendV = readSwitch(i++);
+                break;
+            case "-cc":
+                descriptor.colorCorrection = readSwitch(i++);
+                break;
+            case "-clamp":
+                descriptor.clamp = readSwitch(i++);
+                break;
+            case "-bm":
+                descriptor.bumpMultiplier = readNumbers(i++, 1)[0];
+                break;
+            case "-boost":
+                descriptor.boost = readNumbers(i++, 1)[0];
+                break;
+            case "-texres":
+                descriptor.resolution = readNumbers(i++, 1)[0];
+                break;
+            case "-mm":
+                descriptor.range = readNumbers(i, 2);
+                i += 2;
+                break;
+            case "-o":
+            case "-s":
+            case "-t": {
+                // v and w are optional, and keep their default when missing
+                const key = {
+                    "-o": "offset",
+                    "-s": "scale",
+                    "-t": "turbulence"
+                }[option];
+                const values = readNumbers(i, 1, 2);
+                i += values.length;
+                values.forEach((value, axis) => {
+                    descriptor[key][axis] = value;
+                });
+                break;
+            }
+            case "-imfchan":
+                if (!CHANNELS[parts[i]]) {
+                    reporter.report("error", `invalid -imfchan channel "${parts[i]}"`);
+                } else {
+                    descriptor.channel = parts[i];
+                }
+                i++;
+                break;
+            case "-type":
+                descriptor.type = parts[i++];
+                break;
+            default:
+                reporter.report("warning", `unhandled texture option "${option}"`);
+        }
+    }
 
-        const f = 1.0 / (duv12[0] * duv13[1] - duv13[0] * duv12[1]);
-        const tangent = Number.isFinite(f) ?
-            m4.normalize(m4.scaleVector(m4.subtractVectors(m4.scaleVector(dp12, duv13[1]), m4.scaleVector(dp13, duv12[1])), f)) :
-            [1, 0, 0];
+    if (i >= parts.length) {
+        reporter.report("error", "texture statement without a file name");
+        return undefined;
+    }
+    // The file name is what is left, and may contain spaces
+    descriptor.file = parts.slice(i).join(" ");
+    return descriptor;
+}
+
+/**
+ * Maps sampled as a single value, and the channel they are read from when the MTL does not say otherwise.
+ */
+const SCALAR_MAP_CHANNELS = {
+    opacityMap: "l",
+    shininessMap: "l",
+    roughnessMap: "r",
+    metallicMap: "r",
+    occlusionMap: "r"
+};
+
+/**
+ * Fill the metallic-roughness values of a material that has none, approximating them from its Phong values.
+ *
+ * Phong specular colors are not reflectances (exporters write Ks 0.5 for plain plastic), so a material is only
+ * considered metallic as far as its specular color outshines its diffuse one: a black Kd with a bright Ks is a metal.
+ * The roughness comes from the shininess exponent. Values the material does not define are left to the defaults.
+ * The shaders multiply the roughness and metallic values by their maps: with a `map_Pr`, `map_Pm` or `map_RMA` map, the matching
+ * value defaults to 1 instead, so that the map is used as it is.
+ * @param {object} material A material parsed by ParseMTL, with its maps already loaded
+ */
+function derivePBRFromPhong(material) {
+    const brightness = ([r, g, b]) => Math.sqrt(0.299 * r * r + 0.587 * g * g + 0.114 * b * b);
 
-        tangents.push(...tangent, ...tangent, ...tangent);
+    if (material.roughness === undefined && material.roughnessMap) {
+        material.roughness = 1;
+    } else if (material.roughness === undefined && material.shininess !== undefined) {
+        // Blinn-Phong exponent to GGX roughness
+        material.roughness = Math.min(1, Math.max(0.04, Math.sqrt(2 / (material.shininess + 2))));
     }
 
-    return tangents;
+    const diffuse = material.diffuse || [1, 1, 1];
+    if (material.metallic === undefined && material.metallicMap) {
+        material.metallic = 1;
+        material.baseColor = diffuse.slice();
+    } else if (material.metallic === undefined && material.specular) {
+        const specularBrightness = brightness(material.specular);
+        material.metallic = specularBrightness > 0 ? Math.min(1, Math.max(0, (specularBrightness - brightness(diffuse)) / specularBrightness)) : 0;
+        // Metals take their color from the specular reflection
+        material.baseColor = diffuse.map((value, i) => value + (material.specular[i] - value) * material.metallic);
+    } else {
+        material.baseColor = diffuse.slice();
+    }
+}
+
+/**
+ * Material maps holding colors, stored as sRGB textures.
+ */
+const COLOR_MAPS = ["diffuseMap", "ambientMap", "specularMap", "emissiveMap", "sheenMap"];
+
+/**
+ * Material maps that neither RenderEngine.defaultShaders nor RenderEngine.pbrShaders sample, and their MTL statement.
+ * They are reported as info diagnostics, like the unsupported statements.
+ */
+const UNSAMPLED_MAPS = {
+    ambientMap: "map_Ka",
+    displacementMap: "disp",
+    decalMap: "decal",
+    reflectionMap: "refl",
+    sheenMap: "map_Ps"
+};
+
+/**
+ * Options of ParseOBJ sent to the worker of ParseOBJInWorker, the other options may not be cloneable.
+ */
+const WORKER_PARSE_OPTIONS = [
+    "generateNormals",
+    "recomputeNormals",
+    "creaseAngle",
+    "normalWeighting",
+    "smoothByDefault",
+    "keepPolygons",
+    "indexed",
+    "freeFormResolution",
+    "fileName",
+    "strict"
+];
+
+/**
+ * Largest side of the reduced image read by imageHasAlpha.
+ */
+const ALPHA_CHECK_SIZE = 256;
+
+/**
+ * Compressed texture formats storing alpha, see CompressedTextures.GetSupportedFormats.
+ */
+const ALPHA_TEXTURE_FORMATS = ["bc1-rgba", "bc2", "bc3", "etc2-rgba1", "etc2-rgba"];
+
+/**
+ * MTL value statements and the material key they are stored in, in the order SerializeMTL writes them.
+ */
+const MTL_VALUE_KEYWORDS = [
+    ["Ka", "ambient"],
+    ["Kd", "diffuse"],
+    ["Ks", "specular"],
+    ["Ke", "emissive"],
+    ["Ns", "shininess"],
+    ["Ni", "opticalDensity"],
+    ["d", "opacity"],
+    ["illum", "illum"],
+    ["Pr", "roughness"],
+    ["Pm", "metallic"],
+    ["Ps", "sheen"],
+    ["Pc", "clearcoat"],
+    ["Pcr", "clearcoatRoughness"],
+    ["aniso", "anisotropy"],
+    ["anisor", "anisotropyRotation"]
+];
+
+/**
+ * Write a texture descriptor back as the arguments of an MTL texture statement, skipping the options left to their default.
+ * @param {object} descriptor The texture descriptor (see parseTextureMap)
+ * @param {function} formatNumber Function used to write the numbers
+ * @returns {string}
+ */
+function serializeTextureMap(descriptor, formatNumber) {
+    const args = [];
+    const onOff = value => value ? "on" : "off";
+    const isDefault = (values, defaults) => values.every((value, i) => value === defaults[i]);
+    if (descriptor.blendU === false) {
+        args.push("-blendu", onOff(descriptor.blendU));
+    }
+    if (descriptor.blendV === false) {
+        args.push("-blendv", onOff(descriptor.blendV));
+    }
+    if (descriptor.bumpMultiplier !== undefined && descriptor.bumpMultiplier !== 1) {
+        args.push("-bm", formatNumber(descriptor.bumpMultiplier));
+    }
+    if (descriptor.boost) {
+        args.push("-boost", formatNumber(descriptor.boost));
+    }
+    if (descriptor.colorCorrection) {
+        args.push("-cc", onOff(descriptor.colorCorrection));
+    }
+    if (descriptor.clamp) {
+        args.push("-clamp", onOff(descriptor.clamp));
+    }
+    if (descriptor.channel) {
+        args.push("-imfchan", descriptor.channel);
+    }
+    if (descriptor.range && !isDefault(descriptor.range, [0, 1])) {
+        args.push("-mm", ...descriptor.range.map(formatNumber));
+    }
+    if (descriptor.offset && !isDefault(descriptor.offset, [0, 0, 0])) {
+        args.push("-o", ...descriptor.offset.map(formatNumber));
+    }
+    if (descriptor.scale && !isDefault(descriptor.scale, [1, 1, 1])) {
+        args.push("-s", ...descriptor.scale.map(formatNumber));
+    }
+    if (descriptor.turbulence && !isDefault(descriptor.turbulence, [0, 0, 0])) {
+        args.push("-t", ...descriptor.turbulence.map(formatNumber));
+    }
+    if (descriptor.resolution !== undefined) {
+        args.push("-texres", formatNumber(descriptor.resolution));
+    }
+    if (descriptor.type) {
+        args.push("-type", descriptor.type);
+    }
+    args.push(descriptor.file);
+    return args.join(" ");
+}
+
+/**
+ * Get the geometries to serialize from the sources accepted by SerializeOBJ.
+ * @param {*} source A ParseOBJ result, an array of geometries or an object with parts loaded with `keepGeometry`
+ * @returns {object[]}
+ */
+function getSourceGeometries(source) {
+    if (Array.isArray(source)) {
+        return source;
+    }
+    if (Array.isArray(source.geometries)) {
+        return source.geometries;
+    }
+    if (Array.isArray(source.parts)) {
+        return source.parts.map((part, i) => {
+            if (!part.geometry) {
+                throw new Error(`SerializeOBJ: part ${i} has no geometry, load the object with the keepGeometry option`);
+            }
+            return part.geometry;
+        });
+    }
+    throw new Error("SerializeOBJ: expected a ParseOBJ result, an array of geometries or an object with parts");
+}
+
+/**
+ * Get the plain values of a vertex array, which can be wrapped as `{data, numComponents}`.
+ * @param {*} array The array
+ * @returns {number[]} - The values, undefined for missing and constant (`{value}`) arrays
+ */
+function getArrayData(array) {
+    if (!array || array.value) {
+        return undefined;
+    }
+    return array.data || array;
+}
+
+/**
+ * Create the function used by the serializers to write numbers.
+ * @param {number} [precision] Number of decimals, the shortest exact representation is used if missing
+ * @returns {function}
+ */
+function createNumberFormatter(precision) {
+    if (precision === undefined) {
+        return value => String(value);
+    }
+    // Going through Number drops the trailing zeros
+    return value => String(Number(value.toFixed(precision)));
+}
+
+/**
+ * Transform a point by a column major 4x4 matrix (the m4 layout).
+ * @param {number[]} m The matrix
+ * @param {number[]} p The point
+ * @returns {number[]}
+ */
+function transformPosition(m, [x, y, z]) {
+    const w = m[3] * x + m[7] * y + m[11] * z + m[15] || 1;
+    return [
+        (m[0] * x + m[4] * y + m[8] * z + m[12]) / w,
+        (m[1] * x + m[5] * y + m[9] * z + m[13]) / w,
+        (m[2] * x + m[6] * y + m[10] * z + m[14]) / w
+    ];
+}
+
+/**
+ * Compute the matrix used to transform the normals: the inverse transpose of the upper 3x3 of a world matrix,
+ * returned as a 4x4 matrix without translation so that it can be used with transformPosition.
+ * @param {number[]} m The column major 4x4 world matrix
+ * @returns {number[]}
+ */
+function getNormalMatrix(m) {
+    const [a, b, c, , d, e, f, , g, h, i] = m;
+    // Cofactors of the 3x3 matrix, which are the inverse transpose up to the determinant
+    const cofactors = [
+        e * i - f * h, f * g - d * i, d * h - e * g,
+        c * h - b * i, a * i - c * g, b * g - a * h,
+        b * f - c * e, c * d - a * f, a * e - b * d
+    ];
+    const det = a * cofactors[0] + b * cofactors[1] + c * cofactors[2];
+    const s = det ? 1 / det : 1;
+    return [
+        cofactors[0] * s, cofactors[1] * s, cofactors[2] * s, 0,
+        cofactors[3] * s, cofactors[4] * s, cofactors[5] * s, 0,
+        cofactors[6] * s, cofactors[7] * s, cofactors[8] * s, 0,
+        0, 0, 0, 1
+    ];
+}
+
+/**
+ * Weights used to read a single channel from a texel, for the `-imfchan` values.
+ */
+const CHANNELS = {
+    r: [1, 0, 0, 0],
+    g: [0, 1, 0, 0],
+    b: [0, 0, 1, 0],
+    m: [0, 0, 0, 1],
+    l: [0.2126, 0.7152, 0.0722, 0],
+    z: [1, 0, 0, 0]
+};
+
+/**
+ * Get the vector that selects an `-imfchan` channel with a dot product in the shaders.
+ * @param {string} channel One of r, g, b, m (matte, read from alpha), l (luminance) or z (depth, read from red)
+ * @returns {number[]}
+ */
+function channelVector(channel) {
+    return CHANNELS[channel].slice();
+}
+
+/**
+ * Statements of the OBJ specification that don't change the drawn geometry: merging groups, bevel and interpolation flags,
+ * levels of detail, ray tracing objects, and the free-form approximation techniques (the tessellation is given by
+ * `options.freeFormResolution`).
+ */
+const UNSUPPORTED_OBJ_KEYWORDS = ["mg", "bevel", "c_interp", "d_interp", "lod", "shadow_obj", "trace_obj", "ctech", "stech"];
+
+/**
+ * Statements of the MTL specification that the materials don't use: transmission filter, reflection map sharpness and
+ * texture antialiasing.
+ */
+const UNSUPPORTED_MTL_KEYWORDS = ["Tf", "sharpness", "map_aat"];
+
+/**
+ * Names of the `f` indices, used in the diagnostics.
+ */
+const VERTEX_DATA_NAMES = ["position", "texcoord", "normal"];
+
+/**
+ * Format a diagnostic as `file:line: severity: message`.
+ * @param {object} diagnostic The diagnostic
+ * @returns {string}
+ */
+function formatDiagnostic({
+    file,
+    line,
+    severity,
+    message
+}) {
+    return `${file || "<unknown>"}:${line}: ${severity}: ${message}`;
+}
+
+/**
+ * Print a diagnostic with a logger: the info ones as `info` messages, the others as warnings.
+ * @param {object} diagnostic The diagnostic
+ * @param {Logger} logger The logger
+ */
+function logDiagnostic(diagnostic, logger) {
+    if (diagnostic.severity === "info") {
+        logger.info(formatDiagnostic(diagnostic));
+    } else {
+        logger.warn(formatDiagnostic(diagnostic));
+    }
+}
+
+/**
+ * Add a diagnostic to `options.diagnostics`, or throw it if `options.strict` is set and it isn't an `"info"` one.
+ * @param {object} diagnostic The diagnostic, `{file, line, severity, message}`, severity `"error"`, `"warning"` or `"info"`
+ * @param {object} options The parser options
+ */
+function reportDiagnostic(diagnostic, options) {
+    if (options.strict && diagnostic.severity !== "info") {
+        throw new MeshParseError(diagnostic);
+    }
+    options.diagnostics.push(diagnostic);
+}
+
+/**
+ * Create the object used by the parsers to report problems for the line being parsed.
+ * @param {object} options The parser options (`fileName`, `strict` and `diagnostics`)
+ * @returns {object} - The reporter, parseLines keeps its `line` up to date
+ */
+function createReporter(options) {
+    const reporterOptions = {
+        strict: options.strict || false,
+        diagnostics: options.diagnostics || []
+    };
+    return {
+        file: options.fileName,
+        line: 0,
+        // Start of a statement continued on the next line, set by parseLine
+        continuedLine: undefined,
+        diagnostics: reporterOptions.diagnostics,
+        report(severity, message) {
+            reportDiagnostic({
+                file: this.file,
+                line: this.line,
+                severity,
+                message
+            }, reporterOptions);
+        }
+    };
+}
+
+/**
+ * Create the handlers of the statements that are valid but not supported, reported once per file as info diagnostics.
+ * @param {string[]} keywords The keywords of the statements
+ * @param {object} reporter The reporter of the file being parsed
+ * @returns {object} - The handler of each keyword, for parseLine
+ */
+function createUnsupportedHandlers(keywords, reporter) {
+    const reported = new Set();
+    return Object.fromEntries(keywords.map(keyword => [keyword, () => {
+        if (!reported.has(keyword)) {
+            reported.add(keyword);
+            reporter.report("info", `"${keyword}" statements are not supported and ignored`);
+        }
+    }]));
+}
+
+/**
+ * Convert the arguments of a statement to numbers, reporting the malformed ones (read as 0) and the missing ones.
+ * @param {string[]} parts The arguments
+ * @param {number} required Minimum number of values
+ * @param {object} reporter The reporter of the file being parsed
+ * @returns {number[]}
+ */
+function parseNumbers(parts, required, reporter) {
+    if (parts.length < required) {
+        reporter.report("error", `expected at least ${required} values, found ${parts.length}`);
+    }
+    const values = parts.map(part => {
+        const value = Number(part);
+        if (part === "" || !Number.isFinite(value)) {
+            reporter.report("error", `invalid number "${part}"`);
+            return 0;
+        }
+        return value;
+    });
+    while (values.length < required) {
+        values.push(0);
+    }
+    return values;
 }
 
 /**
  * Private function to parse line by line an obj or mtl file
  * @param {string} text Content of the obj or mtl file
  * @param {*} keywords Object with the keywords to parse
+ * @param {object} reporter Reporter of the file, unknown keywords are reported as warnings
  */
-function parseLines(text, keywords) {
-    /**
-     * Match a keyword at the start of a line followed by a list of arguments https://regexr.com/70n6l
-     */
-    const keywordRE = /(\w*)(?: )*(.*)/;
+function parseLines(text, keywords, reporter) {
     const lines = text.split("\n"); // Split the text into lines using \n
 
     // Loop through all the lines splitted above
     for (let lineNo = 0; lineNo < lines.length; ++lineNo) {
-        const line = lines[lineNo].trim(); // Trim the line removing whitespaces at the beginning and end
+        parseLine(lines[lineNo], lineNo + 1, keywords, reporter);
+    }
+}
 
-        // Ignore empty lines and comments
-        if (line === "" || line.startsWith("#")) {
-            continue;
-        }
+/**
+ * Match a keyword at the start of a line followed by a list of arguments https://regexr.com/70n6l
+ */
+const keywordRE = /(\w*)(?: )*(.*)/;
 
-        const m = keywordRE.exec(line); // Split the line into keyword and arguments using keywordRE
-        // If the split failed, ignore the line and continue
-        if (!m) {
-            continue;
-        }
-        const [, keyword, unparsedArgs] = m;
+/**
+ * Private function to parse a single line of an obj or mtl file
+ * @param {string} rawLine The line
+ * @param {number} lineNo Number of the line (1 based), used in the diagnostics
+ * @param {*} keywords Object with the keywords to parse
+ * @param {object} reporter Reporter of the file, unknown keywords are reported as warnings
+ */
+function parseLine(rawLine, lineNo, keywords, reporter) {
+    let line = rawLine.trim(); // Trim the line removing whitespaces at the beginning and end
+    reporter.line = lineNo;
+
+    // A line ending with a backslash continues on the next one (used by the long free-form statements)
+    if (reporter.continuedLine !== undefined) {
+        line = reporter.continuedLine + " " + line;
+        reporter.continuedLine = undefined;
+    }
+    if (line.endsWith("\\")) {
+        reporter.continuedLine = line.slice(0, -1).trim();
+        return;
+    }
 
-        const parts = line.split(/\s+/).slice(1); // Split the line on whitespaces and ignore the first element (the keyword)
-        const handler = keywords[keyword]; // Look up the keyword in the keywords object and call the corresponding function
+    // Ignore empty lines and comments
+    if (line === "" || line.startsWith("#")) {
+        return;
+    }
 
-        // If the keyword does not match any function, log a warning and continue
-        if (!handler) {
-            console.warn("unhandled keyword:", keyword, "at line", lineNo + 1);
-            continue;
-        }
+    const m = keywordRE.exec(line); // Split the line into keyword and arguments using keywordRE
+    // If the split failed, ignore the line and continue
+    if (!m) {
+        return;
+    }
+    const [, keyword, unparsedArgs] = m;
 
-        handler(parts, unparsedArgs); // Call the function with the required arguments
+    const parts = line.split(/\s+/).slice(1); // Split the line on whitespaces and ignore the first element (the keyword)
+    const handler = keywords[keyword]; // Look up the keyword in the keywords object and call the corresponding function
+
+    // If the keyword does not match any function, report a warning and continue
+    if (!handler) {
+        reporter.report("warning", `unhandled keyword "${keyword}"`);
+        return;
     }
+
+    handler(parts, unparsedArgs); // Call the function with the required arguments
 }
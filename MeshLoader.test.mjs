@@ -0,0 +1,405 @@
+/**
+ * Tests of MeshLoader: the diagnostics and the strict mode of the parsers, and the round trips of SerializeOBJ and SerializeMTL
+ * (parsing the serialized text gives the same geometries and materials).
+ *
+ * Run with `npm test`.
+ */
+import test from "node:test";
+import assert from "node:assert/strict";
+import { MeshLoader, MeshParseError } from "./MeshLoader.js";
+import { FileMapResolver } from "./Resolvers.js";
+import { Logger } from "./Logger.js";
+
+const OBJ = `mtllib scene.mtl
+o box
+g front sides
+usemtl red
+v 0 0 0 1 0 0
+v 1 0 0 0 1 0
+v 1 1 0 0 0 1
+v 0 1 0 1 1 1
+vt 0 0
+vt 1 0
+vt 1 1
+vt 0 1
+vn 0 0 1
+f 1/1/1 2/2/1 3/3/1 4/4/1
+g back
+usemtl blue
+v 0 0 -1
+v 1 0 -1
+v 1 1 -1
+f 7 6 5
+o wire
+usemtl red
+l 1 2 3 4
+p 5 6 7
+`;
+
+const MTL = `newmtl red
+Ka 0.1 0 0
+Kd 1 0 0
+Ks 0.5 0.5 0.5
+Ns 50
+d 0.75
+illum 2
+map_Kd -s 2 2 1 -o 0.5 0.25 0 -clamp on textures/red.png
+map_bump -bm 0.3 textures/normal.png
+map_d -imfchan m textures/alpha.png
+
+newmtl blue
+Kd 0 0 1
+Pr 0.4
+Pm 0.8
+`;
+
+/**
+ * Keep the line, severity and message of diagnostics.
+ * @param {object[]} diagnostics The diagnostics of a parser
+ * @returns {Array[]}
+ */
+function summarize(diagnostics) {
+    return diagnostics.map(({
+        line,
+        severity,
+        message
+    }) => [line, severity, message]);
+}
+
+test("ParseOBJ reports the problems of the file in its diagnostics", () => {
+    const obj = MeshLoader.ParseOBJ("v 0 0 x\nv 1 0 0\nv 0 1 0\nf 1 2 9\nf 1 2 3\nfoo bar\n", {
+        fileName: "bad.obj"
+    });
+    assert.deepEqual(summarize(obj.diagnostics), [
+        [1, "error", 'invalid number "x"'],
+        [4, "error", "position index 9 is out of range (3 defined)"],
+        [6, "warning", 'unhandled keyword "foo"']
+    ]);
+    assert.equal(obj.diagnostics[0].file, "bad.obj");
+    // The invalid face is dropped, the malformed number read as 0
+    assert.equal(obj.geometries.length, 1);
+    assert.deepEqual(Array.from(obj.geometries[0].data.position.slice(0, 3)), [0, 0, 0]);
+});
+
+test("ParseOBJ and ParseMTL report the unsupported statements of the specification once, as info", () => {
+    const obj = MeshLoader.ParseOBJ("mg 1\nv 0 0 0\nv 1 0 0\nv 0 1 0\nlod 1\nbevel off\nf 1 2 3\nmg 2\nctech cparm 1\n");
+    assert.deepEqual(summarize(obj.diagnostics), [
+        [1, "info", '"mg" statements are not supported and ignored'],
+        [5, "info", '"lod" statements are not supported and ignored'],
+        [6, "info", '"bevel" statements are not supported and ignored'],
+        [9, "info", '"ctech" statements are not supported and ignored']
+    ]);
+
+    const materials = MeshLoader.ParseMTL("newmtl a\nKd 1 1 1\nTf 1 1 1\nsharpness 60\nmap_aat on\n");
+    assert.deepEqual(materials.diagnostics.map(diagnostic => diagnostic.severity), ["info", "info", "info"]);
+});
+
+test("ParseMTL reads Tr as the opacity when there is no d statement", () => {
+    const materials = MeshLoader.ParseMTL("newmtl tr\nTr 0.25\nnewmtl both\nTr 0.9\nd 0.5\nnewmtl dFirst\nd 0.5\nTr 0.9\n");
+    assert.equal(materials.tr.opacity, 0.75);
+    assert.equal(materials.both.opacity, 0.5);
+    assert.equal(materials.dFirst.opacity, 0.5);
+    assert.equal(materials.diagnostics.length, 0);
+});
+
+test("strict mode throws on the errors and warnings but not on the unsupported statements", () => {
+    const materials = MeshLoader.ParseMTL("newmtl a\nKd 1 1 1\nTf 1 1 1\nTr 0\nsharpness 60\n", {
+        strict: true
+    });
+    assert.equal(materials.a.opacity, 1);
+    MeshLoader.ParseOBJ("mg 1\nbevel on\nc_interp off\nd_interp off\nlod 0\nshadow_obj s.obj\ntrace_obj t.obj\n", {
+        strict: true
+    });
+
+    assert.throws(() => MeshLoader.ParseOBJ("v 0 0 0\nf 1 2 3\n", {
+        strict: true,
+        fileName: "bad.obj"
+    }), error => error instanceof MeshParseError && error.file === "bad.obj" && error.line === 2 && error.severity === "error");
+    assert.throws(() => MeshLoader.ParseOBJ("v 0 0 0\nfoo\n", {
+        strict: true
+    }), error => error instanceof MeshParseError && error.severity === "warning");
+    assert.throws(() => MeshLoader.ParseMTL("Kd 1 1 1\nnewmtl a\n", {
+        strict: true
+    }), {
+        name: "MeshParseError",
+        message: '<unknown>:1: error: "Kd" found before any newmtl statement'
+    });
+});
+
+/**
+ * Expand the vertices of each primitive of a geometry, so that geometries indexed differently compare equal.
+ * The values are rounded, -0 (as in generated normals) becomes 0 like in the serialized text.
+ * @param {object} geometry A ParseOBJ geometry
+ * @returns {object} - The names, material and primitive of the geometry, and the vertex data of each index
+ */
+function expandGeometry(geometry) {
+    const {
+        data
+    } = geometry;
+    const vertexCount = data.position.length / 3;
+    const indices = data.indices ? Array.from(data.indices) : Array.from({
+        length: vertexCount
+    }, (value, index) => index);
+    const sizes = {
+        position: 3,
+        texcoord: 2,
+        normal: 3,
+        // ParseOBJ reads the `v x y z r g b` colors as RGB
+        color: 3
+    };
+    const corners = indices.map(index => Object.fromEntries(Object.keys(sizes).filter(name => data[name]).map(name => [
+        name,
+        Array.from(data[name].slice(index * sizes[name], (index + 1) * sizes[name]), value => Math.round(value * 1e6) / 1e6 + 0)
+    ])));
+    return {
+        object: geometry.object,
+        groups: geometry.groups,
+        material: geometry.material,
+        primitive: geometry.primitive,
+        corners
+    };
+}
+
+/**
+ * Parse an OBJ file, serialize it and parse it again.
+ * @param {string} text The OBJ file content
+ * @param {object} [options] Options of ParseOBJ
+ * @returns {object} - The `original` and the `reparsed` ParseOBJ results, and the serialized `text`
+ */
+function roundTripOBJ(text, options = {}) {
+    const original = MeshLoader.ParseOBJ(text, options);
+    const serialized = MeshLoader.SerializeOBJ(original);
+    return {
+        original,
+        reparsed: MeshLoader.ParseOBJ(serialized, options),
+        text: serialized
+    };
+}
+
+test("SerializeOBJ keeps the geometries of a parsed file", () => {
+    const {
+        original,
+        reparsed
+    } = roundTripOBJ(OBJ);
+    assert.equal(reparsed.diagnostics.length, 0);
+    assert.deepEqual(reparsed.geometries.map(expandGeometry), original.geometries.map(expandGeometry));
+});
+
+test("SerializeOBJ keeps the objects, groups and materials", () => {
+    const {
+        reparsed,
+        text
+    } = roundTripOBJ(OBJ);
+    assert.match(text, /^mtllib scene\.mtl$/m);
+    assert.deepEqual(reparsed.geometries.map(geometry => [geometry.object, geometry.groups.join(" "), geometry.material, geometry.primitive]), [
+        ["box", "front sides", "red", "triangles"],
+        ["box", "back", "blue", "triangles"],
+        ["wire", "back", "red", "lines"],
+        ["wire", "back", "red", "points"]
+    ]);
+    assert.deepEqual(reparsed.materialLibs, ["scene.mtl"]);
+});
+
+test("SerializeOBJ keeps the vertex colors, texture coordinates and normals", () => {
+    const {
+        reparsed
+    } = roundTripOBJ(OBJ);
+    const [front] = reparsed.geometries.map(expandGeometry);
+    assert.deepEqual(front.corners[0], {
+        position: [0, 0, 0],
+        texcoord: [0, 0],
+        normal: [0, 0, 1],
+        color: [1, 0, 0]
+    });
+    assert.deepEqual(front.corners.map(corner => corner.texcoord), [[0, 0], [1, 0], [1, 1], [0, 0], [1, 1], [0, 1]]);
+});
+
+test("SerializeOBJ keeps the lines and points", () => {
+    const {
+        reparsed
+    } = roundTripOBJ(OBJ);
+    const [lines, points] = reparsed.geometries.slice(2).map(expandGeometry);
+    assert.deepEqual(lines.corners.map(corner => corner.position), [[0, 0, 0], [1, 0, 0], [1, 0, 0], [1, 1, 0], [1, 1, 0], [0, 1, 0]]);
+    assert.deepEqual(points.corners.map(corner => corner.position), [[0, 0, -1], [1, 0, -1], [1, 1, -1]]);
+});
+
+test("SerializeOBJ round trips unindexed geometries", () => {
+    const {
+        original,
+        reparsed
+    } = roundTripOBJ(OBJ, {
+        indexed: false
+    });
+    assert.deepEqual(reparsed.geometries.map(expandGeometry), original.geometries.map(expandGeometry));
+});
+
+test("SerializeOBJ bakes a world transform", () => {
+    const original = MeshLoader.ParseOBJ(OBJ);
+    // Translation by (10, 0, 0) and rotation of 90 degrees around Z
+    const world = [0, 1, 0, 0, -1, 0, 0, 0, 0, 0, 1, 0, 10, 0, 0, 1];
+    const reparsed = MeshLoader.ParseOBJ(MeshLoader.SerializeOBJ(original, {
+        bakeTransform: true,
+        world
+    }));
+    const [front] = reparsed.geometries.map(expandGeometry);
+    assert.deepEqual(front.corners.slice(0, 3).map(corner => corner.position), [[10, 0, 0], [10, 1, 0], [9, 1, 0]]);
+    assert.deepEqual(front.corners[0].normal, [0, 0, 1]);
+});
+
+test("SerializeMTL keeps the materials and the texture options", () => {
+    const original = MeshLoader.ParseMTL(MTL);
+    const serialized = MeshLoader.SerializeMTL(original);
+    const diagnostics = [];
+    const reparsed = MeshLoader.ParseMTL(serialized, {
+        diagnostics
+    });
+    assert.equal(diagnostics.length, 0);
+    assert.deepEqual(JSON.parse(JSON.stringify(reparsed)), JSON.parse(JSON.stringify(original)));
+
+    assert.deepEqual(reparsed.red.diffuseMap.scale, [2, 2, 1]);
+    assert.deepEqual(reparsed.red.diffuseMap.offset, [0.5, 0.25, 0]);
+    assert.equal(reparsed.red.diffuseMap.clamp, true);
+    assert.equal(reparsed.red.normalMap.bumpMultiplier, 0.3);
+    assert.equal(reparsed.red.opacity, 0.75);
+    assert.equal(reparsed.blue.metallic, 0.8);
+});
+
+/**
+ * Create a WebGL context stub for the loaders: the constants are their names and every method returns an empty object.
+ * The buffers are created through the `webglUtils` global, stubbed as well.
+ * @returns {object}
+ */
+function createContextStub() {
+    globalThis.webglUtils = {
+        createBufferInfoFromArrays: (gl, arrays) => ({
+            numElements: arrays.indices ? arrays.indices.length : arrays.position.length / 3
+        })
+    };
+    return new Proxy({
+        canvas: {
+            width: 1,
+            height: 1
+        },
+        getExtension: () => null
+    }, {
+        get: (target, key) => key in target ? target[key] : /^[A-Z]/.test(key) ? key : () => ({})
+    });
+}
+
+test("SerializeOBJ and SerializeMTL write back an object loaded with keepGeometry", async () => {
+    const files = {
+        "model.obj": "mtllib model.mtl\nv 0 0 0\nv 1 0 0\nv 1 1 0\nusemtl red\nf 1 2 3\n",
+        "model.mtl": "newmtl red\nKd 1 0 0\n"
+    };
+    const object = {
+        name: "model",
+        filePath: "model.obj",
+        uniforms: {}
+    };
+    await MeshLoader.LoadOBJAndMesh(createContextStub(), object, {
+        resolver: new FileMapResolver(files),
+        keepGeometry: true,
+        logger: new Logger({
+            output: {
+                log() {},
+                warn() {}
+            }
+        })
+    });
+
+    // The parts are drawn with the default and derived values, only the ones of the file are written
+    assert.equal(object.parts[0].material.shininess, 400);
+    assert.equal(MeshLoader.SerializeMTL(object), "newmtl red\nKd 1 0 0\n");
+
+    const original = MeshLoader.ParseOBJ(files["model.obj"]);
+    const reparsed = MeshLoader.ParseOBJ(MeshLoader.SerializeOBJ(object));
+    assert.deepEqual(reparsed.geometries.map(expandGeometry), original.geometries.map(expandGeometry));
+});
+
+test("LoadOBJAndMesh resolves the texture maps relative to the MTL file that names them", async () => {
+    const resolver = new FileMapResolver({
+        "models/car.obj": "mtllib materials/car.mtl\nv 0 0 0\nv 1 0 0\nv 0 1 0\nusemtl paint\nf 1 2 3\n",
+        "models/materials/car.mtl": "newmtl paint\nmap_Kd paint.png\n"
+    });
+    const requested = [];
+    resolver.loadImage = async path => {
+        requested.push(path);
+        return {
+            width: 1,
+            height: 1
+        };
+    };
+    await MeshLoader.LoadOBJAndMesh(createContextStub(), {
+        name: "car",
+        filePath: "models/car.obj",
+        uniforms: {}
+    }, {
+        resolver,
+        waitForTextures: true,
+        logger: new Logger({
+            output: {
+                log() {},
+                warn() {}
+            }
+        })
+    });
+    assert.deepEqual(requested, ["models/materials/paint.png"]);
+});
+
+test("LoadOBJAndMesh reports the texture problems like the other diagnostics", async () => {
+    const load = async strict => {
+        const resolver = new FileMapResolver({
+            "model.obj": "mtllib model.mtl\nv 0 0 0\nv 1 0 0\nv 0 1 0\nusemtl a\nf 1 2 3\n",
+            "model.mtl": "newmtl a\nmap_Ka ambient.png\nmap_Kd missing.png\n",
+            "ambient.png": "image"
+        });
+        resolver.loadImage = async path => {
+            if (path !== "ambient.png") {
+                throw new Error(`can't load ${path}`);
+            }
+            return {
+                width: 1,
+                height: 1
+            };
+        };
+        const object = {
+            name: "model",
+            filePath: "model.obj",
+            uniforms: {}
+        };
+        const errors = [];
+        await MeshLoader.LoadOBJAndMesh(createContextStub(), object, {
+            resolver,
+            strict,
+            waitForTextures: true,
+            onTextureError: ({
+                error
+            }) => errors.push(error),
+            logger: new Logger({
+                output: {
+                    log() {},
+                    warn() {}
+                }
+            })
+        });
+        return {
+            object,
+            errors
+        };
+    };
+
+    const {
+        object,
+        errors
+    } = await load(false);
+    assert.deepEqual(summarize(object.diagnostics), [
+        [0, "info", 'map_Ka of material "a" is not used by the RenderEngine shaders'],
+        [0, "warning", "can't load missing.png"]
+    ]);
+    assert.equal(errors[0].message, "can't load missing.png");
+
+    // The unused map is only an info, the missing texture fails with the MeshParseError
+    const strict = await load(true);
+    assert.equal(strict.object.diagnostics.length, 1);
+    assert.ok(strict.errors[0] instanceof MeshParseError);
+});
@@ -0,0 +1,92 @@
+/**
+ * Module worker used by MeshLoader.ParseOBJInWorker to parse OBJ files off the main thread.
+ *
+ * Messages received:
+ * - `{type: "parse", source, options, fetchOptions}`: parse the OBJ file, `source` is an URL (fetched with the `fetchOptions`),
+ *   a ReadableStream or an ArrayBuffer
+ *
+ * The worker is meant to parse a single file, ParseOBJInWorker cancels the parsing by terminating it.
+ *
+ * Messages sent:
+ * - `{type: "progress", progress}`: the ParseOBJStream progress reports
+ * - `{type: "result", result}`: the ParseOBJ result, with typed arrays transferred to the main thread
+ * - `{type: "error", error}`: the parsing failed, `error` has the `name`, `message` and (for a MeshParseError) `diagnostic`
+ */
+import { MeshLoader } from "./MeshLoader.js";
+import { HTTPResolver } from "./Resolvers.js";
+
+self.addEventListener("message", async ({
+    data
+}) => {
+    if (data.type !== "parse") {
+        return;
+    }
+
+    try {
+        const {
+            stream,
+            totalBytes
+        } = await openSource(data.source, data.fetchOptions);
+        const result = await MeshLoader.ParseOBJStream(stream, {
+            ...data.options,
+            totalBytes,
+            onProgress: progress => self.postMessage({
+                type: "progress",
+                progress
+            })
+        });
+        self.postMessage({
+            type: "result",
+            result
+        }, toTransferableGeometries(result.geometries));
+    } catch (error) {
+        self.postMessage({
+            type: "error",
+            error: {
+                name: error.name,
+                message: error.message,
+                diagnostic: error.diagnostic
+            }
+        });
+    }
+});
+
+/**
+ * Get a stream of the OBJ file bytes.
+ * @param {string|ReadableStream|ArrayBuffer} source URL of the file, or its content
+ * @param {object} [fetchOptions] Options of the `fetch` call of an URL
+ * @returns {Promise<object>} - The `stream` and, if known, the `totalBytes`
+ */
+async function openSource(source, fetchOptions) {
+    if (typeof source === "string") {
+        return new HTTPResolver({
+            fetchOptions
+        }).loadStream(source);
+    }
+    if (source instanceof ArrayBuffer) {
+        return {
+            stream: new Blob([source]).stream(),
+            totalBytes: source.byteLength
+        };
+    }
+    return {
+        stream: source
+    };
+}
+
+/**
+ * Convert the arrays of the geometries to typed arrays, so that they can be transferred between threads.
+ * @param {object[]} geometries Geometries produced by ParseOBJ, converted in place
+ * @returns {ArrayBuffer[]} - The buffers of the typed arrays
+ */
+function toTransferableGeometries(geometries) {
+    const buffers = [];
+    for (const geometry of geometries) {
+        for (const [name, array] of Object.entries(geometry.data)) {
+            const typedArray = ArrayBuffer.isView(array) ? array : new Float32Array(array);
+            geometry.data[name] = typedArray;
+            buffers.push(typedArray.buffer);
+        }
+    }
+    return buffers;
+}
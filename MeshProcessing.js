@@ -0,0 +1,702 @@
+import {
+    MeshLoader
+} from "./MeshLoader.js";
+
+/**
+ * Processing of parsed geometries (the ParseOBJ format, also produced by ParseSTL, ParsePLY and GLTFLoader.ParseGLTF), before they
+ * become parts with MeshLoader.CreateParts:
+ * - MergeByMaterial: one geometry per material instead of one per `usemtl` statement, so one draw call per material
+ * - WeldVertices: share the vertices that are at the same place
+ * - Simplify: reduce the number of triangles with quadric error metrics
+ * - GenerateLODs: a chain of simplified levels, RenderEngine draws the one matching the size of the part on the screen
+ *
+ * The functions return new geometries, the given ones are not modified. MeshLoader.LoadOBJAndMesh applies them with the
+ * `mergeByMaterial`, `weldTolerance` and `lods` options, see ProcessGeometries.
+ */
+export class MeshProcessing {
+    /**
+     * Apply the processing options of the loaders.
+     * @param {object[]} geometries - Geometries in the ParseOBJ format
+     * @param {object} [options]
+     * @param {boolean} [options.mergeByMaterial=false] - If true, merge the geometries with the same material, see MergeByMaterial.
+     * @param {number} [options.weldTolerance] - If given, weld the vertices of each geometry with this tolerance, see WeldVertices.
+     * @param {boolean|object[]} [options.lods=false] - If true (or a list of levels), generate the LOD levels of each geometry, see GenerateLODs.
+     * @returns {object[]} - The processed geometries
+     */
+    static ProcessGeometries(geometries, options = {}) {
+        if (options.mergeByMaterial) {
+            geometries = this.MergeByMaterial(geometries);
+        }
+        if (options.weldTolerance !== undefined) {
+            geometries = geometries.map(geometry => this.WeldVertices(geometry, {
+                tolerance: options.weldTolerance
+            }));
+        }
+        if (options.lods) {
+            geometries = geometries.map(geometry => ({
+                ...geometry,
+                lods: this.GenerateLODs(geometry, Array.isArray(options.lods) ? {
+                    levels: options.lods
+                } : {})
+            }));
+        }
+        return geometries;
+    }
+
+    /**
+     * Merge the geometries that have the same material and primitive (and glTF `node`, as nodes have their own transform).
+     *
+     * The merged geometry keeps the object name of the first geometry and every group name. Attributes missing from some geometries
+     * get default values (white colors, zero texture coordinates and `[0, 0, 1]` normals). `polygons` are kept when every merged
+     * geometry has them.
+     * @param {object[]} geometries - Geometries in the ParseOBJ format
+     * @param {object} [options]
+     * @param {boolean} [options.byObject=false] - If true, only merge the geometries of the same object.
+     * @returns {object[]} - The merged geometries, in the order of their first geometry
+     */
+    static MergeByMaterial(geometries, options = {}) {
+        const batches = new Map();
+        for (const geometry of geometries) {
+            const key = JSON.stringify([geometry.material, geometry.primitive, geometry.node, options.byObject ? geometry.object : null]);
+            if (!batches.has(key)) {
+                batches.set(key, []);
+            }
+            batches.get(key).push(geometry);
+        }
+        return [...batches.values()].map(batch => batch.length === 1 ? batch[0] : mergeGeometries(batch));
+    }
+
+    /**
+     * Weld the vertices of a geometry: vertices closer than the tolerance (on each axis), with attributes within the tolerance too,
+     * become a single vertex. Triangles and segments that collapse are removed.
+     * @param {object} geometry - Geometry in the ParseOBJ format, indexed or not
+     * @param {object} [options]
+     * @param {number} [options.tolerance=1e-6] - Maximum difference between the values of welded vertices, 0 welds identical vertices only.
+     * @param {boolean} [options.positionOnly=false] - If true, weld vertices at the same place whatever their other attributes
+     * (the first vertex keeps its attributes), e.g. to remove the texture seams before simplifying.
+     * @returns {object} - The welded geometry, indexed
+     */
+    static WeldVertices(geometry, options = {}) {
+        const tolerance = options.tolerance !== undefined ? options.tolerance : 1e-6;
+        const data = geometry.data;
+        const vertexCount = data.position.length / 3;
+        const names = Object.keys(data).filter(name => name !== "indices");
+        const compared = options.positionOnly ? ["position"] : names;
+        const sizes = Object.fromEntries(names.map(name => [name, data[name].length / vertexCount]));
+        const matches = (a, b) => compared.every(name => {
+            const size = sizes[name];
+            for (let i = 0; i < size; i++) {
+                if (Math.abs(data[name][a * size + i] - data[name][b * size + i]) > tolerance) {
+                    return false;
+                }
+            }
+            return true;
+        });
+
+        // Spatial hash of the kept vertices, by cell of the size of the tolerance
+        const cellSize = tolerance > 0 ? tolerance : 1;
+        const cells = new Map();
+        const cellKey = (x, y, z) => x + "," + y + "," + z;
+        const remap = new Uint32Array(vertexCount);
+        const kept = [];
+        for (let vertex = 0; vertex < vertexCount; vertex++) {
+            const cell = [0, 1, 2].map(axis => Math.floor(data.position[vertex * 3 + axis] / cellSize));
+            let match = -1;
+            // With a tolerance, a close vertex may be in a neighbour cell
+            const range = tolerance > 0 ? 1 : 0;
+            for (let dx = -range; dx <= range && match < 0; dx++) {
+                for (let dy = -range; dy <= range && match < 0; dy++) {
+                    for (let dz = -range; dz <= range && match < 0; dz++) {
+                        const candidates = cells.get(cellKey(cell[0] + dx, cell[1] + dy, cell[2] + dz)) || [];
+                        match = candidates.find(candidate => matches(candidate, vertex));
+                        match = match === undefined ? -1 : match;
+                    }
+                }
+            }
+            if (match >= 0) {
+                remap[vertex] = remap[match];
+                continue;
+            }
+            remap[vertex] = kept.length;
+            kept.push(vertex);
+            const key = cellKey(...cell);
+            if (!cells.has(key)) {
+                cells.set(key, []);
+            }
+            cells.get(key).push(vertex);
+        }
+
+        const welded = {
+            ...compactVertexData(data, kept),
+            indices: createIndexArray(removeDegenerateElements(
+                Array.from(getIndices(data), index => remap[index]),
+                ELEMENT_SIZES[geometry.primitive] || 3
+            ), kept.length)
+        };
+        const result = {
+            ...geometry,
+            data: welded,
+            ...MeshLoader.ComputeBoundingVolumes(welded.position)
+        };
+        if (geometry.polygons) {
+            result.polygons = geometry.polygons
+                .map(polygon => polygon.map(index => remap[index]).filter((index, i, mapped) => index !== mapped[(i + 1) % mapped.length]))
+                .filter(polygon => polygon.length >= 3);
+        }
+        return result;
+    }
+
+    /**
+     * Simplify a "triangles" geometry to a target number of triangles with quadric error metrics (Garland and Heckbert).
+     *
+     * Edges are collapsed into one of their vertices, the cheapest first: the cost is the sum of the squared distances to the planes
+     * of the triangles around both vertices, weighted by their area. The vertices keep their attributes, vertices at the same place
+     * (e.g. on both sides of a texture seam) move together. Collapses that would flip a triangle are skipped, borders are preserved
+     * unless `preserveBorders` is false. The simplification stops early when no collapse is possible or cheap enough.
+     *
+     * `polygons` are dropped. Other primitives are returned unchanged.
+     * @param {object} geometry - Geometry in the ParseOBJ format, indexed or not
+     * @param {object} [options]
+     * @param {number} [options.targetTriangles] - Number of triangles to keep.
+     * @param {number} [options.ratio=0.5] - Fraction of the triangles to keep, used without `targetTriangles`.
+     * @param {number} [options.maxError=Infinity] - Maximum cost of a collapse.
+     * @param {boolean} [options.preserveBorders=true] - If true, the open borders of the mesh keep their shape.
+     * @returns {object} - The simplified geometry, indexed
+     */
+    static Simplify(geometry, options = {}) {
+        if (geometry.primitive && geometry.primitive !== "triangles") {
+            return geometry;
+        }
+        const data = geometry.data;
+        const indices = getIndices(data);
+        const triangleCount = indices.length / 3;
+        const targetTriangles = options.targetTriangles !== undefined ?
+            options.targetTriangles :
+            Math.floor(triangleCount * (options.ratio !== undefined ? options.ratio : 0.5));
+        const maxError = options.maxError !== undefined ? options.maxError : Infinity;
+
+        // Vertices at the same place share a position id, the collapses work on position ids
+        const vertexCount = data.position.length / 3;
+        const positionIds = new Map();
+        const positionOf = new Uint32Array(vertexCount);
+        const positions = [];
+        const positionVertices = [];
+        for (let vertex = 0; vertex < vertexCount; vertex++) {
+            const point = Array.from(data.position.slice(vertex * 3, vertex * 3 + 3));
+            const key = point.join(",");
+            if (!positionIds.has(key)) {
+                positionIds.set(key, positions.length);
+                positions.push(point);
+                positionVertices.push([]);
+            }
+            positionOf[vertex] = positionIds.get(key);
+            positionVertices[positionOf[vertex]].push(vertex);
+        }
+
+        const triangles = Uint32Array.from(indices);
+        const alive = new Uint8Array(triangleCount);
+        const positionTriangles = positions.map(() => new Set());
+        let aliveCount = 0;
+        for (let triangle = 0; triangle < triangleCount; triangle++) {
+            const [a, b, c] = [0, 1, 2].map(corner => positionOf[triangles[triangle * 3 + corner]]);
+            if (a === b || b === c || c === a) {
+                continue;
+            }
+            alive[triangle] = 1;
+            aliveCount++;
+            [a, b, c].forEach(id => positionTriangles[id].add(triangle));
+        }
+
+        const trianglePositions = triangle => [0, 1, 2].map(corner => positionOf[triangles[triangle * 3 + corner]]);
+
+        // Quadric of each position: area weighted planes of its triangles
+        const quadrics = new Float64Array(positions.length * 10);
+        const edgeTriangles = new Map();
+        const edgeKey = (a, b) => a < b ? a * positions.length + b : b * positions.length + a;
+        for (let triangle = 0; triangle < triangleCount; triangle++) {
+            if (!alive[triangle]) {
+                continue;
+            }
+            const ids = trianglePositions(triangle);
+            const normal = triangleNormal(...ids.map(id => positions[id]));
+            const doubleArea = Math.hypot(...normal);
+            if (doubleArea > 0) {
+                const unit = normal.map(value => value / doubleArea);
+                const plane = [...unit, -dot(unit, positions[ids[0]])];
+                ids.forEach(id => addPlaneQuadric(quadrics, id, plane, doubleArea / 2));
+            }
+            for (let corner = 0; corner < 3; corner++) {
+                const key = edgeKey(ids[corner], ids[(corner + 1) % 3]);
+                edgeTriangles.set(key, (edgeTriangles.get(key) || []).concat([triangle]));
+            }
+        }
+        if (options.preserveBorders !== false) {
+            // Borders get a steep plane through them, perpendicular to their triangle
+            for (const [key, [triangle]] of edgeTriangles) {
+                if (edgeTriangles.get(key).length !== 1) {
+                    continue;
+                }
+                const a = Math.floor(key / positions.length);
+                const b = key % positions.length;
+                const edge = positions[b].map((value, axis) => value - positions[a][axis]);
+                const normal = cross(edge, triangleNormal(...trianglePositions(triangle).map(id => positions[id])));
+                const length = Math.hypot(...normal);
+                if (length > 0) {
+                    const unit = normal.map(value => value / length);
+                    const weight = BORDER_WEIGHT * dot(edge, edge);
+                    const plane = [...unit, -dot(unit, positions[a])];
+                    addPlaneQuadric(quadrics, a, plane, weight);
+                    addPlaneQuadric(quadrics, b, plane, weight);
+                }
+            }
+        }
+
+        // Candidate collapses, invalidated when the quadric of one of their positions changes
+        const versions = new Uint32Array(positions.length);
+        const removed = new Uint8Array(positions.length);
+        const heap = new MinHeap();
+        const pushCollapses = (a, b) => {
+            for (const [from, to] of [
+                    [a, b],
+                    [b, a]
+                ]) {
+                heap.push({
+                    cost: collapseCost(quadrics, from, to, positions[to]),
+                    from,
+                    to,
+                    fromVersion: versions[from],
+                    toVersion: versions[to]
+                });
+            }
+        };
+        for (const key of edgeTriangles.keys()) {
+            pushCollapses(Math.floor(key / positions.length), key % positions.length);
+        }
+
+        while (aliveCount > targetTriangles && heap.size > 0) {
+            const collapse = heap.pop();
+            const {
+                from,
+                to
+            } = collapse;
+            if (removed[from] || removed[to] || versions[from] !== collapse.fromVersion || versions[to] !== collapse.toVersion) {
+                continue;
+            }
+            if (collapse.cost > maxError) {
+                break;
+            }
+
+            // Skip the collapses that flip (or flatten) a remaining triangle
+            const around = [...positionTriangles[from]];
+            const flips = around.some(triangle => {
+                const ids = trianglePositions(triangle);
+                if (ids.includes(to)) {
+                    return false;
+                }
+                const before = triangleNormal(...ids.map(id => positions[id]));
+                const after = triangleNormal(...ids.map(id => positions[id === from ? to : id]));
+                return dot(before, after) <= 0;
+            });
+            if (flips) {
+                continue;
+            }
+
+            // Each vertex of the removed position takes the place of a vertex of the kept one, preferably one of a shared triangle
+            const replacement = new Map();
+            for (const triangle of around) {
+                const corners = [0, 1, 2].map(corner => triangles[triangle * 3 + corner]);
+                const fromVertex = corners.find(vertex => positionOf[vertex] === from);
+                const toVertex = corners.find(vertex => positionOf[vertex] === to);
+                if (toVertex !== undefined && !replacement.has(fromVertex)) {
+                    replacement.set(fromVertex, toVertex);
+                }
+            }
+            for (const triangle of around) {
+                const ids = trianglePositions(triangle);
+                if (ids.includes(to)) {
+                    alive[triangle] = 0;
+                    aliveCount--;
+                    ids.forEach(id => positionTriangles[id].delete(triangle));
+                    continue;
+                }
+                for (let corner = 0; corner < 3; corner++) {
+                    const vertex = triangles[triangle * 3 + corner];
+                    if (positionOf[vertex] === from) {
+                        triangles[triangle * 3 + corner] = replacement.has(vertex) ? replacement.get(vertex) : positionVertices[to][0];
+                    }
+                }
+                positionTriangles[to].add(triangle);
+            }
+            positionTriangles[from].clear();
+            removed[from] = 1;
+            for (let i = 0; i < 10; i++) {
+                quadrics[to * 10 + i] += quadrics[from * 10 + i];
+            }
+            versions[to]++;
+
+            const neighbours = new Set();
+            for (const triangle of positionTriangles[to]) {
+                trianglePositions(triangle).forEach(id => neighbours.add(id));
+            }
+            neighbours.delete(to);
+            neighbours.forEach(neighbour => pushCollapses(to, neighbour));
+        }
+
+        // Keep the vertices of the remaining triangles
+        const kept = [];
+        const remap = new Map();
+        const simplifiedIndices = [];
+        for (let triangle = 0; triangle < triangleCount; triangle++) {
+            if (!alive[triangle]) {
+                continue;
+            }
+            for (let corner = 0; corner < 3; corner++) {
+                const vertex = triangles[triangle * 3 + corner];
+                if (!remap.has(vertex)) {
+                    remap.set(vertex, kept.length);
+                    kept.push(vertex);
+                }
+                simplifiedIndices.push(remap.get(vertex));
+            }
+        }
+        const simplified = {
+            ...compactVertexData(data, kept),
+            indices: createIndexArray(simplifiedIndices, kept.length)
+        };
+        const {
+            polygons,
+            ...rest
+        } = geometry;
+        return {
+            ...rest,
+            data: simplified,
+            ...MeshLoader.ComputeBoundingVolumes(simplified.position)
+        };
+    }
+
+    /**
+     * Generate a chain of simplified levels of a geometry, each one simplified from the previous one.
+     *
+     * Set the result in `geometry.lods` before MeshLoader.CreateParts, the part then gets `lods` (`{screenSize, bufferInfo}`) and
+     * RenderEngine draws the last level whose `screenSize` is larger than the size of the part on the screen (the fraction of the
+     * height of the view covered by its bounding sphere), the full geometry when the part is larger than every level.
+     * @param {object} geometry - Geometry in the ParseOBJ format
+     * @param {object} [options]
+     * @param {object[]} [options.levels] - The levels, from the most detailed: `ratio` of the triangles of the geometry to keep and
+     * `screenSize` below which the level is drawn. Default is half the triangles below 25% of the view, a quarter below 10%
+     * and a tenth below 4%.
+     * @param {number} [options.maxError] - Maximum cost of a collapse, see Simplify.
+     * @returns {object[]} - The levels, `{ratio, screenSize, data}`
+     */
+    static GenerateLODs(geometry, options = {}) {
+        if (geometry.primitive && geometry.primitive !== "triangles") {
+            return [];
+        }
+        const levels = options.levels || DEFAULT_LOD_LEVELS;
+        const triangleCount = getIndices(geometry.data).length / 3;
+        let previous = geometry;
+        return levels.map(({
+            ratio,
+            screenSize
+        }) => {
+            previous = this.Simplify(previous, {
+                targetTriangles: Math.floor(triangleCount * ratio),
+                maxError: options.maxError
+            });
+            return {
+                ratio,
+                screenSize,
+                data: previous.data
+            };
+        });
+    }
+}
+
+/**
+ * Default levels of GenerateLODs.
+ */
+const DEFAULT_LOD_LEVELS = [{
+    ratio: 0.5,
+    screenSize: 0.25
+}, {
+    ratio: 0.25,
+    screenSize: 0.1
+}, {
+    ratio: 0.1,
+    screenSize: 0.04
+}];
+
+/**
+ * Number of indices of the elements of each primitive.
+ */
+const ELEMENT_SIZES = {
+    triangles: 3,
+    lines: 2,
+    points: 1
+};
+
+/**
+ * Values of the attributes missing from some of the merged geometries.
+ */
+const DEFAULT_ATTRIBUTE_VALUES = {
+    color: [1, 1, 1, 1],
+    normal: [0, 0, 1]
+};
+
+/**
+ * Weight of the border planes, relative to the squared length of the border edge.
+ */
+const BORDER_WEIGHT = 10;
+
+/**
+ * Merge geometries with the same material and primitive.
+ * @param {object[]} geometries The geometries
+ * @returns {object} - The merged geometry
+ */
+function mergeGeometries(geometries) {
+    const [first] = geometries;
+    const names = [...new Set(geometries.flatMap(geometry => Object.keys(geometry.data)))].filter(name => name !== "indices");
+    const vertexCounts = geometries.map(geometry => geometry.data.position.length / 3);
+    const totalVertices = vertexCounts.reduce((sum, count) => sum + count, 0);
+
+    const data = {};
+    for (const name of names) {
+        // Colors may have 3 or 4 components, the merged ones have the most
+        const size = Math.max(...geometries.map((geometry, i) => geometry.data[name] ? geometry.data[name].length / vertexCounts[i] : 0));
+        const array = new Float32Array(totalVertices * size);
+        const defaults = DEFAULT_ATTRIBUTE_VALUES[name] || [];
+        let offset = 0;
+        geometries.forEach((geometry, i) => {
+            const source = geometry.data[name];
+            const sourceSize = source ? source.length / vertexCounts[i] : 0;
+            for (let vertex = 0; vertex < vertexCounts[i]; vertex++) {
+                for (let component = 0; component < size; component++) {
+                    array[(offset + vertex) * size + component] = component < sourceSize ?
+                        source[vertex * sourceSize + component] :
+                        defaults[component] !== undefined ? defaults[component] : 0;
+                }
+            }
+            offset += vertexCounts[i];
+        });
+        data[name] = array;
+    }
+
+    // Indexed if any of the geometries is
+    if (geometries.some(geometry => geometry.data.indices)) {
+        const indices = [];
+        let offset = 0;
+        geometries.forEach((geometry, i) => {
+            for (const index of getIndices(geometry.data)) {
+                indices.push(index + offset);
+            }
+            offset += vertexCounts[i];
+        });
+        data.indices = createIndexArray(indices, totalVertices);
+    }
+
+    const merged = {
+        object: first.object,
+        groups: [...new Set(geometries.flatMap(geometry => geometry.groups))],
+        material: first.material,
+        primitive: first.primitive,
+        data,
+        ...MeshLoader.ComputeBoundingVolumes(data.position)
+    };
+    if (first.node !== undefined) {
+        merged.node = first.node;
+    }
+    if (geometries.every(geometry => geometry.polygons)) {
+        let offset = 0;
+        merged.polygons = geometries.flatMap((geometry, i) => {
+            const polygons = geometry.polygons.map(polygon => polygon.map(index => index + offset));
+            offset += vertexCounts[i];
+            return polygons;
+        });
+    }
+    return merged;
+}
+
+/**
+ * Get the indices of the vertex data, the vertices in order for unindexed data.
+ * @param {object} data The vertex data
+ * @returns {ArrayLike<number>}
+ */
+function getIndices(data) {
+    if (data.indices) {
+        return data.indices;
+    }
+    const indices = new Uint32Array(data.position.length / 3);
+    indices.forEach((value, i) => {
+        indices[i] = i;
+    });
+    return indices;
+}
+
+/**
+ * Create the index array of a geometry, 16 bit when possible like ParseOBJ.
+ * @param {number[]} indices The indices
+ * @param {number} vertexCount Number of vertices
+ * @returns {Uint16Array|Uint32Array}
+ */
+function createIndexArray(indices, vertexCount) {
+    return vertexCount > 65535 ? new Uint32Array(indices) : new Uint16Array(indices);
+}
+
+/**
+ * Keep some vertices of vertex data.
+ * @param {object} data The vertex data
+ * @param {number[]} vertices Indices of the kept vertices, in their new order
+ * @returns {object} - The vertex data of the kept vertices, without indices
+ */
+function compactVertexData(data, vertices) {
+    const vertexCount = data.position.length / 3;
+    const compacted = {};
+    for (const [name, array] of Object.entries(data)) {
+        if (name === "indices") {
+            continue;
+        }
+        const size = array.length / vertexCount;
+        const values = new Float32Array(vertices.length * size);
+        vertices.forEach((vertex, i) => {
+            for (let component = 0; component < size; component++) {
+                values[i * size + component] = array[vertex * size + component];
+            }
+        });
+        compacted[name] = values;
+    }
+    return compacted;
+}
+
+/**
+ * Remove the elements that use the same vertex twice (collapsed triangles and segments).
+ * @param {number[]} indices The indices of the elements
+ * @param {number} size Number of indices of an element
+ * @returns {number[]} - The remaining indices
+ */
+function removeDegenerateElements(indices, size) {
+    if (size === 1) {
+        return indices;
+    }
+    const kept = [];
+    for (let i = 0; i < indices.length; i += size) {
+        const element = indices.slice(i, i + size);
+        if (new Set(element).size === size) {
+            kept.push(...element);
+        }
+    }
+    return kept;
+}
+
+/**
+ * Add the quadric of a plane to the quadric of a position.
+ * @param {Float64Array} quadrics The quadrics, 10 values each (the upper triangle of the symmetric 4x4 matrix)
+ * @param {number} id The position
+ * @param {number[]} plane The plane `[a, b, c, d]`, with a unit normal
+ * @param {number} weight The weight of the plane
+ */
+function addPlaneQuadric(quadrics, id, plane, weight) {
+    const [a, b, c, d] = plane;
+    const values = [a * a, a * b, a * c, a * d, b * b, b * c, b * d, c * c, c * d, d * d];
+    for (let i = 0; i < 10; i++) {
+        quadrics[id * 10 + i] += values[i] * weight;
+    }
+}
+
+/**
+ * Cost of collapsing a position into another one: the error of the sum of their quadrics at the kept position.
+ * @param {Float64Array} quadrics The quadrics
+ * @param {number} from The removed position
+ * @param {number} to The kept position
+ * @param {number[]} point The coordinates of the kept position
+ * @returns {number}
+ */
+function collapseCost(quadrics, from, to, point) {
+    const q = index => quadrics[from * 10 + index] + quadrics[to * 10 + index];
+    const [x, y, z] = point;
+    return Math.max(0,
+        q(0) * x * x + 2 * q(1) * x * y + 2 * q(2) * x * z + 2 * q(3) * x +
+        q(4) * y * y + 2 * q(5) * y * z + 2 * q(6) * y +
+        q(7) * z * z + 2 * q(8) * z +
+        q(9));
+}
+
+/**
+ * Normal of a triangle, with the length of twice its area.
+ * @param {number[]} a First vertex
+ * @param {number[]} b Second vertex
+ * @param {number[]} c Third vertex
+ * @returns {number[]}
+ */
+function triangleNormal(a, b, c) {
+    return cross(b.map((value, axis) => value - a[axis]), c.map((value, axis) => value - a[axis]));
+}
+
+/**
+ * @param {number[]} a
+ * @param {number[]} b
+ * @returns {number[]} - The cross product of the vectors
+ */
+function cross(a, b) {
+    return [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+}
+
+/**
+ * @param {number[]} a
+ * @param {number[]} b
+ * @returns {number} - The dot product of the vectors
+ */
+function dot(a, b) {
+    return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+}
+
+/**
+ * Binary heap of the candidate collapses, cheapest first.
+ */
+class MinHeap {
+    constructor() {
+        this.items = [];
+    }
+
+    get size() {
+        return this.items.length;
+    }
+
+    push(item) {
+        const items = this.items;
+        items.push(item);
+        let i = items.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (items[parent].cost <= item.cost) {
+                break;
+            }
+            items[i] = items[parent];
+            i = parent;
+        }
+        items[i] = item;
+    }
+
+    pop() {
+        const items = this.items;
+        const top = items[0];
+        const last = items.pop();
+        if (items.length > 0) {
+            let i = 0;
+            for (;;) {
+                const left = i * 2 + 1;
+                const right = left + 1;
+                let smallest = left < items.length && items[left].cost < last.cost ? left : -1;
+                if (right < items.length && items[right].cost < (smallest >= 0 ? items[smallest].cost : last.cost)) {
+                    smallest = right;
+                }
+                if (smallest < 0) {
+                    break;
+                }
+                items[i] = items[smallest];
+                i = smallest;
+            }
+            items[i] = last;
+        }
+        return top;
+    }
+}
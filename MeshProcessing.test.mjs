@@ -0,0 +1,187 @@
+/**
+ * Tests of MeshProcessing: the welding of the vertices and the simplification of the geometries.
+ *
+ * Run with `npm test`.
+ */
+import test from "node:test";
+import assert from "node:assert/strict";
+import { MeshProcessing } from "./MeshProcessing.js";
+
+/**
+ * Create a "triangles" geometry, not indexed.
+ * @param {number[][]} triangles The 9 coordinates of each triangle
+ * @returns {object} - The geometry in the ParseOBJ format
+ */
+function createGeometry(triangles) {
+    return {
+        primitive: "triangles",
+        data: {
+            position: Float32Array.from(triangles.flat())
+        }
+    };
+}
+
+/**
+ * Create a flat square from 0 to 1 in the xy plane, split in a grid of `divisions` x `divisions` cells of two triangles.
+ * @param {number} divisions The number of cells on each side
+ * @returns {number[][]} - The triangles
+ */
+function createGrid(divisions) {
+    const triangles = [];
+    for (let i = 0; i < divisions; i++) {
+        for (let j = 0; j < divisions; j++) {
+            const [x0, x1, y0, y1] = [i / divisions, (i + 1) / divisions, j / divisions, (j + 1) / divisions];
+            triangles.push([x0, y0, 0, x1, y0, 0, x1, y1, 0], [x0, y0, 0, x1, y1, 0, x0, y1, 0]);
+        }
+    }
+    return triangles;
+}
+
+/**
+ * Create a closed cube from -1 to 1, each face split in a grid of `divisions` x `divisions` cells of two triangles, facing out.
+ * @param {number} divisions The number of cells on each side of a face
+ * @returns {object} - The geometry, indexed, the faces share the vertices of the edges of the cube
+ */
+function createCube(divisions) {
+    const triangles = [];
+    // Each face maps the grid coordinates (u, v) to a point, the u and v axes are chosen so that u x v points out
+    const faces = [
+        (u, v) => [1, u, v],
+        (u, v) => [-1, v, u],
+        (u, v) => [v, 1, u],
+        (u, v) => [u, -1, v],
+        (u, v) => [u, v, 1],
+        (u, v) => [v, u, -1]
+    ];
+    for (const face of faces) {
+        for (const triangle of createGrid(divisions)) {
+            const corners = [0, 3, 6].map(i => face(triangle[i] * 2 - 1, triangle[i + 1] * 2 - 1));
+            triangles.push(corners.flat());
+        }
+    }
+    return MeshProcessing.WeldVertices(createGeometry(triangles), {
+        tolerance: 0
+    });
+}
+
+/**
+ * Count the triangles of a geometry.
+ * @param {object} data The geometry data
+ * @returns {number}
+ */
+function triangleCount(data) {
+    return (data.indices ? data.indices.length : data.position.length / 3) / 3;
+}
+
+/**
+ * Find the edges used by a single triangle.
+ * @param {object} data The indexed geometry data
+ * @returns {number[][]} - The positions of the two ends of each border edge
+ */
+function borderEdges(data) {
+    const point = index => Array.from(data.position.subarray(index * 3, index * 3 + 3));
+    const edges = new Map();
+    for (let i = 0; i < data.indices.length; i += 3) {
+        for (let corner = 0; corner < 3; corner++) {
+            const ends = [data.indices[i + corner], data.indices[i + (corner + 1) % 3]].map(point);
+            const key = ends.map(end => end.join(",")).sort().join(";");
+            edges.set(key, edges.has(key) ? null : ends);
+        }
+    }
+    return [...edges.values()].filter(ends => ends);
+}
+
+/**
+ * Sum the areas of the triangles of a flat geometry of the xy plane.
+ * @param {object} data The indexed geometry data
+ * @returns {number}
+ */
+function flatArea(data) {
+    let area = 0;
+    for (let i = 0; i < data.indices.length; i += 3) {
+        const [a, b, c] = [0, 1, 2].map(corner => data.indices[i + corner] * 3).map(offset => data.position.subarray(offset, offset + 2));
+        area += Math.abs((b[0] - a[0]) * (c[1] - a[1]) - (b[1] - a[1]) * (c[0] - a[0])) / 2;
+    }
+    return area;
+}
+
+test("WeldVertices welds the vertices within the tolerance across neighbouring cells", () => {
+    // 0.995 and 1.004 are in different cells of the size of the tolerance
+    const geometry = createGeometry([
+        [0, 0, 0, 0.995, 0, 0, 0, 1, 0],
+        [1.004, 0, 0, 1, 1, 0, 0, 1, 0]
+    ]);
+
+    const welded = MeshProcessing.WeldVertices(geometry, {
+        tolerance: 0.01
+    });
+    assert.equal(welded.data.position.length / 3, 4);
+    assert.deepEqual([...welded.data.indices], [0, 1, 2, 1, 3, 2]);
+
+    const separate = MeshProcessing.WeldVertices(geometry, {
+        tolerance: 0.005
+    });
+    assert.equal(separate.data.position.length / 3, 5);
+});
+
+test("WeldVertices removes the triangles that collapse", () => {
+    const geometry = createGeometry([
+        [0, 0, 0, 1, 0, 0, 0, 1, 0],
+        // Two of its vertices are welded together
+        [1, 0, 0, 1.001, 0, 0, 0, 1, 0],
+        [1, 0, 0, 1, 1, 0, 0, 1, 0]
+    ]);
+
+    const welded = MeshProcessing.WeldVertices(geometry, {
+        tolerance: 0.01
+    });
+    assert.deepEqual([...welded.data.indices], [0, 1, 2, 1, 3, 2]);
+});
+
+test("Simplify reaches targetTriangles on a closed mesh and keeps it closed", () => {
+    const cube = createCube(4);
+    assert.equal(triangleCount(cube.data), 192);
+
+    const simplified = MeshProcessing.Simplify(cube, {
+        targetTriangles: 48
+    });
+    assert.equal(triangleCount(simplified.data), 48);
+    assert.deepEqual(borderEdges(simplified.data), []);
+    // The corners of the cube are kept
+    assert.deepEqual(simplified.boundingBox, cube.boundingBox);
+});
+
+test("Simplify preserves the borders of open meshes", () => {
+    const grid = MeshProcessing.WeldVertices(createGeometry(createGrid(6)), {
+        tolerance: 0
+    });
+
+    const simplified = MeshProcessing.Simplify(grid, {
+        ratio: 0.25
+    });
+    assert.ok(triangleCount(simplified.data) <= 18);
+    // The borders are still the sides of the square, which keeps its area
+    const onSide = (a, b) => [0, 1].some(axis => a[axis] === b[axis] && (a[axis] === 0 || a[axis] === 1));
+    for (const [a, b] of borderEdges(simplified.data)) {
+        assert.ok(onSide(a, b), `border edge ${a} - ${b} is not on a side of the square`);
+    }
+    assert.ok(Math.abs(flatArea(simplified.data) - 1) < 1e-6);
+});
+
+test("GenerateLODs measures the ratio of each level against the triangles of the original geometry", () => {
+    const cube = createCube(4);
+
+    const lods = MeshProcessing.GenerateLODs(cube, {
+        levels: [{
+            ratio: 0.5,
+            screenSize: 0.25
+        }, {
+            ratio: 0.25,
+            screenSize: 0.1
+        }]
+    });
+    assert.deepEqual(lods.map(lod => [lod.ratio, lod.screenSize, triangleCount(lod.data)]), [
+        [0.5, 0.25, 96],
+        [0.25, 0.1, 48]
+    ]);
+});
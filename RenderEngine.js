@@ -1,16 +1,68 @@
+import {
+    SceneNode
+} from "./SceneGraph.js";
+import {
+    Light,
+    DirectionalLight
+} from "./Lights.js";
+import {
+    ResourceManager
+} from "./ResourceManager.js";
+
 export class RenderEngine {
     /**
      *
      * @param {*} gl
      * @param {*} options Dictionary of options.
      * @param {boolean} options.enablePicker If true, the render engine will render to a texture and detect objects by their color.
-     * @param {boolean} options.enableTransparency If true, the render engine will enable alpha blending.
+     * @param {boolean} options.enableTransparency If true, the render engine will enable alpha blending, and draw the transparent parts
+     * after the opaque ones without writing their depth (see render).
+     * @param {string} options.transparencyMode How the transparent parts are blended: "sorted" (default) draws them from back to front,
+     * "oit" uses weighted blended order-independent transparency, better for heavily overlapping geometry. "oit" needs floating point
+     * render targets, the engine falls back to "sorted" (in `transparencyMode`) when the GPU has none.
+     * @param {number} options.pointSize Size in pixels of the points of "points" parts (can be overridden by the `u_pointSize` uniform of an object). Default 1.
+     * @param {*} options.unlitProgramInfo programInfo used to draw "lines" and "points" parts. Default is a program built from unlitShaders.
+     * @param {number} options.lodBias Factor of the screen size of the parts when choosing their level of detail (see MeshProcessing.GenerateLODs),
+     * below 1 to use the simplified levels sooner. Default 1.
+     * @param {boolean} options.enableGPUTimers If true, measure the GPU time of each pass with EXT_disjoint_timer_query (or its WebGL2 variant)
+     * when available. The timings arrive a few frames later, in `gpuTimings` and `options.onGPUTiming`.
+     * @param {function} options.onGPUTiming Called with `{frame, pass, gpuTime}` (in milliseconds) when the GPU time of a pass is known.
+     * @param {Light[]} options.lights Lights of the scene (see Lights.js), also in `lights` to change them later. Default none.
+     * @param {number} options.maxLights Number of directional, point and spot lights drawn, at most the size of the light arrays of the
+     * shaders (RenderEngine.maxLights, see ShadersWithMaxLights for more). Default RenderEngine.maxLights.
+     * @param {boolean} options.enableShadows If true, the directional and spot lights with `castShadow` cast shadows: render draws the depth
+     * seen from each of them in a secondary framebuffer, sampled by the default and PBR shaders built with ShadersWithShadows. Objects with
+     * `castShadow` false cast no shadow, objects with `receiveShadow` false are not shadowed.
+     * @param {number} options.shadowMapSize Size in pixels of each shadow map (one per spot light and per cascade of directional light).
+     * Default 1024.
+     * @param {*} options.shadowProgramInfo programInfo used to draw the shadow maps. Default is a program built from shadowShaders.
      */
     constructor(gl, options = {}) {
         this.gl = gl;
+        this.isWebGL2 = ResourceManager.IsWebGL2(gl);
 
         this.enablePicker = options.enablePicker || false;
         this.enableTransparency = options.enableTransparency || false;
+        this.transparencyMode = options.transparencyMode || "sorted";
+        this.pointSize = options.pointSize || 1;
+        this.unlitProgramInfo = options.unlitProgramInfo;
+        this.lodBias = options.lodBias !== undefined ? options.lodBias : 1;
+        this.lights = options.lights || [];
+        this.maxLights = options.maxLights || RenderEngine.maxLights;
+        this.enableShadows = options.enableShadows || false;
+        this.shadowMapSize = options.shadowMapSize || 1024;
+        this.shadowProgramInfo = options.shadowProgramInfo;
+
+        // Statistics of the last rendered frame, see render
+        this.frame = 0;
+        this.stats = undefined;
+        this.onGPUTiming = options.onGPUTiming;
+        // GPU time of each pass of the last measured frame, {frame, passes: {picker, main}}
+        this.gpuTimings = undefined;
+        if (options.enableGPUTimers) {
+            const gpuTimer = new GPUTimer(gl, this.isWebGL2);
+            this.gpuTimer = gpuTimer.supported ? gpuTimer : undefined;
+        }
 
         gl.enable(gl.CULL_FACE);
         gl.enable(gl.DEPTH_TEST);
@@ -50,28 +102,185 @@ export class RenderEngine {
 
             setFramebufferAttachmentSizes(gl, this.targetTexture, this.depthBuffer);
         }
+
+        if (this.enableShadows) {
+            // Texture receiving the shadow maps, side by side. The depths are packed in the RGBA bytes, so they can't be interpolated.
+            this.shadowTexture = gl.createTexture();
+            gl.bindTexture(gl.TEXTURE_2D, this.shadowTexture);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+
+            this.shadowDepthBuffer = gl.createRenderbuffer();
+            gl.bindRenderbuffer(gl.RENDERBUFFER, this.shadowDepthBuffer);
+
+            this.shadowFb = gl.createFramebuffer();
+            gl.bindFramebuffer(gl.FRAMEBUFFER, this.shadowFb);
+            gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, this.shadowTexture, 0);
+            gl.framebufferRenderbuffer(gl.FRAMEBUFFER, gl.DEPTH_ATTACHMENT, gl.RENDERBUFFER, this.shadowDepthBuffer);
+            gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+
+            // Sized by renderShadows for the number of shadow maps
+            this.shadowTextureSize = [0, 0];
+        }
+
+        if (this.transparencyMode === "oit" && !this.createOITFramebuffers()) {
+            this.transparencyMode = "sorted";
+        }
+    }
+
+    /**
+     * Create the framebuffers of the order-independent transparency: the accumulated weighted colors in a floating point texture, and
+     * the revealage (the part of the background seen through the transparent parts) in another one. They share a depth buffer.
+     * @returns {boolean} - False if the GPU can't render to floating point textures
+     */
+    createOITFramebuffers() {
+        const gl = this.gl;
+        let colorType;
+        if (this.isWebGL2) {
+            colorType = gl.getExtension("EXT_color_buffer_float") ? gl.HALF_FLOAT : undefined;
+        } else {
+            const halfFloat = gl.getExtension("OES_texture_half_float");
+            colorType = halfFloat && gl.getExtension("EXT_color_buffer_half_float") ? halfFloat.HALF_FLOAT_OES : undefined;
+        }
+        if (colorType === undefined) {
+            return false;
+        }
+        this.oitColorType = colorType;
+
+        const createTarget = () => {
+            const texture = gl.createTexture();
+            gl.bindTexture(gl.TEXTURE_2D, texture);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+            return texture;
+        };
+        this.oitAccumulationTexture = createTarget();
+        this.oitRevealageTexture = createTarget();
+        this.oitDepthBuffer = gl.createRenderbuffer();
+        this.setOITFramebufferSizes(gl.canvas.width, gl.canvas.height);
+
+        const createFramebuffer = texture => {
+            const framebuffer = gl.createFramebuffer();
+            gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+            gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
+            gl.framebufferRenderbuffer(gl.FRAMEBUFFER, gl.DEPTH_ATTACHMENT, gl.RENDERBUFFER, this.oitDepthBuffer);
+            return framebuffer;
+        };
+        this.oitAccumulationFb = createFramebuffer(this.oitAccumulationTexture);
+        const complete = gl.checkFramebufferStatus(gl.FRAMEBUFFER) === gl.FRAMEBUFFER_COMPLETE;
+        this.oitRevealageFb = createFramebuffer(this.oitRevealageTexture);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        if (!complete) {
+            gl.deleteFramebuffer(this.oitAccumulationFb);
+            gl.deleteFramebuffer(this.oitRevealageFb);
+            gl.deleteTexture(this.oitAccumulationTexture);
+            gl.deleteTexture(this.oitRevealageTexture);
+            gl.deleteRenderbuffer(this.oitDepthBuffer);
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Allocate the attachments of the order-independent transparency framebuffers.
+     * @param {number} width Width in pixels
+     * @param {number} height Height in pixels
+     */
+    setOITFramebufferSizes(width, height) {
+        const gl = this.gl;
+        gl.bindTexture(gl.TEXTURE_2D, this.oitAccumulationTexture);
+        gl.texImage2D(gl.TEXTURE_2D, 0, this.isWebGL2 ? gl.RGBA16F : gl.RGBA, width, height, 0, gl.RGBA, this.oitColorType, null);
+        setFramebufferAttachmentSizes(gl, this.oitRevealageTexture, this.oitDepthBuffer, width, height);
+        this.oitSize = [width, height];
     }
 
     /**
      *
-     * @param {*} cameraUniforms Uniforms for the camera
+     * @param {*} cameraUniforms Uniforms for the camera, or a camera (see Camera.js) whose uniforms are computed for the current size of the canvas
      * @param {*} programInfo programInfo generated from webglUtils.createProgramInfo
-     * @param {*} objList Array of objects to render. Each object can have a center object and a rotation object but must have a parts array.
+     * @param {*} objList Array of objects to render. Each object must have a parts array, and is placed by its `node` (a SceneNode, see
+     * SceneGraph.js, whose ancestors don't have to be rendered) or by its center and rotation objects.
+     * The world space bounds of the objects loaded with their bounds (and of their parts) are updated in `worldBoundingBox` and `worldBoundingSphere`.
+     * Parts with `lods` are drawn with the level matching their size on the screen, its index is stored in `part.lodLevel` (-1 for the full part).
+     *
+     * Parts with a "lines" or "points" primitive are drawn with the unlit program, since lighting makes no sense for them.
+     *
+     * The light uniforms are gathered from `lights` (see Light.SelectLights), `u_ambientLight` stays the one of the camera uniforms if
+     * there is no ambient light. Without lights, a `u_lightDirection` (toward the light) in the camera uniforms is used as a directional light.
+     * With `enableShadows`, the shadow maps are drawn first, see renderShadows.
+     *
+     * With `enableTransparency`, the opaque parts are drawn first without blending, then the transparent ones (see isTransparent) without writing
+     * their depth, in the "transparent" pass: sorted from back to front by the distance of their center to the camera, or blended
+     * in any order with the "oit" `transparencyMode`. The picker draws all the parts as opaque ones.
+     *
+     * Returns the statistics of the frame, also kept in `stats`: the `frame` number, the number of `drawCalls`, of drawn `triangles`,
+     * `lines` and `points`, of `hiddenParts` skipped (once, as counted by the main pass), the state changes (`programSwitches`, `bufferBinds` and `framebufferBinds`) and the
+     * `cpuTime` in milliseconds, for the whole frame (summed over the passes) and for each pass in `passes.shadow`, `passes.picker`, `passes.main` and `passes.transparent`.
+     * @returns {object} - The statistics of the frame
      */
     render(cameraUniforms, programInfo, objList, pickerProgramInfo) {
+        const renderStart = now();
+        const stats = {
+            frame: ++this.frame,
+            ...createStats(),
+            passes: {}
+        };
+        if (this.gpuTimer) {
+            this.collectGPUTimings();
+        }
+
+        if (!this.unlitProgramInfo && objList.some(obj => obj.parts && obj.parts.some(part => isUnlit(part)))) {
+            this.unlitProgramInfo = webglUtils.createProgramInfo(this.gl, [RenderEngine.unlitShaders.vs, RenderEngine.unlitShaders.fs]);
+        }
+        const defaultUniforms = {
+            u_pointSize: this.pointSize,
+            // WebGL2 decodes the sRGB color maps when sampling them, WebGL1 shaders do it
+            u_decodeColorMaps: this.isWebGL2 ? 0 : 1,
+            // Colors of the materials that don't tell their color space, as the ones of MeshLoader.CreateParts
+            srgbColors: 1,
+            // Set by the order-independent transparency passes
+            u_oitPass: 0
+        };
+
         if (this.enablePicker && webglUtils.resizeCanvasToDisplaySize(this.gl.canvas)) {
             // the canvas was resized, make the framebuffer attachments match
             setFramebufferAttachmentSizes(this.gl, this.targetTexture, this.depthBuffer);
         }
+        if (typeof cameraUniforms.getUniforms === "function") {
+            cameraUniforms = cameraUniforms.getUniforms(this.gl.canvas);
+        }
+        let lights = this.lights;
+        if (!lights.length && cameraUniforms.u_lightDirection) {
+            lights = [new DirectionalLight({
+                direction: m4.scaleVector(cameraUniforms.u_lightDirection, -1)
+            })];
+        }
+        const lightSelection = Light.SelectLights(lights, this.maxLights, cameraUniforms);
+        const sceneUniforms = {
+            ...cameraUniforms,
+            ...Light.GatherUniforms(lightSelection, this.maxLights)
+        };
 
         objList.forEach(obj => {
             computeObjWorld(obj);
+            computeWorldBounds(obj);
+            selectLODs(obj, cameraUniforms, this.lodBias);
+            obj.uniforms.u_receiveShadow = obj.receiveShadow === false ? 0 : 1;
         });
 
+        if (this.enableShadows) {
+            Object.assign(sceneUniforms, this.renderShadows(lightSelection, cameraUniforms, objList, defaultUniforms, stats));
+        }
+
         if (this.enablePicker) {
             // ------ Draw the object id to the picker texture --------
 
             this.gl.bindFramebuffer(this.gl.FRAMEBUFFER, this.fb);
+            stats.framebufferBinds++;
             this.gl.viewport(0, 0, this.gl.canvas.width, this.gl.canvas.height);
 
             this.gl.enable(this.gl.CULL_FACE);
@@ -79,32 +288,281 @@ export class RenderEngine {
 			if (this.enableTransparency)
             this.gl.disable(this.gl.BLEND);
 
-            // Clear the canvas AND the depth buffer.
-            this.gl.clear(this.gl.COLOR_BUFFER_BIT | this.gl.DEPTH_BUFFER_BIT);
-
-            drawObjects(this.gl, objList, pickerProgramInfo, cameraUniforms);
+            // Each drawn part gets its own id, detectObject finds the object and the part from it
+            this.pickedParts = [];
+            this.measurePass(stats, "picker", passStats => {
+                // Clear the canvas AND the depth buffer.
+                this.gl.clear(this.gl.COLOR_BUFFER_BIT | this.gl.DEPTH_BUFFER_BIT);
+                drawObjects(this.gl, objList, pickerProgramInfo, cameraUniforms, pickerProgramInfo, defaultUniforms, this.pickedParts, passStats);
+            });
 
             // ------ Draw the objects to the canvas
 
             this.gl.bindFramebuffer(this.gl.FRAMEBUFFER, null);
+            stats.framebufferBinds++;
             this.gl.viewport(0, 0, this.gl.canvas.width, this.gl.canvas.height);
 			if (this.enableTransparency)
             this.gl.enable(this.gl.BLEND);
         }
 
         // ----- Draw the objects to the "real" canvas
-        drawObjects(this.gl, objList, programInfo, cameraUniforms);
+        if (!this.enableTransparency) {
+            this.measurePass(stats, "main", passStats => {
+                drawObjects(this.gl, objList, programInfo, sceneUniforms, this.unlitProgramInfo, defaultUniforms, undefined, passStats);
+            });
+        } else {
+            const opaqueParts = [];
+            const transparentParts = [];
+            this.measurePass(stats, "main", passStats => {
+                listParts(objList, passStats).forEach(item => (isTransparent(item.part) ? transparentParts : opaqueParts).push(item));
+                // The alpha of the opaque parts must not blend while their depth is written
+                this.gl.disable(this.gl.BLEND);
+                drawParts(this.gl, opaqueParts, programInfo, sceneUniforms, this.unlitProgramInfo, defaultUniforms, undefined, passStats);
+                this.gl.enable(this.gl.BLEND);
+            });
+            if (transparentParts.length) {
+                this.measurePass(stats, "transparent", passStats => {
+                    if (this.transparencyMode === "oit") {
+                        this.renderOIT(opaqueParts, transparentParts, programInfo, sceneUniforms, defaultUniforms, passStats);
+                    } else {
+                        sortBackToFront(transparentParts, cameraUniforms.u_viewWorldPosition);
+                        this.gl.depthMask(false);
+                        drawParts(this.gl, transparentParts, programInfo, sceneUniforms, this.unlitProgramInfo, defaultUniforms, undefined, passStats);
+                        this.gl.depthMask(true);
+                    }
+                });
+            }
+        }
+
+        stats.cpuTime = now() - renderStart;
+        this.stats = stats;
+        return stats;
+    }
+
+    /**
+     * Draw the shadow maps of the selected lights casting shadows, called by render when `enableShadows` is true.
+     *
+     * The shadow maps are tiles of `shadowTexture` (the spot lights and the cascades of the directional lights get one each, up to
+     * RenderEngine.maxShadowMaps), drawn in the "shadow" pass with the depth of the objects seen from the light.
+     * @param {object} lightSelection The lights drawn, see Light.SelectLights
+     * @param {object} cameraUniforms Uniforms of the camera
+     * @param {*} objList Objects to draw, with their world matrix and bounds up to date
+     * @param {object} defaultUniforms Uniforms set before the ones of each object
+     * @param {object} stats The statistics of the frame
+     * @returns {object} - The shadow uniforms of the default and PBR shaders
+     */
+    renderShadows(lightSelection, cameraUniforms, objList, defaultUniforms, stats) {
+        const gl = this.gl;
+        const sceneSphere = computeEnclosingSphere(objList.filter(obj => !obj.hidden && obj.worldBoundingSphere).map(obj => obj.worldBoundingSphere));
+        const shadows = [];
+        lightSelection.lights.forEach((selected, lightIndex) => {
+            if (selected.light.castShadow) {
+                selected.light.getShadowCameras(selected, cameraUniforms, sceneSphere, this.shadowMapSize).forEach(camera => shadows.push({
+                    light: selected.light,
+                    lightIndex,
+                    camera
+                }));
+            }
+        });
+        shadows.splice(RenderEngine.maxShadowMaps);
+        if (!shadows.length) {
+            return {
+                u_shadowCount: 0
+            };
+        }
+
+        // Grid of tiles, smaller if the texture would be too large
+        const columns = Math.ceil(Math.sqrt(shadows.length));
+        const rows = Math.ceil(shadows.length / columns);
+        const tileSize = Math.min(this.shadowMapSize, Math.floor(gl.getParameter(gl.MAX_TEXTURE_SIZE) / columns));
+        const width = columns * tileSize;
+        const height = rows * tileSize;
+        if (width !== this.shadowTextureSize[0] || height !== this.shadowTextureSize[1]) {
+            setFramebufferAttachmentSizes(gl, this.shadowTexture, this.shadowDepthBuffer, width, height);
+            this.shadowTextureSize = [width, height];
+        }
+        if (!this.shadowProgramInfo) {
+            this.shadowProgramInfo = webglUtils.createProgramInfo(gl, [RenderEngine.shadowShaders.vs, RenderEngine.shadowShaders.fs]);
+        }
+        const casters = objList.filter(obj => obj.castShadow !== false);
+
+        const uniforms = {
+            u_shadowCount: shadows.length,
+            u_shadowMap: this.shadowTexture,
+            u_shadowMapTexelSize: [1 / width, 1 / height],
+            u_shadowMatrices: new Float32Array(RenderEngine.maxShadowMaps * 16),
+            u_shadowRects: new Float32Array(RenderEngine.maxShadowMaps * 4),
+            u_shadowParams: new Float32Array(RenderEngine.maxShadowMaps * 4)
+        };
+
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this.shadowFb);
+        stats.framebufferBinds++;
+        if (this.enableTransparency) {
+            gl.disable(gl.BLEND);
+        }
+        // Cleared to the farthest depth, keeping the clear color of the canvas
+        const clearColor = gl.getParameter(gl.COLOR_CLEAR_VALUE);
+        gl.clearColor(1, 1, 1, 1);
+        this.measurePass(stats, "shadow", passStats => {
+            gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
+            shadows.forEach((shadow, index) => {
+                const column = index % columns;
+                const row = Math.floor(index / columns);
+                gl.viewport(column * tileSize, row * tileSize, tileSize, tileSize);
+                drawObjects(gl, casters, this.shadowProgramInfo, shadow.camera, this.shadowProgramInfo, defaultUniforms, undefined, passStats);
+
+                uniforms.u_shadowMatrices.set(m4.multiply(SHADOW_TEXTURE_MATRIX, m4.multiply(shadow.camera.u_projection, shadow.camera.u_view)), index * 16);
+                uniforms.u_shadowRects.set([column / columns, row / rows, 1 / columns, 1 / rows], index * 4);
+                uniforms.u_shadowParams.set([shadow.lightIndex, shadow.light.shadowBias, shadow.light.shadowPCF, 0], index * 4);
+            });
+        });
+        gl.clearColor(clearColor[0], clearColor[1], clearColor[2], clearColor[3]);
+
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        stats.framebufferBinds++;
+        gl.viewport(0, 0, gl.canvas.width, gl.canvas.height);
+        if (this.enableTransparency) {
+            gl.enable(gl.BLEND);
+        }
+        return uniforms;
+    }
+
+    /**
+     * Draw the transparent parts with weighted blended order-independent transparency, called by render when `transparencyMode` is "oit".
+     *
+     * The parts are drawn twice in secondary framebuffers, with the depth of the opaque parts: once adding their colors weighted by their
+     * opacity and depth, once multiplying the revealage by their transparency. The average color is then blended over the canvas.
+     * The shaders write the colors of each pass with transparencyOutput, see transparencyShaderChunk.
+     * @param {object[]} opaqueParts The opaque parts, `{object, part}`, already drawn on the canvas
+     * @param {object[]} transparentParts The transparent parts, `{object, part}`
+     * @param {*} programInfo programInfo of the parts
+     * @param {object} sceneUniforms Uniforms of the camera and of the lights
+     * @param {object} defaultUniforms Uniforms set before the ones of each object
+     * @param {object} stats The statistics of the pass
+     */
+    renderOIT(opaqueParts, transparentParts, programInfo, sceneUniforms, defaultUniforms, stats) {
+        const gl = this.gl;
+        if (gl.canvas.width !== this.oitSize[0] || gl.canvas.height !== this.oitSize[1]) {
+            this.setOITFramebufferSizes(gl.canvas.width, gl.canvas.height);
+        }
+        if (!this.oitDepthProgramInfo) {
+            this.oitDepthProgramInfo = webglUtils.createProgramInfo(gl, [RenderEngine.pickerShaders.vs, RenderEngine.pickerShaders.fs]);
+            this.oitCompositeProgramInfo = webglUtils.createProgramInfo(gl, [RenderEngine.oitCompositeShaders.vs, RenderEngine.oitCompositeShaders.fs]);
+            this.oitQuadBufferInfo = webglUtils.createBufferInfoFromArrays(gl, {
+                position: {
+                    numComponents: 2,
+                    data: [-1, -1, 1, -1, -1, 1, -1, 1, 1, -1, 1, 1]
+                }
+            });
+        }
+        const clearColor = gl.getParameter(gl.COLOR_CLEAR_VALUE);
+
+        // Depth of the opaque parts, hiding the transparent parts behind them
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this.oitAccumulationFb);
+        stats.framebufferBinds++;
+        gl.clearColor(0, 0, 0, 0);
+        gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
+        gl.colorMask(false, false, false, false);
+        drawParts(gl, opaqueParts, this.oitDepthProgramInfo, sceneUniforms, this.oitDepthProgramInfo, defaultUniforms, undefined, stats);
+        gl.colorMask(true, true, true, true);
+
+        // Sum of the weighted premultiplied colors, and of the weights in alpha
+        gl.depthMask(false);
+        gl.blendFunc(gl.ONE, gl.ONE);
+        drawParts(gl, transparentParts, programInfo, sceneUniforms, this.unlitProgramInfo, {
+            ...defaultUniforms,
+            u_oitPass: 1
+        }, undefined, stats);
+
+        // Product of the transparencies
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this.oitRevealageFb);
+        stats.framebufferBinds++;
+        gl.clearColor(1, 1, 1, 1);
+        gl.clear(gl.COLOR_BUFFER_BIT);
+        gl.blendFunc(gl.ZERO, gl.ONE_MINUS_SRC_COLOR);
+        drawParts(gl, transparentParts, programInfo, sceneUniforms, this.unlitProgramInfo, {
+            ...defaultUniforms,
+            u_oitPass: 2
+        }, undefined, stats);
+
+        // Average color over the canvas, covering it by 1 - revealage
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        stats.framebufferBinds++;
+        gl.clearColor(clearColor[0], clearColor[1], clearColor[2], clearColor[3]);
+        gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
+        gl.disable(gl.DEPTH_TEST);
+        gl.useProgram(this.oitCompositeProgramInfo.program);
+        stats.programSwitches++;
+        webglUtils.setBuffersAndAttributes(gl, this.oitCompositeProgramInfo, this.oitQuadBufferInfo);
+        stats.bufferBinds++;
+        webglUtils.setUniforms(this.oitCompositeProgramInfo, {
+            u_accumulation: this.oitAccumulationTexture,
+            u_revealage: this.oitRevealageTexture,
+            u_viewSize: [gl.canvas.width, gl.canvas.height]
+        });
+        webglUtils.drawBufferInfo(gl, this.oitQuadBufferInfo);
+        countDrawCall(stats, "triangles", this.oitQuadBufferInfo.numElements);
+        gl.enable(gl.DEPTH_TEST);
+        gl.depthMask(true);
+    }
+
+    /**
+     * Run a pass of render, counting its statistics and measuring its CPU (and GPU, if enabled) time.
+     * @param {object} stats The statistics of the frame, the ones of the pass are added to them (`hiddenParts` only from the main pass)
+     * and stored in `stats.passes[name]`
+     * @param {string} name Name of the pass
+     * @param {function} draw Function drawing the pass, called with the statistics of the pass to update
+     */
+    measurePass(stats, name, draw) {
+        const passStats = createStats();
+        const start = now();
+        if (this.gpuTimer) {
+            this.gpuTimer.begin(stats.frame, name);
+        }
+        draw(passStats);
+        if (this.gpuTimer) {
+            this.gpuTimer.end();
+        }
+        passStats.cpuTime = now() - start;
+        stats.passes[name] = passStats;
+        for (const key of Object.keys(passStats)) {
+            // Every pass skips the same hidden parts, the frame counts them once
+            if (key !== "hiddenParts" || name === "main") {
+                stats[key] += passStats[key];
+            }
+        }
+    }
+
+    /**
+     * Collect the GPU timings of the previous frames that are available, in `gpuTimings` and `onGPUTiming`.
+     * Called by render when the GPU timers are enabled.
+     */
+    collectGPUTimings() {
+        for (const timing of this.gpuTimer.poll()) {
+            if (!this.gpuTimings || this.gpuTimings.frame !== timing.frame) {
+                this.gpuTimings = {
+                    frame: timing.frame,
+                    passes: {}
+                };
+            }
+            this.gpuTimings.passes[timing.pass] = timing.gpuTime;
+            if (this.onGPUTiming) {
+                this.onGPUTiming(timing);
+            }
+        }
     }
 
     /**
      * If enablePicker is true, the render engine will generate a secondary frameBuffer to render the ids of the objects.
      * Each object will have a texture with the id represented as color.
-     * This function will return the id of the object that is under the mouse.
+     * This function will return the id of the object that is under the mouse (its `u_id` uniform, 0 if there is none).
      * @param {*} mouseX The x coordinate of the mouse in the canvas
      * @param {*} mouseY The y coordinate of the mouse in the canvas
+     * @param {object} [options]
+     * @param {boolean} [options.part=false] If true, return `{id, object, part, partIndex}` for the part under the mouse (null if there is none)
      * @returns
      */
-    detectObject(mouseX, mouseY) {
+    detectObject(mouseX, mouseY, options = {}) {
         this.gl.bindFramebuffer(this.gl.FRAMEBUFFER, this.fb);
 
         const pixelX = (mouseX * this.gl.canvas.width) / this.gl.canvas.clientWidth;
@@ -117,12 +575,85 @@ export class RenderEngine {
             this.gl.RGBA, // format
             this.gl.UNSIGNED_BYTE, // type
             data); // typed array to hold result
-        const id = data[0] + (data[1] << 8) + (data[2] << 16) + (data[3] << 24);
+        // The picker texture holds the index of the drawn part, plus 1 (0 is the background)
+        const index = data[0] + (data[1] << 8) + (data[2] << 16) + (data[3] << 24);
 
         this.gl.bindFramebuffer(this.gl.FRAMEBUFFER, null);
+        const picked = index > 0 && this.pickedParts ? this.pickedParts[index - 1] : undefined;
+        if (!picked) {
+            return options.part ? null : 0;
+        }
+        // The id of the object is the one its u_id color would have been read as
+        const idBytes = Array.from(picked.object.uniforms.u_id || [0, 0, 0, 0], value => Math.round(value * 255));
+        const id = idBytes[0] + (idBytes[1] << 8) + (idBytes[2] << 16) + (idBytes[3] << 24);
+        if (options.part) {
+            return {
+                id,
+                object: picked.object,
+                part: picked.part,
+                partIndex: picked.object.parts.indexOf(picked.part)
+            };
+        }
         return id;
     }
 
+    /**
+     * Compute camera uniforms showing a whole object, or several ones, e.g. to look at a model of unknown size.
+     *
+     * The camera looks at the center of the world bounding sphere of the objects (see MeshLoader.ComputeBoundingVolumes),
+     * from far enough for the sphere to fit in its field of view. The near and far planes enclose the sphere.
+     * @param {*} objects An object of the objList, or a list of objects (e.g. the whole objList). Objects without bounds are ignored.
+     * @param {object} [options] Dictionary of options.
+     * @param {number} [options.fieldOfView] Vertical field of view in radians. Default 60 degrees.
+     * @param {number} [options.aspect] Width / height of the view. Default is the one of the canvas.
+     * @param {number[]} [options.direction] Direction from the objects to the camera. Default [0, 0, 1].
+     * @param {number[]} [options.up] Up direction of the camera. Default [0, 1, 0].
+     * @param {number} [options.margin] Scale of the framed sphere, 1 touches the borders of the view. Default 1.1.
+     * @param {Camera} [options.camera] A camera (see Camera.js) to place instead, keeping its field of view, aspect ratio, up direction and
+     * (without `direction`) the direction it looks from. The `height` of an OrthographicCamera is set to fit the sphere.
+     * @returns {object} - `u_projection`, `u_view` and `u_viewWorldPosition`, or null if no object has bounds
+     */
+    frameObjects(objects, options = {}) {
+        const spheres = [].concat(objects).filter(obj => obj.boundingSphere).map(obj => {
+            computeObjWorld(obj);
+            computeWorldBounds(obj);
+            return obj.worldBoundingSphere;
+        });
+        if (!spheres.length) {
+            return null;
+        }
+
+        const sphere = computeEnclosingSphere(spheres);
+        const center = sphere.center;
+        const radius = sphere.radius * (options.margin || 1.1) || 1;
+
+        const camera = options.camera;
+        const fieldOfView = camera && camera.fieldOfView || options.fieldOfView || Math.PI / 3;
+        const aspect = camera ? camera.updateAspect(this.gl.canvas) : options.aspect || this.gl.canvas.clientWidth / this.gl.canvas.clientHeight;
+        // The sphere must fit in the narrowest of the vertical and horizontal fields of view
+        const horizontalFieldOfView = 2 * Math.atan(Math.tan(fieldOfView / 2) * aspect);
+        const distance = radius / Math.sin(Math.min(fieldOfView, horizontalFieldOfView) / 2);
+
+        const direction = m4.normalize(options.direction || (camera ? m4.subtractVectors(camera.position, camera.target) : [0, 0, 1]));
+        const cameraPosition = center.map((value, axis) => value + direction[axis] * distance);
+        const near = Math.max(distance - radius, radius / 100);
+        if (camera) {
+            camera.position = cameraPosition;
+            camera.target = center;
+            camera.near = near;
+            camera.far = distance + radius;
+            if (camera.height !== undefined) {
+                camera.height = 2 * radius / Math.min(aspect, 1);
+            }
+            return camera.getUniforms(this.gl.canvas);
+        }
+        return {
+            u_projection: m4.perspective(fieldOfView, aspect, near, distance + radius),
+            u_view: m4.inverse(m4.lookAt(cameraPosition, center, options.up || [0, 1, 0])),
+            u_viewWorldPosition: cameraPosition
+        };
+    }
+
     // Picker shaders
     static pickerShaders = {
         vs: `
@@ -132,11 +663,13 @@ export class RenderEngine {
 		uniform mat4 u_view;
 		uniform mat4 u_world;
 		uniform vec3 u_viewWorldPosition;
+		uniform float u_pointSize;
 	
 		void main() {
 			// Multiply the position by the matrices
 			vec4 worldPosition = u_world * a_position;
 			gl_Position = u_projection * u_view * worldPosition;
+			gl_PointSize = u_pointSize;
 		}
 		`,
         fs: `
@@ -149,6 +682,211 @@ export class RenderEngine {
 		`
     };
 
+    // Color space functions of the shaders: lighting is computed in linear space and written in sRGB.
+    // Color maps are sRGB textures decoded when sampled on WebGL2, WebGL1 shaders decode them (u_decodeColorMaps is set by render).
+    // The colors of the materials and the vertex colors are decoded by decodeColor when the material has srgbColors set (the OBJ,
+    // MTL, STL and PLY colors, see MeshLoader.CreateParts), glTF colors are already linear.
+    static colorSpaceShaderChunk = `
+		uniform float u_decodeColorMaps;
+		uniform float srgbColors;
+
+		vec3 srgbToLinear(vec3 color) {
+		  return mix(color / 12.92, pow((color + 0.055) / 1.055, vec3(2.4)), step(0.04045, color));
+		}
+
+		vec3 linearToSRGB(vec3 color) {
+		  color = clamp(color, 0.0, 1.0);
+		  return mix(color * 12.92, 1.055 * pow(color, vec3(1.0 / 2.4)) - 0.055, step(0.0031308, color));
+		}
+
+		vec4 sampleColorMap(sampler2D map, vec2 texcoord) {
+		  vec4 color = texture2D(map, texcoord);
+		  return u_decodeColorMaps > 0.5 ? vec4(srgbToLinear(color.rgb), color.a) : color;
+		}
+
+		vec3 decodeColor(vec3 color) {
+		  return srgbColors > 0.5 ? srgbToLinear(color) : color;
+		}
+		`;
+
+    // Size of the light arrays of the default and PBR shaders, see ShadersWithMaxLights
+    static maxLights = 8;
+
+    // Light uniforms of the shaders, gathered by render from its lights (see Light.SelectLights).
+    // Uniform arrays can only be indexed by the loop index in WebGL1 fragment shaders: the loops read them and call lightRadiance.
+    static lightsShaderChunk = `
+		#define MAX_LIGHTS ${RenderEngine.maxLights}
+
+		uniform int u_lightCount;
+		// xyz: position of the point and spot lights (w = 1), or direction toward the directional lights (w = 0)
+		uniform vec4 u_lightPositions[MAX_LIGHTS];
+		// Color times intensity
+		uniform vec3 u_lightColors[MAX_LIGHTS];
+		// Direction the spot lights shine to
+		uniform vec3 u_lightDirections[MAX_LIGHTS];
+		// Range (0 for none), decay, cosines of the outer and inner cone angles (-2 without cone)
+		uniform vec4 u_lightParams[MAX_LIGHTS];
+
+		// Light reaching a surface, and direction from the surface to the light in L
+		vec3 lightRadiance(vec4 position, vec3 color, vec3 direction, vec4 params, vec3 surfacePosition, out vec3 L) {
+		  if (position.w == 0.0) {
+		    L = normalize(position.xyz);
+		    return color;
+		  }
+		  vec3 surfaceToLight = position.xyz - surfacePosition;
+		  float lightDistance = max(length(surfaceToLight), 0.0001);
+		  L = surfaceToLight / lightDistance;
+		  float attenuation = 1.0 / pow(lightDistance, params.y);
+		  if (params.x > 0.0) {
+		    // Smooth fade to 0 at the range
+		    float fade = clamp(1.0 - pow(lightDistance / params.x, 4.0), 0.0, 1.0);
+		    attenuation *= fade * fade;
+		  }
+		  if (params.z > -1.5) {
+		    attenuation *= smoothstep(params.z, params.w, dot(-L, normalize(direction)));
+		  }
+		  return color * attenuation;
+		}
+		`;
+
+    // Size of the shadow map arrays of the default and PBR shaders
+    static maxShadowMaps = 8;
+
+    // Shadow uniforms of the shaders, set by renderShadows. The depths of the shadow maps are packed in RGBA bytes by shadowShaders.
+    // They are only compiled with ENABLE_SHADOWS set (see ShadersWithShadows): their arrays take 48 uniform vectors, more than some
+    // WebGL1 GPUs can spare.
+    static shadowsShaderChunk = `
+		#define ENABLE_SHADOWS 0
+		#if ENABLE_SHADOWS
+		#define MAX_SHADOW_MAPS ${RenderEngine.maxShadowMaps}
+		#define MAX_PCF_RADIUS 2
+
+		uniform int u_shadowCount;
+		uniform sampler2D u_shadowMap;
+		uniform vec2 u_shadowMapTexelSize;
+		// World space to the coordinates of each shadow map (0 to 1 in its tile, and depth)
+		uniform mat4 u_shadowMatrices[MAX_SHADOW_MAPS];
+		// Tile of each shadow map in u_shadowMap: offset in xy, size in zw
+		uniform vec4 u_shadowRects[MAX_SHADOW_MAPS];
+		// Index of the light, bias, radius of the filtering in texels
+		uniform vec4 u_shadowParams[MAX_SHADOW_MAPS];
+		// 0 if the object is not shadowed
+		uniform float u_receiveShadow;
+
+		float unpackDepth(vec4 color) {
+		  return dot(color, vec4(1.0, 1.0 / 255.0, 1.0 / 65025.0, 1.0 / 16581375.0));
+		}
+
+		// Part of the light reaching a surface, from 0 (shadowed) to 1. The shadow maps of a light are its cascades from the nearest,
+		// the first one containing the surface is used.
+		float lightShadow(int lightIndex, vec3 surfacePosition, float NdotL) {
+		  if (u_receiveShadow < 0.5) {
+		    return 1.0;
+		  }
+		  for (int j = 0; j < MAX_SHADOW_MAPS; j++) {
+		    if (j >= u_shadowCount) {
+		      break;
+		    }
+		    vec4 params = u_shadowParams[j];
+		    if (int(params.x) != lightIndex) {
+		      continue;
+		    }
+		    vec4 shadowPosition = u_shadowMatrices[j] * vec4(surfacePosition, 1.0);
+		    vec3 coord = shadowPosition.xyz / shadowPosition.w;
+		    if (coord.x < 0.0 || coord.x > 1.0 || coord.y < 0.0 || coord.y > 1.0 || coord.z > 1.0) {
+		      continue;
+		    }
+		    vec4 rect = u_shadowRects[j];
+		    // Larger bias on the slopes
+		    float bias = params.y * clamp(sqrt(1.0 - NdotL * NdotL) / max(NdotL, 0.001), 1.0, 5.0);
+		    // Percentage-closer filtering, the samples stay in the tile
+		    vec2 minTexcoord = rect.xy + u_shadowMapTexelSize * 0.5;
+		    vec2 maxTexcoord = rect.xy + rect.zw - u_shadowMapTexelSize * 0.5;
+		    float lit = 0.0;
+		    float samples = 0.0;
+		    for (int x = -MAX_PCF_RADIUS; x <= MAX_PCF_RADIUS; x++) {
+		      for (int y = -MAX_PCF_RADIUS; y <= MAX_PCF_RADIUS; y++) {
+		        if (abs(float(x)) > params.z || abs(float(y)) > params.z) {
+		          continue;
+		        }
+		        vec2 texcoord = clamp(rect.xy + coord.xy * rect.zw + vec2(float(x), float(y)) * u_shadowMapTexelSize, minTexcoord, maxTexcoord);
+		        lit += step(coord.z - bias, unpackDepth(texture2D(u_shadowMap, texcoord)));
+		        samples += 1.0;
+		      }
+		    }
+		    return lit / samples;
+		  }
+		  return 1.0;
+		}
+		#else
+		float lightShadow(int lightIndex, vec3 surfacePosition, float NdotL) {
+		  return 1.0;
+		}
+		#endif
+		`;
+
+    // Shadow map shaders, writing the depth packed in RGBA bytes
+    static shadowShaders = {
+        vs: RenderEngine.pickerShaders.vs,
+        fs: `
+		precision highp float;
+
+		vec4 packDepth(float depth) {
+		  vec4 bytes = fract(depth * vec4(1.0, 255.0, 65025.0, 16581375.0));
+		  return bytes - bytes.yzww * vec4(1.0 / 255.0, 1.0 / 255.0, 1.0 / 255.0, 0.0);
+		}
+
+		void main() {
+		  // A depth of 1 would be packed as 0
+		  gl_FragColor = packDepth(min(gl_FragCoord.z, 0.99999));
+		}
+		`
+    };
+
+    /**
+     * Get shaders whose light arrays hold another number of lights than RenderEngine.maxLights, e.g. to draw more lights with the
+     * `maxLights` option of the engine.
+     * @param {object} shaders The shaders, `{vs, fs}` (e.g. RenderEngine.defaultShaders)
+     * @param {number} maxLights Size of the light arrays
+     * @returns {object} - The shaders, `{vs, fs}`
+     */
+    static ShadersWithMaxLights(shaders, maxLights) {
+        return {
+            vs: shaders.vs,
+            fs: shaders.fs.replace(/#define MAX_LIGHTS \d+/, `#define MAX_LIGHTS ${Math.max(1, Math.floor(maxLights))}`)
+        };
+    }
+
+    /**
+     * Get shaders that sample the shadow maps, e.g. RenderEngine.defaultShaders or pbrShaders for an engine with `enableShadows`.
+     * Without it, the shaders have no shadow uniforms and every surface is lit.
+     * @param {object} shaders The shaders, `{vs, fs}`, including shadowsShaderChunk
+     * @returns {object} - The shaders, `{vs, fs}`
+     */
+    static ShadersWithShadows(shaders) {
+        return {
+            vs: shaders.vs,
+            fs: shaders.fs.replace("#define ENABLE_SHADOWS 0", "#define ENABLE_SHADOWS 1")
+        };
+    }
+
+    // Output of the fragment shaders, weighted by the order-independent transparency passes of renderOIT (u_oitPass is set by render).
+    // The weight decreases with the depth, from 3000 to 0.01. It is computed as a cube root, which fits in mediump floats.
+    static transparencyShaderChunk = `
+		uniform int u_oitPass;
+
+		vec4 transparencyOutput(vec4 color) {
+		  if (u_oitPass == 1) {
+		    float weightRoot = clamp((min(1.0, color.a * 10.0) + 0.01) * (1.0 - gl_FragCoord.z * 0.9) * 464.16, 0.2154, 14.42);
+		    return vec4(color.rgb * color.a, color.a) * weightRoot * weightRoot * weightRoot;
+		  }
+		  if (u_oitPass == 2) {
+		    return vec4(color.a);
+		  }
+		  return color;
+		}
+		`;
+
     // Default shaders
     static defaultShaders = {
         vs: `
@@ -165,6 +903,7 @@ export class RenderEngine {
 	  
 		varying vec3 v_normal;
 		varying vec3 v_tangent;
+		varying vec3 v_worldPosition;
 		varying vec3 v_surfaceToView;
 		varying vec2 v_texcoord;
 		varying vec4 v_color;
@@ -172,6 +911,7 @@ export class RenderEngine {
 		void main() {
 		  vec4 worldPosition = u_world * a_position;
 		  gl_Position = u_projection * u_view * worldPosition;
+		  v_worldPosition = worldPosition.xyz;
 		  v_surfaceToView = u_viewWorldPosition - worldPosition.xyz;
 		  mat3 normalMat = mat3(u_world);
 		  v_normal = normalize(normalMat * a_normal);
@@ -186,6 +926,7 @@ export class RenderEngine {
 	  
 		varying vec3 v_normal;
 		varying vec3 v_tangent;
+		varying vec3 v_worldPosition;
 		varying vec3 v_surfaceToView;
 		varying vec2 v_texcoord;
 		varying vec4 v_color;
@@ -194,13 +935,34 @@ export class RenderEngine {
 		uniform sampler2D diffuseMap;
 		uniform vec3 ambient;
 		uniform vec3 emissive;
+		uniform sampler2D emissiveMap;
 		uniform vec3 specular;
 		uniform sampler2D specularMap;
 		uniform float shininess;
+		uniform sampler2D shininessMap;
+		uniform vec4 shininessMapChannel;
 		uniform sampler2D normalMap;
+		uniform float bumpScale;
 		uniform float opacity;
-		uniform vec3 u_lightDirection;
+		uniform sampler2D opacityMap;
+		uniform vec4 opacityMapChannel;
+		uniform float alphaCutoff;
 		uniform vec3 u_ambientLight;
+
+		// Texture coordinates transform of each map: scale in xy, offset in zw (MTL -s and -o options)
+		uniform vec4 diffuseMapTransform;
+		uniform vec4 specularMapTransform;
+		uniform vec4 shininessMapTransform;
+		uniform vec4 normalMapTransform;
+		uniform vec4 emissiveMapTransform;
+		uniform vec4 opacityMapTransform;
+		${RenderEngine.colorSpaceShaderChunk}
+		${RenderEngine.lightsShaderChunk}
+		${RenderEngine.shadowsShaderChunk}
+		${RenderEngine.transparencyShaderChunk}
+		vec2 mapTexcoord(vec4 transform) {
+		  return v_texcoord * transform.xy + transform.zw;
+		}
 	  
 		void main () {
 		  vec3 normal = normalize(v_normal) * ( float( gl_FrontFacing ) * 2.0 - 1.0 );
@@ -208,27 +970,274 @@ export class RenderEngine {
 		  vec3 bitangent = normalize(cross(normal, tangent));
 	  
 		  mat3 tbn = mat3(tangent, bitangent, normal);
-		  normal = texture2D(normalMap, v_texcoord).rgb * 2. - 1.;
+		  normal = texture2D(normalMap, mapTexcoord(normalMapTransform)).rgb * 2. - 1.;
+		  normal.xy *= bumpScale;
 		  normal = normalize(tbn * normal);
 	  
 		  vec3 surfaceToViewDirection = normalize(v_surfaceToView);
-		  vec3 halfVector = normalize(u_lightDirection + surfaceToViewDirection);
+		  float effectiveShininess = shininess * dot(texture2D(shininessMap, mapTexcoord(shininessMapTransform)), shininessMapChannel);
+
+		  // Blinn-Phong lighting of each light
+		  vec3 diffuseLight = vec3(0.0);
+		  vec3 specularLight = vec3(0.0);
+		  for (int i = 0; i < MAX_LIGHTS; i++) {
+		    if (i >= u_lightCount) {
+		      break;
+		    }
+		    vec3 L;
+		    vec3 radiance = lightRadiance(u_lightPositions[i], u_lightColors[i], u_lightDirections[i], u_lightParams[i], v_worldPosition, L);
+		    float NdotL = dot(normal, L);
+		    if (NdotL > 0.0) {
+		      radiance *= lightShadow(i, v_worldPosition, NdotL);
+		      vec3 halfVector = normalize(L + surfaceToViewDirection);
+		      diffuseLight += radiance * NdotL;
+		      specularLight += radiance * pow(clamp(dot(normal, halfVector), 0.0, 1.0), effectiveShininess);
+		    }
+		  }
+
+		  vec3 effectiveSpecular = decodeColor(specular) * sampleColorMap(specularMap, mapTexcoord(specularMapTransform)).rgb;
 	  
-		  float fakeLight = dot(u_lightDirection, normal) * .5 + .5;
-		  float specularLight = clamp(dot(normal, halfVector), 0.0, 1.0);
-		  vec4 specularMapColor = texture2D(specularMap, v_texcoord);
-		  vec3 effectiveSpecular = specular * specularMapColor.rgb;
+		  vec4 diffuseMapColor = sampleColorMap(diffuseMap, mapTexcoord(diffuseMapTransform));
+		  vec3 effectiveDiffuse = decodeColor(diffuse) * diffuseMapColor.rgb * decodeColor(v_color.rgb);
+		  float opacityMapValue = dot(texture2D(opacityMap, mapTexcoord(opacityMapTransform)), opacityMapChannel);
+		  float effectiveOpacity = opacity * opacityMapValue * diffuseMapColor.a * v_color.a;
+		  if (effectiveOpacity < alphaCutoff) {
+		    discard;
+		  }
+		  vec3 effectiveEmissive = decodeColor(emissive) * sampleColorMap(emissiveMap, mapTexcoord(emissiveMapTransform)).rgb;
 	  
-		  vec4 diffuseMapColor = texture2D(diffuseMap, v_texcoord);
-		  vec3 effectiveDiffuse = diffuse * diffuseMapColor.rgb * v_color.rgb;
+		  gl_FragColor = transparencyOutput(vec4(linearToSRGB(
+			  effectiveEmissive +
+			  decodeColor(ambient) * u_ambientLight +
+			  effectiveDiffuse * diffuseLight +
+			  effectiveSpecular * specularLight),
+			  effectiveOpacity));
+		}
+		`
+    };
+
+    // Physically based (metallic-roughness) shaders, they share the vertex shader of the default ones.
+    // Materials loaded by MeshLoader always have the uniforms they need: MTL files without PBR data get values approximated from Kd, Ks and Ns.
+    static pbrShaders = {
+        vs: RenderEngine.defaultShaders.vs,
+        fs: `
+		precision highp float;
+
+		#define PI 3.14159265359
+
+		varying vec3 v_normal;
+		varying vec3 v_tangent;
+		varying vec3 v_worldPosition;
+		varying vec3 v_surfaceToView;
+		varying vec2 v_texcoord;
+		varying vec4 v_color;
+
+		uniform vec3 baseColor;
+		uniform sampler2D diffuseMap;
+		uniform float roughness;
+		uniform sampler2D roughnessMap;
+		uniform vec4 roughnessMapChannel;
+		uniform float metallic;
+		uniform sampler2D metallicMap;
+		uniform vec4 metallicMapChannel;
+		uniform sampler2D occlusionMap;
+		uniform vec4 occlusionMapChannel;
+		uniform sampler2D normalMap;
+		uniform float bumpScale;
+		uniform vec3 emissive;
+		uniform sampler2D emissiveMap;
+		uniform float opacity;
+		uniform sampler2D opacityMap;
+		uniform vec4 opacityMapChannel;
+		uniform float alphaCutoff;
+		uniform float sheen;
+		uniform float clearcoat;
+		uniform float clearcoatRoughness;
+		uniform float anisotropy;
+		uniform float anisotropyRotation;
+		uniform vec3 u_ambientLight;
+
+		// Texture coordinates transform of each map: scale in xy, offset in zw
+		uniform vec4 diffuseMapTransform;
+		uniform vec4 roughnessMapTransform;
+		uniform vec4 metallicMapTransform;
+		uniform vec4 occlusionMapTransform;
+		uniform vec4 normalMapTransform;
+		uniform vec4 emissiveMapTransform;
+		uniform vec4 opacityMapTransform;
+		${RenderEngine.colorSpaceShaderChunk}
+		${RenderEngine.lightsShaderChunk}
+		${RenderEngine.shadowsShaderChunk}
+		${RenderEngine.transparencyShaderChunk}
+		vec2 mapTexcoord(vec4 transform) {
+		  return v_texcoord * transform.xy + transform.zw;
+		}
+
+		// Anisotropic GGX distribution (isotropic when ax == ay)
+		float distributionGGX(float NdotH, float TdotH, float BdotH, float ax, float ay) {
+		  float d = TdotH * TdotH / (ax * ax) + BdotH * BdotH / (ay * ay) + NdotH * NdotH;
+		  return 1.0 / (PI * ax * ay * d * d);
+		}
+
+		// Smith-Schlick geometry term
+		float geometrySmith(float NdotV, float NdotL, float alpha) {
+		  float k = alpha / 2.0;
+		  return (NdotV / (NdotV * (1.0 - k) + k)) * (NdotL / (NdotL * (1.0 - k) + k));
+		}
+
+		vec3 fresnelSchlick(float cosTheta, vec3 f0) {
+		  return f0 + (1.0 - f0) * pow(1.0 - cosTheta, 5.0);
+		}
+
+		void main () {
+		  vec3 normal = normalize(v_normal) * ( float( gl_FrontFacing ) * 2.0 - 1.0 );
+		  vec3 tangent = normalize(v_tangent) * ( float( gl_FrontFacing ) * 2.0 - 1.0 );
+		  vec3 bitangent = normalize(cross(normal, tangent));
+
+		  mat3 tbn = mat3(tangent, bitangent, normal);
+		  vec3 mapNormal = texture2D(normalMap, mapTexcoord(normalMapTransform)).rgb * 2. - 1.;
+		  mapNormal.xy *= bumpScale;
+		  normal = normalize(tbn * mapNormal);
+		  // Rotate the tangent frame for anisotropy (anisotropyRotation is in turns, as in the MTL extension)
+		  float anisotropyAngle = anisotropyRotation * 2.0 * PI;
+		  tangent = normalize(cos(anisotropyAngle) * tangent + sin(anisotropyAngle) * bitangent);
+		  tangent = normalize(tangent - normal * dot(normal, tangent));
+		  bitangent = cross(normal, tangent);
+
+		  vec4 baseMapColor = sampleColorMap(diffuseMap, mapTexcoord(diffuseMapTransform));
+		  vec3 albedo = decodeColor(baseColor) * baseMapColor.rgb * decodeColor(v_color.rgb);
+		  float effectiveRoughness = clamp(roughness * dot(texture2D(roughnessMap, mapTexcoord(roughnessMapTransform)), roughnessMapChannel), 0.04, 1.0);
+		  float effectiveMetallic = clamp(metallic * dot(texture2D(metallicMap, mapTexcoord(metallicMapTransform)), metallicMapChannel), 0.0, 1.0);
+		  float occlusion = dot(texture2D(occlusionMap, mapTexcoord(occlusionMapTransform)), occlusionMapChannel);
+		  float opacityMapValue = dot(texture2D(opacityMap, mapTexcoord(opacityMapTransform)), opacityMapChannel);
+		  float effectiveOpacity = opacity * opacityMapValue * baseMapColor.a * v_color.a;
+		  if (effectiveOpacity < alphaCutoff) {
+		    discard;
+		  }
+
+		  vec3 V = normalize(v_surfaceToView);
+		  float NdotV = max(dot(normal, V), 0.0001);
+		  vec3 f0 = mix(vec3(0.04), albedo, effectiveMetallic);
+		  float alpha = effectiveRoughness * effectiveRoughness;
+		  float ax = max(alpha * (1.0 + anisotropy), 0.001);
+		  float ay = max(alpha * (1.0 - anisotropy), 0.001);
+		  float coatAlpha = max(clearcoatRoughness * clearcoatRoughness, 0.001);
+
+		  // Sheen: a soft retro-reflective rim
+		  vec3 sheenLight = vec3(sheen * pow(1.0 - NdotV, 5.0) / PI);
+
+		  vec3 color = vec3(0.0);
+		  for (int i = 0; i < MAX_LIGHTS; i++) {
+		    if (i >= u_lightCount) {
+		      break;
+		    }
+		    vec3 L;
+		    vec3 radiance = lightRadiance(u_lightPositions[i], u_lightColors[i], u_lightDirections[i], u_lightParams[i], v_worldPosition, L);
+		    float NdotL = max(dot(normal, L), 0.0);
+		    if (NdotL <= 0.0) {
+		      continue;
+		    }
+		    radiance *= lightShadow(i, v_worldPosition, NdotL);
+		    vec3 H = normalize(L + V);
+		    float NdotH = max(dot(normal, H), 0.0);
+		    float VdotH = max(dot(V, H), 0.0);
+
+		    vec3 F = fresnelSchlick(VdotH, f0);
+		    float D = distributionGGX(NdotH, dot(tangent, H), dot(bitangent, H), ax, ay);
+		    float G = geometrySmith(NdotV, NdotL, alpha);
+		    vec3 specularLight = D * G * F / (4.0 * NdotV * max(NdotL, 0.0001));
+
+		    vec3 kd = (1.0 - F) * (1.0 - effectiveMetallic);
+		    vec3 diffuseLight = kd * albedo / PI;
+
+		    // Clearcoat: a second, dielectric specular lobe on top
+		    float coatFresnel = 0.04 + 0.96 * pow(1.0 - VdotH, 5.0);
+		    float coatD = distributionGGX(NdotH, dot(tangent, H), dot(bitangent, H), coatAlpha, coatAlpha);
+		    float coatG = geometrySmith(NdotV, NdotL, coatAlpha);
+		    float coatLight = clearcoat * coatD * coatG * coatFresnel / (4.0 * NdotV * max(NdotL, 0.0001));
+
+		    // Lights are scaled by PI, so that a white lambertian surface facing a white light of intensity 1 is white
+		    color += ((diffuseLight + specularLight + sheenLight) * (1.0 - clearcoat * coatFresnel) + coatLight) * radiance * PI * NdotL;
+		  }
+		  color += u_ambientLight * albedo * occlusion;
+		  color += decodeColor(emissive) * sampleColorMap(emissiveMap, mapTexcoord(emissiveMapTransform)).rgb;
+
+		  gl_FragColor = transparencyOutput(vec4(linearToSRGB(color), effectiveOpacity));
+		}
+		`
+    };
+
+    // Unlit shaders, used for "lines" and "points" parts
+    static unlitShaders = {
+        vs: `
+		attribute vec4 a_position;
+		attribute vec2 a_texcoord;
+		attribute vec4 a_color;
+
+		uniform mat4 u_projection;
+		uniform mat4 u_view;
+		uniform mat4 u_world;
+		uniform float u_pointSize;
+
+		varying vec2 v_texcoord;
+		varying vec4 v_color;
+
+		void main() {
+		  gl_Position = u_projection * u_view * u_world * a_position;
+		  gl_PointSize = u_pointSize;
+		  v_texcoord = a_texcoord;
+		  v_color = a_color;
+		}
+		`,
+        fs: `
+		precision mediump float;
+
+		varying vec2 v_texcoord;
+		varying vec4 v_color;
+
+		uniform vec3 diffuse;
+		uniform sampler2D diffuseMap;
+		uniform vec4 diffuseMapTransform;
+		uniform vec3 emissive;
+		uniform float opacity;
+		uniform float alphaCutoff;
+		${RenderEngine.colorSpaceShaderChunk}
+		${RenderEngine.transparencyShaderChunk}
+		void main() {
+		  vec4 diffuseMapColor = sampleColorMap(diffuseMap, v_texcoord * diffuseMapTransform.xy + diffuseMapTransform.zw);
 		  float effectiveOpacity = opacity * diffuseMapColor.a * v_color.a;
-	  
-		  gl_FragColor = vec4(
-			  emissive +
-			  ambient * u_ambientLight +
-			  effectiveDiffuse * fakeLight +
-			  effectiveSpecular * pow(specularLight, shininess),
-			  effectiveOpacity);
+		  if (effectiveOpacity < alphaCutoff) {
+		    discard;
+		  }
+		  gl_FragColor = transparencyOutput(vec4(linearToSRGB(decodeColor(emissive) + decodeColor(diffuse) * diffuseMapColor.rgb * decodeColor(v_color.rgb)), effectiveOpacity));
+		}
+		`
+    };
+
+    // Order-independent transparency composite shaders, drawing the average color of the transparent parts over the canvas
+    static oitCompositeShaders = {
+        vs: `
+		attribute vec4 a_position;
+
+		void main() {
+		  gl_Position = a_position;
+		}
+		`,
+        fs: `
+		precision highp float;
+
+		uniform sampler2D u_accumulation;
+		uniform sampler2D u_revealage;
+		uniform vec2 u_viewSize;
+
+		void main() {
+		  vec2 texcoord = gl_FragCoord.xy / u_viewSize;
+		  float revealage = texture2D(u_revealage, texcoord).r;
+		  if (revealage >= 1.0) {
+		    discard;
+		  }
+		  vec4 accumulation = texture2D(u_accumulation, texcoord);
+		  gl_FragColor = vec4(accumulation.rgb / clamp(accumulation.a, 0.0001, 50000.0), 1.0 - revealage);
 		}
 		`
     };
@@ -243,7 +1252,15 @@ export class RenderEngine {
     }
 }
 
-function setFramebufferAttachmentSizes(gl, targetTexture, depthBuffer) {
+/**
+ * Allocate the color texture and the depth buffer of a framebuffer.
+ * @param {*} gl WebGL context
+ * @param {*} targetTexture The color texture
+ * @param {*} depthBuffer The depth renderbuffer
+ * @param {number} [width] Width in pixels. Default is the width of the canvas.
+ * @param {number} [height] Height in pixels. Default is the height of the canvas.
+ */
+function setFramebufferAttachmentSizes(gl, targetTexture, depthBuffer, width = gl.canvas.width, height = gl.canvas.height) {
     gl.bindTexture(gl.TEXTURE_2D, targetTexture);
     // define size and format of level 0
     const level = 0;
@@ -252,79 +1269,471 @@ function setFramebufferAttachmentSizes(gl, targetTexture, depthBuffer) {
     const format = gl.RGBA;
     const type = gl.UNSIGNED_BYTE;
     const data = null;
-    gl.texImage2D(gl.TEXTURE_2D, level, internalFormat, gl.canvas.width, gl.canvas.height, border, format, type, data);
+    gl.texImage2D(gl.TEXTURE_2D, level, internalFormat, width, height, border, format, type, data);
 
     gl.bindRenderbuffer(gl.RENDERBUFFER, depthBuffer);
-    gl.renderbufferStorage(gl.RENDERBUFFER, gl.DEPTH_COMPONENT16, gl.canvas.width, gl.canvas.height);
+    gl.renderbufferStorage(gl.RENDERBUFFER, gl.DEPTH_COMPONENT16, width, height);
 }
 
 /**
- * This function will compute the world matrix of an object.
+ * Matrix from clip space to the coordinates of a shadow map: texture coordinates in xy and depth in z, from 0 to 1.
+ */
+const SHADOW_TEXTURE_MATRIX = [
+    0.5, 0, 0, 0,
+    0, 0.5, 0, 0,
+    0, 0, 0.5, 0,
+    0.5, 0.5, 0.5, 1
+];
+
+/**
+ * Compute a sphere enclosing spheres, centered on the center of their bounding box.
+ * @param {object[]} spheres The spheres `{center, radius}`
+ * @returns {object} - The sphere `{center, radius}`, undefined without spheres
+ */
+function computeEnclosingSphere(spheres) {
+    if (!spheres.length) {
+        return undefined;
+    }
+    const center = [0, 1, 2].map(axis => (Math.min(...spheres.map(sphere => sphere.center[axis] - sphere.radius)) +
+        Math.max(...spheres.map(sphere => sphere.center[axis] + sphere.radius))) / 2);
+    return {
+        center,
+        radius: Math.max(...spheres.map(sphere => Math.hypot(...m4.subtractVectors(sphere.center, center)) + sphere.radius))
+    };
+}
+
+/**
+ * This function will compute the world matrix of an object, from its scene node (see SceneGraph.js).
+ * Objects without node get one reading their `center` and `rotation`.
  * @param {*} obj The object to compute the world matrix
  */
 function computeObjWorld(obj) {
-    let u_world = m4.identity();
+    const node = SceneNode.ForObject(obj);
+    // Only the changed parts of the hierarchy are recomputed, the other objects of the same hierarchy find it up to date
+    node.getRoot().updateWorldMatrix();
+    obj.uniforms.u_world = node.worldMatrix;
+}
 
-    // Handle object translation
+/**
+ * Encode an id as the color written by the picker shader.
+ * @param {number} id The id
+ * @returns {number[]} - The RGBA color, one byte of the id in each component
+ */
+function encodeId(id) {
+    return [
+        (id & 0xff) / 0xff,
+        ((id >> 8) & 0xff) / 0xff,
+        ((id >> 16) & 0xff) / 0xff,
+        ((id >> 24) & 0xff) / 0xff
+    ];
+}
 
-    if (obj.rotation.onAxes && (obj.rotation.onAxes.x != 0 || obj.rotation.onAxes.y != 0 || obj.rotation.onAxes.z != 0)) {
-        if (obj.rotation.onAxes.x != 0) {
-            u_world = m4.xRotate(u_world, obj.rotation.onAxes.x);
+/**
+ * Update the world space bounds of an object and of its parts (`worldBoundingBox` and `worldBoundingSphere`) from their bounds and
+ * the world matrix of the object (or the `u_world` uniform of a part).
+ * @param {*} obj The object, with its world matrix already computed
+ */
+function computeWorldBounds(obj) {
+    const items = [obj, ...(obj.parts || [])];
+    items.forEach(item => {
+        if (!item.boundingBox || !item.boundingSphere) {
+            return;
         }
-        if (obj.rotation.onAxes.y != 0) {
-            u_world = m4.yRotate(u_world, obj.rotation.onAxes.y);
+        const matrix = (item !== obj && item.uniforms && item.uniforms.u_world) || obj.uniforms.u_world;
+
+        // Box around the transformed corners
+        const min = [Infinity, Infinity, Infinity];
+        const max = [-Infinity, -Infinity, -Infinity];
+        for (let corner = 0; corner < 8; corner++) {
+            const point = m4.transformPoint(matrix, [0, 1, 2].map(axis => corner & (1 << axis) ? item.boundingBox.max[axis] : item.boundingBox.min[axis]));
+            for (let axis = 0; axis < 3; axis++) {
+                min[axis] = Math.min(min[axis], point[axis]);
+                max[axis] = Math.max(max[axis], point[axis]);
+            }
         }
-        if (obj.rotation.onAxes.z != 0) {
-            u_world = m4.zRotate(u_world, obj.rotation.onAxes.z);
+        item.worldBoundingBox = {
+            min,
+            max
+        };
+
+        // The radius grows with the largest scale of the matrix
+        const scale = Math.max(...[0, 4, 8].map(column => Math.hypot(matrix[column], matrix[column + 1], matrix[column + 2])));
+        item.worldBoundingSphere = {
+            center: m4.transformPoint(matrix, item.boundingSphere.center),
+            radius: item.boundingSphere.radius * scale
+        };
+    });
+}
+
+/**
+ * Choose the level of detail of the parts of an object: the last level whose `screenSize` is larger than the size of the part on
+ * the screen (the fraction of the height of the view covered by its world bounding sphere).
+ * @param {*} obj The object, with its world bounds already computed
+ * @param {*} cameraUniforms The uniforms of the camera, `u_projection` and `u_viewWorldPosition`
+ * @param {number} lodBias Factor of the screen sizes
+ */
+function selectLODs(obj, cameraUniforms, lodBias) {
+    for (const part of obj.parts || []) {
+        if (!part.lods) {
+            continue;
+        }
+        part.lodLevel = -1;
+        if (!part.worldBoundingSphere || !cameraUniforms.u_projection) {
+            continue;
+        }
+        const {
+            center,
+            radius
+        } = part.worldBoundingSphere;
+        const projection = cameraUniforms.u_projection;
+        let screenSize = radius * projection[5] * lodBias;
+        // Perspective projections divide by the distance, orthographic ones don't
+        if (projection[11] !== 0 && cameraUniforms.u_viewWorldPosition) {
+            const distance = Math.hypot(...center.map((value, axis) => value - cameraUniforms.u_viewWorldPosition[axis]));
+            screenSize = distance > radius ? screenSize / distance : Infinity;
         }
+        part.lods.forEach((lod, level) => {
+            if (screenSize < lod.screenSize) {
+                part.lodLevel = level;
+            }
+        });
     }
+}
 
-    // Handle object translation
-    if (obj.center && (obj.center.x != 0 || obj.center.y != 0 || obj.center.z != 0)) {
-        u_world = m4.translate(u_world, obj.center.x, obj.center.y, obj.center.z);
+/**
+ * Create the counters of the statistics of a frame or of a pass.
+ * @returns {object}
+ */
+function createStats() {
+    return {
+        drawCalls: 0,
+        triangles: 0,
+        lines: 0,
+        points: 0,
+        hiddenParts: 0,
+        programSwitches: 0,
+        bufferBinds: 0,
+        framebufferBinds: 0,
+        cpuTime: 0
+    };
+}
+
+/**
+ * Count a draw call in the statistics.
+ * @param {object} stats The statistics
+ * @param {string} primitive The part primitive, see getPrimitiveType
+ * @param {number} count Number of drawn vertices (or indices)
+ */
+function countDrawCall(stats, primitive, count = 0) {
+    stats.drawCalls++;
+    switch (primitive) {
+        case "lines":
+            stats.lines += Math.floor(count / 2);
+            break;
+        case "lineStrip":
+            stats.lines += Math.max(count - 1, 0);
+            break;
+        case "points":
+            stats.points += count;
+            break;
+        default:
+            stats.triangles += Math.floor(count / 3);
     }
+}
+
+/**
+ * @returns {number} - The current time in milliseconds
+ */
+function now() {
+    return typeof performance !== "undefined" ? performance.now() : Date.now();
+}
 
-    if (obj.rotation.onSelf && (obj.rotation.onSelf.x != 0 || obj.rotation.onSelf.y != 0 || obj.rotation.onSelf.z != 0)) {
-        if (obj.rotation.onSelf.x != 0) {
-            u_world = m4.xRotate(u_world, obj.rotation.onSelf.x);
+/**
+ * Asynchronous GPU timer of the passes, with EXT_disjoint_timer_query_webgl2 on WebGL2 and EXT_disjoint_timer_query on WebGL1.
+ *
+ * Each pass is measured by a TIME_ELAPSED query, whose result is read a few frames later when it is available. The results of the
+ * queries running when the GPU timer was disjoint (e.g. the GPU changed its frequency) are dropped.
+ */
+class GPUTimer {
+    /**
+     * @param {*} gl
+     * @param {boolean} isWebGL2
+     */
+    constructor(gl, isWebGL2) {
+        this.gl = gl;
+        this.isWebGL2 = isWebGL2;
+        this.ext = gl.getExtension(isWebGL2 ? "EXT_disjoint_timer_query_webgl2" : "EXT_disjoint_timer_query");
+        // {query, frame, pass}, in the order they were issued
+        this.pending = [];
+    }
+
+    get supported() {
+        return !!this.ext;
+    }
+
+    /**
+     * Start measuring a pass, only one pass can be measured at a time.
+     * @param {number} frame The frame number
+     * @param {string} pass The name of the pass
+     */
+    begin(frame, pass) {
+        const {
+            gl,
+            ext
+        } = this;
+        const query = this.isWebGL2 ? gl.createQuery() : ext.createQueryEXT();
+        if (this.isWebGL2) {
+            gl.beginQuery(ext.TIME_ELAPSED_EXT, query);
+        } else {
+            ext.beginQueryEXT(ext.TIME_ELAPSED_EXT, query);
         }
-        if (obj.rotation.onSelf.y != 0) {
-            u_world = m4.yRotate(u_world, obj.rotation.onSelf.y);
+        this.pending.push({
+            query,
+            frame,
+            pass
+        });
+    }
+
+    /**
+     * Stop measuring the current pass.
+     */
+    end() {
+        if (this.isWebGL2) {
+            this.gl.endQuery(this.ext.TIME_ELAPSED_EXT);
+        } else {
+            this.ext.endQueryEXT(this.ext.TIME_ELAPSED_EXT);
         }
-        if (obj.rotation.onSelf.z != 0) {
-            u_world = m4.zRotate(u_world, obj.rotation.onSelf.z);
+    }
+
+    /**
+     * Get the results of the queries that are available.
+     * @returns {object[]} - `{frame, pass, gpuTime}` of each finished pass, in milliseconds
+     */
+    poll() {
+        const {
+            gl,
+            ext
+        } = this;
+        const disjoint = gl.getParameter(ext.GPU_DISJOINT_EXT);
+        const results = [];
+        while (this.pending.length > 0) {
+            const {
+                query,
+                frame,
+                pass
+            } = this.pending[0];
+            const available = this.isWebGL2 ?
+                gl.getQueryParameter(query, gl.QUERY_RESULT_AVAILABLE) :
+                ext.getQueryObjectEXT(query, ext.QUERY_RESULT_AVAILABLE_EXT);
+            // Queries finish in order
+            if (!available && !disjoint) {
+                break;
+            }
+            this.pending.shift();
+            if (!disjoint) {
+                const nanoseconds = this.isWebGL2 ?
+                    gl.getQueryParameter(query, gl.QUERY_RESULT) :
+                    ext.getQueryObjectEXT(query, ext.QUERY_RESULT_EXT);
+                results.push({
+                    frame,
+                    pass,
+                    gpuTime: nanoseconds / 1e6
+                });
+            }
+            if (this.isWebGL2) {
+                gl.deleteQuery(query);
+            } else {
+                ext.deleteQueryEXT(query);
+            }
         }
+        return results;
+    }
+}
+
+/**
+ * Check if a part must be drawn with the unlit program.
+ * @param {*} part The part
+ * @returns {boolean}
+ */
+function isUnlit(part) {
+    return !!part.primitive && part.primitive !== "triangles";
+}
+
+/**
+ * Get the WebGL primitive type used to draw a part.
+ * @param {*} gl WebGL context
+ * @param {string} primitive The part primitive: "triangles" (default), "lines", "lineStrip" or "points"
+ * @returns {number}
+ */
+function getPrimitiveType(gl, primitive) {
+    switch (primitive) {
+        case "lines":
+            return gl.LINES;
+        case "lineStrip":
+            return gl.LINE_STRIP;
+        case "points":
+            return gl.POINTS;
+        default:
+            return gl.TRIANGLES;
     }
+}
 
-    obj.uniforms.u_world = u_world;
+/**
+ * Check if a part is drawn with the transparent parts when transparency is enabled: if `transparent` is set on the part or its material,
+ * its value, otherwise true if its `opacity` is below 1, if its material has an opacity map or a glTF "BLEND" alpha mode, or if
+ * its diffuse map has transparent pixels (`hasAlpha`, see MeshLoader.CreateTexture). The `uniforms` of the part override its material.
+ * Other parts are drawn without blending, the glTF "MASK" materials discard their fragments below `alphaCutoff` instead.
+ * @param {*} part The part
+ * @returns {boolean}
+ */
+function isTransparent(part) {
+    const uniforms = part.uniforms || {};
+    const material = part.material || {};
+    const value = key => uniforms[key] !== undefined ? uniforms[key] : material[key];
+    if (part.transparent !== undefined) {
+        return part.transparent;
+    }
+    if (material.transparent !== undefined) {
+        return material.transparent;
+    }
+    if (material.alphaMode === "BLEND") {
+        return true;
+    }
+    // The alpha of glTF "OPAQUE" and "MASK" materials doesn't blend, unless the part is faded by its uniforms
+    if (material.alphaMode !== undefined) {
+        return uniforms.opacity < 1;
+    }
+    if (value("opacity") < 1) {
+        return true;
+    }
+    const diffuseMap = value("diffuseMap");
+    return !!(material.mapDescriptors && material.mapDescriptors.opacityMap) || !!(diffuseMap && diffuseMap.hasAlpha);
+}
+
+/**
+ * Sort parts from the farthest to the nearest to a point, by the center of their world bounding sphere (or the origin of their world
+ * matrix for the parts without bounds).
+ * @param {object[]} parts The parts, `{object, part}`, sorted in place
+ * @param {number[]} [viewPosition] The point, e.g. the position of the camera. The order is unchanged without it.
+ */
+function sortBackToFront(parts, viewPosition) {
+    if (!viewPosition) {
+        return;
+    }
+    const distances = new Map(parts.map(item => {
+        const sphere = item.part.worldBoundingSphere || item.object.worldBoundingSphere;
+        const world = (item.part.uniforms && item.part.uniforms.u_world) || item.object.uniforms.u_world;
+        const center = sphere ? sphere.center : [world[12], world[13], world[14]];
+        return [item, Math.hypot(...m4.subtractVectors(center, viewPosition))];
+    }));
+    parts.sort((a, b) => distances.get(b) - distances.get(a));
+}
+
+/**
+ * List the parts of the objects that are drawn: the visible objects and their parts without `hidden` set.
+ * @param {*} objects List of objects
+ * @param {object} stats Statistics of the pass, counting the hidden parts
+ * @returns {object[]} - The parts, `{object, part}`, in the order of the objects
+ */
+function listParts(objects, stats) {
+    const parts = [];
+    objects.forEach(obj => {
+        if (!obj.hidden && obj.parts) {
+            for (const part of obj.parts) {
+                if (part.hidden) {
+                    stats.hiddenParts++;
+                } else {
+                    parts.push({
+                        object: obj,
+                        part
+                    });
+                }
+            }
+        }
+    });
+    return parts;
 }
 
 /**
  * This function will draw the objects in the list.
  * It will use the programInfo to set the uniforms and attributes.
+ *
+ * Parts with `hidden` set are skipped, the `uniforms` of a part override the ones of its object and material
+ * (e.g. `diffuse` to recolor it or `u_world` to move it). Parts whose material is `doubleSided` are drawn without back-face culling.
  * @param {*} gl WebGL context
  * @param {*} objectsToDraw List of objects to draw
  * @param {*} programInfo The programInfo to use to set the uniforms and attributes
- * @param {*} cameraUniforms The uniforms to set for the camera
+ * @param {*} cameraUniforms The uniforms to set for the camera (and the lights)
+ * @param {*} unlitProgramInfo The programInfo to use for "lines" and "points" parts
+ * @param {*} defaultUniforms Uniforms set before the ones of each object (e.g. the point size)
+ * @param {Array} [pickedParts] Picker pass: each drawn part is added to the list and drawn with its index plus 1 as `u_id`
+ * @param {object} [stats] Statistics of the pass, see createStats, updated with the draw calls and state changes
  */
-function drawObjects(gl, objectsToDraw, programInfo, cameraUniforms) {
-    gl.useProgram(programInfo.program);
-    webglUtils.setUniforms(programInfo, cameraUniforms); // Can I move this inside object uniforms?
+function drawObjects(gl, objectsToDraw, programInfo, cameraUniforms, unlitProgramInfo, defaultUniforms, pickedParts, stats = createStats()) {
+    drawParts(gl, listParts(objectsToDraw, stats), programInfo, cameraUniforms, unlitProgramInfo, defaultUniforms, pickedParts, stats);
+}
 
-    objectsToDraw.forEach(obj => {
-        if (!obj.hidden && obj.parts) {
-            for (const {
-                    bufferInfo,
-                    material
-                } of obj.parts) {
-                // calls gl.bindBuffer, gl.enableVertexAttribArray, gl.vertexAttribPointer
-                webglUtils.setBuffersAndAttributes(gl, programInfo, bufferInfo);
+/**
+ * Draw parts in the given order, see drawObjects.
+ * @param {*} gl WebGL context
+ * @param {object[]} parts The parts to draw, `{object, part}` (see listParts)
+ * @param {*} programInfo The programInfo to use to set the uniforms and attributes
+ * @param {*} cameraUniforms The uniforms to set for the camera (and the lights)
+ * @param {*} unlitProgramInfo The programInfo to use for "lines" and "points" parts
+ * @param {*} defaultUniforms Uniforms set before the ones of each object
+ * @param {Array} [pickedParts] Picker pass: each drawn part is added to the list and drawn with its index plus 1 as `u_id`
+ * @param {object} [stats] Statistics of the pass
+ */
+function drawParts(gl, parts, programInfo, cameraUniforms, unlitProgramInfo, defaultUniforms, pickedParts, stats = createStats()) {
+    let currentProgramInfo;
+    // Every pass culls the back faces, only toggled around the double-sided parts
+    let culling = true;
 
-                webglUtils.setUniforms(programInfo, obj.uniforms, material);
+    parts.forEach(({
+        object: obj,
+        part
+    }) => {
+        const material = part.material;
+        const bufferInfo = part.lods && part.lodLevel >= 0 ? part.lods[part.lodLevel].bufferInfo : part.bufferInfo;
 
-                // calls gl.drawArrays or gl.drawElements
-                webglUtils.drawBufferInfo(gl, bufferInfo);
+        if (culling === !!material.doubleSided) {
+            culling = !culling;
+            if (culling) {
+                gl.enable(gl.CULL_FACE);
+            } else {
+                gl.disable(gl.CULL_FACE);
             }
         }
+
+        const partProgramInfo = isUnlit(part) ? unlitProgramInfo : programInfo;
+        if (partProgramInfo !== currentProgramInfo) {
+            currentProgramInfo = partProgramInfo;
+            gl.useProgram(currentProgramInfo.program);
+            stats.programSwitches++;
+            webglUtils.setUniforms(currentProgramInfo, cameraUniforms); // Can I move this inside object uniforms?
+        }
+
+        // calls gl.bindBuffer, gl.enableVertexAttribArray, gl.vertexAttribPointer
+        webglUtils.setBuffersAndAttributes(gl, currentProgramInfo, bufferInfo);
+        stats.bufferBinds++;
+
+        webglUtils.setUniforms(currentProgramInfo, defaultUniforms, obj.uniforms, material, part.uniforms || {});
+        if (pickedParts) {
+            pickedParts.push({
+                object: obj,
+                part
+            });
+            webglUtils.setUniforms(currentProgramInfo, {
+                u_id: encodeId(pickedParts.length)
+            });
+        }
+
+        // calls gl.drawArrays or gl.drawElements
+        webglUtils.drawBufferInfo(gl, bufferInfo, getPrimitiveType(gl, part.primitive));
+        countDrawCall(stats, part.primitive, bufferInfo.numElements);
     });
+
+    if (!culling) {
+        gl.enable(gl.CULL_FACE);
+    }
 }
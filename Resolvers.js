@@ -0,0 +1,464 @@
+/**
+ * Resource resolvers used by MeshLoader.LoadOBJAndMesh to load the OBJ file, its MTL files and its textures.
+ *
+ * A resolver maps the path of a resource (relative to the file that references it) to its content. Any object with the
+ * methods of ResourceResolver can be used, the built-in ones load from:
+ * - HTTPResolver: a web server (or any `fetch` implementation)
+ * - FileMapResolver: in-memory files, e.g. a drag-and-dropped folder (`FileList`) or a map of path to content
+ * - ZipResolver: a zip archive
+ */
+
+/**
+ * Error thrown by the resolvers when a resource can't be loaded.
+ */
+export class ResourceError extends Error {
+    /**
+     * @param {string} message Description of the problem
+     * @param {string} path Path of the resource
+     * @param {object} [details] The HTTP `status` and the `cause` of the error, if any
+     */
+    constructor(message, path, details = {}) {
+        super(`Could not load ${path}: ${message}`, {
+            cause: details.cause
+        });
+        this.name = "ResourceError";
+        this.path = path;
+        this.status = details.status;
+    }
+}
+
+/**
+ * Base class of the resolvers.
+ *
+ * Subclasses implement `loadBlob`, the other loaders are built on it. Paths are resolved like relative URLs: `resolve("tex/a.png", "models/cube.obj")`
+ * is `"models/tex/a.png"`.
+ */
+export class ResourceResolver {
+    /**
+     * Get the path of a resource referenced by another one.
+     * @param {string} path Path of the resource, relative to `base`
+     * @param {string} [base] Path of the file referencing the resource
+     * @returns {string} - The path to give to the loaders
+     */
+    resolve(path, base) {
+        const directory = base ? normalizePath(base).split("/").slice(0, -1).join("/") : "";
+        return normalizePath(directory ? directory + "/" + path : path);
+    }
+
+    /**
+     * Load a resource as a Blob.
+     * @param {string} path Resolved path of the resource
+     * @param {object} [options] `signal`: AbortSignal used to cancel the loading
+     * @returns {Promise<Blob>}
+     */
+    async loadBlob(path, options = {}) {
+        throw new ResourceError("loadBlob is not implemented", path);
+    }
+
+    /**
+     * Load a resource as text.
+     * @param {string} path Resolved path of the resource
+     * @param {object} [options] See loadBlob
+     * @returns {Promise<string>}
+     */
+    async loadText(path, options = {}) {
+        return (await this.loadBlob(path, options)).text();
+    }
+
+    /**
+     * Load a resource as an ArrayBuffer.
+     * @param {string} path Resolved path of the resource
+     * @param {object} [options] See loadBlob
+     * @returns {Promise<ArrayBuffer>}
+     */
+    async loadArrayBuffer(path, options = {}) {
+        return (await this.loadBlob(path, options)).arrayBuffer();
+    }
+
+    /**
+     * Load a resource as a stream of bytes.
+     * @param {string} path Resolved path of the resource
+     * @param {object} [options] See loadBlob
+     * @returns {Promise<object>} - The `stream` and, if known, the `totalBytes`
+     */
+    async loadStream(path, options = {}) {
+        const blob = await this.loadBlob(path, options);
+        return {
+            stream: blob.stream(),
+            totalBytes: blob.size
+        };
+    }
+
+    /**
+     * Load an image, to be uploaded in a texture.
+     * @param {string} path Resolved path of the resource
+     * @param {object} [options] See loadBlob
+     * @returns {Promise<HTMLImageElement>}
+     */
+    async loadImage(path, options = {}) {
+        return ResourceResolver.DecodeImage(await this.loadBlob(path, options), path);
+    }
+
+    /**
+     * Decode an image held in memory, e.g. one embedded in a file.
+     * @param {Blob} blob The image file, its type should be set
+     * @param {string} path Path of the resource, used in the errors
+     * @returns {Promise<HTMLImageElement>}
+     */
+    static async DecodeImage(blob, path) {
+        const url = URL.createObjectURL(blob);
+        try {
+            return await loadImageElement(url, path);
+        } finally {
+            URL.revokeObjectURL(url);
+        }
+    }
+
+    /**
+     * Throw the reason of an aborted signal.
+     * @param {AbortSignal} [signal] The signal, nothing happens if it is missing
+     */
+    static ThrowIfAborted(signal) {
+        if (signal && signal.aborted) {
+            throw signal.reason || new DOMException("The operation was aborted.", "AbortError");
+        }
+    }
+}
+
+/**
+ * Load resources with `fetch`, checking the status of the responses.
+ */
+export class HTTPResolver extends ResourceResolver {
+    /**
+     * @param {object} [options] Dictionary of options.
+     * @param {string} [options.baseURL] URL the paths are relative to. Default is the page address.
+     * @param {function} [options.fetch] Function used instead of the global `fetch`, e.g. to add authentication or to load from a cache.
+     * @param {object} [options.fetchOptions] Options given to each `fetch` call (headers, credentials...).
+     * @param {string} [options.crossOrigin="anonymous"] CORS mode of the images. Images are loaded with an `<img>` element, unless
+     * `fetch` or `fetchOptions` is given: they are then fetched like the other files and decoded.
+     */
+    constructor(options = {}) {
+        super();
+        this.baseURL = options.baseURL || (globalThis.location && globalThis.location.href);
+        this.fetch = options.fetch;
+        this.fetchOptions = options.fetchOptions || {};
+        this.crossOrigin = options.crossOrigin === undefined ? "anonymous" : options.crossOrigin;
+    }
+
+    resolve(path, base) {
+        return new URL(path, base ? new URL(base, this.baseURL) : this.baseURL).href;
+    }
+
+    /**
+     * Fetch a resource.
+     * @param {string} path Resolved URL of the resource
+     * @param {object} [options] See loadBlob
+     * @returns {Promise<Response>} - The response, if its status is ok
+     */
+    async loadResponse(path, options = {}) {
+        let response;
+        try {
+            response = await (this.fetch || fetch)(path, {
+                ...this.fetchOptions,
+                signal: options.signal
+            });
+        } catch (error) {
+            if (error.name === "AbortError") {
+                throw error;
+            }
+            throw new ResourceError(error.message, path, {
+                cause: error
+            });
+        }
+        if (!response.ok) {
+            throw new ResourceError(`${response.status} ${response.statusText}`, path, {
+                status: response.status
+            });
+        }
+        return response;
+    }
+
+    async loadBlob(path, options = {}) {
+        return (await this.loadResponse(path, options)).blob();
+    }
+
+    async loadText(path, options = {}) {
+        return (await this.loadResponse(path, options)).text();
+    }
+
+    async loadArrayBuffer(path, options = {}) {
+        return (await this.loadResponse(path, options)).arrayBuffer();
+    }
+
+    async loadStream(path, options = {}) {
+        const response = await this.loadResponse(path, options);
+        if (!response.body) {
+            // No streaming support, read the whole response
+            const blob = await response.blob();
+            return {
+                stream: blob.stream(),
+                totalBytes: blob.size
+            };
+        }
+        return {
+            stream: response.body,
+            totalBytes: Number(response.headers.get("Content-Length")) || undefined
+        };
+    }
+
+    async loadImage(path, options = {}) {
+        if (this.fetch || Object.keys(this.fetchOptions).length > 0) {
+            // The images must go through the custom fetch and get the headers and credentials too
+            return super.loadImage(path, options);
+        }
+        return loadImageElement(path, path, this.crossOrigin, options.signal);
+    }
+}
+
+/**
+ * Load resources from files kept in memory.
+ *
+ * The files are looked up by path. Since exported models often reference their files with another case or folder, a missing
+ * path falls back to a case insensitive match, then to a file with the same name in any folder.
+ */
+export class FileMapResolver extends ResourceResolver {
+    /**
+     * @param {FileList|File[]|Map|object} files The files: a `FileList` or an array of `File` (keyed by their `webkitRelativePath`,
+     * or their name), or a Map (or object) of path to content (Blob, ArrayBuffer, typed array or string)
+     */
+    constructor(files = {}) {
+        super();
+        this.files = new Map();
+        const entries = files instanceof Map ?
+            files.entries() :
+            typeof files.length === "number" ?
+            Array.from(files, file => [file.webkitRelativePath || file.name, file]) :
+            Object.entries(files);
+        for (const [path, content] of entries) {
+            this.files.set(normalizePath(path), content);
+        }
+    }
+
+    /**
+     * Add or replace a file.
+     * @param {string} path Path of the file
+     * @param {Blob|ArrayBuffer|ArrayBufferView|string} content Content of the file
+     */
+    set(path, content) {
+        this.files.set(normalizePath(path), content);
+    }
+
+    /**
+     * Find the entry of a path.
+     * @param {string} path Resolved path of the resource
+     * @returns {*} - The content stored for the path
+     */
+    find(path) {
+        const normalized = normalizePath(path);
+        if (this.files.has(normalized)) {
+            return this.files.get(normalized);
+        }
+        const lowerCase = normalized.toLowerCase();
+        const name = lowerCase.split("/").pop();
+        let sameName;
+        for (const [key, content] of this.files) {
+            const lowerCaseKey = key.toLowerCase();
+            if (lowerCaseKey === lowerCase) {
+                return content;
+            }
+            if (sameName === undefined && lowerCaseKey.split("/").pop() === name) {
+                sameName = content;
+            }
+        }
+        if (sameName === undefined) {
+            throw new ResourceError("file not found", path);
+        }
+        return sameName;
+    }
+
+    /**
+     * Convert a stored entry to a Blob.
+     * @param {*} content The content stored for the path
+     * @param {string} path Resolved path of the resource
+     * @returns {Promise<Blob>}
+     */
+    async read(content, path) {
+        return content instanceof Blob ? content : new Blob([content], {
+            type: mimeType(path)
+        });
+    }
+
+    async loadBlob(path, options = {}) {
+        ResourceResolver.ThrowIfAborted(options.signal);
+        return this.read(this.find(path), path);
+    }
+}
+
+/**
+ * Load resources from a zip archive (stored or deflated entries, using DecompressionStream).
+ */
+export class ZipResolver extends FileMapResolver {
+    /**
+     * @param {ArrayBuffer|ArrayBufferView} data Content of the zip file, e.g. `await file.arrayBuffer()`
+     */
+    constructor(data) {
+        super();
+        for (const entry of readZipEntries(data)) {
+            this.files.set(normalizePath(entry.path), entry);
+        }
+    }
+
+    async read(entry, path) {
+        const type = mimeType(path);
+        if (entry.method === 0) {
+            return new Blob([entry.data], {
+                type
+            });
+        }
+        if (entry.method !== 8) {
+            throw new ResourceError(`unsupported zip compression method ${entry.method}`, path);
+        }
+        const stream = new Blob([entry.data]).stream().pipeThrough(new DecompressionStream("deflate-raw"));
+        const blob = await new Response(stream).blob();
+        return new Blob([blob], {
+            type
+        });
+    }
+}
+
+/**
+ * Normalize a relative path: use forward slashes and remove the `.` and `..` parts.
+ * @param {string} path The path
+ * @returns {string}
+ */
+function normalizePath(path) {
+    const parts = [];
+    for (const part of path.replace(/\\/g, "/").split("/")) {
+        if (part === "..") {
+            parts.pop();
+        } else if (part !== "." && part !== "") {
+            parts.push(part);
+        }
+    }
+    return parts.join("/");
+}
+
+/**
+ * Load an image element.
+ * @param {string} url Address of the image
+ * @param {string} path Path of the resource, used in the errors
+ * @param {string} [crossOrigin] CORS mode of the image
+ * @param {AbortSignal} [signal] Signal used to cancel the loading
+ * @returns {Promise<HTMLImageElement>}
+ */
+function loadImageElement(url, path, crossOrigin, signal) {
+    return new Promise((resolve, reject) => {
+        ResourceResolver.ThrowIfAborted(signal);
+        const image = new Image();
+        const onAbort = () => {
+            reject(signal.reason || new DOMException("The operation was aborted.", "AbortError"));
+            // Clearing the source stops the download
+            image.src = "";
+        };
+        const settle = (callback, value) => {
+            if (signal) {
+                signal.removeEventListener("abort", onAbort);
+            }
+            callback(value);
+        };
+        if (crossOrigin) {
+            image.crossOrigin = crossOrigin;
+        }
+        if (signal) {
+            signal.addEventListener("abort", onAbort);
+        }
+        image.addEventListener("load", () => settle(resolve, image));
+        image.addEventListener("error", () => settle(reject, new ResourceError("invalid or missing image", path)));
+        image.src = url;
+    });
+}
+
+/**
+ * Guess the MIME type of a file from its extension, so that the images built from Blobs are decoded.
+ * @param {string} path Path of the file
+ * @returns {string} - The type, empty if unknown
+ */
+function mimeType(path) {
+    const extension = path.split(".").pop().toLowerCase();
+    return MIME_TYPES[extension] || "";
+}
+
+const MIME_TYPES = {
+    png: "image/png",
+    jpg: "image/jpeg",
+    jpeg: "image/jpeg",
+    gif: "image/gif",
+    bmp: "image/bmp",
+    webp: "image/webp",
+    tga: "image/x-tga",
+    obj: "text/plain",
+    mtl: "text/plain"
+};
+
+/**
+ * Read the entries of a zip archive from its central directory.
+ * @param {ArrayBuffer|ArrayBufferView} data Content of the zip file
+ * @returns {object[]} - The file entries: `path`, compression `method` and compressed `data`
+ */
+function readZipEntries(data) {
+    const bytes = ArrayBuffer.isView(data) ? new Uint8Array(data.buffer, data.byteOffset, data.byteLength) : new Uint8Array(data);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+    // The end of central directory record is at the end of the file, followed by a comment of at most 65535 bytes
+    let end = -1;
+    for (let offset = bytes.length - 22; offset >= Math.max(0, bytes.length - 22 - 65535); --offset) {
+        if (view.getUint32(offset, true) === 0x06054b50) {
+            end = offset;
+            break;
+        }
+    }
+    if (end < 0) {
+        throw new ResourceError("not a zip file", "archive");
+    }
+    const count = view.getUint16(end + 10, true);
+    let offset = view.getUint32(end + 16, true);
+    if (offset === 0xffffffff) {
+        throw new ResourceError("zip64 archives are not supported", "archive");
+    }
+
+    const utf8 = new TextDecoder();
+    const entries = [];
+    for (let i = 0; i < count; ++i) {
+        if (offset + 46 > bytes.length || view.getUint32(offset, true) !== 0x02014b50) {
+            throw new ResourceError("corrupted zip central directory", "archive");
+        }
+        const flags = view.getUint16(offset + 8, true);
+        const method = view.getUint16(offset + 10, true);
+        const compressedSize = view.getUint32(offset + 20, true);
+        const nameLength = view.getUint16(offset + 28, true);
+        const extraLength = view.getUint16(offset + 30, true);
+        const commentLength = view.getUint16(offset + 32, true);
+        const localOffset = view.getUint32(offset + 42, true);
+        const path = utf8.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+        offset += 46 + nameLength + extraLength + commentLength;
+
+        // Skip the folders and the encrypted files
+        if (path.endsWith("/") || flags & 1) {
+            continue;
+        }
+        // The local header has its own name and extra field lengths
+        if (localOffset + 30 > bytes.length || view.getUint32(localOffset, true) !== 0x04034b50) {
+            throw new ResourceError("corrupted zip local header", path);
+        }
+        const dataOffset = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+        if (dataOffset + compressedSize > bytes.length) {
+            throw new ResourceError("truncated zip entry", path);
+        }
+        entries.push({
+            path,
+            method,
+            data: bytes.subarray(dataOffset, dataOffset + compressedSize)
+        });
+    }
+    return entries;
+}
@@ -0,0 +1,382 @@
+import {
+    HTTPResolver
+} from "./Resolvers.js";
+
+/**
+ * GPU resources shared by the loaded objects of a WebGL context.
+ *
+ * - The default 1 pixel textures (white and flat normal) are created once.
+ * - Textures are reference counted by key (usually the resolved path of the image), so that the models using the same image share it.
+ * - Meshes are reference counted by key (the resolved path of the file and the loading options), so that loading the same file twice
+ *   shares its buffers and textures. Each object gets its own copy of the parts and materials.
+ * - `dispose(object)` releases the resources of an object, the buffers and textures are deleted once no object uses them.
+ *
+ * MeshLoader.LoadOBJAndMesh and GLTFLoader.LoadGLTFAndMesh use the manager of the context (`ResourceManager.ForContext(gl)`) unless
+ * another one is given in `options.resourceManager`.
+ */
+export class ResourceManager {
+    /**
+     * @param {*} gl
+     */
+    constructor(gl) {
+        this.gl = gl;
+        // key -> {texture, refCount, bytes}
+        this.textures = new Map();
+        // key -> {promise, refCount, mesh}
+        this.meshes = new Map();
+        // object -> key of its mesh
+        this.objects = new WeakMap();
+        // object -> token of its last acquireMesh call, a load whose token was replaced is stale
+        this.loadTokens = new WeakMap();
+        // bufferInfo -> size in bytes of its buffers
+        this.bufferInfos = new Map();
+        this.defaultTextures = {};
+        this.resolverKeys = new WeakMap();
+        this.nextResolverKey = 1;
+    }
+
+    /**
+     * Get the shared manager of a context, created on first use.
+     * @param {*} gl
+     * @returns {ResourceManager}
+     */
+    static ForContext(gl) {
+        let manager = contextManagers.get(gl);
+        if (!manager) {
+            manager = new ResourceManager(gl);
+            contextManagers.set(gl, manager);
+        }
+        return manager;
+    }
+
+    /**
+     * Check if a context is a WebGL2 one.
+     * @param {*} gl
+     * @returns {boolean}
+     */
+    static IsWebGL2(gl) {
+        return typeof WebGL2RenderingContext !== "undefined" && gl instanceof WebGL2RenderingContext;
+    }
+
+    /**
+     * Check if a texture size is a power of 2, which WebGL1 needs for the mipmaps and the repeat wrapping.
+     * @param {number} value
+     * @returns {boolean}
+     */
+    static IsPowerOf2(value) {
+        return (value & (value - 1)) === 0;
+    }
+
+    /**
+     * Get a shared 1 pixel texture, never deleted.
+     * @param {string} name `"white"` or `"normal"` (a flat normal map)
+     * @returns {WebGLTexture}
+     */
+    getDefaultTexture(name) {
+        if (!this.defaultTextures[name]) {
+            const gl = this.gl;
+            const texture = gl.createTexture();
+            gl.bindTexture(gl.TEXTURE_2D, texture);
+            gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, 1, 1, 0, gl.RGBA, gl.UNSIGNED_BYTE, new Uint8Array(DEFAULT_TEXTURE_PIXELS[name]));
+            this.defaultTextures[name] = texture;
+        }
+        return this.defaultTextures[name];
+    }
+
+    /**
+     * Get a key that identifies the files of a resolver, to be used in the texture and mesh keys.
+     * Plain HTTP resolvers all share the same files (their paths are absolute URLs), the other ones have their own.
+     * @param {object} resolver The resolver
+     * @returns {string}
+     */
+    getResolverKey(resolver) {
+        if (resolver instanceof HTTPResolver && !resolver.fetch) {
+            return "http:";
+        }
+        if (!this.resolverKeys.has(resolver)) {
+            this.resolverKeys.set(resolver, "resolver" + this.nextResolverKey++ + ":");
+        }
+        return this.resolverKeys.get(resolver);
+    }
+
+    /**
+     * Get the key of a mesh, for `acquireMesh`.
+     * @param {object} resolver The resolver the files are loaded with
+     * @param {string[]} paths The resolved paths of the files (and anything else that identifies the mesh, like its format)
+     * @param {object} options The loading options, those that don't change the result (like the resolver or the signal) are left out
+     * @returns {string}
+     */
+    getMeshKey(resolver, paths, options) {
+        const resolverKey = this.getResolverKey(resolver);
+        return [
+            ...paths.map(path => resolverKey + path),
+            JSON.stringify(options, (key, value) => key && MESH_KEY_IGNORED_OPTIONS.includes(key) ? undefined : value)
+        ].join("|");
+    }
+
+    /**
+     * Get a texture, creating it if no one uses it yet. Each call must be balanced by a `releaseTexture`.
+     * @param {string} key Key of the texture, e.g. the resolved path of its image and its sampler parameters
+     * @param {function} create Function creating the texture, returning `{texture, image, file}` where `image` is the promise of the loaded
+     * image (used to estimate the memory usage and by `waitForTextures`) and `file` the path of the image, used in the events
+     * @returns {WebGLTexture}
+     */
+    acquireTexture(key, create) {
+        let entry = this.textures.get(key);
+        if (!entry) {
+            const {
+                texture,
+                image,
+                file
+            } = create();
+            entry = {
+                texture,
+                file,
+                refCount: 0,
+                bytes: 4
+            };
+            this.textures.set(key, entry);
+            entry.loaded = Promise.resolve(image).then(loaded => {
+                if (loaded && loaded.byteLength !== undefined) {
+                    // Compressed texture, with its mip chain
+                    entry.bytes = loaded.byteLength;
+                } else if (loaded) {
+                    // RGBA, plus a third for the mipmaps (of any image on WebGL2, of power of 2 images on WebGL1)
+                    const mipmaps = ResourceManager.IsWebGL2(this.gl) ||
+                        (ResourceManager.IsPowerOf2(loaded.width) && ResourceManager.IsPowerOf2(loaded.height));
+                    entry.bytes = Math.round(loaded.width * loaded.height * 4 * (mipmaps ? 4 / 3 : 1));
+                }
+                return {
+                    image: loaded,
+                    format: loaded && loaded.levels ? loaded.format : "rgba8"
+                };
+            }, error => {
+                // Failed images keep a single pixel
+                return {
+                    error
+                };
+            });
+        }
+        entry.refCount++;
+        return entry.texture;
+    }
+
+    /**
+     * Wait for textures obtained with `acquireTexture` to be loaded, calling the callbacks of each one.
+     * @param {WebGLTexture[]} textures
+     * @param {object} [callbacks]
+     * @param {function} [callbacks.onTextureLoad] Called with `{texture, file, image, format}` when a texture is loaded, `format` is
+     * the format of the uploaded data (`"rgba8"` for images)
+     * @param {function} [callbacks.onTextureError] Called with `{texture, file, error}` when the image of a texture can't be loaded
+     * @returns {Promise} - Resolved once every texture is loaded or has failed
+     */
+    async waitForTextures(textures, {
+        onTextureLoad,
+        onTextureError
+    } = {}) {
+        const entries = [...this.textures.values()].filter(entry => textures.includes(entry.texture));
+        await Promise.all(entries.map(async entry => {
+            const {
+                image,
+                format,
+                error
+            } = await entry.loaded;
+            if (error) {
+                if (onTextureError) {
+                    onTextureError({
+                        texture: entry.texture,
+                        file: entry.file,
+                        error
+                    });
+                }
+            } else if (onTextureLoad) {
+                onTextureLoad({
+                    texture: entry.texture,
+                    file: entry.file,
+                    image,
+                    format
+                });
+            }
+        }));
+    }
+
+    /**
+     * Release a texture obtained with `acquireTexture`, deleting it if no one uses it anymore.
+     * @param {WebGLTexture} texture
+     */
+    releaseTexture(texture) {
+        for (const [key, entry] of this.textures) {
+            if (entry.texture === texture) {
+                if (--entry.refCount === 0) {
+                    this.gl.deleteTexture(texture);
+                    this.textures.delete(key);
+                }
+                return;
+            }
+        }
+    }
+
+    /**
+     * Record the buffers of a part, so that they count in the memory usage and are deleted with their mesh.
+     * @param {object} bufferInfo The bufferInfo created by `webglUtils.createBufferInfoFromArrays`
+     * @param {object} arrays The arrays it was created from
+     */
+    registerBufferInfo(bufferInfo, arrays) {
+        let bytes = 0;
+        for (const [name, array] of Object.entries(arrays)) {
+            const data = array.value ? undefined : array.data || array;
+            if (data) {
+                // webglUtils stores plain arrays as floats, and plain indices as 16 bit integers
+                bytes += data.byteLength !== undefined ? data.byteLength : data.length * (name === "indices" ? 2 : 4);
+            }
+        }
+        this.bufferInfos.set(bufferInfo, bytes);
+    }
+
+    /**
+     * Delete the buffers of a part.
+     * @param {object} bufferInfo
+     */
+    deleteBufferInfo(bufferInfo) {
+        for (const attrib of Object.values(bufferInfo.attribs || {})) {
+            if (attrib.buffer) {
+                this.gl.deleteBuffer(attrib.buffer);
+            }
+        }
+        if (bufferInfo.indices) {
+            this.gl.deleteBuffer(bufferInfo.indices);
+        }
+        this.bufferInfos.delete(bufferInfo);
+    }
+
+    /**
+     * Get the mesh of an object, loading it if no other object uses the same one, and remember it for `dispose`.
+     *
+     * A previous mesh of the object is disposed. Concurrent loads of the same key wait for the same loading. If the object is
+     * disposed (e.g. by a newer `acquireMesh` call) before its mesh is loaded, the promise is rejected with an AbortError.
+     * @param {object} object The object the mesh is for
+     * @param {string} key Key of the mesh: the resolved path of the file and everything that changes the result
+     * @param {function} load Async function loading the mesh, returning `{parts, textures, ...}`: `textures` lists the textures it acquired.
+     * It is called with a function acquiring textures like `acquireTexture`: the textures acquired with it are released if the loading fails.
+     * @returns {Promise<object>} - The mesh, with a copy of the `parts` (and of their materials) for the object
+     */
+    async acquireMesh(object, key, load) {
+        this.dispose(object);
+
+        let entry = this.meshes.get(key);
+        if (!entry) {
+            const acquiredTextures = [];
+            entry = {
+                refCount: 0,
+                promise: load((textureKey, create) => {
+                    const texture = this.acquireTexture(textureKey, create);
+                    acquiredTextures.push(texture);
+                    return texture;
+                })
+            };
+            this.meshes.set(key, entry);
+            entry.promise.catch(() => {
+                acquiredTextures.forEach(texture => this.releaseTexture(texture));
+                // Let the next call try again
+                if (this.meshes.get(key) === entry) {
+                    this.meshes.delete(key);
+                }
+            });
+        }
+        entry.refCount++;
+        const token = {
+            key
+        };
+        this.objects.set(object, key);
+        this.loadTokens.set(object, token);
+        let mesh;
+        try {
+            mesh = await entry.promise;
+        } catch (error) {
+            if (this.loadTokens.get(object) === token) {
+                this.objects.delete(object);
+                this.loadTokens.delete(object);
+            }
+            throw error;
+        }
+        if (this.loadTokens.get(object) !== token) {
+            // The object was disposed or got another mesh meanwhile, these parts may already be deleted
+            throw new DOMException(`The mesh ${key} of the object was replaced while it was loading.`, "AbortError");
+        }
+        return {
+            ...mesh,
+            parts: mesh.parts.map(part => ({
+                ...part,
+                material: {
+                    ...part.material
+                }
+            }))
+        };
+    }
+
+    /**
+     * Release the resources of an object loaded with `acquireMesh`: its buffers and textures are deleted if no other object uses them.
+     * @param {object} object
+     * @returns {boolean} - True if the object had resources
+     */
+    dispose(object) {
+        const key = this.objects.get(object);
+        if (key === undefined) {
+            return false;
+        }
+        this.objects.delete(object);
+        this.loadTokens.delete(object);
+        object.parts = [];
+
+        const entry = this.meshes.get(key);
+        if (entry && --entry.refCount === 0) {
+            this.meshes.delete(key);
+            entry.promise.then(mesh => {
+                mesh.parts.forEach(part => {
+                    this.deleteBufferInfo(part.bufferInfo);
+                    (part.lods || []).forEach(lod => this.deleteBufferInfo(lod.bufferInfo));
+                });
+                mesh.textures.forEach(texture => this.releaseTexture(texture));
+            }, () => {});
+        }
+        return true;
+    }
+
+    /**
+     * Get the GPU memory used by the resources of the manager. Image sizes are estimated (RGBA, with mipmaps), compressed textures
+     * count their data.
+     * @returns {object} - The `textures`, `buffers` and `total` sizes in bytes, and the number of `textureCount` and `bufferInfoCount`
+     */
+    getMemoryUsage() {
+        let textures = Object.keys(this.defaultTextures).length * 4;
+        for (const entry of this.textures.values()) {
+            textures += entry.bytes;
+        }
+        let buffers = 0;
+        for (const bytes of this.bufferInfos.values()) {
+            buffers += bytes;
+        }
+        return {
+            textures,
+            buffers,
+            total: textures + buffers,
+            textureCount: this.textures.size + Object.keys(this.defaultTextures).length,
+            bufferInfoCount: this.bufferInfos.size
+        };
+    }
+}
+
+/**
+ * The shared manager of each context.
+ */
+const contextManagers = new WeakMap();
+
+/**
+ * Loading options that don't change the loaded mesh, left out of its key.
+ */
+const MESH_KEY_IGNORED_OPTIONS = ["resolver", "resourceManager", "signal", "onProgress", "diagnostics", "stream", "worker", "waitForTextures", "logger"];
+
+const DEFAULT_TEXTURE_PIXELS = {
+    white: [255, 255, 255, 255],
+    normal: [127, 127, 255, 0]
+};
@@ -0,0 +1,294 @@
+/**
+ * Node hierarchy used by RenderEngine to place the objects.
+ *
+ * Each node has a local transform, either a translation, a rotation (a quaternion, or Euler angles in a chosen order) and a
+ * non-uniform scale, or a raw matrix, and its world matrix is the one of its parent times its local matrix. An object of the
+ * objList is placed by its `node`: a wheel added to the node of a car follows the car.
+ *
+ * The transforms must be changed with the setters, which mark the node dirty: `updateWorldMatrix` only recomputes the world
+ * matrices of the changed nodes and of their descendants, and skips the subtrees where nothing changed.
+ *
+ * Objects using the older `center` and `rotation` (`onAxes` and `onSelf`) properties get a node reading them, see ForObject.
+ */
+export class SceneNode {
+    /**
+     * @param {object} [options]
+     * @param {string} [options.name] - Name of the node
+     * @param {number[]} [options.translation] - Local translation `[x, y, z]`. Default `[0, 0, 0]`.
+     * @param {number[]} [options.rotation] - Local rotation as a quaternion `[x, y, z, w]`. Default is no rotation.
+     * @param {number[]} [options.euler] - Local rotation as Euler angles `[x, y, z]` in radians, used without `rotation`.
+     * @param {string} [options.order="XYZ"] - Order of the Euler angles, see setEuler.
+     * @param {number|number[]} [options.scale] - Local scale, `[x, y, z]` or uniform. Default 1.
+     * @param {number[]} [options.matrix] - Raw local matrix, used instead of the translation, rotation and scale.
+     */
+    constructor(options = {}) {
+        this.name = options.name;
+        this.parent = null;
+        this.children = [];
+        this.translation = [0, 0, 0];
+        this.rotation = [0, 0, 0, 1];
+        this.scale = [1, 1, 1];
+        this.matrix = null;
+        this.localMatrix = m4.identity();
+        this.worldMatrix = m4.identity();
+        // The local transform changed / a descendant changed
+        this.dirty = true;
+        this.subtreeDirty = false;
+
+        if (options.translation) {
+            this.setTranslation(options.translation);
+        }
+        if (options.rotation) {
+            this.setRotation(options.rotation);
+        } else if (options.euler) {
+            this.setEuler(options.euler, options.order);
+        }
+        if (options.scale !== undefined) {
+            this.setScale(options.scale);
+        }
+        if (options.matrix) {
+            this.setMatrix(options.matrix);
+        }
+    }
+
+    /**
+     * @param {number[]} translation Local translation `[x, y, z]`
+     * @returns {SceneNode} - The node
+     */
+    setTranslation(translation) {
+        this.translation = translation.slice(0, 3);
+        this.matrix = null;
+        return this.markDirty();
+    }
+
+    /**
+     * @param {number[]} quaternion Local rotation `[x, y, z, w]`, normalized by the node
+     * @returns {SceneNode} - The node
+     */
+    setRotation(quaternion) {
+        const length = Math.hypot(...quaternion) || 1;
+        this.rotation = quaternion.slice(0, 4).map(value => value / length);
+        this.matrix = null;
+        return this.markDirty();
+    }
+
+    /**
+     * Set the local rotation from Euler angles.
+     * @param {number[]} angles Angles `[x, y, z]` around each axis, in radians
+     * @param {string} [order="XYZ"] Order of the rotations, like the order of the `m4.xRotate`, `m4.yRotate` and `m4.zRotate` calls
+     * building the matrix: `"XYZ"` is `Rx * Ry * Rz` (the `rotation.onSelf` of the older objects), so Z is applied first to the vertices.
+     * @returns {SceneNode} - The node
+     */
+    setEuler(angles, order = "XYZ") {
+        return this.setRotation(SceneNode.QuaternionFromEuler(angles, order));
+    }
+
+    /**
+     * @param {number|number[]} scale Local scale `[x, y, z]`, or a uniform scale
+     * @returns {SceneNode} - The node
+     */
+    setScale(scale) {
+        this.scale = typeof scale === "number" ? [scale, scale, scale] : scale.slice(0, 3);
+        this.matrix = null;
+        return this.markDirty();
+    }
+
+    /**
+     * Set a raw local matrix, used instead of the translation, rotation and scale until one of them is set again.
+     * @param {number[]} matrix The matrix, in the m4 layout. null goes back to the translation, rotation and scale.
+     * @returns {SceneNode} - The node
+     */
+    setMatrix(matrix) {
+        this.matrix = matrix ? Array.from(matrix) : null;
+        return this.markDirty();
+    }
+
+    /**
+     * Mark the local transform as changed, e.g. after modifying the arrays of the node directly.
+     * @returns {SceneNode} - The node
+     */
+    markDirty() {
+        this.dirty = true;
+        // The ancestors know that they have something to update below them
+        for (let ancestor = this.parent; ancestor && !ancestor.subtreeDirty; ancestor = ancestor.parent) {
+            ancestor.subtreeDirty = true;
+        }
+        return this;
+    }
+
+    /**
+     * Attach a child node, detaching it from its previous parent. The child keeps its local transform.
+     * @param {SceneNode} child The node
+     * @returns {SceneNode} - The child
+     */
+    add(child) {
+        for (let ancestor = this; ancestor; ancestor = ancestor.parent) {
+            if (ancestor === child) {
+                throw new Error("A node can't be added to itself or to one of its descendants");
+            }
+        }
+        if (child.parent) {
+            child.parent.remove(child);
+        }
+        child.parent = this;
+        this.children.push(child);
+        child.markDirty();
+        return child;
+    }
+
+    /**
+     * Detach a child node, it becomes a root.
+     * @param {SceneNode} child The node
+     * @returns {SceneNode} - The child
+     */
+    remove(child) {
+        const index = this.children.indexOf(child);
+        if (index >= 0) {
+            this.children.splice(index, 1);
+            child.parent = null;
+            child.markDirty();
+        }
+        return child;
+    }
+
+    /**
+     * @returns {SceneNode} - The root of the hierarchy of the node
+     */
+    getRoot() {
+        let root = this;
+        while (root.parent) {
+            root = root.parent;
+        }
+        return root;
+    }
+
+    /**
+     * Call a function on the node and its descendants, parents first.
+     * @param {function} callback Called with each node
+     */
+    traverse(callback) {
+        callback(this);
+        this.children.forEach(child => child.traverse(callback));
+    }
+
+    /**
+     * Update the world matrices of the changed nodes of the hierarchy below this node (the node must be a root, or have an up
+     * to date parent). Subtrees without changes are skipped.
+     * @param {boolean} [parentChanged=false] True if the world matrix of the parent changed
+     */
+    updateWorldMatrix(parentChanged = false) {
+        if (!parentChanged && !this.dirty && !this.subtreeDirty) {
+            return;
+        }
+        const changed = parentChanged || this.dirty;
+        if (this.dirty) {
+            this.localMatrix = this.matrix ? this.matrix.slice() : composeMatrix(this.translation, this.rotation, this.scale);
+        }
+        if (changed) {
+            this.worldMatrix = this.parent ? m4.multiply(this.parent.worldMatrix, this.localMatrix) : this.localMatrix.slice();
+        }
+        this.dirty = false;
+        this.subtreeDirty = false;
+        this.children.forEach(child => child.updateWorldMatrix(changed));
+    }
+
+    /**
+     * Convert Euler angles to a quaternion.
+     * @param {number[]} angles Angles `[x, y, z]` in radians
+     * @param {string} [order="XYZ"] Order of the rotations, see setEuler
+     * @returns {number[]} - The quaternion `[x, y, z, w]`
+     */
+    static QuaternionFromEuler(angles, order = "XYZ") {
+        if (!/^(XYZ|XZY|YXZ|YZX|ZXY|ZYX)$/.test(order)) {
+            throw new Error(`Unknown Euler order ${order}`);
+        }
+        return order.split("").reduce((quaternion, axisName) => {
+            const axis = "XYZ".indexOf(axisName);
+            const axisQuaternion = [0, 0, 0, Math.cos(angles[axis] / 2)];
+            axisQuaternion[axis] = Math.sin(angles[axis] / 2);
+            return multiplyQuaternions(quaternion, axisQuaternion);
+        }, [0, 0, 0, 1]);
+    }
+
+    /**
+     * Compute the matrix of an object in the older format: `rotation.onAxes` (around the world axes), then the `center` translation,
+     * then `rotation.onSelf` (around the axes of the object), each rotation applied in the X, Y, Z order.
+     * @param {*} obj The object
+     * @returns {number[]} - The matrix
+     */
+    static LegacyMatrix(obj) {
+        const rotation = obj.rotation || {};
+        let matrix = m4.identity();
+        const rotate = angles => {
+            if (angles) {
+                matrix = m4.xRotate(matrix, angles.x || 0);
+                matrix = m4.yRotate(matrix, angles.y || 0);
+                matrix = m4.zRotate(matrix, angles.z || 0);
+            }
+        };
+        rotate(rotation.onAxes);
+        if (obj.center) {
+            matrix = m4.translate(matrix, obj.center.x || 0, obj.center.y || 0, obj.center.z || 0);
+        }
+        rotate(rotation.onSelf);
+        return matrix;
+    }
+
+    /**
+     * Get the node of an object of the objList, creating one if it has none.
+     *
+     * Objects created without `node` keep working: their node reads their `center` and `rotation` each time this is called
+     * (RenderEngine calls it every frame), so they can still be moved by changing these properties, and be attached to other nodes.
+     * @param {*} obj The object
+     * @returns {SceneNode} - `obj.node`
+     */
+    static ForObject(obj) {
+        if (!obj.node) {
+            obj.node = new SceneNode({
+                name: obj.name
+            });
+            obj.node.legacy = true;
+        }
+        const node = obj.node;
+        if (node.legacy) {
+            const matrix = SceneNode.LegacyMatrix(obj);
+            if (!node.matrix || matrix.some((value, index) => value !== node.matrix[index])) {
+                node.setMatrix(matrix);
+            }
+        }
+        return node;
+    }
+}
+
+/**
+ * Compose a matrix from a translation, a rotation and a scale (scale applied first).
+ * @param {number[]} translation The translation `[x, y, z]`
+ * @param {number[]} rotation The rotation, a unit quaternion `[x, y, z, w]`
+ * @param {number[]} scale The scale `[x, y, z]`
+ * @returns {number[]} - The matrix, in the m4 layout
+ */
+function composeMatrix(translation, rotation, scale) {
+    const [x, y, z, w] = rotation;
+    const [sx, sy, sz] = scale;
+    return [
+        (1 - 2 * (y * y + z * z)) * sx, 2 * (x * y + z * w) * sx, 2 * (x * z - y * w) * sx, 0,
+        2 * (x * y - z * w) * sy, (1 - 2 * (x * x + z * z)) * sy, 2 * (y * z + x * w) * sy, 0,
+        2 * (x * z + y * w) * sz, 2 * (y * z - x * w) * sz, (1 - 2 * (x * x + y * y)) * sz, 0,
+        translation[0], translation[1], translation[2], 1
+    ];
+}
+
+/**
+ * Multiply two quaternions, the rotation of `b` is applied first.
+ * @param {number[]} a First quaternion `[x, y, z, w]`
+ * @param {number[]} b Second quaternion
+ * @returns {number[]}
+ */
+function multiplyQuaternions(a, b) {
+    return [
+        a[3] * b[0] + a[0] * b[3] + a[1] * b[2] - a[2] * b[1],
+        a[3] * b[1] - a[0] * b[2] + a[1] * b[3] + a[2] * b[0],
+        a[3] * b[2] + a[0] * b[1] - a[1] * b[0] + a[2] * b[3],
+        a[3] * b[3] - a[0] * b[0] - a[1] * b[1] - a[2] * b[2]
+    ];
+}